@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Category from './src/modules/category/model.js';
+import { generateSlug } from './src/utils/slug.js';
+
+dotenv.config();
+
+// Products used to store their category as free text.
+// This creates a top-level category for every distinct name and points the products at it.
+const migrateCategories = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Raw collection - the Product model now expects category ids
+    const products = mongoose.connection.collection('products');
+    const names = await products.distinct('category', { category: { $type: 'string' } });
+
+    if (names.length === 0) {
+      console.log('✅ No products with text categories - nothing to migrate');
+      process.exit(0);
+    }
+
+    for (const rawName of names) {
+      const name = rawName.trim();
+      const slug = generateSlug(name) || 'uncategorized';
+
+      // Names that only differ in case or spacing end up in the same category
+      const category = await Category.findOneAndUpdate(
+        { slug },
+        { $setOnInsert: { name, slug } },
+        { new: true, upsert: true }
+      );
+
+      const result = await products.updateMany({ category: rawName }, { $set: { category: category._id } });
+
+      console.log(`✅ '${rawName}' -> ${category.name} (${category.slug}): ${result.modifiedCount} product(s)`);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateCategories();
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Product images used to be plain URL strings. They are now objects ({ url, alt, thumbnails, ... })
+// so they can carry alt text, so existing URLs are wrapped as { url, alt: '' }.
+const migrateImages = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    // Raw collection - the Product model can't load the old string images
+    const products = mongoose.connection.collection('products');
+
+    const result = await products.updateMany({ images: { $elemMatch: { $type: 'string' } } }, [
+      {
+        $set: {
+          images: {
+            $map: {
+              input: '$images',
+              in: {
+                $cond: [{ $eq: [{ $type: '$$this' }, 'string'] }, { url: '$$this', alt: '' }, '$$this'],
+              },
+            },
+          },
+        },
+      },
+    ]);
+
+    console.log(`✅ Converted images of ${result.modifiedCount} product(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateImages();
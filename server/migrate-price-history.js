@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from './src/modules/product/model.js';
+import PriceHistory from './src/modules/product/priceHistoryModel.js';
+
+dotenv.config();
+
+// Price history only records changes, so products created before it have no current price entry.
+// Their current prices are recorded as effective since the product's last update - the earliest
+// date they are known to have had it. Safe to run more than once.
+const migratePriceHistory = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const recorded = await PriceHistory.distinct('product', { effectiveTo: null });
+    const products = await Product.find({ _id: { $nin: recorded } });
+
+    for (const product of products) {
+      await PriceHistory.insertMany(
+        [
+          { variant: null, price: product.price, comparePrice: product.comparePrice },
+          ...product.variants.map((variant) => ({
+            variant: variant._id,
+            price: variant.price,
+            comparePrice: variant.comparePrice,
+          })),
+        ].map((point) => ({
+          ...point,
+          product: product._id,
+          comparePrice: point.comparePrice ?? null,
+          effectiveFrom: product.updatedAt,
+          source: 'migrated',
+        }))
+      );
+    }
+
+    console.log(`✅ Recorded the current prices of ${products.length} product(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migratePriceHistory();
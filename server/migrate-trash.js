@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Product from './src/modules/product/model.js';
+
+dotenv.config();
+
+// Product slugs used to be unique across all products, deleted ones included. Now only products
+// that are not deleted reserve their slug, so the old unique index is replaced. Products that were
+// deleted before deletedAt existed count as deleted on their last update.
+const migrateTrash = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const dropped = await Product.syncIndexes();
+
+    console.log(`✅ Product indexes are up to date${dropped.length ? ` (dropped: ${dropped.join(', ')})` : ''}`);
+
+    const result = await Product.updateMany({ isDeleted: true, deletedAt: null }, [
+      { $set: { deletedAt: '$updatedAt' } },
+    ]);
+
+    console.log(`✅ Set the deletion date of ${result.modifiedCount} deleted product(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateTrash();
@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Inventory from './src/modules/inventory/model.js';
+
+dotenv.config();
+
+// Inventory used to be unique per product. With variants it is unique per product + variant,
+// so the old unique index has to be replaced before variant stock can be created.
+const migrateVariants = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const dropped = await Inventory.syncIndexes();
+
+    console.log(`✅ Inventory indexes are up to date${dropped.length ? ` (dropped: ${dropped.join(', ')})` : ''}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateVariants();
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+// Local mock OpenID Connect provider for developing and testing OAuth login.
+// Usage: npm run mock-oidc
+// Then register it in the server .env:
+//   OAUTH_PROVIDERS=[{"id":"mock","name":"Mock OIDC","issuer":"http://localhost:4000","clientId":"shophub","clientSecret":"secret"}]
+// The login page lets you pick any email, so linking and sign-up can be tried with different identities.
+
+const port = Number(process.env.MOCK_OIDC_PORT) || 4000;
+const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+const clients = { [process.env.MOCK_OIDC_CLIENT_ID || 'shophub']: process.env.MOCK_OIDC_CLIENT_SECRET || 'secret' };
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const kid = crypto.randomUUID();
+const codes = new Map(); // authorization code -> pending grant
+const accessTokens = new Map(); // access token -> claims
+
+const escapeHtml = (value = '') =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const sha256base64url = (value) =>
+  crypto.createHash('sha256').update(value).digest('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+const tokenError = (res, error, description) => res.status(400).json({ error, error_description: description });
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.json({
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    jwks_uri: `${issuer}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+  });
+});
+
+app.get('/jwks', (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+});
+
+// Login form - every field of the authorization request is passed through
+app.get('/authorize', (req, res) => {
+  if (!clients[req.query.client_id]) {
+    return res.status(400).send('Unknown client_id');
+  }
+
+  const hidden = Object.entries(req.query)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+
+  res.send(`<!doctype html>
+<title>Mock OIDC login</title>
+<form method="post" action="/authorize" style="font-family:sans-serif;max-width:320px;margin:40px auto">
+  <h2>Mock OIDC login</h2>
+  ${hidden}
+  <p><label>Email<br><input name="email" value="${escapeHtml(req.query.login_hint || 'customer@example.com')}"></label></p>
+  <p><label>Name<br><input name="name" value="Mock Customer"></label></p>
+  <p><label><input type="checkbox" name="email_verified" value="true" checked> Email verified</label></p>
+  <button type="submit">Sign in</button>
+</form>`);
+});
+
+app.post('/authorize', (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, email, name, email_verified } = req.body;
+
+  if (!clients[client_id] || !redirect_uri) {
+    return res.status(400).send('Invalid authorization request');
+  }
+
+  const code = crypto.randomBytes(16).toString('hex');
+  codes.set(code, {
+    clientId: client_id,
+    redirectUri: redirect_uri,
+    nonce,
+    codeChallenge: code_challenge,
+    // Same email -> same subject, like a real provider account
+    claims: {
+      sub: sha256base64url(email.toLowerCase()).slice(0, 16),
+      email,
+      email_verified: email_verified === 'true',
+      name,
+    },
+    expiresAt: Date.now() + 60 * 1000,
+  });
+
+  const location = new URL(redirect_uri);
+  location.searchParams.set('code', code);
+  if (state) location.searchParams.set('state', state);
+
+  res.redirect(location.toString());
+});
+
+app.post('/token', (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+  const grant = codes.get(code);
+  codes.delete(code); // Codes are single-use
+
+  if (grant_type !== 'authorization_code') {
+    return tokenError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+
+  if (!clients[client_id] || clients[client_id] !== client_secret) {
+    return tokenError(res, 'invalid_client', 'Unknown client or wrong secret');
+  }
+
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== client_id || grant.redirectUri !== redirect_uri) {
+    return tokenError(res, 'invalid_grant', 'Code is invalid, expired or was issued for another redirect_uri');
+  }
+
+  if (grant.codeChallenge && sha256base64url(code_verifier || '') !== grant.codeChallenge) {
+    return tokenError(res, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  accessTokens.set(accessToken, grant.claims);
+
+  const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+    algorithm: 'RS256',
+    keyid: kid,
+    issuer,
+    audience: client_id,
+    expiresIn: '5m',
+  });
+
+  res.json({ access_token: accessToken, token_type: 'Bearer', expires_in: 300, id_token: idToken });
+});
+
+app.get('/userinfo', (req, res) => {
+  const claims = accessTokens.get((req.get('authorization') || '').replace(/^Bearer /, ''));
+
+  if (!claims) {
+    return res.status(401).json({ error: 'invalid_token' });
+  }
+
+  res.json(claims);
+});
+
+app.listen(port, () => {
+  console.log(`🔐 Mock OIDC provider running at ${issuer}`);
+  console.log(`   Clients: ${Object.keys(clients).join(', ')}`);
+});
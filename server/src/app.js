@@ -12,6 +12,20 @@ import productRoutes from './modules/product/index.js';
 import inventoryRoutes from './modules/inventory/index.js';
 import cartRoutes from './modules/cart/index.js';
 import orderRoutes from './modules/order/index.js';
+import sessionRoutes from './modules/session/index.js';
+import userRoutes from './modules/user/index.js';
+import auditRoutes from './modules/audit/index.js';
+import roleRoutes from './modules/role/index.js';
+import addressRoutes from './modules/address/index.js';
+import apiKeyRoutes from './modules/apiKey/index.js';
+import categoryRoutes, { publicRouter as publicCategoryRoutes } from './modules/category/index.js';
+import uploadRoutes from './modules/upload/index.js';
+import catalogRoutes from './modules/catalog/index.js';
+import reviewRoutes, { publicRouter as publicReviewRoutes } from './modules/review/index.js';
+import { getUploadDir } from './utils/storage.js';
+import { registerJob, startScheduler } from './utils/scheduler.js';
+import { applyScheduledStatus, applyScheduledPrices, purgeExpiredProducts } from './modules/product/service.js';
+import { failStalledImports } from './modules/catalog/service.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,6 +36,11 @@ const app = express();
 // Connect to database
 connectDB();
 
+// Trust reverse proxy hops (e.g. Vercel) so req.ip is the client IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Security middleware
 app.use(helmet());
 
@@ -42,6 +61,13 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded files (local storage driver) - images are embedded by the storefront and admin origins
+if ((process.env.STORAGE_DRIVER || 'local') === 'local') {
+  app.use('/uploads', express.static(getUploadDir(), {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin'),
+  }));
+}
+
 // Health check route
 app.get('/', (req, res) => {
   res.json({
@@ -51,12 +77,24 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       products: '/api/products',
+      categories: '/api/categories',
       cart: '/api/cart',
       orders: '/api/orders',
+      addresses: '/api/addresses',
+      reviews: '/api/reviews',
       admin: {
         products: '/api/admin/products',
+        categories: '/api/admin/categories',
         inventory: '/api/admin/inventory',
         orders: '/api/admin/orders',
+        sessions: '/api/admin/sessions',
+        users: '/api/admin/users',
+        auditLogs: '/api/admin/audit-logs',
+        roles: '/api/admin/roles',
+        apiKeys: '/api/admin/api-keys',
+        uploads: '/api/admin/uploads',
+        catalog: '/api/admin/catalog',
+        reviews: '/api/admin/reviews',
       },
     },
   });
@@ -65,9 +103,21 @@ app.get('/', (req, res) => {
 // Mount routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', publicCategoryRoutes);
+app.use('/api/admin/categories', categoryRoutes);
 app.use('/api/admin/inventory', inventoryRoutes);
 app.use('/api/cart', cartRoutes);
 app.use('/api/orders', orderRoutes);
+app.use('/api/addresses', addressRoutes);
+app.use('/api/admin/sessions', sessionRoutes);
+app.use('/api/admin/users', userRoutes);
+app.use('/api/admin/audit-logs', auditRoutes);
+app.use('/api/admin/roles', roleRoutes);
+app.use('/api/admin/api-keys', apiKeyRoutes);
+app.use('/api/admin/uploads', uploadRoutes);
+app.use('/api/admin/catalog', catalogRoutes);
+app.use('/api/reviews', publicReviewRoutes);
+app.use('/api/admin/reviews', reviewRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -81,6 +131,16 @@ app.use((req, res) => {
 // Error handler (must be last)
 app.use(errorHandler);
 
+// Background jobs - every instance runs them (see utils/scheduler.js)
+registerJob('product-schedule', applyScheduledStatus);
+registerJob('product-price-schedule', applyScheduledPrices);
+registerJob('product-trash-purge', purgeExpiredProducts);
+registerJob('catalog-import-timeout', failStalledImports);
+
+if (process.env.SCHEDULER_ENABLED !== 'false') {
+  startScheduler();
+}
+
 // Start server
 const PORT = process.env.PORT || 3000;
 
@@ -0,0 +1,70 @@
+// OAuth2 / OpenID Connect login providers
+//
+// Providers are registered with the OAUTH_PROVIDERS environment variable, a JSON array:
+//
+//   OAUTH_PROVIDERS=[{
+//     "id": "google",                          // used in URLs, e.g. /api/auth/oauth/google/authorize
+//     "name": "Google",                        // shown on the login button
+//     "issuer": "https://accounts.google.com", // endpoints are discovered from <issuer>/.well-known/openid-configuration
+//     "clientId": "...",
+//     "clientSecret": "...",
+//     "scopes": ["openid", "email", "profile"] // optional, this is the default
+//   }]
+//
+// Providers without discovery can set "authorizationEndpoint", "tokenEndpoint" and
+// "jwksUri" (to verify ID tokens) and/or "userinfoEndpoint" (plain OAuth2) instead of "issuer".
+
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+const REQUIRED_FIELDS = ['id', 'name', 'clientId', 'clientSecret'];
+
+let cached = { raw: null, providers: [] };
+
+// Parse and validate the provider list (re-parsed only when the variable changes)
+const loadProviders = () => {
+  const raw = process.env.OAUTH_PROVIDERS || '';
+
+  if (raw === cached.raw) {
+    return cached.providers;
+  }
+
+  let providers = [];
+
+  if (raw.trim()) {
+    try {
+      providers = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`OAUTH_PROVIDERS is not valid JSON: ${error.message}`);
+    }
+
+    if (!Array.isArray(providers)) {
+      throw new Error('OAUTH_PROVIDERS must be a JSON array');
+    }
+
+    providers = providers.map((provider) => {
+      const missing = REQUIRED_FIELDS.filter((field) => !provider[field]);
+
+      if (missing.length > 0) {
+        throw new Error(`OAuth provider '${provider.id || '?'}' is missing: ${missing.join(', ')}`);
+      }
+
+      if (!provider.issuer && !(provider.authorizationEndpoint && provider.tokenEndpoint)) {
+        throw new Error(`OAuth provider '${provider.id}' needs an issuer or explicit endpoints`);
+      }
+
+      return {
+        ...provider,
+        issuer: provider.issuer?.replace(/\/$/, ''),
+        scopes: provider.scopes || DEFAULT_SCOPES,
+      };
+    });
+  }
+
+  cached = { raw, providers };
+  return providers;
+};
+
+// Get all configured providers
+export const getOAuthProviders = () => loadProviders();
+
+// Get a provider by id (undefined if not configured)
+export const getOAuthProvider = (id) => loadProviders().find((provider) => provider.id === id);
@@ -0,0 +1,57 @@
+// Named permissions checked by requirePermission()
+export const PERMISSIONS = {
+  'products:read': 'View products in the admin panel',
+  'products:write': 'Create, edit and delete products',
+  'categories:write': 'Create, edit and delete categories',
+  'inventory:read': 'View inventory',
+  'inventory:write': 'Create, edit and delete inventory records',
+  'inventory:adjust': 'Adjust stock levels',
+  'orders:read': 'View orders',
+  'orders:update-status': 'Change order status',
+  'users:read': 'View users and their orders',
+  'users:write': 'Activate, deactivate, unlock users and change roles',
+  'users:impersonate': 'View the storefront as a customer',
+  'sessions:read': 'View active sessions',
+  'sessions:revoke': 'Revoke sessions',
+  'audit:read': 'View audit logs',
+  'roles:manage': 'Create and edit roles',
+  'api-keys:manage': 'Create and revoke API keys',
+  'reviews:read': 'View product reviews, including unmoderated ones',
+  'reviews:moderate': 'Approve, reject and flag reviews',
+};
+
+// Grants every permission
+export const ALL_PERMISSIONS = '*';
+
+// Built-in roles - 'admin' and 'user' are fixed, the others can be edited
+export const DEFAULT_ROLES = {
+  admin: {
+    description: 'Full access',
+    permissions: [ALL_PERMISSIONS],
+  },
+  user: {
+    description: 'Storefront customer',
+    permissions: [],
+  },
+  warehouse: {
+    description: 'Warehouse staff',
+    permissions: ['products:read', 'inventory:read', 'inventory:write', 'inventory:adjust'],
+  },
+  support: {
+    description: 'Customer support',
+    permissions: [
+      'products:read',
+      'orders:read',
+      'orders:update-status',
+      'users:read',
+      'users:impersonate',
+      'sessions:read',
+      'sessions:revoke',
+      'reviews:read',
+      'reviews:moderate',
+    ],
+  },
+};
+
+// Roles whose permissions cannot be changed
+export const LOCKED_ROLES = ['admin', 'user'];
@@ -1,5 +1,27 @@
 import jwt from 'jsonwebtoken';
 import User from '../modules/user/model.js';
+import { getRolePermissions, hasPermission } from '../modules/role/service.js';
+import { verifyApiKey } from '../modules/apiKey/service.js';
+import { isSessionActive } from '../modules/session/service.js';
+
+// Authenticate with an API key (X-API-Key header) instead of a JWT
+// The key acts as the admin who created it, limited to the key's permissions
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await verifyApiKey(req.get('x-api-key'), { ip: req.ip });
+  const user = apiKey ? await User.findById(apiKey.user).select('-password') : null;
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      code: 'AUTH_002',
+      message: 'Invalid, expired or revoked API key',
+    });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
 
 // Verify JWT token and attach user to request
 export const authenticate = async (req, res, next) => {
@@ -7,6 +29,15 @@ export const authenticate = async (req, res, next) => {
     // Get token from header
     const authHeader = req.headers.authorization;
     
+    // API keys are only accepted where their permissions are checked (see authenticateWithApiKey)
+    if (!authHeader && req.get('x-api-key')) {
+      return res.status(403).json({
+        success: false,
+        code: 'AUTH_003',
+        message: 'This action is not available with an API key',
+      });
+    }
+    
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         success: false,
@@ -20,6 +51,17 @@ export const authenticate = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Special-purpose tokens (e.g. 2FA challenges) are not access tokens
+      if (decoded.purpose) {
+        throw new Error('Not an access token');
+      }
+
+      // Tokens stop working as soon as their session is revoked (e.g. on logout)
+      // Impersonation tokens have no session - they are checked against the admin below
+      if (!decoded.impersonatedBy && !(await isSessionActive(decoded.sessionId))) {
+        throw new Error('Session revoked');
+      }
       
       // Get user from token
       const user = await User.findById(decoded.userId).select('-password');
@@ -32,8 +74,22 @@ export const authenticate = async (req, res, next) => {
         });
       }
 
-      // Attach user to request
+      // Impersonation tokens stop working as soon as the admin loses access
+      if (decoded.impersonatedBy) {
+        const impersonator = await User.findById(decoded.impersonatedBy).select('name email role isActive');
+        const granted = impersonator?.isActive ? await getRolePermissions(impersonator.role) : [];
+
+        if (!hasPermission(granted, 'users:impersonate')) {
+          throw new Error('Impersonation no longer allowed');
+        }
+
+        req.impersonatedBy = decoded.impersonatedBy;
+        req.impersonator = impersonator;
+      }
+
+      // Attach user and session to request
       req.user = user;
+      req.sessionId = decoded.sessionId;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -47,25 +103,118 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+// Verify a JWT token or an API key (X-API-Key header) and attach the user to request
+// Only for routes guarded by requirePermission, which limits a key to its permissions
+export const authenticateWithApiKey = async (req, res, next) => {
+  try {
+    if (!req.headers.authorization && req.get('x-api-key')) {
+      return await authenticateApiKey(req, res, next);
+    }
+
+    return await authenticate(req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Block actions that must only be taken by the account owner in person
+// (e.g. placing orders or changing passwords) - not through impersonation or an API key
+export const requireAccountOwner = (req, res, next) => {
+  if (req.impersonatedBy) {
+    return res.status(403).json({
+      success: false,
+      code: 'AUTH_003',
+      message: 'This action is not available while impersonating a user',
+    });
+  }
+
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      code: 'AUTH_003',
+      message: 'This action is not available with an API key',
+    });
+  }
+
+  next();
+};
+
+// Admins must enroll in 2FA before using admin routes when it is mandatory
+// Sends the error response and returns true if the request was rejected
+const rejectPendingTwoFactor = (req, res, rolePermissions) => {
+  if (req.user.requiresTwoFactor(rolePermissions) && !req.user.twoFactorEnabled) {
+    res.status(403).json({
+      success: false,
+      code: 'AUTH_006',
+      message: 'Two-factor authentication must be enabled for admin accounts',
+    });
+    return true;
+  }
+
+  return false;
+};
+
 // Check if user has required role
 export const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        code: 'AUTH_002',
-        message: 'Authentication required',
-      });
-    }
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          code: 'AUTH_002',
+          message: 'Authentication required',
+        });
+      }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        code: 'AUTH_003',
-        message: 'Insufficient permissions',
-      });
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+          success: false,
+          code: 'AUTH_003',
+          message: 'Insufficient permissions',
+        });
+      }
+
+      if (rejectPendingTwoFactor(req, res, await getRolePermissions(req.user.role))) return;
+
+      next();
+    } catch (error) {
+      next(error);
     }
+  };
+};
+
+// Check if user's role grants all required permissions
+export const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          code: 'AUTH_002',
+          message: 'Authentication required',
+        });
+      }
 
-    next();
+      const rolePermissions = await getRolePermissions(req.user.role);
+      // API keys are limited to their own permissions (and lose those their owner no longer has)
+      const granted = req.apiKey
+        ? req.apiKey.permissions.filter((permission) => hasPermission(rolePermissions, permission))
+        : rolePermissions;
+
+      if (!permissions.every((permission) => hasPermission(granted, permission))) {
+        return res.status(403).json({
+          success: false,
+          code: 'AUTH_003',
+          message: 'Insufficient permissions',
+        });
+      }
+
+      if (rejectPendingTwoFactor(req, res, rolePermissions)) return;
+
+      req.permissions = granted;
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
@@ -0,0 +1,71 @@
+import path from 'path';
+import multer from 'multer';
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+
+// Browsers report CSV files differently, so data files are checked by extension
+const DATA_FILE_EXTENSIONS = ['.csv', '.json'];
+
+const uploadError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'VAL_001';
+  return error;
+};
+
+// Multer middleware that keeps files in memory and reports problems as 400 errors
+const createUpload = ({ fieldName, maxSizeMb, maxFiles, accepts, typeMessage }) => {
+  return (req, res, next) => {
+    const upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxSizeMb * 1024 * 1024, files: maxFiles },
+      fileFilter: (req, file, cb) => {
+        if (!accepts(file)) {
+          return cb(uploadError(`${file.originalname} is not ${typeMessage}`));
+        }
+        cb(null, true);
+      },
+    }).array(fieldName, maxFiles);
+
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return next(uploadError(`Files must be ${maxSizeMb} MB or smaller`));
+        }
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return next(uploadError(`Upload up to ${maxFiles} file(s) in the '${fieldName}' field`));
+        }
+        return next(uploadError(err.message));
+      }
+      next(err);
+    });
+  };
+};
+
+// Parse multipart image uploads into req.files (kept in memory for processing)
+// Limits are read per request so they follow UPLOAD_MAX_SIZE_MB / UPLOAD_MAX_FILES
+export const uploadImages = (fieldName = 'images') => {
+  return (req, res, next) =>
+    createUpload({
+      fieldName,
+      maxSizeMb: Number(process.env.UPLOAD_MAX_SIZE_MB) || 5,
+      maxFiles: Number(process.env.UPLOAD_MAX_FILES) || 10,
+      accepts: (file) => IMAGE_TYPES.includes(file.mimetype),
+      typeMessage: 'a supported image (JPEG, PNG, WebP, GIF or AVIF)',
+    })(req, res, next);
+};
+
+// Parse a single CSV or JSON file upload into req.file
+export const uploadDataFile = (fieldName = 'file') => {
+  return (req, res, next) =>
+    createUpload({
+      fieldName,
+      maxSizeMb: Number(process.env.IMPORT_MAX_SIZE_MB) || 10,
+      maxFiles: 1,
+      accepts: (file) => DATA_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()),
+      typeMessage: 'a CSV or JSON file',
+    })(req, res, (err) => {
+      req.file = req.files?.[0];
+      next(err);
+    });
+};
@@ -0,0 +1,57 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse } from '../../utils/response.js';
+import * as addressService from './service.js';
+
+// @desc    Get user addresses
+// @route   GET /api/addresses
+// @access  User
+export const getAddresses = asyncHandler(async (req, res) => {
+  const addresses = await addressService.getUserAddresses(req.user._id);
+  
+  successResponse(res, { addresses }, 'Addresses retrieved successfully');
+});
+
+// @desc    Get single address
+// @route   GET /api/addresses/:id
+// @access  User
+export const getAddress = asyncHandler(async (req, res) => {
+  const address = await addressService.getAddressById(req.user._id, req.params.id);
+  
+  successResponse(res, { address }, 'Address retrieved successfully');
+});
+
+// @desc    Create address
+// @route   POST /api/addresses
+// @access  User
+export const createAddress = asyncHandler(async (req, res) => {
+  const address = await addressService.createAddress(req.user._id, req.body);
+  
+  successResponse(res, { address }, 'Address created successfully', 201);
+});
+
+// @desc    Update address
+// @route   PUT /api/addresses/:id
+// @access  User
+export const updateAddress = asyncHandler(async (req, res) => {
+  const address = await addressService.updateAddress(req.user._id, req.params.id, req.body);
+  
+  successResponse(res, { address }, 'Address updated successfully');
+});
+
+// @desc    Set default address
+// @route   PUT /api/addresses/:id/default
+// @access  User
+export const setDefaultAddress = asyncHandler(async (req, res) => {
+  const address = await addressService.setDefaultAddress(req.user._id, req.params.id);
+  
+  successResponse(res, { address }, 'Default address updated successfully');
+});
+
+// @desc    Delete address
+// @route   DELETE /api/addresses/:id
+// @access  User
+export const deleteAddress = asyncHandler(async (req, res) => {
+  await addressService.deleteAddress(req.user._id, req.params.id);
+  
+  successResponse(res, null, 'Address deleted successfully');
+});
@@ -0,0 +1,19 @@
+import express from 'express';
+import * as addressController from './controller.js';
+import { validate } from '../../middlewares/validate.js';
+import { createAddressSchema, updateAddressSchema } from './validation.js';
+import { authenticate } from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+// All address routes require authentication
+router.use(authenticate);
+
+router.get('/', addressController.getAddresses);
+router.get('/:id', addressController.getAddress);
+router.post('/', validate(createAddressSchema), addressController.createAddress);
+router.put('/:id', validate(updateAddressSchema), addressController.updateAddress);
+router.put('/:id/default', addressController.setDefaultAddress);
+router.delete('/:id', addressController.deleteAddress);
+
+export default router;
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const addressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+    },
+    label: {
+      type: String,
+      trim: true,
+      default: 'Home', // e.g. Home, Office
+    },
+    fullName: {
+      type: String,
+      required: [true, 'Full name is required'],
+      trim: true,
+    },
+    phone: {
+      type: String,
+      required: [true, 'Phone is required'],
+      trim: true,
+    },
+    address: {
+      type: String,
+      required: [true, 'Address is required'],
+      trim: true,
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true,
+    },
+    district: {
+      type: String,
+      trim: true,
+    },
+    ward: {
+      type: String,
+      trim: true,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Index for faster user address lookups
+addressSchema.index({ user: 1, isDefault: -1, createdAt: -1 });
+
+// At most one default address per user
+addressSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true }, name: 'user_default_address' }
+);
+
+const Address = mongoose.model('Address', addressSchema);
+
+export default Address;
@@ -0,0 +1,106 @@
+import Address from './model.js';
+
+// Maximum saved addresses per user
+const MAX_ADDRESSES = 20;
+
+// Fields copied onto an order's shippingAddress snapshot
+const SHIPPING_FIELDS = ['fullName', 'phone', 'address', 'city', 'district', 'ward'];
+
+// Find user's address or throw 404
+const findAddressOrFail = async (userId, addressId) => {
+  const address = await Address.findOne({ _id: addressId, user: userId });
+
+  if (!address) {
+    const error = new Error('Address not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  return address;
+};
+
+// Clear the current default so another address can take it
+const clearDefault = async (userId) => {
+  await Address.updateMany({ user: userId, isDefault: true }, { isDefault: false });
+};
+
+// Get user's addresses (default first)
+export const getUserAddresses = async (userId) => {
+  return await Address.find({ user: userId }).sort({ isDefault: -1, createdAt: -1 });
+};
+
+// Get single address
+export const getAddressById = async (userId, addressId) => {
+  return await findAddressOrFail(userId, addressId);
+};
+
+// Create address
+export const createAddress = async (userId, addressData) => {
+  const count = await Address.countDocuments({ user: userId });
+
+  if (count >= MAX_ADDRESSES) {
+    const error = new Error(`You can save up to ${MAX_ADDRESSES} addresses`);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  // First address is always the default
+  const isDefault = count === 0 || !!addressData.isDefault;
+
+  if (isDefault) {
+    await clearDefault(userId);
+  }
+
+  return await Address.create({ ...addressData, user: userId, isDefault });
+};
+
+// Update address
+export const updateAddress = async (userId, addressId, updateData) => {
+  const address = await findAddressOrFail(userId, addressId);
+
+  // Unsetting the default is done by choosing another default
+  const { isDefault, ...fields } = updateData;
+
+  if (isDefault && !address.isDefault) {
+    await clearDefault(userId);
+    address.isDefault = true;
+  }
+
+  Object.assign(address, fields);
+  await address.save();
+
+  return address;
+};
+
+// Set default address
+export const setDefaultAddress = async (userId, addressId) => {
+  return await updateAddress(userId, addressId, { isDefault: true });
+};
+
+// Delete address
+export const deleteAddress = async (userId, addressId) => {
+  const address = await findAddressOrFail(userId, addressId);
+
+  await address.deleteOne();
+
+  // Promote the most recent remaining address
+  if (address.isDefault) {
+    const next = await Address.findOne({ user: userId }).sort('-createdAt');
+    if (next) {
+      next.isDefault = true;
+      await next.save();
+    }
+  }
+};
+
+// Build an order shipping address snapshot from a saved address
+export const getShippingAddress = async (userId, addressId) => {
+  const address = await findAddressOrFail(userId, addressId);
+
+  return SHIPPING_FIELDS.reduce((snapshot, field) => {
+    if (address[field]) snapshot[field] = address[field];
+    return snapshot;
+  }, {});
+};
@@ -0,0 +1,25 @@
+import Joi from 'joi';
+
+// Address fields (shared by create and update)
+const addressFields = {
+  label: Joi.string().trim().max(50),
+  fullName: Joi.string().trim(),
+  phone: Joi.string().trim(),
+  address: Joi.string().trim(),
+  city: Joi.string().trim(),
+  district: Joi.string().trim().allow(''),
+  ward: Joi.string().trim().allow(''),
+  isDefault: Joi.boolean(),
+};
+
+// Create address validation
+export const createAddressSchema = Joi.object({
+  ...addressFields,
+  fullName: addressFields.fullName.required(),
+  phone: addressFields.phone.required(),
+  address: addressFields.address.required(),
+  city: addressFields.city.required(),
+});
+
+// Update address validation
+export const updateAddressSchema = Joi.object(addressFields).min(1);
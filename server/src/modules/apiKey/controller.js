@@ -0,0 +1,40 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse, paginatedResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
+import * as apiKeyService from './service.js';
+
+// @desc    Get API keys
+// @route   GET /api/admin/api-keys
+// @access  Admin
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const { apiKeys, pagination } = await apiKeyService.getApiKeys(req.query);
+  
+  paginatedResponse(res, apiKeys, pagination, 'API keys retrieved successfully');
+});
+
+// @desc    Get permissions that can be granted to a key
+// @route   GET /api/admin/api-keys/permissions
+// @access  Admin
+export const getGrantablePermissions = asyncHandler(async (req, res) => {
+  const permissions = apiKeyService.getGrantablePermissions(req.permissions);
+  
+  successResponse(res, { permissions }, 'Permissions retrieved successfully');
+});
+
+// @desc    Create API key
+// @route   POST /api/admin/api-keys
+// @access  Admin
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { apiKey, key } = await apiKeyService.createApiKey(req.body, req.user, getClientInfo(req));
+  
+  successResponse(res, { apiKey, key }, 'API key created. Copy it now - it will not be shown again.', 201);
+});
+
+// @desc    Revoke API key
+// @route   DELETE /api/admin/api-keys/:id
+// @access  Admin
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await apiKeyService.revokeApiKey(req.params.id, req.user, getClientInfo(req));
+  
+  successResponse(res, { apiKey }, 'API key revoked successfully');
+});
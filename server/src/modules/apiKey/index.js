@@ -0,0 +1,17 @@
+import express from 'express';
+import * as apiKeyController from './controller.js';
+import { authenticate, requirePermission, requireAccountOwner } from '../../middlewares/auth.js';
+import { validate } from '../../middlewares/validate.js';
+import { createApiKeySchema } from './validation.js';
+
+const router = express.Router();
+
+// Keys are managed by signed-in admins only - an API key cannot create or revoke keys
+router.use(authenticate, requireAccountOwner, requirePermission('api-keys:manage'));
+
+router.get('/', apiKeyController.getApiKeys);
+router.get('/permissions', apiKeyController.getGrantablePermissions);
+router.post('/', validate(createApiKeySchema), apiKeyController.createApiKey);
+router.delete('/:id', apiKeyController.revokeApiKey);
+
+export default router;
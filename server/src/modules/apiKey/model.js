@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../../config/permissions.js';
+
+// API key for server-to-server integrations.
+// The key acts on behalf of the admin who created it, limited to its permissions.
+// Only a hash of the key is stored - the plain key is shown once at creation.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Key name is required'],
+      trim: true,
+      maxlength: [100, 'Key name cannot exceed 100 characters'],
+    },
+    prefix: {
+      type: String,
+      required: true, // First characters of the key, used to recognise it in lists
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false, // Never expose key hashes in queries by default
+    },
+    permissions: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (permissions) =>
+          permissions.length > 0 && permissions.every((permission) => PERMISSIONS[permission]),
+        message: 'Unknown permission',
+      },
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+    },
+    expiresAt: {
+      type: Date,
+      default: null, // null = never expires
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Virtual for active check
+apiKeySchema.virtual('isActive').get(function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.set('toJSON', { virtuals: true });
+apiKeySchema.set('toObject', { virtuals: true });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,144 @@
+import ApiKey from './model.js';
+import * as auditService from '../audit/service.js';
+import { getRolePermissions, hasPermission, getPermissions } from '../role/service.js';
+import { hashToken, generateRandomToken } from '../../utils/token.js';
+import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
+
+const KEY_PREFIX = 'sk_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Usage is recorded at most once per interval to avoid a write on every request
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Verify an API key and record its usage
+// Returns the key (with its user id) or null if it is unknown, revoked or expired
+export const verifyApiKey = async (key, context = {}) => {
+  if (!key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const now = new Date();
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(key),
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  });
+
+  if (!apiKey) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_INTERVAL_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: now, lastUsedIp: context.ip });
+  }
+
+  return apiKey;
+};
+
+// ===== ADMIN FUNCTIONS =====
+
+// Get permissions an admin can grant to a key (the ones they have)
+export const getGrantablePermissions = (granted) => {
+  return getPermissions().filter((permission) => hasPermission(granted, permission.name));
+};
+
+// Get API keys (admin)
+export const getApiKeys = async (query) => {
+  const { page = 1, limit = 20, user, status } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const filter = {};
+
+  if (user) {
+    filter.user = user;
+  }
+
+  if (status === 'active') {
+    filter.revokedAt = null;
+    filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }];
+  } else if (status === 'revoked') {
+    filter.revokedAt = { $ne: null };
+  } else if (status === 'expired') {
+    filter.revokedAt = null;
+    filter.expiresAt = { $lte: new Date() };
+  }
+
+  const [apiKeys, total] = await Promise.all([
+    ApiKey.find(filter)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limitNum)
+      .populate('user', 'name email')
+      .populate('revokedBy', 'name email'),
+    ApiKey.countDocuments(filter),
+  ]);
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { apiKeys, pagination };
+};
+
+// Create API key (admin)
+// Returns the plain key - it cannot be retrieved again
+export const createApiKey = async ({ name, permissions, expiresAt = null }, admin, context) => {
+  // Keys cannot grant more than their creator has
+  const granted = await getRolePermissions(admin.role);
+  const missing = permissions.filter((permission) => !hasPermission(granted, permission));
+
+  if (missing.length > 0) {
+    const error = new Error(`You cannot grant permissions you do not have: ${missing.join(', ')}`);
+    error.statusCode = 403;
+    error.code = 'AUTH_003';
+    throw error;
+  }
+
+  const key = `${KEY_PREFIX}${generateRandomToken(24)}`;
+
+  const apiKey = await ApiKey.create({
+    name,
+    prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    keyHash: hashToken(key),
+    permissions,
+    user: admin._id,
+    expiresAt,
+  });
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'api_key.created',
+    entityType: 'ApiKey',
+    entityId: apiKey._id,
+    context,
+    metadata: { name, prefix: apiKey.prefix, permissions, expiresAt },
+  });
+
+  return { apiKey, key };
+};
+
+// Revoke API key (admin)
+export const revokeApiKey = async (apiKeyId, admin, context) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: apiKeyId, revokedAt: null },
+    { revokedAt: new Date(), revokedBy: admin._id },
+    { new: true }
+  );
+
+  if (!apiKey) {
+    const error = new Error('API key not found or already revoked');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'api_key.revoked',
+    entityType: 'ApiKey',
+    entityId: apiKey._id,
+    context,
+    metadata: { name: apiKey.name, prefix: apiKey.prefix },
+  });
+
+  return apiKey;
+};
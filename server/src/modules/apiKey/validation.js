@@ -0,0 +1,13 @@
+import Joi from 'joi';
+import { PERMISSIONS } from '../../config/permissions.js';
+
+// Create API key validation
+export const createApiKeySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+    .unique()
+    .min(1)
+    .required(),
+  expiresAt: Joi.date().greater('now').allow(null).optional(),
+});
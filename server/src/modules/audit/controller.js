@@ -0,0 +1,21 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse, paginatedResponse } from '../../utils/response.js';
+import * as auditService from './service.js';
+
+// @desc    Get audit logs
+// @route   GET /api/admin/audit-logs
+// @access  Admin
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const { logs, pagination } = await auditService.getAuditLogs(req.query);
+  
+  paginatedResponse(res, logs, pagination, 'Audit logs retrieved successfully');
+});
+
+// @desc    Get audit log filter options
+// @route   GET /api/admin/audit-logs/filters
+// @access  Admin
+export const getAuditFilterOptions = asyncHandler(async (req, res) => {
+  const options = await auditService.getAuditFilterOptions();
+  
+  successResponse(res, options, 'Audit log filters retrieved successfully');
+});
@@ -0,0 +1,13 @@
+import express from 'express';
+import * as auditController from './controller.js';
+import { authenticateWithApiKey, requirePermission } from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+// All audit log routes are admin-only
+router.use(authenticateWithApiKey, requirePermission('audit:read'));
+
+router.get('/', auditController.getAuditLogs);
+router.get('/filters', auditController.getAuditFilterOptions);
+
+export default router;
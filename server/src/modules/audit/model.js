@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+// Append-only audit trail of security events and admin actions
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null, // null for anonymous events (e.g. failed logins)
+    },
+    actorEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    action: {
+      type: String,
+      required: [true, 'Action is required'],
+      trim: true,
+    },
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: undefined, // admin acting as the actor through impersonation
+    },
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+      default: undefined, // key used to make the request on the actor's behalf
+    },
+    entityType: {
+      type: String,
+      trim: true,
+    },
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    changes: {
+      type: mongoose.Schema.Types.Mixed, // { field: { from, to } } for updated entities
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, ip: 1, createdAt: -1 });
+
+// Audit logs are append-only - block updates and deletes
+const rejectMutation = function (next) {
+  next(new Error('Audit logs are append-only'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return rejectMutation(next);
+  }
+  next();
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,114 @@
+import AuditLog from './model.js';
+import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
+
+// Record an audit event
+// Failures are logged but never break the action being audited
+export const logEvent = async ({ actor = null, action, entityType, entityId, context = {}, changes, metadata }) => {
+  try {
+    return await AuditLog.create({
+      actor: actor?._id || actor,
+      actorEmail: actor?.email,
+      impersonatedBy: context.impersonatedBy,
+      apiKey: context.apiKey,
+      action,
+      entityType,
+      entityId,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      changes,
+      metadata,
+    });
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message);
+    return null;
+  }
+};
+
+// Count events of a type from an IP since a given date
+export const countRecentEventsByIp = async (action, ip, since) => {
+  return await AuditLog.countDocuments({
+    action,
+    ip,
+    createdAt: { $gte: since },
+  });
+};
+
+// ===== ADMIN FUNCTIONS =====
+
+// Get audit logs (admin)
+export const getAuditLogs = async (query) => {
+  const {
+    page = 1,
+    limit = 20,
+    action,
+    actor,
+    actorEmail,
+    entityType,
+    entityId,
+    ip,
+    from,
+    to,
+  } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const filter = {};
+
+  if (action) {
+    filter.action = action;
+  }
+
+  if (actor) {
+    filter.actor = actor;
+  }
+
+  if (actorEmail) {
+    filter.actorEmail = actorEmail.toLowerCase();
+  }
+
+  if (entityType) {
+    filter.entityType = entityType;
+  }
+
+  if (entityId) {
+    filter.entityId = entityId;
+  }
+
+  if (ip) {
+    filter.ip = ip;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limitNum)
+      .populate('actor', 'name email')
+      .populate('impersonatedBy', 'name email')
+      .populate('apiKey', 'name prefix'),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { logs, pagination };
+};
+
+// Get distinct actions and entity types (used for filter options)
+export const getAuditFilterOptions = async () => {
+  const [actions, entityTypes] = await Promise.all([
+    AuditLog.distinct('action'),
+    AuditLog.distinct('entityType'),
+  ]);
+
+  return {
+    actions: actions.sort(),
+    entityTypes: entityTypes.filter(Boolean).sort(),
+  };
+};
@@ -1,12 +1,15 @@
 import asyncHandler from '../../middlewares/asyncHandler.js';
 import { successResponse } from '../../utils/response.js';
 import * as authService from './service.js';
+import * as sessionService from '../session/service.js';
+import { getRolePermissions } from '../role/service.js';
+import { getClientInfo } from '../../utils/request.js';
 
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
 export const registerUser = asyncHandler(async (req, res) => {
-  const result = await authService.register(req.body);
+  const result = await authService.register(req.body, getClientInfo(req));
   
   successResponse(res, result, 'User registered successfully', 201);
 });
@@ -17,9 +20,13 @@ export const registerUser = asyncHandler(async (req, res) => {
 export const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.body;
   
-  const result = await authService.login(email, password);
+  const result = await authService.login(email, password, getClientInfo(req));
   
-  successResponse(res, result, 'Login successful');
+  successResponse(
+    res,
+    result,
+    result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful'
+  );
 });
 
 // @desc    Refresh access token
@@ -28,20 +35,78 @@ export const loginUser = asyncHandler(async (req, res) => {
 export const refreshToken = asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
   
-  const result = await authService.refreshAccessToken(refreshToken);
+  const result = await authService.refreshAccessToken(refreshToken, getClientInfo(req));
   
   successResponse(res, result, 'Token refreshed successfully');
 });
 
+// @desc    Get OAuth login providers
+// @route   GET /api/auth/oauth/providers
+// @access  Public
+export const getOAuthProviders = asyncHandler(async (req, res) => {
+  const providers = authService.getOAuthProviders();
+  
+  successResponse(res, { providers }, 'Login providers retrieved successfully');
+});
+
+// @desc    Start OAuth login
+// @route   GET /api/auth/oauth/:provider/authorize
+// @access  Public
+export const startOAuthLogin = asyncHandler(async (req, res) => {
+  const result = await authService.startOAuthLogin(req.params.provider);
+  
+  successResponse(res, result, 'Redirect to the provider to continue');
+});
+
+// @desc    Complete OAuth login
+// @route   POST /api/auth/oauth/callback
+// @access  Public
+export const completeOAuthLogin = asyncHandler(async (req, res) => {
+  const result = await authService.completeOAuthLogin(req.body, getClientInfo(req));
+  
+  successResponse(
+    res,
+    result,
+    result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful'
+  );
+});
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
 export const logoutUser = asyncHandler(async (req, res) => {
-  // In a production app, you might want to blacklist the token
-  // For now, we'll just return success
+  await authService.logout(req.sessionId);
+  
   successResponse(res, null, 'Logout successful');
 });
 
+// @desc    Logout from all devices
+// @route   POST /api/auth/logout-all
+// @access  Private
+export const logoutAllDevices = asyncHandler(async (req, res) => {
+  const result = await authService.logoutAll(req.user._id);
+  
+  successResponse(res, result, 'Logged out from all devices');
+});
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.getUserSessions(req.user._id, req.sessionId);
+  
+  successResponse(res, { sessions }, 'Sessions retrieved successfully');
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeUserSession(req.user._id, req.params.id);
+  
+  successResponse(res, null, 'Session revoked successfully');
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -52,7 +117,128 @@ export const getCurrentUser = asyncHandler(async (req, res) => {
     name: req.user.name,
     phone: req.user.phone,
     role: req.user.role,
+    permissions: await getRolePermissions(req.user.role),
+    isEmailVerified: req.user.isEmailVerified,
+    twoFactorEnabled: req.user.twoFactorEnabled,
   };
   
+  if (req.impersonator) {
+    user.impersonatedBy = {
+      id: req.impersonator._id,
+      name: req.impersonator.name,
+      email: req.impersonator.email,
+    };
+  }
+  
   successResponse(res, { user }, 'User retrieved successfully');
 });
+
+// @desc    Update current user's profile
+// @route   PUT /api/auth/me
+// @access  Private
+export const updateProfile = asyncHandler(async (req, res) => {
+  const result = await authService.updateProfile(req.user._id, req.body, getClientInfo(req));
+  
+  successResponse(res, result, 'Profile updated successfully');
+});
+
+// @desc    Change password
+// @route   PUT /api/auth/password
+// @access  Private
+export const changePassword = asyncHandler(async (req, res) => {
+  const result = await authService.changePassword(req.user._id, req.body, req.sessionId, getClientInfo(req));
+  
+  successResponse(res, result, 'Password changed successfully');
+});
+
+// @desc    Delete current user's account
+// @route   DELETE /api/auth/me
+// @access  Private
+export const deleteAccount = asyncHandler(async (req, res) => {
+  await authService.deleteAccount(req.user._id, req.body.password, getClientInfo(req));
+  
+  successResponse(res, null, 'Account deleted successfully');
+});
+
+// @desc    Request password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = asyncHandler(async (req, res) => {
+  await authService.forgotPassword(req.body.email);
+  
+  successResponse(res, null, 'If that email is registered, a password reset link has been sent');
+});
+
+// @desc    Reset password
+// @route   POST /api/auth/reset-password
+// @access  Public
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, password } = req.body;
+  
+  await authService.resetPassword(token, password);
+  
+  successResponse(res, null, 'Password reset successfully. Please login with your new password');
+});
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const result = await authService.verifyEmail(req.body.token);
+  
+  successResponse(res, result, 'Email verified successfully');
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = asyncHandler(async (req, res) => {
+  await authService.resendVerificationEmail(req.user._id);
+  
+  successResponse(res, null, 'Verification email sent');
+});
+
+// @desc    Complete login with 2FA code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+export const verifyTwoFactor = asyncHandler(async (req, res) => {
+  const result = await authService.verifyTwoFactorLogin(req.body, getClientInfo(req));
+  
+  successResponse(res, result, 'Login successful');
+});
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const result = await authService.setupTwoFactor(req.user._id);
+  
+  successResponse(res, result, 'Scan the QR code with your authenticator app');
+});
+
+// @desc    Confirm 2FA enrollment
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const result = await authService.enableTwoFactor(req.user._id, req.body.code, getClientInfo(req));
+  
+  successResponse(res, result, 'Two-factor authentication enabled');
+});
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  await authService.disableTwoFactor(req.user._id, req.body, getClientInfo(req));
+  
+  successResponse(res, null, 'Two-factor authentication disabled');
+});
+
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const result = await authService.regenerateRecoveryCodes(req.user._id, req.body.code, getClientInfo(req));
+  
+  successResponse(res, result, 'Recovery codes regenerated');
+});
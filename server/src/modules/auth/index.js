@@ -1,8 +1,22 @@
 import express from 'express';
 import * as authController from './controller.js';
 import { validate } from '../../middlewares/validate.js';
-import { registerSchema, loginSchema, refreshTokenSchema } from './validation.js';
-import { authenticate } from '../../middlewares/auth.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  twoFactorVerifySchema,
+  twoFactorCodeSchema,
+  twoFactorDisableSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  deleteAccountSchema,
+  oauthCallbackSchema,
+} from './validation.js';
+import { authenticate, requireAccountOwner } from '../../middlewares/auth.js';
 
 const router = express.Router();
 
@@ -10,9 +24,27 @@ const router = express.Router();
 router.post('/register', validate(registerSchema), authController.registerUser);
 router.post('/login', validate(loginSchema), authController.loginUser);
 router.post('/refresh', validate(refreshTokenSchema), authController.refreshToken);
+router.post('/forgot-password', validate(forgotPasswordSchema), authController.forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), authController.resetPassword);
+router.post('/verify-email', validate(verifyEmailSchema), authController.verifyEmail);
+router.post('/2fa/verify', validate(twoFactorVerifySchema), authController.verifyTwoFactor);
+router.get('/oauth/providers', authController.getOAuthProviders);
+router.get('/oauth/:provider/authorize', authController.startOAuthLogin);
+router.post('/oauth/callback', validate(oauthCallbackSchema), authController.completeOAuthLogin);
 
 // Protected routes
 router.post('/logout', authenticate, authController.logoutUser);
+router.post('/logout-all', authenticate, requireAccountOwner, authController.logoutAllDevices);
 router.get('/me', authenticate, authController.getCurrentUser);
+router.put('/me', authenticate, validate(updateProfileSchema), authController.updateProfile);
+router.delete('/me', authenticate, requireAccountOwner, validate(deleteAccountSchema), authController.deleteAccount);
+router.put('/password', authenticate, requireAccountOwner, validate(changePasswordSchema), authController.changePassword);
+router.post('/resend-verification', authenticate, authController.resendVerification);
+router.get('/sessions', authenticate, authController.getSessions);
+router.delete('/sessions/:id', authenticate, authController.revokeSession);
+router.post('/2fa/setup', authenticate, requireAccountOwner, authController.setupTwoFactor);
+router.post('/2fa/enable', authenticate, requireAccountOwner, validate(twoFactorCodeSchema), authController.enableTwoFactor);
+router.post('/2fa/disable', authenticate, requireAccountOwner, validate(twoFactorDisableSchema), authController.disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, requireAccountOwner, validate(twoFactorCodeSchema), authController.regenerateRecoveryCodes);
 
 export default router;
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Single-use tokens sent by email (password reset, email verification)
+// Only the token hash is stored.
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+    },
+    type: {
+      type: String,
+      enum: ['password_reset', 'email_verification'],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+authTokenSchema.index({ user: 1, type: 1 });
+// Remove tokens automatically once expired
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthToken = mongoose.model('AuthToken', authTokenSchema);
+
+export default AuthToken;
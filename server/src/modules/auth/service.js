@@ -1,26 +1,114 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
 import User from '../user/model.js';
+import AuthToken from './model.js';
+import Cart from '../cart/model.js';
+import Address from '../address/model.js';
+import * as sessionService from '../session/service.js';
+import * as auditService from '../audit/service.js';
+import * as roleService from '../role/service.js';
+import { hashToken, generateRandomToken } from '../../utils/token.js';
+import { sendMail, safeHtml } from '../../utils/mailer.js';
+import { generateTotpSecret, verifyTotp, buildOtpauthUrl } from '../../utils/totp.js';
+import * as oidc from '../../utils/oidc.js';
+import * as oauthConfig from '../../config/oauth.js';
+
+// Lifetime of single-use email tokens
+const EMAIL_TOKEN_TTL = {
+  password_reset: 60 * 60 * 1000, // 1 hour
+  email_verification: 24 * 60 * 60 * 1000, // 24 hours
+};
+
+// Login brute-force protection settings (read lazily so .env is loaded)
+const getLoginProtection = () => ({
+  maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockMinutes: Number(process.env.LOGIN_LOCK_MINUTES) || 15,
+  maxAttemptsPerIp: Number(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20,
+  ipWindowMinutes: 15,
+});
+
+// Progressive delay before the next attempt is allowed: 1s, 2s, 4s... (max 30s)
+const getLoginDelayMs = (failedAttempts) => {
+  if (failedAttempts < 2) return 0;
+  return Math.min(1000 * 2 ** (failedAttempts - 2), 30 * 1000);
+};
+
+// Base URL of the storefront used in email links
+const getClientUrl = () => (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// Public user fields returned by auth endpoints
+const toAuthUser = async (user) => ({
+  id: user._id,
+  email: user.email,
+  name: user.name,
+  phone: user.phone,
+  role: user.role,
+  permissions: await roleService.getRolePermissions(user.role),
+  isEmailVerified: user.isEmailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+});
 
 // Generate JWT access token
-export const generateAccessToken = (userId, email, role) => {
+export const generateAccessToken = (userId, email, role, sessionId) => {
   return jwt.sign(
-    { userId, email, role },
+    { userId, email, role, sessionId },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
   );
 };
 
+// Generate short-lived access token for an admin acting as a customer
+// There is no refresh token or session - the admin starts a new impersonation when it expires
+export const generateImpersonationToken = (user, adminId) => {
+  return jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, impersonatedBy: adminId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m' }
+  );
+};
+
+// Storefront link that signs the browser tab in with an impersonation token
+// The token goes in the fragment so it is never sent to the storefront server or logged
+export const getImpersonationUrl = (accessToken) => `${getClientUrl()}/impersonate#token=${accessToken}`;
+
 // Generate JWT refresh token
-export const generateRefreshToken = (userId) => {
+export const generateRefreshToken = (userId, sessionId) => {
   return jwt.sign(
-    { userId, tokenId: Date.now().toString() },
+    { userId, sessionId, tokenId: crypto.randomUUID() },
     process.env.JWT_REFRESH_SECRET,
     { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
   );
 };
 
+// Get expiry date from a signed token
+export const getTokenExpiry = (token) => {
+  const { exp } = jwt.decode(token);
+  return new Date(exp * 1000);
+};
+
+// Issue access/refresh token pair and start a new session
+export const issueTokens = async (user, context = {}) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(user._id, sessionId);
+
+  await sessionService.createSession({
+    sessionId,
+    userId: user._id,
+    refreshToken,
+    expiresAt: getTokenExpiry(refreshToken),
+    userAgent: context.userAgent,
+    ip: context.ip,
+  });
+
+  const accessToken = generateAccessToken(user._id, user.email, user.role, sessionId);
+
+  return { accessToken, refreshToken };
+};
+
 // Register new user
-export const register = async (userData) => {
+export const register = async (userData, context) => {
   const { email, password, name, phone } = userData;
 
   // Check if user exists
@@ -40,28 +128,113 @@ export const register = async (userData) => {
     phone,
   });
 
+  // Send verification email (registration should not fail if mail delivery does)
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('❌ Failed to send verification email:', error.message);
+  }
+
   // Generate tokens
-  const accessToken = generateAccessToken(user._id, user.email, user.role);
-  const refreshToken = generateRefreshToken(user._id);
+  const { accessToken, refreshToken } = await issueTokens(user, context);
 
   return {
-    user: {
-      id: user._id,
-      email: user.email,
-      name: user.name,
-      role: user.role,
-    },
+    user: await toAuthUser(user),
     accessToken,
     refreshToken,
   };
 };
 
+// Reject login attempts while an account or IP is throttled
+const assertLoginAllowed = async (user, context = {}) => {
+  const { maxAttemptsPerIp, ipWindowMinutes } = getLoginProtection();
+
+  if (context.ip) {
+    const since = new Date(Date.now() - ipWindowMinutes * 60 * 1000);
+    const failedFromIp = await auditService.countRecentEventsByIp('auth.login_failed', context.ip, since);
+
+    if (failedFromIp >= maxAttemptsPerIp) {
+      const error = new Error('Too many failed login attempts. Please try again later.');
+      error.statusCode = 429;
+      error.code = 'AUTH_005';
+      throw error;
+    }
+  }
+
+  if (!user) {
+    return;
+  }
+
+  if (user.isLocked) {
+    const minutes = Math.ceil((user.lockUntil - Date.now()) / 60000);
+    const error = new Error(
+      `Account is temporarily locked due to too many failed login attempts. Try again in ${minutes} minute(s).`
+    );
+    error.statusCode = 423;
+    error.code = 'AUTH_004';
+    throw error;
+  }
+
+  const delayMs = getLoginDelayMs(user.failedLoginAttempts);
+  const retryAt = user.lastFailedLoginAt ? user.lastFailedLoginAt.getTime() + delayMs : 0;
+
+  if (Date.now() < retryAt) {
+    const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+    const error = new Error(`Too many failed login attempts. Try again in ${seconds} second(s).`);
+    error.statusCode = 429;
+    error.code = 'AUTH_005';
+    throw error;
+  }
+};
+
+// Record failed login attempt and lock the account when the limit is reached
+const recordFailedLogin = async (email, user, context = {}) => {
+  await auditService.logEvent({
+    actor: user,
+    action: 'auth.login_failed',
+    entityType: user ? 'User' : undefined,
+    entityId: user?._id,
+    context,
+    metadata: { email },
+  });
+
+  if (!user) {
+    return;
+  }
+
+  const { maxAttempts, lockMinutes } = getLoginProtection();
+
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 }, lastFailedLoginAt: new Date() },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts >= maxAttempts) {
+    const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockUntil });
+
+    await auditService.logEvent({
+      actor: user,
+      action: 'auth.account_locked',
+      entityType: 'User',
+      entityId: user._id,
+      context,
+      metadata: { lockUntil, failedAttempts: updated.failedLoginAttempts },
+    });
+  }
+};
+
 // Login user
-export const login = async (email, password) => {
+export const login = async (email, password, context) => {
   // Find user with password field
   const user = await User.findOne({ email }).select('+password');
 
+  await assertLoginAllowed(user, context);
+
   if (!user) {
+    await recordFailedLogin(email, null, context);
     const error = new Error('Invalid credentials');
     error.statusCode = 401;
     error.code = 'AUTH_001';
@@ -80,49 +253,891 @@ export const login = async (email, password) => {
   const isPasswordValid = await user.comparePassword(password);
   
   if (!isPasswordValid) {
+    await recordFailedLogin(email, user, context);
     const error = new Error('Invalid credentials');
     error.statusCode = 401;
     error.code = 'AUTH_001';
     throw error;
   }
 
+  // Second step required - tokens are issued by verifyTwoFactorLogin
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user._id),
+    };
+  }
+
+  // Reset failed attempt tracking
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+  }
+
   // Generate tokens
-  const accessToken = generateAccessToken(user._id, user.email, user.role);
-  const refreshToken = generateRefreshToken(user._id);
+  const { accessToken, refreshToken } = await issueTokens(user, context);
+  const authUser = await toAuthUser(user);
 
   return {
-    user: {
-      id: user._id,
-      email: user.email,
-      name: user.name,
-      role: user.role,
-    },
+    user: authUser,
     accessToken,
     refreshToken,
+    ...(user.requiresTwoFactor(authUser.permissions) && { twoFactorSetupRequired: true }),
   };
 };
 
-// Refresh access token
-export const refreshAccessToken = async (refreshToken) => {
+// Refresh access token (rotates the refresh token)
+export const refreshAccessToken = async (refreshToken, context = {}) => {
+  let decoded;
+
   try {
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-    
-    const user = await User.findById(decoded.userId);
-    
-    if (!user || !user.isActive) {
-      const error = new Error('Invalid refresh token');
-      error.statusCode = 401;
-      error.code = 'AUTH_002';
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch {
+    const error = new Error('Invalid or expired refresh token');
+    error.statusCode = 401;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  const session = decoded.sessionId
+    ? await sessionService.getSessionById(decoded.sessionId)
+    : null;
+
+  if (!session || session.revokedAt || session.user.toString() !== decoded.userId) {
+    const error = new Error('Invalid or expired refresh token');
+    error.statusCode = 401;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  const user = await User.findById(decoded.userId);
+
+  if (!user || !user.isActive) {
+    await sessionService.revokeSession(session._id, 'user_inactive');
+    const error = new Error('Invalid refresh token');
+    error.statusCode = 401;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  const newRefreshToken = generateRefreshToken(user._id, session._id);
+
+  const rotated = await sessionService.rotateSession(
+    session._id,
+    refreshToken,
+    newRefreshToken,
+    getTokenExpiry(newRefreshToken),
+    context
+  );
+
+  if (!rotated) {
+    // Token was already rotated - it has been replayed, so revoke the whole family
+    await sessionService.revokeSession(session._id, 'reuse_detected');
+    const error = new Error('Refresh token reuse detected. Please login again.');
+    error.statusCode = 401;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  const accessToken = generateAccessToken(user._id, user.email, user.role, session._id);
+
+  return { accessToken, refreshToken: newRefreshToken };
+};
+
+// Logout (revoke current session)
+export const logout = async (sessionId) => {
+  if (!sessionId) {
+    return;
+  }
+
+  await sessionService.revokeSession(sessionId, 'logout');
+};
+
+// Logout from all devices
+export const logoutAll = async (userId) => {
+  const revokedCount = await sessionService.revokeAllSessions(userId, 'logout_all');
+
+  return { revokedCount };
+};
+
+// ===== OAUTH / OPENID CONNECT LOGIN =====
+
+// Providers redirect back to the storefront, which posts the code to completeOAuthLogin
+const getOAuthRedirectUri = () => `${getClientUrl()}/oauth/callback`;
+
+// PKCE code verifier derived from the state nonce, so it never leaves the server
+const getCodeVerifier = (nonce) => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update(`pkce:${nonce}`).digest('hex');
+};
+
+// Generic login failure (details are logged, not returned)
+const oauthLoginError = (message = 'Login with this provider failed. Please try again.') => {
+  const error = new Error(message);
+  error.statusCode = 401;
+  error.code = 'AUTH_001';
+  return error;
+};
+
+// Get configured provider or throw 404
+const getOAuthProviderOrFail = (providerId) => {
+  const provider = oauthConfig.getOAuthProvider(providerId);
+
+  if (!provider) {
+    const error = new Error('Login provider not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  return provider;
+};
+
+// Exchange the authorization code and read the user's identity from the provider
+const getOAuthIdentity = async (provider, code, nonce) => {
+  const metadata = await oidc.getProviderMetadata(provider);
+  const tokens = await oidc.exchangeCode(provider, metadata, {
+    code,
+    redirectUri: getOAuthRedirectUri(),
+    codeVerifier: getCodeVerifier(nonce),
+  });
+
+  let claims;
+
+  if (tokens.id_token && metadata.jwksUri) {
+    claims = await oidc.verifyIdToken(provider, metadata, tokens.id_token, nonce);
+  } else if (metadata.userinfoEndpoint) {
+    claims = await oidc.fetchUserInfo(metadata, tokens.access_token);
+  } else {
+    throw new Error(`Provider '${provider.id}' returned no ID token and has no userinfo endpoint`);
+  }
+
+  return {
+    subject: String(claims.sub ?? claims.id),
+    email: claims.email?.toLowerCase(),
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || claims.preferred_username,
+  };
+};
+
+// Find the user for a provider identity: already linked, linked now by verified email, or new
+const resolveOAuthUser = async (provider, identity, context) => {
+  const linkedUser = await User.findOne({
+    oauthAccounts: { $elemMatch: { provider: provider.id, subject: identity.subject } },
+  });
+
+  if (linkedUser) {
+    return linkedUser;
+  }
+
+  if (!identity.email || !identity.emailVerified) {
+    throw oauthLoginError(`Your ${provider.name} account has no verified email address`);
+  }
+
+  const account = { provider: provider.id, subject: identity.subject, email: identity.email };
+  const existingUser = await User.findOne({ email: identity.email });
+
+  if (existingUser) {
+    // Linking to an unverified account would let whoever registered it keep access
+    if (!existingUser.isEmailVerified) {
+      const error = new Error(
+        `An account with this email already exists. Log in with your password and verify your email before using ${provider.name}.`
+      );
+      error.statusCode = 409;
+      error.code = 'AUTH_001';
       throw error;
     }
 
-    const accessToken = generateAccessToken(user._id, user.email, user.role);
-    
-    return { accessToken };
+    existingUser.oauthAccounts.push(account);
+    await existingUser.save();
+
+    await auditService.logEvent({
+      actor: existingUser,
+      action: 'auth.oauth_linked',
+      entityType: 'User',
+      entityId: existingUser._id,
+      context,
+      metadata: { provider: provider.id },
+    });
+
+    return existingUser;
+  }
+
+  // New customer - the random password can be replaced with "forgot password"
+  const user = await User.create({
+    email: identity.email,
+    name: identity.name || identity.email.split('@')[0],
+    password: generateRandomToken(),
+    isEmailVerified: true,
+    emailVerifiedAt: new Date(),
+    oauthAccounts: [account],
+  });
+
+  await auditService.logEvent({
+    actor: user,
+    action: 'auth.oauth_registered',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+    metadata: { provider: provider.id },
+  });
+
+  return user;
+};
+
+// Get login providers (public)
+export const getOAuthProviders = () => {
+  return oauthConfig.getOAuthProviders().map(({ id, name }) => ({ id, name }));
+};
+
+// Start OAuth login - returns the provider URL to send the browser to
+// The state must be kept by the client and checked when the provider redirects back
+export const startOAuthLogin = async (providerId) => {
+  const provider = getOAuthProviderOrFail(providerId);
+
+  let metadata;
+  try {
+    metadata = await oidc.getProviderMetadata(provider);
+  } catch (error) {
+    console.error(`❌ OAuth discovery failed for '${provider.id}':`, error.message);
+    throw oauthLoginError(`${provider.name} login is currently unavailable`);
+  }
+
+  const nonce = generateRandomToken(16);
+  const state = jwt.sign(
+    { purpose: 'oauth_state', provider: provider.id, nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+
+  const authorizationUrl = oidc.buildAuthorizationUrl(provider, metadata, {
+    redirectUri: getOAuthRedirectUri(),
+    state,
+    nonce,
+    codeChallenge: oidc.createCodeChallenge(getCodeVerifier(nonce)),
+  });
+
+  return { authorizationUrl, state };
+};
+
+// Complete OAuth login with the code the provider redirected back with
+export const completeOAuthLogin = async ({ state, code }, context = {}) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(state, process.env.JWT_SECRET);
+  } catch {
+    throw oauthLoginError('Login session expired. Please try again.');
+  }
+
+  if (decoded.purpose !== 'oauth_state') {
+    throw oauthLoginError();
+  }
+
+  const provider = getOAuthProviderOrFail(decoded.provider);
+
+  let identity;
+  try {
+    identity = await getOAuthIdentity(provider, code, decoded.nonce);
   } catch (error) {
-    const err = new Error('Invalid or expired refresh token');
-    err.statusCode = 401;
-    err.code = 'AUTH_002';
-    throw err;
+    console.error(`❌ OAuth login failed for '${provider.id}':`, error.message);
+    throw oauthLoginError();
   }
+
+  const user = await resolveOAuthUser(provider, identity, context);
+
+  if (!user.isActive) {
+    const error = new Error('Account is inactive');
+    error.statusCode = 401;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  // The provider replaces the password, not the second factor
+  if (user.twoFactorEnabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user._id),
+    };
+  }
+
+  const { accessToken, refreshToken } = await issueTokens(user, context);
+
+  return {
+    user: await toAuthUser(user),
+    accessToken,
+    refreshToken,
+  };
+};
+
+// ===== EMAIL TOKENS =====
+
+// Create single-use email token (replaces unused tokens of the same type)
+const createEmailToken = async (userId, type) => {
+  await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+
+  const token = generateRandomToken();
+
+  await AuthToken.create({
+    user: userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + EMAIL_TOKEN_TTL[type]),
+  });
+
+  return token;
+};
+
+// Consume single-use email token
+const consumeEmailToken = async (token, type) => {
+  const authToken = await AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+  if (!authToken) {
+    const error = new Error('Invalid or expired token');
+    error.statusCode = 400;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  return authToken;
+};
+
+// Send email verification link
+export const sendVerificationEmail = async (user) => {
+  const token = await createEmailToken(user._id, 'email_verification');
+  const link = `${getClientUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening the link below:\n${link}\n\nThis link expires in 24 hours.`,
+    html: safeHtml`<p>Hi ${user.name},</p><p>Please verify your email address by clicking the link below:</p><p><a href="${link}">Verify email</a></p><p>This link expires in 24 hours.</p>`,
+  });
+};
+
+// Resend email verification link
+export const resendVerificationEmail = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  if (user.isEmailVerified) {
+    const error = new Error('Email is already verified');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  await sendVerificationEmail(user);
+};
+
+// Verify email
+export const verifyEmail = async (token) => {
+  const authToken = await consumeEmailToken(token, 'email_verification');
+
+  const user = await User.findByIdAndUpdate(
+    authToken.user,
+    { isEmailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+
+  if (!user) {
+    const error = new Error('Invalid or expired token');
+    error.statusCode = 400;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  return { user: await toAuthUser(user) };
+};
+
+// Request password reset (always succeeds to avoid leaking registered emails)
+export const forgotPassword = async (email) => {
+  const user = await User.findOne({ email });
+
+  if (!user || !user.isActive) {
+    return;
+  }
+
+  const token = await createEmailToken(user._id, 'password_reset');
+  const link = `${getClientUrl()}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThis link expires in 1 hour. If you did not request a reset, you can ignore this email.`,
+    html: safeHtml`<p>Hi ${user.name},</p><p>We received a request to reset your password. Click the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>This link expires in 1 hour. If you did not request a reset, you can ignore this email.</p>`,
+  });
+};
+
+// Reset password with token
+export const resetPassword = async (token, password) => {
+  const authToken = await consumeEmailToken(token, 'password_reset');
+
+  const user = await User.findById(authToken.user).select('+password');
+
+  if (!user || !user.isActive) {
+    const error = new Error('Invalid or expired token');
+    error.statusCode = 400;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  user.password = password;
+  user.failedLoginAttempts = 0;
+  user.lockUntil = undefined;
+  // Receiving the reset email proves ownership of the address
+  if (!user.isEmailVerified) {
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  // Sign out everywhere - the old password may have been compromised
+  await sessionService.revokeAllSessions(user._id, 'password_reset');
+};
+
+// ===== PROFILE =====
+
+// Load user with password for re-authentication
+const getUserWithPassword = async (userId) => {
+  const user = await User.findById(userId).select('+password');
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  return user;
+};
+
+// Reject the request unless the current password matches
+const assertCurrentPassword = async (user, password) => {
+  if (!password || !(await user.comparePassword(password))) {
+    const error = new Error('Current password is incorrect');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+};
+
+// Update own profile (changing email requires the current password)
+export const updateProfile = async (userId, updateData, context = {}) => {
+  const { name, phone, email, currentPassword } = updateData;
+  const user = await getUserWithPassword(userId);
+
+  const emailChanged = email !== undefined && email !== user.email;
+
+  if (emailChanged) {
+    await assertCurrentPassword(user, currentPassword);
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      const error = new Error('Email already registered');
+      error.statusCode = 400;
+      error.code = 'AUTH_001';
+      throw error;
+    }
+
+    user.email = email;
+    user.isEmailVerified = false;
+    user.emailVerifiedAt = undefined;
+  }
+
+  if (name !== undefined) user.name = name;
+  if (phone !== undefined) user.phone = phone || undefined;
+
+  await user.save();
+
+  if (emailChanged) {
+    await auditService.logEvent({
+      actor: user,
+      action: 'auth.email_changed',
+      entityType: 'User',
+      entityId: user._id,
+      context,
+    });
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('❌ Failed to send verification email:', error.message);
+    }
+  }
+
+  return { user: await toAuthUser(user) };
+};
+
+// Change own password and sign out other devices
+export const changePassword = async (userId, { currentPassword, newPassword }, sessionId, context = {}) => {
+  const user = await getUserWithPassword(userId);
+
+  await assertCurrentPassword(user, currentPassword);
+
+  user.password = newPassword;
+  await user.save();
+
+  const revokedCount = await sessionService.revokeAllSessions(user._id, 'password_changed', sessionId);
+
+  await auditService.logEvent({
+    actor: user,
+    action: 'auth.password_changed',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+    metadata: { revokedSessions: revokedCount },
+  });
+
+  return { revokedCount };
+};
+
+// Delete own account
+// Personal data is anonymized instead of removing the user, so orders keep a valid reference
+export const deleteAccount = async (userId, password, context = {}) => {
+  const user = await getUserWithPassword(userId);
+
+  await assertCurrentPassword(user, password);
+
+  if (user.role !== 'user') {
+    const error = new Error('Staff accounts must be removed by an administrator');
+    error.statusCode = 403;
+    error.code = 'AUTH_003';
+    throw error;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        email: `deleted-${user._id}@deleted.invalid`,
+        name: 'Deleted User',
+        password: await bcrypt.hash(generateRandomToken(), 10),
+        isActive: false,
+        isEmailVerified: false,
+        twoFactorEnabled: false,
+        deletedAt: new Date(),
+      },
+      $unset: {
+        phone: 1,
+        emailVerifiedAt: 1,
+        lockUntil: 1,
+        lastFailedLoginAt: 1,
+        twoFactorSecret: 1,
+        twoFactorTempSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+        oauthAccounts: 1,
+      },
+    }
+  );
+
+  await Promise.all([
+    sessionService.revokeAllSessions(user._id, 'account_deleted'),
+    AuthToken.deleteMany({ user: user._id }),
+    Cart.deleteOne({ user: user._id }),
+    Address.deleteMany({ user: user._id }),
+  ]);
+
+  // Actor is stored by id only - the email is gone with the account
+  await auditService.logEvent({
+    actor: user._id,
+    action: 'auth.account_deleted',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+  });
+};
+
+// ===== TWO-FACTOR AUTHENTICATION =====
+
+// Generate short-lived token for the second login step
+const generateTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { userId, purpose: 'two_factor' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+// Generate recovery codes (returns plain codes and their hashes)
+const generateRecoveryCodes = (count = 10) => {
+  const codes = Array.from({ length: count }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+// Consume a TOTP code (each time step can only be used once)
+const consumeTotpCode = async (user, code) => {
+  const step = verifyTotp(user.twoFactorSecret, code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorLastUsedStep: { $not: { $gte: step } } },
+    { twoFactorLastUsedStep: step }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Consume a recovery code
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  const codeHash = hashToken(recoveryCode.trim().toLowerCase());
+
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: codeHash },
+    { $pull: { twoFactorRecoveryCodes: codeHash } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Load user with 2FA secrets
+const getTwoFactorUser = async (userId) => {
+  const user = await User.findById(userId).select(
+    '+password +twoFactorSecret +twoFactorTempSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep'
+  );
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  return user;
+};
+
+// Complete login with a TOTP or recovery code
+export const verifyTwoFactorLogin = async ({ challengeToken, code, recoveryCode }, context = {}) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch {
+    decoded = null;
+  }
+
+  if (!decoded || decoded.purpose !== 'two_factor') {
+    const error = new Error('Invalid or expired login challenge. Please login again.');
+    error.statusCode = 401;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  const user = await User.findById(decoded.userId).select(
+    '+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep'
+  );
+
+  if (!user || !user.isActive || !user.twoFactorEnabled) {
+    const error = new Error('Invalid or expired login challenge. Please login again.');
+    error.statusCode = 401;
+    error.code = 'AUTH_002';
+    throw error;
+  }
+
+  await assertLoginAllowed(user, context);
+
+  const isValid = code
+    ? await consumeTotpCode(user, code)
+    : await consumeRecoveryCode(user, recoveryCode);
+
+  if (!isValid) {
+    await recordFailedLogin(user.email, user, context);
+    const error = new Error('Invalid authentication code');
+    error.statusCode = 401;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  if (recoveryCode) {
+    await auditService.logEvent({
+      actor: user,
+      action: 'auth.2fa_recovery_code_used',
+      entityType: 'User',
+      entityId: user._id,
+      context,
+      metadata: { remainingCodes: user.twoFactorRecoveryCodes.length - 1 },
+    });
+  }
+
+  // Reset failed attempt tracking
+  if (user.failedLoginAttempts > 0 || user.lockUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, $unset: { lockUntil: 1 } });
+  }
+
+  const { accessToken, refreshToken } = await issueTokens(user, context);
+
+  return {
+    user: await toAuthUser(user),
+    accessToken,
+    refreshToken,
+  };
+};
+
+// Start 2FA enrollment
+export const setupTwoFactor = async (userId) => {
+  const user = await getTwoFactorUser(userId);
+
+  if (user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is already enabled');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  const secret = generateTotpSecret();
+  user.twoFactorTempSecret = secret;
+  await user.save();
+
+  const otpauthUrl = buildOtpauthUrl({
+    secret,
+    accountName: user.email,
+    issuer: process.env.TWO_FACTOR_ISSUER || 'ShopHub',
+  });
+
+  return { secret, otpauthUrl };
+};
+
+// Confirm 2FA enrollment with a code from the authenticator app
+export const enableTwoFactor = async (userId, code, context = {}) => {
+  const user = await getTwoFactorUser(userId);
+
+  if (user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is already enabled');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  if (!user.twoFactorTempSecret) {
+    const error = new Error('Two-factor setup has not been started');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  const step = verifyTotp(user.twoFactorTempSecret, code);
+
+  if (step === null) {
+    const error = new Error('Invalid authentication code');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactorSecret = user.twoFactorTempSecret;
+  user.twoFactorTempSecret = undefined;
+  user.twoFactorEnabled = true;
+  user.twoFactorLastUsedStep = step;
+  user.twoFactorRecoveryCodes = hashes;
+  await user.save();
+
+  await auditService.logEvent({
+    actor: user,
+    action: 'auth.2fa_enabled',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+  });
+
+  return { recoveryCodes: codes };
+};
+
+// Disable 2FA (requires password and a current code)
+export const disableTwoFactor = async (userId, { password, code }, context = {}) => {
+  const user = await getTwoFactorUser(userId);
+
+  if (!user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is not enabled');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  if (user.requiresTwoFactor(await roleService.getRolePermissions(user.role))) {
+    const error = new Error('Two-factor authentication is mandatory for admin accounts');
+    error.statusCode = 400;
+    error.code = 'AUTH_006';
+    throw error;
+  }
+
+  const isPasswordValid = await user.comparePassword(password);
+
+  if (!isPasswordValid || !(await consumeTotpCode(user, code))) {
+    const error = new Error('Invalid password or authentication code');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      twoFactorEnabled: false,
+      $unset: { twoFactorSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastUsedStep: 1 },
+    }
+  );
+
+  await auditService.logEvent({
+    actor: user,
+    action: 'auth.2fa_disabled',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+  });
+};
+
+// Replace recovery codes (requires a current code)
+export const regenerateRecoveryCodes = async (userId, code, context = {}) => {
+  const user = await getTwoFactorUser(userId);
+
+  if (!user.twoFactorEnabled) {
+    const error = new Error('Two-factor authentication is not enabled');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  if (!(await consumeTotpCode(user, code))) {
+    const error = new Error('Invalid authentication code');
+    error.statusCode = 400;
+    error.code = 'AUTH_001';
+    throw error;
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await User.updateOne({ _id: user._id }, { twoFactorRecoveryCodes: hashes });
+
+  await auditService.logEvent({
+    actor: user,
+    action: 'auth.2fa_recovery_codes_regenerated',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+  });
+
+  return { recoveryCodes: codes };
 };
@@ -1,16 +1,19 @@
 import Joi from 'joi';
 
+// Password rules (shared by register and reset)
+const passwordRule = Joi.string().min(8).pattern(/^(?=.*[A-Za-z])(?=.*\d)/).required().messages({
+  'string.min': 'Password must be at least 8 characters',
+  'string.pattern.base': 'Password must contain letters and numbers',
+  'any.required': 'Password is required',
+});
+
 // Register validation
 export const registerSchema = Joi.object({
   email: Joi.string().email().required().messages({
     'string.email': 'Please provide a valid email',
     'any.required': 'Email is required',
   }),
-  password: Joi.string().min(8).pattern(/^(?=.*[A-Za-z])(?=.*\d)/).required().messages({
-    'string.min': 'Password must be at least 8 characters',
-    'string.pattern.base': 'Password must contain letters and numbers',
-    'any.required': 'Password is required',
-  }),
+  password: passwordRule,
   name: Joi.string().required().messages({
     'any.required': 'Name is required',
   }),
@@ -23,7 +26,76 @@ export const loginSchema = Joi.object({
   password: Joi.string().required(),
 });
 
+// OAuth callback validation
+export const oauthCallbackSchema = Joi.object({
+  state: Joi.string().required(),
+  code: Joi.string().required(),
+});
+
 // Refresh token validation
 export const refreshTokenSchema = Joi.object({
   refreshToken: Joi.string().required(),
 });
+
+// Update profile validation
+export const updateProfileSchema = Joi.object({
+  name: Joi.string().trim().min(1),
+  phone: Joi.string().trim().allow(''),
+  email: Joi.string().email().lowercase().trim(),
+  currentPassword: Joi.string().when('email', { is: Joi.exist(), then: Joi.required() }),
+}).or('name', 'phone', 'email');
+
+// Change password validation
+export const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: passwordRule.invalid(Joi.ref('currentPassword')).messages({
+    'any.invalid': 'New password must be different from the current password',
+  }),
+});
+
+// Delete account validation
+export const deleteAccountSchema = Joi.object({
+  password: Joi.string().required(),
+});
+
+// Forgot password validation
+export const forgotPasswordSchema = Joi.object({
+  email: Joi.string().email().required(),
+});
+
+// Reset password validation
+export const resetPasswordSchema = Joi.object({
+  token: Joi.string().required(),
+  password: passwordRule,
+});
+
+// Verify email validation
+export const verifyEmailSchema = Joi.object({
+  token: Joi.string().required(),
+});
+
+// Authenticator app code
+const totpCodeRule = Joi.string().pattern(/^\d{6}$/).required().messages({
+  'string.pattern.base': 'Code must be 6 digits',
+  'any.required': 'Code is required',
+});
+
+// 2FA login step validation (TOTP code or recovery code)
+export const twoFactorVerifySchema = Joi.object({
+  challengeToken: Joi.string().required(),
+  code: Joi.string().pattern(/^\d{6}$/).messages({
+    'string.pattern.base': 'Code must be 6 digits',
+  }),
+  recoveryCode: Joi.string(),
+}).xor('code', 'recoveryCode');
+
+// 2FA code validation (enable, regenerate recovery codes)
+export const twoFactorCodeSchema = Joi.object({
+  code: totpCodeRule,
+});
+
+// Disable 2FA validation
+export const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().required(),
+  code: totpCodeRule,
+});
@@ -1,5 +1,40 @@
 import mongoose from 'mongoose';
 
+const cartItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  // Chosen variant (products with variants only)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { id: false });
+
+// Chosen variant details, available once items.product is populated
+cartItemSchema.virtual('selectedVariant').get(function () {
+  return (this.variant && this.product?.variants?.id(this.variant)) || null;
+});
+
+// Unit price of the item (the variant's price if one was chosen)
+cartItemSchema.virtual('price').get(function () {
+  return this.selectedVariant ? this.selectedVariant.price : this.product?.price;
+});
+
+cartItemSchema.set('toJSON', { virtuals: true });
+cartItemSchema.set('toObject', { virtuals: true });
+
 const cartSchema = new mongoose.Schema(
   {
     user: {
@@ -8,24 +43,7 @@ const cartSchema = new mongoose.Schema(
       required: [true, 'User reference is required'],
       unique: true,
     },
-    items: [
-      {
-        product: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'Product',
-          required: true,
-        },
-        quantity: {
-          type: Number,
-          required: true,
-          min: [1, 'Quantity must be at least 1'],
-        },
-        addedAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
+    items: [cartItemSchema],
   },
   {
     timestamps: true,
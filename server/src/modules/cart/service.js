@@ -14,8 +14,8 @@ export const getUserCart = async (userId) => {
   return cart;
 };
 
-// Add item to cart
-export const addToCart = async (userId, productId, quantity) => {
+// Add item to cart (variantId is required for products with variants)
+export const addToCart = async (userId, productId, quantity, variantId = null) => {
   // Check if product exists and is active
   const product = await Product.findOne({ _id: productId, status: 'active', isDeleted: false });
   
@@ -26,8 +26,17 @@ export const addToCart = async (userId, productId, quantity) => {
     throw error;
   }
   
+  const hasVariants = product.variants.length > 0;
+  
+  if (hasVariants ? !product.variants.id(variantId) : variantId) {
+    const error = new Error(hasVariants ? 'Please select product options' : 'This product has no options');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+  
   // Check stock availability
-  const inventory = await Inventory.findOne({ product: productId });
+  const inventory = await Inventory.findOne({ product: productId, variant: variantId || null });
   
   if (!inventory || inventory.availableQuantity < quantity) {
     const error = new Error('Insufficient stock available');
@@ -43,9 +52,9 @@ export const addToCart = async (userId, productId, quantity) => {
     cart = new Cart({ user: userId, items: [] });
   }
   
-  // Check if product already in cart
+  // Check if product (with the same options) already in cart
   const existingItemIndex = cart.items.findIndex(
-    (item) => item.product.toString() === productId
+    (item) => item.product.toString() === productId && String(item.variant) === String(variantId || null)
   );
   
   if (existingItemIndex !== -1) {
@@ -65,6 +74,7 @@ export const addToCart = async (userId, productId, quantity) => {
     // Add new item
     cart.items.push({
       product: productId,
+      variant: variantId || null,
       quantity,
       addedAt: new Date(),
     });
@@ -97,7 +107,7 @@ export const updateCartItem = async (userId, itemId, quantity) => {
   }
   
   // Check stock availability
-  const inventory = await Inventory.findOne({ product: item.product });
+  const inventory = await Inventory.findOne({ product: item.product, variant: item.variant || null });
   
   if (!inventory || inventory.availableQuantity < quantity) {
     const error = new Error('Insufficient stock available');
@@ -5,6 +5,7 @@ export const addToCartSchema = Joi.object({
   productId: Joi.string().required().messages({
     'any.required': 'Product ID is required',
   }),
+  variantId: Joi.string().hex().length(24).allow(null).optional(),
   quantity: Joi.number().min(1).required().messages({
     'number.min': 'Quantity must be at least 1',
     'any.required': 'Quantity is required',
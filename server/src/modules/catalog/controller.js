@@ -0,0 +1,60 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse, paginatedResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
+import * as catalogService from './service.js';
+
+// @desc    Export products with stock as CSV or JSON
+// @route   GET /api/admin/catalog/export
+// @access  Admin
+export const exportProducts = asyncHandler(async (req, res) => {
+  const { fileName, content } = await catalogService.exportProducts(req.query, req.user, getClientInfo(req));
+
+  // Sets the download file name and its content type
+  res.attachment(fileName);
+  res.send(content);
+});
+
+// @desc    Upload a CSV or JSON file to import
+// @route   POST /api/admin/catalog/imports
+// @access  Admin
+export const createImport = asyncHandler(async (req, res) => {
+  const importJob = await catalogService.createImport(req.file, req.user);
+
+  successResponse(res, { import: importJob }, 'File uploaded successfully', 201);
+});
+
+// @desc    Get import jobs
+// @route   GET /api/admin/catalog/imports
+// @access  Admin
+export const getImports = asyncHandler(async (req, res) => {
+  const { imports, pagination } = await catalogService.getImports(req.query);
+
+  paginatedResponse(res, imports, pagination, 'Imports retrieved successfully');
+});
+
+// @desc    Get import job with preview, progress and errors
+// @route   GET /api/admin/catalog/imports/:id
+// @access  Admin
+export const getImport = asyncHandler(async (req, res) => {
+  const importJob = await catalogService.getImportById(req.params.id);
+
+  successResponse(res, { import: importJob }, 'Import retrieved successfully');
+});
+
+// @desc    Map columns and dry-run an import
+// @route   POST /api/admin/catalog/imports/:id/preview
+// @access  Admin
+export const previewImport = asyncHandler(async (req, res) => {
+  const importJob = await catalogService.previewImport(req.params.id, req.body);
+
+  successResponse(res, { import: importJob }, 'Import previewed successfully');
+});
+
+// @desc    Run a previewed import in the background
+// @route   POST /api/admin/catalog/imports/:id/run
+// @access  Admin
+export const runImport = asyncHandler(async (req, res) => {
+  const importJob = await catalogService.runImport(req.params.id, req.user, getClientInfo(req));
+
+  successResponse(res, { import: importJob }, 'Import started', 202);
+});
@@ -0,0 +1,196 @@
+import { parse } from 'csv-parse/sync';
+import { stringify } from 'csv-stringify/sync';
+
+// Product fields that can be exported and imported, in CSV column order
+// Products with variants take one row per variant (sku, options, price, comparePrice and quantity
+// belong to the variant, the other fields are repeated)
+export const FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'slug', label: 'Slug' },
+  { key: 'description', label: 'Description' },
+  { key: 'category', label: 'Category' },
+  { key: 'status', label: 'Status' },
+  { key: 'price', label: 'Price' },
+  { key: 'comparePrice', label: 'Compare Price' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'images', label: 'Images' },
+  { key: 'sku', label: 'SKU' },
+  { key: 'options', label: 'Options' },
+  { key: 'quantity', label: 'Quantity' },
+];
+
+// Lists (tags, images, options) are separated with '|' inside a cell
+export const LIST_SEPARATOR = '|';
+
+export const splitList = (value) =>
+  String(value ?? '')
+    .split(LIST_SEPARATOR)
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const joinList = (values) => values.join(` ${LIST_SEPARATOR} `);
+
+// 'Size: M | Color: Red' <-> { Size: 'M', Color: 'Red' }
+export const parseOptions = (value) =>
+  Object.fromEntries(
+    splitList(value).map((pair) => {
+      const index = pair.indexOf(':');
+      return index === -1 ? [pair, ''] : [pair.slice(0, index).trim(), pair.slice(index + 1).trim()];
+    })
+  );
+
+const formatOptions = (options = {}) =>
+  joinList(Object.entries(options).map(([name, value]) => `${name}: ${value}`));
+
+const fileError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'VAL_001';
+  return error;
+};
+
+// Flatten a product from a JSON export (nested variants) into import rows
+const flattenJsonProduct = (item) => {
+  const { variants, ...product } = item;
+  const base = {
+    ...product,
+    category: product.category?.slug ?? product.category,
+    tags: Array.isArray(product.tags) ? joinList(product.tags) : product.tags,
+    images: Array.isArray(product.images)
+      ? joinList(product.images.map((image) => image?.url ?? image))
+      : product.images,
+  };
+  delete base.options;
+
+  if (!Array.isArray(variants) || variants.length === 0) {
+    return [base];
+  }
+
+  return variants.map((variant) => ({
+    ...base,
+    sku: variant.sku,
+    options: typeof variant.options === 'object' ? formatOptions(variant.options) : variant.options,
+    price: variant.price,
+    comparePrice: variant.comparePrice,
+    quantity: variant.quantity,
+  }));
+};
+
+// Parse an uploaded CSV or JSON file into its columns and rows
+export const parseFile = (buffer, format) => {
+  let rows;
+
+  try {
+    if (format === 'csv') {
+      rows = parse(buffer, { columns: true, bom: true, trim: true, skip_empty_lines: true, relax_column_count: true });
+    } else {
+      const data = JSON.parse(buffer.toString('utf8'));
+      const items = Array.isArray(data) ? data : data.products;
+      if (!Array.isArray(items)) {
+        throw new Error('Expected an array of products');
+      }
+      rows = items.flatMap(flattenJsonProduct);
+    }
+  } catch (error) {
+    throw fileError(`Could not read the ${format.toUpperCase()} file: ${error.message}`);
+  }
+
+  const maxRows = Number(process.env.IMPORT_MAX_ROWS) || 10000;
+
+  if (rows.length === 0) {
+    throw fileError('The file has no rows');
+  }
+  if (rows.length > maxRows) {
+    throw fileError(`The file has ${rows.length} rows - import at most ${maxRows} at a time`);
+  }
+
+  // Rows are stored as lists of values in column order - column names may contain any character.
+  // Every value is kept as text, like in a CSV file.
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  rows = rows.map((row) => columns.map((column) => (row[column] == null ? '' : String(row[column]))));
+
+  return { columns, rows };
+};
+
+// Guess the mapping from column names, e.g. 'Product Name' or 'name' -> name
+export const suggestMapping = (columns) => {
+  const normalize = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const mapping = {};
+
+  FIELDS.forEach((field) => {
+    const candidates = [field.key, field.label, `product ${field.label}`].map(normalize);
+    const column = columns.find((name) => candidates.includes(normalize(name)));
+    if (column) {
+      mapping[field.key] = column;
+    }
+  });
+
+  return mapping;
+};
+
+// Export rows for products with their category populated
+// quantities: Map of 'productId:variantId' -> stock quantity
+const toRows = (products, quantities) =>
+  products.flatMap((product) => {
+    const base = {
+      name: product.name,
+      slug: product.slug,
+      description: product.description || '',
+      category: product.category?.slug || '',
+      status: product.status,
+      tags: joinList(product.tags),
+      images: joinList(product.images.map((image) => image.url)),
+    };
+
+    if (product.variants.length === 0) {
+      return [
+        {
+          ...base,
+          price: product.price,
+          comparePrice: product.comparePrice ?? '',
+          sku: '',
+          options: '',
+          quantity: quantities.get(`${product._id}:`) ?? '',
+        },
+      ];
+    }
+
+    return product.variants.map((variant) => ({
+      ...base,
+      price: variant.price,
+      comparePrice: variant.comparePrice ?? '',
+      sku: variant.sku,
+      options: formatOptions(Object.fromEntries(variant.options)),
+      quantity: quantities.get(`${product._id}:${variant._id}`) ?? '',
+    }));
+  });
+
+export const toCsv = (products, quantities) =>
+  stringify(toRows(products, quantities), { header: true, columns: FIELDS.map((field) => field.key) });
+
+// JSON keeps the nested product shape - it can be imported again as is
+export const toJson = (products, quantities) =>
+  JSON.stringify(
+    products.map((product) => ({
+      name: product.name,
+      slug: product.slug,
+      description: product.description,
+      category: product.category?.slug,
+      status: product.status,
+      price: product.price,
+      comparePrice: product.comparePrice,
+      tags: product.tags,
+      images: product.images.map(({ url, alt }) => ({ url, alt })),
+      options: product.options,
+      ...(product.variants.length === 0 && { quantity: quantities.get(`${product._id}:`) ?? null }),
+      variants: product.variants.map((variant) => ({
+        sku: variant.sku,
+        options: Object.fromEntries(variant.options),
+        price: variant.price,
+        comparePrice: variant.comparePrice,
+        quantity: quantities.get(`${product._id}:${variant._id}`) ?? null,
+      })),
+    })),
+    null,
+    2
+  );
@@ -0,0 +1,25 @@
+import express from 'express';
+import * as catalogController from './controller.js';
+import { validate } from '../../middlewares/validate.js';
+import { previewImportSchema } from './validation.js';
+import { authenticateWithApiKey, requirePermission } from '../../middlewares/auth.js';
+import { uploadDataFile } from '../../middlewares/upload.js';
+
+// Mounted at /api/admin/catalog
+const router = express.Router();
+
+router.use(authenticateWithApiKey);
+
+router.get('/export', requirePermission('products:read'), catalogController.exportProducts);
+
+// Imports create products and set their stock
+router.use('/imports', requirePermission('products:write', 'inventory:write'));
+
+// Multipart form with the file in the 'file' field
+router.post('/imports', uploadDataFile('file'), catalogController.createImport);
+router.get('/imports', catalogController.getImports);
+router.get('/imports/:id', catalogController.getImport);
+router.post('/imports/:id/preview', validate(previewImportSchema), catalogController.previewImport);
+router.post('/imports/:id/run', catalogController.runImport);
+
+export default router;
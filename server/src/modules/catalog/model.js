@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// A product import: uploaded file -> column mapping + dry run -> background run
+const importJobSchema = new mongoose.Schema(
+  {
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'json'],
+      required: true,
+    },
+    // Source columns and the parsed rows as lists of values (dropped once the import finishes)
+    columns: {
+      type: [String],
+      default: [],
+    },
+    rows: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    rowCount: {
+      type: Number,
+      default: 0,
+    },
+    // { field: column } - which source column fills each product field
+    mapping: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    matchBy: {
+      type: String,
+      enum: ['slug', 'sku'],
+      default: 'slug',
+    },
+    status: {
+      type: String,
+      enum: ['uploaded', 'previewed', 'running', 'completed', 'failed'],
+      default: 'uploaded',
+    },
+    // Dry-run result: counts and per-row actions/errors
+    preview: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    progress: {
+      processed: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    result: {
+      created: { type: Number, default: 0 },
+      updated: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+    },
+    // Per-row errors of the run: [{ row, field, message }]
+    rowErrors: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: [],
+    },
+    startedAt: Date,
+    finishedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importJobSchema.index({ createdAt: -1 });
+
+const ImportJob = mongoose.model('ImportJob', importJobSchema);
+
+export default ImportJob;
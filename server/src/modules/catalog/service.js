@@ -0,0 +1,595 @@
+import path from 'path';
+import ImportJob from './model.js';
+import Product from '../product/model.js';
+import Category from '../category/model.js';
+import Inventory from '../inventory/model.js';
+import { createProductSchema } from '../product/validation.js';
+import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
+import { generateUniqueSlug } from '../../utils/slug.js';
+import * as auditService from '../audit/service.js';
+import * as productService from '../product/service.js';
+import * as inventoryService from '../inventory/service.js';
+import { FIELDS, splitList, parseOptions, parseFile, suggestMapping, toCsv, toJson } from './format.js';
+
+// Run errors kept on a job - the counts in result are always complete
+const MAX_ROW_ERRORS = 1000;
+
+// Same slug rules as products created in the admin
+const toSlug = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/(^-|-$)/g, '');
+
+const notFound = () => {
+  const error = new Error('Import not found');
+  error.statusCode = 404;
+  error.code = 'RES_001';
+  return error;
+};
+
+const invalid = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'VAL_001';
+  return error;
+};
+
+// ===== EXPORT =====
+
+// Export all products (not deleted) with their stock as CSV or JSON
+export const exportProducts = async ({ format = 'csv' }, admin, context) => {
+  if (!['csv', 'json'].includes(format)) {
+    throw invalid('Format must be csv or json');
+  }
+
+  const [products, inventory] = await Promise.all([
+    Product.find({ isDeleted: false }).populate('category', 'name slug').sort('name'),
+    Inventory.find({}, 'product variant quantity'),
+  ]);
+
+  const quantities = new Map(
+    inventory.map((item) => [`${item.product}:${item.variant || ''}`, item.quantity])
+  );
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'catalog.exported',
+    entityType: 'Product',
+    context,
+    metadata: { format, products: products.length },
+  });
+
+  const date = new Date().toISOString().slice(0, 10);
+
+  return {
+    fileName: `products-${date}.${format}`,
+    content: format === 'json' ? toJson(products, quantities) : toCsv(products, quantities),
+  };
+};
+
+// ===== IMPORT PLAN =====
+
+// Plain copy of a product in the shape of createProductSchema
+const toProductData = (product) => ({
+  name: product.name,
+  ...(product.description && { description: product.description }),
+  price: product.price,
+  ...(product.comparePrice != null && { comparePrice: product.comparePrice }),
+  images: product.images.map((image) => image.toObject()),
+  category: String(product.category),
+  tags: [...product.tags],
+  status: product.status,
+  options: product.options.map(({ name, values }) => ({ name, values: [...values] })),
+  variants: product.variants.map((variant) => ({
+    _id: String(variant._id),
+    sku: variant.sku,
+    options: Object.fromEntries(variant.options),
+    price: variant.price,
+    ...(variant.comparePrice != null && { comparePrice: variant.comparePrice }),
+    images: [...variant.images],
+  })),
+});
+
+// Work out what an import would do without changing anything
+// Rows are grouped into products by slug (or the slug of their name); each group is checked
+// against createProductSchema after it was merged with the existing product.
+// Returns { groups: [{ key, rows, product, action, value, stock, errors }] }
+const planImport = async (columns, rows, mapping, matchBy) => {
+  const indexes = Object.fromEntries(
+    Object.entries(mapping).map(([field, column]) => [field, columns.indexOf(column)])
+  );
+  const read = (values, field) => (indexes[field] >= 0 ? String(values[indexes[field]] ?? '').trim() : '');
+
+  const records = rows.map((values, index) => {
+    const record = { row: index + 1 };
+    FIELDS.forEach(({ key }) => {
+      record[key] = read(values, key);
+    });
+    record.sku = record.sku.toUpperCase();
+    return record;
+  });
+
+  // Group rows by product
+  const groups = new Map();
+  const ungrouped = [];
+
+  records.forEach((record) => {
+    const key = toSlug(record.slug || record.name);
+    if (!key) {
+      ungrouped.push(record);
+      return;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, { key, records: [] });
+    }
+    groups.get(key).records.push(record);
+  });
+
+  // Load everything the rows refer to in a few queries
+  const slugs = [...groups.keys()];
+  const skus = [...new Set(records.map((record) => record.sku).filter(Boolean))];
+
+  const [categories, products, skuOwners] = await Promise.all([
+    Category.find({}, 'name slug'),
+    Product.find({
+      isDeleted: false,
+      $or: [{ slug: { $in: slugs } }, ...(matchBy === 'sku' ? [{ 'variants.sku': { $in: skus } }] : [])],
+    }),
+    // SKUs are unique across all products, deleted ones included
+    Product.find({ 'variants.sku': { $in: skus } }, 'slug isDeleted variants.sku'),
+  ]);
+
+  const categoryByKey = new Map();
+  categories.forEach((category) => {
+    categoryByKey.set(category.name.toLowerCase(), category);
+    categoryByKey.set(category.slug, category);
+  });
+
+  const productBySlug = new Map(products.map((product) => [product.slug, product]));
+  const productBySku = new Map();
+  products.forEach((product) => product.variants.forEach((variant) => productBySku.set(variant.sku, product)));
+
+  const ownerBySku = new Map();
+  skuOwners.forEach((product) => product.variants.forEach((variant) => ownerBySku.set(variant.sku, product)));
+
+  const skuGroups = new Map();
+  records.forEach((record) => {
+    if (record.sku) {
+      const key = toSlug(record.slug || record.name);
+      skuGroups.set(record.sku, new Set([...(skuGroups.get(record.sku) || []), key]));
+    }
+  });
+
+  const planned = [...groups.values()].map(({ key, records: groupRecords }) => {
+    const errors = [];
+    const addError = (row, field, message) => errors.push({ row, field, message });
+    const first = (field) => groupRecords.find((record) => record[field])?.[field] || '';
+
+    // Match by SKU first when asked to, then by slug
+    const product =
+      (matchBy === 'sku' && groupRecords.map((record) => productBySku.get(record.sku)).find(Boolean)) ||
+      productBySlug.get(key) ||
+      null;
+
+    const value = product ? toProductData(product) : { images: [], tags: [], options: [], variants: [] };
+
+    ['name', 'description', 'status', 'price', 'comparePrice'].forEach((field) => {
+      if (first(field)) {
+        value[field] = first(field);
+      }
+    });
+
+    if (first('category')) {
+      const category = categoryByKey.get(first('category').toLowerCase());
+      if (category) {
+        value.category = String(category._id);
+      } else {
+        addError(groupRecords[0].row, 'category', `Unknown category '${first('category')}'`);
+      }
+    }
+
+    if (first('tags')) {
+      value.tags = splitList(first('tags'));
+    }
+
+    // Images already on the product keep their alt text and thumbnails
+    if (first('images')) {
+      value.images = splitList(first('images')).map(
+        (url) => value.images.find((image) => image.url === url) || { url, alt: '' }
+      );
+    }
+
+    // Rows with a SKU or options are variants. They update the product's variants with the same SKU
+    // and add the others - variants missing from the file are kept. New option values keep the file order.
+    const variantRecords = groupRecords.filter((record) => record.sku || record.options);
+    const variantRows = value.variants.map(() => null);
+
+    if (variantRecords.length > 0) {
+      const options = new Map(value.options.map((option) => [option.name, new Set(option.values)]));
+
+      variantRecords.forEach((record) => {
+        const variantOptions = parseOptions(record.options);
+        Object.entries(variantOptions).forEach(([name, optionValue]) => {
+          if (!options.has(name)) {
+            options.set(name, new Set());
+          }
+          options.get(name).add(optionValue);
+        });
+
+        const index = value.variants.findIndex((variant) => variant.sku === record.sku);
+        const existing = value.variants[index];
+        const variant = {
+          ...existing,
+          sku: record.sku,
+          options: record.options ? variantOptions : existing?.options,
+          price: record.price || existing?.price,
+          ...(record.comparePrice && { comparePrice: record.comparePrice }),
+        };
+
+        if (existing) {
+          value.variants[index] = variant;
+          variantRows[index] = record;
+        } else {
+          value.variants.push(variant);
+          variantRows.push(record);
+        }
+      });
+
+      value.options = [...options].map(([name, values]) => ({ name, values: [...values] }));
+
+      // The product price comes from its variants
+      if (!product) {
+        delete value.price;
+      }
+    }
+
+    // Validate like the admin does
+    const { error, value: validated } = createProductSchema.validate(value, { abortEarly: false, stripUnknown: true });
+    const firstRow = groupRecords[0].row;
+
+    error?.details.forEach((detail) => {
+      const [field, index, subField] = detail.path;
+
+      // An unknown category was reported above
+      if (field === 'category' && errors.some((item) => item.field === 'category')) {
+        return;
+      }
+      if (field === 'variants' && typeof index === 'number') {
+        addError(variantRows[index]?.row ?? firstRow, subField || field, detail.message);
+        return;
+      }
+      addError(firstRow, field, detail.message);
+    });
+
+    if (!error) {
+      try {
+        productService.normalizeVariants(validated.options, validated.variants);
+      } catch (variantError) {
+        addError(firstRow, 'options', variantError.message);
+      }
+    }
+
+    // SKUs can't move between products
+    variantRecords.forEach((record) => {
+      if (!record.sku) {
+        addError(record.row, 'sku', 'SKU is required for variant rows');
+        return;
+      }
+      const owner = ownerBySku.get(record.sku);
+      if (owner && String(owner._id) !== String(product?._id)) {
+        const where = owner.isDeleted ? 'a deleted product' : `product '${owner.slug}'`;
+        addError(record.row, 'sku', `SKU ${record.sku} is already used by ${where}`);
+      }
+      if (skuGroups.get(record.sku).size > 1) {
+        addError(record.row, 'sku', `SKU ${record.sku} appears under more than one product in the file`);
+      }
+    });
+
+    // Stock is set per variant, or once for simple products
+    const stock = [];
+    (variantRecords.length > 0 ? variantRecords : groupRecords.slice(0, 1)).forEach((record) => {
+      if (!record.quantity) {
+        return;
+      }
+      if (!/^\d+$/.test(record.quantity)) {
+        addError(record.row, 'quantity', 'Quantity must be a whole number of 0 or more');
+        return;
+      }
+      stock.push({ sku: variantRecords.length > 0 ? record.sku : null, quantity: Number(record.quantity) });
+    });
+
+    return {
+      key,
+      rows: groupRecords.map((record) => record.row),
+      records: groupRecords,
+      product,
+      action: product ? 'update' : 'create',
+      value: validated,
+      stock,
+      errors,
+    };
+  });
+
+  // Rows without a name or slug can't be placed in a product
+  ungrouped.forEach((record) => {
+    planned.push({
+      key: null,
+      rows: [record.row],
+      records: [record],
+      product: null,
+      action: 'skip',
+      value: null,
+      stock: [],
+      errors: [{ row: record.row, field: 'name', message: 'Name or slug is required' }],
+    });
+  });
+
+  return { groups: planned };
+};
+
+// Per-row dry-run result for the import wizard
+const summarizePlan = ({ groups }, rowCount) => {
+  const rows = groups
+    .flatMap((group) =>
+      group.records.map((record) => ({
+        row: record.row,
+        product: group.value?.name || record.name || group.key,
+        slug: group.product?.slug || group.key,
+        sku: record.sku,
+        action: group.errors.length > 0 ? 'skip' : group.action,
+        errors: group.errors.filter((error) => error.row === record.row),
+      }))
+    )
+    .sort((a, b) => a.row - b.row);
+
+  const valid = groups.filter((group) => group.errors.length === 0);
+
+  return {
+    summary: {
+      rows: rowCount,
+      products: groups.filter((group) => group.key).length,
+      create: valid.filter((group) => group.action === 'create').length,
+      update: valid.filter((group) => group.action === 'update').length,
+      invalidRows: rows.filter((row) => row.errors.length > 0).length,
+      skippedProducts: groups.filter((group) => group.key && group.errors.length > 0).length,
+    },
+    rows,
+  };
+};
+
+// ===== IMPORT JOBS =====
+
+// Jobs are returned without their rows
+const withoutRows = (job) => {
+  const data = job.toObject();
+  delete data.rows;
+  return data;
+};
+
+// Upload a file and start an import job
+export const createImport = async (file, admin) => {
+  if (!file) {
+    throw invalid('Upload a CSV or JSON file');
+  }
+
+  const format = path.extname(file.originalname).slice(1).toLowerCase();
+  const { columns, rows } = parseFile(file.buffer, format);
+
+  const job = await ImportJob.create({
+    createdBy: admin._id,
+    fileName: file.originalname,
+    format,
+    columns,
+    rows,
+    rowCount: rows.length,
+    progress: { processed: 0, total: rows.length },
+    mapping: suggestMapping(columns),
+  });
+
+  return withoutRows(job);
+};
+
+// Get import jobs, newest first
+export const getImports = async (query) => {
+  const { page = 1, limit = 20 } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const [imports, total] = await Promise.all([
+    ImportJob.find()
+      .select('-rows -preview -rowErrors')
+      .populate('createdBy', 'name email')
+      .sort('-createdAt')
+      .skip(skip)
+      .limit(limitNum),
+    ImportJob.countDocuments(),
+  ]);
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { imports, pagination };
+};
+
+// Get an import job with its preview and errors
+export const getImportById = async (importId) => {
+  const job = await ImportJob.findById(importId).select('-rows').populate('createdBy', 'name email');
+
+  if (!job) {
+    throw notFound();
+  }
+
+  return job;
+};
+
+// Dry run: save the column mapping and report what each row would do
+export const previewImport = async (importId, { mapping, matchBy }) => {
+  const job = await ImportJob.findById(importId);
+
+  if (!job) {
+    throw notFound();
+  }
+
+  if (!['uploaded', 'previewed'].includes(job.status)) {
+    throw invalid(`This import is already ${job.status}`);
+  }
+
+  // Drop unmapped fields and check the columns exist in the file
+  const fieldMapping = Object.fromEntries(Object.entries(mapping).filter(([, column]) => column));
+
+  Object.values(fieldMapping).forEach((column) => {
+    if (!job.columns.includes(column)) {
+      throw invalid(`The file has no column '${column}'`);
+    }
+  });
+
+  if (!fieldMapping.name && !fieldMapping.slug) {
+    throw invalid('Map a column to the product name or slug');
+  }
+
+  const plan = await planImport(job.columns, job.rows, fieldMapping, matchBy);
+
+  job.mapping = fieldMapping;
+  job.matchBy = matchBy;
+  job.preview = summarizePlan(plan, job.rowCount);
+  job.status = 'previewed';
+  await job.save();
+
+  return withoutRows(job);
+};
+
+// Create or update the products of one group and set their stock
+const applyGroup = async (group, admin, context) => {
+  let product;
+
+  if (group.product) {
+    // Sending the name would regenerate the slug, so only send it when it changed
+    const { name, ...data } = group.value;
+    product = await productService.updateProduct(
+      group.product._id,
+      name !== group.product.name ? group.value : data,
+      admin,
+      context
+    );
+  } else {
+    const slug = await generateUniqueSlug(Product, group.key, null, { isDeleted: false });
+    product = await productService.createProduct({ ...group.value, slug }, admin, context);
+  }
+
+  for (const { sku, quantity } of group.stock) {
+    const variant = sku ? product.variants.find((item) => item.sku === sku) : null;
+    const inventory = await Inventory.findOne({ product: product._id, variant: variant?._id || null });
+
+    if (inventory) {
+      await inventoryService.updateInventory(inventory._id, { quantity }, admin, context);
+    } else {
+      await inventoryService.createInventory({ product: product._id, variant: variant?._id, quantity }, admin, context);
+    }
+  }
+
+  return product;
+};
+
+// Work through a started job, saving progress as it goes
+const processImport = async (job, admin, context) => {
+  const result = { created: 0, updated: 0, failed: 0 };
+  const rowErrors = [];
+  const progress = { processed: 0, total: job.rowCount };
+
+  const addErrors = (errors) => rowErrors.push(...errors.slice(0, MAX_ROW_ERRORS - rowErrors.length));
+  const saveProgress = () => ImportJob.updateOne({ _id: job._id }, { progress, result, rowErrors });
+
+  try {
+    // Plan again - products may have changed since the preview
+    const { groups } = await planImport(job.columns, job.rows, job.mapping, job.matchBy);
+
+    for (const [index, group] of groups.entries()) {
+      if (group.errors.length > 0) {
+        result.failed += 1;
+        addErrors(group.errors);
+      } else {
+        try {
+          await applyGroup(group, admin, context);
+          result[group.action === 'create' ? 'created' : 'updated'] += 1;
+        } catch (error) {
+          result.failed += 1;
+          addErrors([{ row: group.rows[0], field: null, message: error.message }]);
+        }
+      }
+
+      progress.processed += group.rows.length;
+
+      if (index % 20 === 19) {
+        await saveProgress();
+      }
+    }
+
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { status: 'completed', progress, result, rowErrors, rows: [], finishedAt: new Date() }
+    );
+
+    await auditService.logEvent({
+      actor: admin,
+      action: 'catalog.imported',
+      entityType: 'ImportJob',
+      entityId: job._id,
+      context,
+      metadata: { fileName: job.fileName, ...result },
+    });
+  } catch (error) {
+    console.error('❌ Product import failed:', error.message);
+    addErrors([{ row: null, field: null, message: error.message }]);
+    await ImportJob.updateOne(
+      { _id: job._id },
+      { status: 'failed', progress, result, rowErrors, finishedAt: new Date() }
+    ).catch(() => {});
+  }
+};
+
+// Start a previewed import in the background - poll the job for progress
+export const runImport = async (importId, admin, context) => {
+  const job = await ImportJob.findOneAndUpdate(
+    { _id: importId, status: 'previewed' },
+    { status: 'running', startedAt: new Date(), 'progress.processed': 0 },
+    { new: true }
+  );
+
+  if (!job) {
+    const existing = await ImportJob.findById(importId);
+    if (!existing) {
+      throw notFound();
+    }
+    throw invalid(
+      existing.status === 'uploaded' ? 'Preview the import before running it' : `This import is already ${existing.status}`
+    );
+  }
+
+  setImmediate(() => processImport(job, admin, context));
+
+  return withoutRows(job);
+};
+
+// Fail imports that stopped making progress, e.g. because the server restarted while they ran
+// (registered with the scheduler in app.js - a running import saves its progress every few products,
+// so one idle for longer than IMPORT_TIMEOUT_MINUTES (default: 15) is not running any more)
+export const failStalledImports = async (now = new Date()) => {
+  const timeoutMinutes = Number(process.env.IMPORT_TIMEOUT_MINUTES) || 15;
+  const cutoff = new Date(now.getTime() - timeoutMinutes * 60 * 1000);
+
+  await ImportJob.updateMany(
+    { status: 'running', updatedAt: { $lte: cutoff } },
+    {
+      status: 'failed',
+      finishedAt: now,
+      // Failed jobs can't be run again - a new upload matches the products already imported
+      $push: {
+        rowErrors: {
+          row: null,
+          field: null,
+          message: 'The import stopped before it finished - upload the file again to import the rest',
+        },
+      },
+    }
+  );
+};
@@ -0,0 +1,10 @@
+import Joi from 'joi';
+import { FIELDS } from './format.js';
+
+// Import preview validation - mapping is { field: source column }
+export const previewImportSchema = Joi.object({
+  mapping: Joi.object(
+    Object.fromEntries(FIELDS.map((field) => [field.key, Joi.string().allow('', null).optional()]))
+  ).required(),
+  matchBy: Joi.string().valid('slug', 'sku').default('slug'),
+});
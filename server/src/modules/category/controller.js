@@ -0,0 +1,67 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
+import * as categoryService from './service.js';
+
+// ===== PUBLIC CONTROLLERS =====
+
+// @desc    Get category tree
+// @route   GET /api/categories
+// @access  Public
+export const getCategoryTree = asyncHandler(async (req, res) => {
+  const categories = await categoryService.getCategoryTree();
+  
+  successResponse(res, { categories }, 'Categories retrieved successfully');
+});
+
+// ===== ADMIN CONTROLLERS =====
+
+// @desc    Get all categories (admin)
+// @route   GET /api/admin/categories
+// @access  Admin
+export const getAllCategories = asyncHandler(async (req, res) => {
+  const categories = await categoryService.getAllCategories();
+  
+  successResponse(res, { categories }, 'Categories retrieved successfully');
+});
+
+// @desc    Get single category (admin)
+// @route   GET /api/admin/categories/:id
+// @access  Admin
+export const getCategory = asyncHandler(async (req, res) => {
+  const category = await categoryService.getCategoryById(req.params.id);
+  
+  successResponse(res, { category }, 'Category retrieved successfully');
+});
+
+// @desc    Create category
+// @route   POST /api/admin/categories
+// @access  Admin
+export const createCategory = asyncHandler(async (req, res) => {
+  const category = await categoryService.createCategory(req.body, req.user, getClientInfo(req));
+  
+  successResponse(res, { category }, 'Category created successfully', 201);
+});
+
+// @desc    Update category
+// @route   PUT /api/admin/categories/:id
+// @access  Admin
+export const updateCategory = asyncHandler(async (req, res) => {
+  const category = await categoryService.updateCategory(
+    req.params.id,
+    req.body,
+    req.user,
+    getClientInfo(req)
+  );
+  
+  successResponse(res, { category }, 'Category updated successfully');
+});
+
+// @desc    Delete category
+// @route   DELETE /api/admin/categories/:id
+// @access  Admin
+export const deleteCategory = asyncHandler(async (req, res) => {
+  await categoryService.deleteCategory(req.params.id, req.user, getClientInfo(req));
+  
+  successResponse(res, null, 'Category deleted successfully');
+});
@@ -0,0 +1,24 @@
+import express from 'express';
+import * as categoryController from './controller.js';
+import { validate } from '../../middlewares/validate.js';
+import { createCategorySchema, updateCategorySchema } from './validation.js';
+import { authenticateWithApiKey, requirePermission } from '../../middlewares/auth.js';
+
+// Public routes - mounted at /api/categories
+export const publicRouter = express.Router();
+
+publicRouter.get('/', categoryController.getCategoryTree);
+
+// Admin routes - mounted at /api/admin/categories
+const router = express.Router();
+
+router.use(authenticateWithApiKey);
+
+// Categories are also needed to pick a product's category
+router.get('/', requirePermission('products:read'), categoryController.getAllCategories);
+router.get('/:id', requirePermission('products:read'), categoryController.getCategory);
+router.post('/', requirePermission('categories:write'), validate(createCategorySchema), categoryController.createCategory);
+router.put('/:id', requirePermission('categories:write'), validate(updateCategorySchema), categoryController.updateCategory);
+router.delete('/:id', requirePermission('categories:write'), categoryController.deleteCategory);
+
+export default router;
@@ -0,0 +1,290 @@
+import mongoose from 'mongoose';
+import Category from './model.js';
+import Product from '../product/model.js';
+import { generateSlug, generateUniqueSlug } from '../../utils/slug.js';
+import { diffDocuments } from '../../utils/diff.js';
+import * as auditService from '../audit/service.js';
+import * as searchIndex from '../product/searchIndex.js';
+
+// Ancestors are derived from parent, so leave them out of audit diffs
+const AUDIT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'ancestors'];
+
+// Categories can be looked up by id or slug (storefront URLs use slugs)
+const findCategory = (idOrSlug) => {
+  return Category.findOne(
+    mongoose.isValidObjectId(idOrSlug) ? { _id: idOrSlug } : { slug: String(idOrSlug).toLowerCase() }
+  );
+};
+
+// Nest a flat category list, siblings ordered by sortOrder then name
+// Categories whose parent is not in the list are left out (e.g. below an inactive parent)
+const buildTree = (categories, productCounts = null) => {
+  const nodes = new Map(
+    categories.map((category) => [
+      category._id.toString(),
+      {
+        ...category.toObject(),
+        ...(productCounts && { productCount: productCounts.get(category._id.toString()) || 0 }),
+        children: [],
+      },
+    ])
+  );
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    if (!node.parent) {
+      roots.push(node);
+    } else {
+      nodes.get(node.parent.toString())?.children.push(node);
+    }
+  }
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+    list.forEach((node) => sortNodes(node.children));
+    return list;
+  };
+
+  return sortNodes(roots);
+};
+
+// Get parent category and the ancestors path of its children
+const resolveParent = async (parentId) => {
+  if (!parentId) {
+    return { parent: null, ancestors: [] };
+  }
+
+  const parent = await Category.findById(parentId);
+
+  if (!parent) {
+    const error = new Error('Parent category not found');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  return { parent: parent._id, ancestors: [...parent.ancestors, parent._id] };
+};
+
+// Get public category tree (active categories only)
+export const getCategoryTree = async () => {
+  const categories = await Category.find({ isActive: true }).select('-isActive -ancestors -__v');
+
+  return buildTree(categories);
+};
+
+// Get ids of a category and all its descendants, for filtering products
+// With activeOnly, inactive categories (and everything below them) are excluded
+// Returns an empty list if the category does not exist
+export const getCategoryFilterIds = async (idOrSlug, { activeOnly = false } = {}) => {
+  const category = await findCategory(idOrSlug);
+
+  if (!category) {
+    return [];
+  }
+
+  const descendants = await Category.find({ ancestors: category._id }).select('isActive ancestors');
+
+  if (!activeOnly) {
+    return [category._id, ...descendants.map((descendant) => descendant._id)];
+  }
+
+  const hiddenByAncestor = await Category.exists({ _id: { $in: category.ancestors }, isActive: false });
+
+  if (!category.isActive || hiddenByAncestor) {
+    return [];
+  }
+
+  const inactiveIds = new Set(
+    descendants.filter((descendant) => !descendant.isActive).map((descendant) => descendant._id.toString())
+  );
+
+  return [
+    category._id,
+    ...descendants
+      .filter(
+        (descendant) =>
+          descendant.isActive && !descendant.ancestors.some((id) => inactiveIds.has(id.toString()))
+      )
+      .map((descendant) => descendant._id),
+  ];
+};
+
+// Check that a product's category exists
+export const ensureCategoryExists = async (categoryId) => {
+  if (!mongoose.isValidObjectId(categoryId) || !(await Category.exists({ _id: categoryId }))) {
+    const error = new Error('Category not found');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+};
+
+// ===== ADMIN FUNCTIONS =====
+
+// Get full category tree with product counts (admin)
+export const getAllCategories = async () => {
+  const [categories, counts] = await Promise.all([
+    Category.find(),
+    Product.aggregate([
+      { $match: { isDeleted: false } },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const productCounts = new Map(counts.map(({ _id, count }) => [String(_id), count]));
+
+  return buildTree(categories, productCounts);
+};
+
+// Get category by ID (admin)
+export const getCategoryById = async (categoryId) => {
+  const category = await Category.findById(categoryId).populate('parent', 'name slug');
+
+  if (!category) {
+    const error = new Error('Category not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  return category;
+};
+
+// Create category
+export const createCategory = async (categoryData, admin, context) => {
+  const { parent, ancestors } = await resolveParent(categoryData.parent);
+  const slug = await generateUniqueSlug(Category, generateSlug(categoryData.slug || categoryData.name));
+
+  const category = await Category.create({ ...categoryData, slug, parent, ancestors });
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'category.created',
+    entityType: 'Category',
+    entityId: category._id,
+    context,
+    metadata: { name: category.name, slug: category.slug },
+  });
+
+  return category;
+};
+
+// Update category (moving it also moves its subtree)
+export const updateCategory = async (categoryId, updateData, admin, context) => {
+  const existing = await Category.findById(categoryId);
+
+  if (!existing) {
+    const error = new Error('Category not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  const moved = updateData.parent !== undefined && String(updateData.parent) !== String(existing.parent);
+
+  if (moved) {
+    const { parent, ancestors } = await resolveParent(updateData.parent);
+
+    if (parent && (parent.equals(existing._id) || ancestors.some((id) => id.equals(existing._id)))) {
+      const error = new Error('A category cannot be moved below itself');
+      error.statusCode = 400;
+      error.code = 'VAL_001';
+      throw error;
+    }
+
+    updateData.parent = parent;
+    updateData.ancestors = ancestors;
+  } else {
+    delete updateData.parent;
+  }
+
+  // If name or slug is changed, regenerate slug
+  if (updateData.slug || updateData.name) {
+    updateData.slug = await generateUniqueSlug(
+      Category,
+      generateSlug(updateData.slug || updateData.name),
+      categoryId
+    );
+  } else {
+    delete updateData.slug;
+  }
+
+  const category = await Category.findByIdAndUpdate(categoryId, updateData, {
+    new: true,
+    runValidators: true,
+  });
+
+  if (moved) {
+    // Descendants keep their path below this category and get its new ancestors in front
+    const descendants = await Category.find({ ancestors: category._id }).select('ancestors');
+
+    if (descendants.length > 0) {
+      await Category.bulkWrite(
+        descendants.map((descendant) => {
+          const index = descendant.ancestors.findIndex((id) => id.equals(category._id));
+          return {
+            updateOne: {
+              filter: { _id: descendant._id },
+              update: { ancestors: [...category.ancestors, ...descendant.ancestors.slice(index)] },
+            },
+          };
+        })
+      );
+    }
+  }
+
+  // Product search matches category names
+  searchIndex.resetIndex();
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'category.updated',
+    entityType: 'Category',
+    entityId: category._id,
+    context,
+    changes: diffDocuments(existing, category, AUDIT_IGNORED_FIELDS),
+  });
+
+  return category;
+};
+
+// Delete category (only when it has no subcategories or products)
+export const deleteCategory = async (categoryId, admin, context) => {
+  const [childCount, productCount] = await Promise.all([
+    Category.countDocuments({ parent: categoryId }),
+    Product.countDocuments({ category: categoryId, isDeleted: false }),
+  ]);
+
+  if (childCount > 0) {
+    const error = new Error(`Category has ${childCount} subcategory(ies)`);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  if (productCount > 0) {
+    const error = new Error(`Category is assigned to ${productCount} product(s)`);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  const category = await Category.findByIdAndDelete(categoryId);
+
+  if (!category) {
+    const error = new Error('Category not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'category.deleted',
+    entityType: 'Category',
+    entityId: category._id,
+    context,
+    metadata: { name: category.name, slug: category.slug },
+  });
+};
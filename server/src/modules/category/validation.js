@@ -0,0 +1,25 @@
+import Joi from 'joi';
+
+const objectId = Joi.string().hex().length(24);
+
+// Create category validation
+export const createCategorySchema = Joi.object({
+  name: Joi.string().trim().required(),
+  slug: Joi.string().trim().allow('').optional(),
+  description: Joi.string().allow('').optional(),
+  parent: objectId.allow(null).optional(),
+  image: Joi.string().allow('').optional(),
+  sortOrder: Joi.number().integer().optional(),
+  isActive: Joi.boolean().optional(),
+});
+
+// Update category validation
+export const updateCategorySchema = Joi.object({
+  name: Joi.string().trim().optional(),
+  slug: Joi.string().trim().allow('').optional(),
+  description: Joi.string().allow('').optional(),
+  parent: objectId.allow(null).optional(),
+  image: Joi.string().allow('').optional(),
+  sortOrder: Joi.number().integer().optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);
@@ -1,5 +1,6 @@
 import asyncHandler from '../../middlewares/asyncHandler.js';
 import { successResponse, paginatedResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
 import * as inventoryService from './service.js';
 
 // @desc    Get all inventory
@@ -24,7 +25,7 @@ export const getInventory = asyncHandler(async (req, res) => {
 // @route   GET /api/admin/inventory/product/:productId
 // @access  Admin
 export const getInventoryByProduct = asyncHandler(async (req, res) => {
-  const inventory = await inventoryService.getInventoryByProduct(req.params.productId);
+  const inventory = await inventoryService.getInventoryByProduct(req.params.productId, req.query.variant);
   
   successResponse(res, { inventory }, 'Inventory retrieved successfully');
 });
@@ -33,7 +34,7 @@ export const getInventoryByProduct = asyncHandler(async (req, res) => {
 // @route   POST /api/admin/inventory
 // @access  Admin
 export const createInventory = asyncHandler(async (req, res) => {
-  const inventory = await inventoryService.createInventory(req.body);
+  const inventory = await inventoryService.createInventory(req.body, req.user, getClientInfo(req));
   
   successResponse(res, { inventory }, 'Inventory created successfully', 201);
 });
@@ -42,7 +43,12 @@ export const createInventory = asyncHandler(async (req, res) => {
 // @route   PUT /api/admin/inventory/:id
 // @access  Admin
 export const updateInventory = asyncHandler(async (req, res) => {
-  const inventory = await inventoryService.updateInventory(req.params.id, req.body);
+  const inventory = await inventoryService.updateInventory(
+    req.params.id,
+    req.body,
+    req.user,
+    getClientInfo(req)
+  );
   
   successResponse(res, { inventory }, 'Inventory updated successfully');
 });
@@ -51,7 +57,7 @@ export const updateInventory = asyncHandler(async (req, res) => {
 // @route   DELETE /api/admin/inventory/:id
 // @access  Admin
 export const deleteInventory = asyncHandler(async (req, res) => {
-  await inventoryService.deleteInventory(req.params.id);
+  await inventoryService.deleteInventory(req.params.id, req.user, getClientInfo(req));
   
   successResponse(res, null, 'Inventory deleted successfully');
 });
@@ -60,9 +66,16 @@ export const deleteInventory = asyncHandler(async (req, res) => {
 // @route   PUT /api/admin/inventory/adjust
 // @access  Admin
 export const adjustStock = asyncHandler(async (req, res) => {
-  const { product, adjustment, reason } = req.body;
+  const { product, variant, adjustment, reason } = req.body;
   
-  const inventory = await inventoryService.adjustStock(product, adjustment, reason);
+  const inventory = await inventoryService.adjustStock(
+    product,
+    variant,
+    adjustment,
+    reason,
+    req.user,
+    getClientInfo(req)
+  );
   
   successResponse(res, { inventory }, 'Stock adjusted successfully');
 });
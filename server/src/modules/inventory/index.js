@@ -2,19 +2,20 @@ import express from 'express';
 import * as inventoryController from './controller.js';
 import { validate } from '../../middlewares/validate.js';
 import { createInventorySchema, updateInventorySchema, adjustStockSchema } from './validation.js';
-import { authenticate, authorize } from '../../middlewares/auth.js';
+import { authenticateWithApiKey, requirePermission } from '../../middlewares/auth.js';
 
 const router = express.Router();
 
-// All inventory routes are admin-only
-router.use(authenticate, authorize('admin'));
+// All inventory routes require staff permissions
+router.use(authenticateWithApiKey);
 
-router.get('/', inventoryController.getAllInventory);
-router.get('/:id', inventoryController.getInventory);
-router.get('/product/:productId', inventoryController.getInventoryByProduct);
-router.post('/', validate(createInventorySchema), inventoryController.createInventory);
-router.put('/:id', validate(updateInventorySchema), inventoryController.updateInventory);
-router.delete('/:id', inventoryController.deleteInventory);
-router.put('/adjust', validate(adjustStockSchema), inventoryController.adjustStock);
+router.get('/', requirePermission('inventory:read'), inventoryController.getAllInventory);
+router.get('/:id', requirePermission('inventory:read'), inventoryController.getInventory);
+router.get('/product/:productId', requirePermission('inventory:read'), inventoryController.getInventoryByProduct);
+router.post('/', requirePermission('inventory:write'), validate(createInventorySchema), inventoryController.createInventory);
+// Registered before '/:id' so 'adjust' is not taken as an id
+router.put('/adjust', requirePermission('inventory:adjust'), validate(adjustStockSchema), inventoryController.adjustStock);
+router.put('/:id', requirePermission('inventory:write'), validate(updateInventorySchema), inventoryController.updateInventory);
+router.delete('/:id', requirePermission('inventory:write'), inventoryController.deleteInventory);
 
 export default router;
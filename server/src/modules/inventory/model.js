@@ -6,7 +6,11 @@ const inventorySchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: [true, 'Product reference is required'],
-      unique: true,
+    },
+    // Products with variants have one record per variant (null for simple products)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
     },
     quantity: {
       type: Number,
@@ -40,7 +44,7 @@ const inventorySchema = new mongoose.Schema(
 );
 
 // Indexes
-inventorySchema.index({ product: 1 });
+inventorySchema.index({ product: 1, variant: 1 }, { unique: true });
 
 // Virtual for available quantity
 inventorySchema.virtual('availableQuantity').get(function () {
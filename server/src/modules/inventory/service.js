@@ -1,5 +1,11 @@
 import Inventory from './model.js';
+import Product from '../product/model.js';
 import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
+import { diffDocuments } from '../../utils/diff.js';
+import * as auditService from '../audit/service.js';
+
+// Inventory record key - simple products have no variant
+const stockFilter = (productId, variantId = null) => ({ product: productId, variant: variantId || null });
 
 // Get all inventory records
 export const getAllInventory = async (query) => {
@@ -15,7 +21,7 @@ export const getAllInventory = async (query) => {
   
   const [inventory, total] = await Promise.all([
     Inventory.find(filter)
-      .populate('product', 'name price category status')
+      .populate('product', 'name price category status variants')
       .sort('-createdAt')
       .skip(skip)
       .limit(limitNum),
@@ -50,9 +56,9 @@ export const getInventoryById = async (inventoryId) => {
   return inventory;
 };
 
-// Get inventory by product ID
-export const getInventoryByProduct = async (productId) => {
-  const inventory = await Inventory.findOne({ product: productId }).populate('product');
+// Get inventory by product ID (and variant ID for products with variants)
+export const getInventoryByProduct = async (productId, variantId = null) => {
+  const inventory = await Inventory.findOne(stockFilter(productId, variantId)).populate('product');
   
   if (!inventory) {
     const error = new Error('Inventory not found for this product');
@@ -65,12 +71,33 @@ export const getInventoryByProduct = async (productId) => {
 };
 
 // Create inventory
-export const createInventory = async (inventoryData) => {
+export const createInventory = async (inventoryData, admin, context) => {
+  const product = await Product.findOne({ _id: inventoryData.product, isDeleted: false });
+  
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+  
+  // Products with variants are stocked per variant
+  const hasVariants = product.variants.length > 0;
+  
+  if (hasVariants ? !product.variants.id(inventoryData.variant) : inventoryData.variant) {
+    const error = new Error(hasVariants ? 'Select a variant of this product' : 'This product has no variants');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+  
   // Check if inventory already exists for this product
-  const existing = await Inventory.findOne({ product: inventoryData.product });
+  const existing = await Inventory.findOne(stockFilter(inventoryData.product, inventoryData.variant));
   
   if (existing) {
-    const error = new Error('Inventory already exists for this product');
+    const error = new Error(
+      hasVariants ? 'Inventory already exists for this variant' : 'Inventory already exists for this product'
+    );
     error.statusCode = 400;
     error.code = 'VAL_001';
     throw error;
@@ -78,19 +105,38 @@ export const createInventory = async (inventoryData) => {
   
   const inventory = await Inventory.create({
     ...inventoryData,
+    variant: inventoryData.variant || null,
     lastRestocked: new Date(),
   });
   
+  await auditService.logEvent({
+    actor: admin,
+    action: 'inventory.created',
+    entityType: 'Inventory',
+    entityId: inventory._id,
+    context,
+    metadata: { product: inventory.product, variant: inventory.variant, quantity: inventory.quantity },
+  });
+  
   return await inventory.populate('product');
 };
 
 // Update inventory
-export const updateInventory = async (inventoryId, updateData) => {
+export const updateInventory = async (inventoryId, updateData, admin, context) => {
+  const existing = await Inventory.findById(inventoryId);
+  
+  if (!existing) {
+    const error = new Error('Inventory not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+  
   const inventory = await Inventory.findByIdAndUpdate(
     inventoryId,
     { ...updateData, lastRestocked: new Date() },
     { new: true, runValidators: true }
-  ).populate('product');
+  );
   
   if (!inventory) {
     const error = new Error('Inventory not found');
@@ -99,11 +145,20 @@ export const updateInventory = async (inventoryId, updateData) => {
     throw error;
   }
   
-  return inventory;
+  await auditService.logEvent({
+    actor: admin,
+    action: 'inventory.updated',
+    entityType: 'Inventory',
+    entityId: inventory._id,
+    context,
+    changes: diffDocuments(existing, inventory),
+  });
+  
+  return await inventory.populate('product');
 };
 
 // Delete inventory
-export const deleteInventory = async (inventoryId) => {
+export const deleteInventory = async (inventoryId, admin, context) => {
   const inventory = await Inventory.findByIdAndDelete(inventoryId);
   
   if (!inventory) {
@@ -113,17 +168,27 @@ export const deleteInventory = async (inventoryId) => {
     throw error;
   }
   
+  await auditService.logEvent({
+    actor: admin,
+    action: 'inventory.deleted',
+    entityType: 'Inventory',
+    entityId: inventory._id,
+    context,
+    metadata: { product: inventory.product, variant: inventory.variant, quantity: inventory.quantity },
+  });
+  
   return inventory;
 };
 
 // Adjust stock with optimistic locking
-export const adjustStock = async (productId, adjustment, reason = '') => {
+// Internal callers (order rollback/cancellation) pass no admin and are not audited
+export const adjustStock = async (productId, variantId, adjustment, reason = '', admin = null, context = {}) => {
   const maxRetries = 3;
   let retries = 0;
   
   while (retries < maxRetries) {
     try {
-      const inventory = await Inventory.findOne({ product: productId });
+      const inventory = await Inventory.findOne(stockFilter(productId, variantId));
       
       if (!inventory) {
         const error = new Error('Inventory not found for this product');
@@ -164,6 +229,18 @@ export const adjustStock = async (productId, adjustment, reason = '') => {
         continue;
       }
       
+      if (admin) {
+        await auditService.logEvent({
+          actor: admin,
+          action: 'inventory.stock_adjusted',
+          entityType: 'Inventory',
+          entityId: updated._id,
+          context,
+          changes: { quantity: { from: inventory.quantity, to: updated.quantity } },
+          metadata: { product: productId, variant: variantId || null, adjustment, reason },
+        });
+      }
+      
       return updated;
     } catch (error) {
       if (retries >= maxRetries - 1) {
@@ -175,8 +252,8 @@ export const adjustStock = async (productId, adjustment, reason = '') => {
 };
 
 // Reserve stock for order (called during order creation)
-export const reserveStock = async (productId, quantity) => {
-  const inventory = await Inventory.findOne({ product: productId });
+export const reserveStock = async (productId, variantId, quantity) => {
+  const inventory = await Inventory.findOne(stockFilter(productId, variantId));
   
   if (!inventory) {
     const error = new Error('Inventory not found');
@@ -199,8 +276,8 @@ export const reserveStock = async (productId, quantity) => {
 };
 
 // Release reserved stock (on order cancellation)
-export const releaseStock = async (productId, quantity) => {
-  const inventory = await Inventory.findOne({ product: productId });
+export const releaseStock = async (productId, variantId, quantity) => {
+  const inventory = await Inventory.findOne(stockFilter(productId, variantId));
   
   if (!inventory) {
     return; // Silently fail if inventory not found
@@ -213,8 +290,8 @@ export const releaseStock = async (productId, quantity) => {
 };
 
 // Deduct stock (on order confirmation/completion)
-export const deductStock = async (productId, quantity) => {
-  const inventory = await Inventory.findOne({ product: productId });
+export const deductStock = async (productId, variantId, quantity) => {
+  const inventory = await Inventory.findOne(stockFilter(productId, variantId));
   
   if (!inventory) {
     const error = new Error('Inventory not found');
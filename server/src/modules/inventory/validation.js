@@ -5,6 +5,7 @@ export const createInventorySchema = Joi.object({
   product: Joi.string().required().messages({
     'any.required': 'Product ID is required',
   }),
+  variant: Joi.string().hex().length(24).allow(null).optional(),
   quantity: Joi.number().min(0).required(),
   warehouse: Joi.string().optional(),
   lowStockThreshold: Joi.number().min(0).optional(),
@@ -20,6 +21,7 @@ export const updateInventorySchema = Joi.object({
 // Adjust stock validation
 export const adjustStockSchema = Joi.object({
   product: Joi.string().required(),
+  variant: Joi.string().hex().length(24).allow(null).optional(),
   adjustment: Joi.number().required().messages({
     'any.required': 'Adjustment amount is required',
   }),
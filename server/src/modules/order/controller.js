@@ -1,5 +1,6 @@
 import asyncHandler from '../../middlewares/asyncHandler.js';
 import { successResponse, paginatedResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
 import * as orderService from './service.js';
 
 // ===== CUSTOMER CONTROLLERS =====
@@ -70,7 +71,8 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     req.params.id,
     status,
     note,
-    req.user._id
+    req.user,
+    getClientInfo(req)
   );
   
   successResponse(res, { order }, 'Order status updated successfully');
@@ -18,10 +18,17 @@ const orderSchema = new mongoose.Schema(
           type: mongoose.Schema.Types.ObjectId,
           ref: 'Product',
         },
+        // Chosen variant, with its name and SKU at the time of the order
+        variant: {
+          type: mongoose.Schema.Types.ObjectId,
+          default: null,
+        },
         name: {
           type: String,
           required: true,
         },
+        variantName: String,
+        sku: String,
         price: {
           type: Number,
           required: true,
@@ -2,6 +2,9 @@ import Order from './model.js';
 import Cart from '../cart/model.js';
 import * as inventoryService from '../inventory/service.js';
 import * as cartService from '../cart/service.js';
+import * as addressService from '../address/service.js';
+import * as auditService from '../audit/service.js';
+import * as reviewService from '../review/service.js';
 import { generateOrderNumber } from '../../utils/orderNumber.js';
 import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
 
@@ -17,7 +20,15 @@ export const createOrder = async (userId, orderData) => {
     throw error;
   }
   
-  // Validate and prepare order items
+  // Snapshot the shipping address so later address book edits don't change the order
+  const shippingAddress = orderData.addressId
+    ? {
+      ...(await addressService.getShippingAddress(userId, orderData.addressId)),
+      ...(orderData.notes && { notes: orderData.notes }),
+    }
+    : orderData.shippingAddress;
+  
+  // Validate and prepare order items - every item is checked before any stock is deducted
   const orderItems = [];
   let subtotal = 0;
   
@@ -29,29 +40,48 @@ export const createOrder = async (userId, orderData) => {
       throw error;
     }
     
-    // Deduct inventory
-    try {
-      await inventoryService.deductStock(item.product._id, item.quantity);
-    } catch (error) {
-      // Rollback - restore previously deducted stock
-      for (const prevItem of orderItems) {
-        await inventoryService.adjustStock(prevItem.product, prevItem.quantity);
-      }
+    // The variant may have been removed since it was added to the cart
+    const variant = item.variant ? item.product.variants.id(item.variant) : null;
+    
+    if (item.variant ? !variant : item.product.variants.length > 0) {
+      const error = new Error(`Please choose the options of ${item.product.name} again`);
+      error.statusCode = 400;
+      error.code = 'ORD_001';
       throw error;
     }
     
-    const itemSubtotal = item.product.price * item.quantity;
+    const price = variant ? variant.price : item.product.price;
+    const itemSubtotal = price * item.quantity;
     subtotal += itemSubtotal;
     
     orderItems.push({
       product: item.product._id,
+      variant: variant?._id || null,
       name: item.product.name,
-      price: item.product.price,
+      variantName: variant?.name,
+      sku: variant?.sku,
+      price,
       quantity: item.quantity,
       subtotal: itemSubtotal,
     });
   }
   
+  // Deduct inventory
+  const deducted = [];
+  
+  for (const item of orderItems) {
+    try {
+      await inventoryService.deductStock(item.product, item.variant, item.quantity);
+      deducted.push(item);
+    } catch (error) {
+      // Rollback - restore previously deducted stock
+      for (const prevItem of deducted) {
+        await inventoryService.adjustStock(prevItem.product, prevItem.variant, prevItem.quantity);
+      }
+      throw error;
+    }
+  }
+  
   // Calculate totals
   const shippingFee = orderData.shippingFee || 0;
   const discount = orderData.discount || 0;
@@ -66,7 +96,7 @@ export const createOrder = async (userId, orderData) => {
     shippingFee,
     discount,
     totalAmount,
-    shippingAddress: orderData.shippingAddress,
+    shippingAddress,
     paymentMethod: orderData.paymentMethod || 'cod',
     status: 'pending',
     statusHistory: [
@@ -147,7 +177,7 @@ export const cancelOrder = async (userId, orderId) => {
   
   // Restore inventory
   for (const item of order.items) {
-    await inventoryService.adjustStock(item.product, item.quantity);
+    await inventoryService.adjustStock(item.product, item.variant, item.quantity);
   }
   
   // Update order status
@@ -214,7 +244,7 @@ export const getOrderByIdAdmin = async (orderId) => {
 };
 
 // Update order status (admin)
-export const updateOrderStatus = async (orderId, status, note, adminId) => {
+export const updateOrderStatus = async (orderId, status, note, admin, context) => {
   const order = await Order.findById(orderId);
   
   if (!order) {
@@ -244,19 +274,36 @@ export const updateOrderStatus = async (orderId, status, note, adminId) => {
   // If cancelling, restore inventory
   if (status === 'cancelled') {
     for (const item of order.items) {
-      await inventoryService.adjustStock(item.product, item.quantity);
+      await inventoryService.adjustStock(item.product, item.variant, item.quantity);
     }
   }
   
+  const previousStatus = order.status;
+  
   order.status = status;
   order.statusHistory.push({
     status,
     changedAt: new Date(),
-    changedBy: adminId,
+    changedBy: admin._id,
     note,
   });
   
   await order.save();
   
+  // Reviews the customer already wrote become verified purchases
+  if (status === 'delivered') {
+    await reviewService.markVerifiedPurchases(order);
+  }
+  
+  await auditService.logEvent({
+    actor: admin,
+    action: 'order.status_updated',
+    entityType: 'Order',
+    entityId: order._id,
+    context,
+    changes: { status: { from: previousStatus, to: status } },
+    metadata: { orderNumber: order.orderNumber, note },
+  });
+  
   return order;
 };
@@ -1,7 +1,9 @@
 import Joi from 'joi';
 
 // Create order validation
+// Ship to either a saved address (addressId) or one entered at checkout (shippingAddress)
 export const createOrderSchema = Joi.object({
+  addressId: Joi.string().hex().length(24),
   shippingAddress: Joi.object({
     fullName: Joi.string().required(),
     phone: Joi.string().required(),
@@ -10,10 +12,10 @@ export const createOrderSchema = Joi.object({
     district: Joi.string().optional(),
     ward: Joi.string().optional(),
     notes: Joi.string().optional(),
-  }).required(),
+  }),
   paymentMethod: Joi.string().valid('cod', 'banking').default('cod'),
   notes: Joi.string().optional(),
-});
+}).xor('addressId', 'shippingAddress');
 
 // Update order status validation
 export const updateOrderStatusSchema = Joi.object({
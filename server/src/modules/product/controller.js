@@ -1,5 +1,6 @@
 import asyncHandler from '../../middlewares/asyncHandler.js';
 import { successResponse, paginatedResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
 import * as productService from './service.js';
 
 // ===== PUBLIC CONTROLLERS =====
@@ -13,6 +14,24 @@ export const getProducts = asyncHandler(async (req,res) => {
   paginatedResponse(res, products, pagination, 'Products retrieved successfully');
 });
 
+// @desc    Search products with facet counts
+// @route   GET /api/products/search
+// @access  Public
+export const searchProducts = asyncHandler(async (req, res) => {
+  const { products, facets, pagination } = await productService.searchProducts(req.query);
+  
+  successResponse(res, { products, facets, pagination }, 'Products retrieved successfully');
+});
+
+// @desc    Search suggestions (products, categories, tags) while typing
+// @route   GET /api/products/suggest
+// @access  Public
+export const suggestProducts = asyncHandler(async (req, res) => {
+  const suggestions = await productService.suggestProducts(req.query);
+  
+  successResponse(res, { suggestions }, 'Suggestions retrieved successfully');
+});
+
 // @desc    Get single product
 // @route   GET /api/products/:id
 // @access  Public
@@ -22,6 +41,15 @@ export const getProduct = asyncHandler(async (req, res) => {
   successResponse(res, { product }, 'Product retrieved successfully');
 });
 
+// @desc    Get product price history with the lowest price of the last 30 days
+// @route   GET /api/products/:id/price-history
+// @access  Public
+export const getPriceHistory = asyncHandler(async (req, res) => {
+  const priceHistory = await productService.getPriceHistory(req.params.id, req.query);
+  
+  successResponse(res, priceHistory, 'Price history retrieved successfully');
+});
+
 // ===== ADMIN CONTROLLERS =====
 
 // @desc    Get all products (admin)
@@ -46,7 +74,7 @@ export const getProductAdmin = asyncHandler(async (req, res) => {
 // @route   POST /api/admin/products
 // @access  Admin
 export const createProduct = asyncHandler(async (req, res) => {
-  const product = await productService.createProduct(req.body);
+  const product = await productService.createProduct(req.body, req.user, getClientInfo(req));
   
   successResponse(res, { product }, 'Product created successfully', 201);
 });
@@ -55,7 +83,12 @@ export const createProduct = asyncHandler(async (req, res) => {
 // @route   PUT /api/admin/products/:id
 // @access  Admin
 export const updateProduct = asyncHandler(async (req, res) => {
-  const product = await productService.updateProduct(req.params.id, req.body);
+  const product = await productService.updateProduct(
+    req.params.id,
+    req.body,
+    req.user,
+    getClientInfo(req)
+  );
   
   successResponse(res, { product }, 'Product updated successfully');
 });
@@ -64,7 +97,104 @@ export const updateProduct = asyncHandler(async (req, res) => {
 // @route   DELETE /api/admin/products/:id
 // @access  Admin
 export const deleteProduct = asyncHandler(async (req, res) => {
-  await productService.deleteProduct(req.params.id);
+  await productService.deleteProduct(req.params.id, req.user, getClientInfo(req));
   
   successResponse(res, null, 'Product deleted successfully');
 });
+
+// @desc    Get product revisions with changed fields
+// @route   GET /api/products/admin/:id/revisions
+// @access  Admin
+export const getProductRevisions = asyncHandler(async (req, res) => {
+  const { revisions, pagination } = await productService.getProductRevisions(req.params.id, req.query);
+  
+  paginatedResponse(res, revisions, pagination, 'Product revisions retrieved successfully');
+});
+
+// @desc    Restore a product revision
+// @route   POST /api/products/admin/:id/revisions/:revisionId/restore
+// @access  Admin
+export const restoreProductRevision = asyncHandler(async (req, res) => {
+  const product = await productService.restoreProductRevision(
+    req.params.id,
+    req.params.revisionId,
+    req.user,
+    getClientInfo(req)
+  );
+  
+  successResponse(res, { product }, 'Product revision restored successfully');
+});
+
+// @desc    Get product price history (any status, with who changed each price)
+// @route   GET /api/products/admin/:id/price-history
+// @access  Admin
+export const getPriceHistoryAdmin = asyncHandler(async (req, res) => {
+  const priceHistory = await productService.getPriceHistory(req.params.id, req.query, { admin: true });
+  
+  successResponse(res, priceHistory, 'Price history retrieved successfully');
+});
+
+// @desc    Get scheduled price changes of a product
+// @route   GET /api/products/admin/:id/price-changes
+// @access  Admin
+export const getPriceChanges = asyncHandler(async (req, res) => {
+  const { priceChanges, pagination } = await productService.getPriceChanges(req.params.id, req.query);
+  
+  paginatedResponse(res, priceChanges, pagination, 'Price changes retrieved successfully');
+});
+
+// @desc    Schedule a price change
+// @route   POST /api/products/admin/:id/price-changes
+// @access  Admin
+export const schedulePriceChange = asyncHandler(async (req, res) => {
+  const priceChange = await productService.schedulePriceChange(
+    req.params.id,
+    req.body,
+    req.user,
+    getClientInfo(req)
+  );
+  
+  successResponse(res, { priceChange }, 'Price change scheduled successfully', 201);
+});
+
+// @desc    Cancel a scheduled price change, or end an active one now
+// @route   DELETE /api/products/admin/:id/price-changes/:priceChangeId
+// @access  Admin
+export const cancelPriceChange = asyncHandler(async (req, res) => {
+  const priceChange = await productService.cancelPriceChange(
+    req.params.id,
+    req.params.priceChangeId,
+    req.user,
+    getClientInfo(req)
+  );
+  
+  successResponse(res, { priceChange }, 'Price change cancelled successfully');
+});
+
+// @desc    Get deleted products
+// @route   GET /api/products/admin/trash
+// @access  Admin
+export const getTrashedProducts = asyncHandler(async (req, res) => {
+  const { products, pagination } = await productService.getTrashedProducts(req.query);
+  
+  paginatedResponse(res, products, pagination, 'Trashed products retrieved successfully');
+});
+
+// @desc    Restore a deleted product
+// @route   POST /api/products/admin/:id/restore
+// @access  Admin
+export const restoreProduct = asyncHandler(async (req, res) => {
+  const product = await productService.restoreProduct(req.params.id, req.user, getClientInfo(req));
+  
+  successResponse(res, { product }, 'Product restored successfully');
+});
+
+// @desc    Permanently delete a product from the trash
+// @route   DELETE /api/products/admin/:id/purge
+// @access  Admin
+export const purgeProduct = asyncHandler(async (req, res) => {
+  await productService.purgeProduct(req.params.id, req.user, getClientInfo(req));
+  
+  successResponse(res, null, 'Product permanently deleted');
+});
+
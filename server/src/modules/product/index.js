@@ -1,20 +1,32 @@
 import express from 'express';
 import * as productController from './controller.js';
 import { validate } from '../../middlewares/validate.js';
-import { createProductSchema, updateProductSchema } from './validation.js';
-import { authenticate, authorize } from '../../middlewares/auth.js';
+import { createProductSchema, updateProductSchema, schedulePriceChangeSchema } from './validation.js';
+import { authenticateWithApiKey, requirePermission } from '../../middlewares/auth.js';
 
 const router = express.Router();
 
 // Public routes
 router.get('/', productController.getProducts);
+router.get('/search', productController.searchProducts);
+router.get('/suggest', productController.suggestProducts);
+router.get('/:id/price-history', productController.getPriceHistory);
 router.get('/:id', productController.getProduct);
 
 // Admin routes
-router.get('/admin/all', authenticate, authorize('admin'), productController.getProductsAdmin);
-router.get('/admin/:id', authenticate, authorize('admin'), productController.getProductAdmin);
-router.post('/admin', authenticate, authorize('admin'), validate(createProductSchema), productController.createProduct);
-router.put('/admin/:id', authenticate, authorize('admin'), validate(updateProductSchema), productController.updateProduct);
-router.delete('/admin/:id', authenticate, authorize('admin'), productController.deleteProduct);
+router.get('/admin/all', authenticateWithApiKey, requirePermission('products:read'), productController.getProductsAdmin);
+router.get('/admin/trash', authenticateWithApiKey, requirePermission('products:read'), productController.getTrashedProducts);
+router.get('/admin/:id', authenticateWithApiKey, requirePermission('products:read'), productController.getProductAdmin);
+router.post('/admin', authenticateWithApiKey, requirePermission('products:write'), validate(createProductSchema), productController.createProduct);
+router.put('/admin/:id', authenticateWithApiKey, requirePermission('products:write'), validate(updateProductSchema), productController.updateProduct);
+router.delete('/admin/:id', authenticateWithApiKey, requirePermission('products:write'), productController.deleteProduct);
+router.post('/admin/:id/restore', authenticateWithApiKey, requirePermission('products:write'), productController.restoreProduct);
+router.delete('/admin/:id/purge', authenticateWithApiKey, requirePermission('products:write'), productController.purgeProduct);
+router.get('/admin/:id/revisions', authenticateWithApiKey, requirePermission('products:read'), productController.getProductRevisions);
+router.post('/admin/:id/revisions/:revisionId/restore', authenticateWithApiKey, requirePermission('products:write'), productController.restoreProductRevision);
+router.get('/admin/:id/price-history', authenticateWithApiKey, requirePermission('products:read'), productController.getPriceHistoryAdmin);
+router.get('/admin/:id/price-changes', authenticateWithApiKey, requirePermission('products:read'), productController.getPriceChanges);
+router.post('/admin/:id/price-changes', authenticateWithApiKey, requirePermission('products:write'), validate(schedulePriceChangeSchema), productController.schedulePriceChange);
+router.delete('/admin/:id/price-changes/:priceChangeId', authenticateWithApiKey, requirePermission('products:write'), productController.cancelPriceChange);
 
 export default router;
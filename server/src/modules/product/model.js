@@ -1,5 +1,63 @@
 import mongoose from 'mongoose';
 
+// Product image - uploaded images also have a storage key and thumbnails
+const imageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'Image URL is required'],
+    trim: true,
+  },
+  alt: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  key: String,
+  thumbnails: {
+    small: String,
+    medium: String,
+  },
+  width: Number,
+  height: Number,
+}, { _id: false });
+
+// A purchasable combination of option values, e.g. { Size: 'M', Color: 'Red' }
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+  },
+  options: {
+    type: Map,
+    of: String,
+    default: {},
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative'],
+  },
+  comparePrice: {
+    type: Number,
+    min: [0, 'Compare price cannot be negative'],
+  },
+  // URLs of the product images that show this variant
+  images: {
+    type: [String],
+    default: [],
+  },
+}, { id: false });
+
+// Option values shown as the variant name, e.g. 'M / Red'
+variantSchema.virtual('name').get(function () {
+  return [...this.options.values()].join(' / ');
+});
+
+variantSchema.set('toJSON', { virtuals: true, flattenMaps: true });
+variantSchema.set('toObject', { virtuals: true, flattenMaps: true });
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -7,9 +65,9 @@ const productSchema = new mongoose.Schema(
       required: [true, 'Product name is required'],
       trim: true,
     },
+    // Unique among products that are not deleted (see the index below)
     slug: {
       type: String,
-      unique: true,
       lowercase: true,
     },
     description: {
@@ -25,28 +83,72 @@ const productSchema = new mongoose.Schema(
       type: Number,
       min: [0, 'Compare price cannot be negative'],
     },
+    // In display order - the first image is the main image
     images: {
-      type: [String],
+      type: [imageSchema],
       default: [],
     },
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
       required: [true, 'Category is required'],
-      trim: true,
     },
     tags: {
       type: [String],
       default: [],
     },
+    // Option definitions, e.g. [{ name: 'Size', values: ['S', 'M', 'L'] }]
+    options: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        values: {
+          type: [String],
+          default: [],
+        },
+      },
+    ],
+    // Products with variants are priced and stocked per variant
+    variants: {
+      type: [variantSchema],
+      default: [],
+    },
     status: {
       type: String,
       enum: ['active', 'inactive', 'draft'],
       default: 'draft',
     },
+    // Scheduled status changes - the scheduler sets status to active / inactive and clears the date
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    unpublishAt: {
+      type: Date,
+      default: null,
+    },
+    // Approved reviews - kept up to date by the review module
+    averageRating: {
+      type: Number,
+      default: 0,
+    },
+    reviewCount: {
+      type: Number,
+      default: 0,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
     },
+    // When the product was moved to the trash (purged after TRASH_RETENTION_DAYS)
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -57,7 +159,12 @@ const productSchema = new mongoose.Schema(
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ category: 1 });
 productSchema.index({ status: 1 });
-productSchema.index({ slug: 1 });
+// Trashed products keep their slug for a restore, but don't reserve it
+productSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { isDeleted: false } });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, sparse: true });
+productSchema.index({ publishAt: 1 });
+productSchema.index({ unpublishAt: 1 });
+productSchema.index({ isDeleted: 1, deletedAt: 1 });
 
 // Auto-generate slug from name if not provided
 productSchema.pre('save', function (next) {
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+// A price change the scheduler applies at startsAt, e.g. a weekend promotion
+// With an end date the previous price is put back at endsAt, without one the change is permanent
+const priceChangeSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    // Products with variants are priced per variant
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, 'Price cannot be negative'],
+    },
+    comparePrice: {
+      type: Number,
+      min: [0, 'Compare price cannot be negative'],
+      default: null,
+    },
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      default: null,
+    },
+    // active: applied and waiting for its end date
+    status: {
+      type: String,
+      enum: ['scheduled', 'active', 'completed', 'cancelled', 'failed'],
+      default: 'scheduled',
+    },
+    // Price before the change was applied - put back at endsAt
+    previousPrice: Number,
+    previousComparePrice: Number,
+    appliedAt: Date,
+    endedAt: Date,
+    // False when the price was edited while the change was active, so it was left alone at the end
+    reverted: Boolean,
+    failureReason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceChangeSchema.index({ product: 1, startsAt: -1 });
+priceChangeSchema.index({ status: 1, startsAt: 1 });
+priceChangeSchema.index({ status: 1, endsAt: 1 });
+
+const PriceChange = mongoose.model('PriceChange', priceChangeSchema);
+
+export default PriceChange;
@@ -0,0 +1,113 @@
+import PriceHistory from './priceHistoryModel.js';
+
+// Price history of products and their variants (see priceHistoryModel.js)
+// Prices shown as "was" prices or "lowest in 30 days" next to a discount come from here.
+
+// Days covered by the lowest price shown next to a discount
+export const LOWEST_PRICE_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Prices of a product keyed by variant id ('' for the product's own price)
+const pricePoints = (product) =>
+  new Map([
+    ['', { variant: null, price: product.price, comparePrice: product.comparePrice ?? null }],
+    ...(product.variants || []).map((variant) => [
+      String(variant._id),
+      { variant: variant._id, price: variant.price, comparePrice: variant.comparePrice ?? null },
+    ]),
+  ]);
+
+// Record the prices that changed between two versions of a product
+// before: null for a new product. Prices of removed variants are closed without a new entry.
+// Never throws - like revisions, missing history must not fail the change itself
+export const recordPriceChanges = async (
+  before,
+  after,
+  { source, actor = null, priceChange = null, at = new Date() }
+) => {
+  try {
+    const previous = before ? pricePoints(before) : new Map();
+    const current = pricePoints(after);
+
+    const changed = [...current]
+      .filter(([key, point]) => {
+        const old = previous.get(key);
+        return !old || old.price !== point.price || old.comparePrice !== point.comparePrice;
+      })
+      .map(([, point]) => point);
+    const removed = [...previous.keys()].filter((key) => !current.has(key)).map((key) => previous.get(key));
+
+    if (changed.length === 0 && removed.length === 0) {
+      return;
+    }
+
+    if (before) {
+      await PriceHistory.updateMany(
+        {
+          product: after._id,
+          variant: { $in: [...changed, ...removed].map((point) => point.variant) },
+          effectiveTo: null,
+        },
+        { effectiveTo: at }
+      );
+    }
+
+    if (changed.length > 0) {
+      await PriceHistory.insertMany(
+        changed.map((point) => ({
+          product: after._id,
+          ...point,
+          effectiveFrom: at,
+          source,
+          priceChange,
+          actor: actor?._id ?? null,
+        }))
+      );
+    }
+  } catch (error) {
+    console.error('❌ Failed to record price history:', error.message);
+  }
+};
+
+// Lowest price each product had in the LOWEST_PRICE_DAYS days before its current price took effect
+// The current price is left out so that a discount is compared with the prices before it.
+// Returns a Map of product id -> price (products without an earlier price in that period are left out)
+export const getLowestPrices = async (productIds) => {
+  if (productIds.length === 0) {
+    return new Map();
+  }
+
+  const current = await PriceHistory.find({ product: { $in: productIds }, variant: null, effectiveTo: null }).select(
+    'product effectiveFrom'
+  );
+
+  if (current.length === 0) {
+    return new Map();
+  }
+
+  const lowest = await PriceHistory.aggregate([
+    {
+      $match: {
+        variant: null,
+        $or: current.map(({ product, effectiveFrom }) => ({
+          product,
+          effectiveTo: { $gt: new Date(effectiveFrom.getTime() - LOWEST_PRICE_DAYS * DAY), $lte: effectiveFrom },
+        })),
+      },
+    },
+    { $group: { _id: '$product', price: { $min: '$price' } } },
+  ]);
+
+  return new Map(lowest.map(({ _id, price }) => [String(_id), price]));
+};
+
+// Add lowestPrice30Days to plain product objects
+export const withLowestPrices = async (products) => {
+  const lowest = await getLowestPrices(products.map((product) => product._id));
+
+  return products.map((product) => ({
+    ...product,
+    lowestPrice30Days: lowest.get(String(product._id)) ?? null,
+  }));
+};
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// A price a product (or one of its variants) had from effectiveFrom until effectiveTo
+// Each price change closes the current entry and opens a new one, so "was" prices can be proven
+const priceHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    // Null for the product's own price (the lowest variant price for products with variants)
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    price: {
+      type: Number,
+      required: true,
+    },
+    comparePrice: {
+      type: Number,
+      default: null,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    // Null while the price is current
+    effectiveTo: {
+      type: Date,
+      default: null,
+    },
+    // migrated: the price products had when price history was introduced
+    source: {
+      type: String,
+      enum: ['created', 'updated', 'restored', 'scheduled', 'migrated'],
+      required: true,
+    },
+    // Scheduled price change that set (or reverted) this price
+    priceChange: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceChange',
+      default: null,
+    },
+    // Null for changes made by the scheduler
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  }
+);
+
+priceHistorySchema.index({ product: 1, variant: 1, effectiveFrom: -1 });
+priceHistorySchema.index({ product: 1, effectiveTo: 1 });
+
+const PriceHistory = mongoose.model('PriceHistory', priceHistorySchema);
+
+export default PriceHistory;
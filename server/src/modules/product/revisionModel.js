@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// Snapshot of a product after each change, numbered per product (1, 2, 3, ...)
+const productRevisionSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+    },
+    // baseline: the product as it was before its first recorded change (products older than revisions)
+    action: {
+      type: String,
+      enum: ['baseline', 'created', 'updated', 'deleted', 'undeleted', 'published', 'unpublished', 'repriced', 'restored'],
+      required: true,
+    },
+    // Product fields (without _id and timestamps)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Null for changes made by the scheduler
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    actorEmail: String,
+    // Version this revision restored
+    restoredFrom: Number,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+productRevisionSchema.index({ product: 1, version: -1 }, { unique: true });
+
+const ProductRevision = mongoose.model('ProductRevision', productRevisionSchema);
+
+export default ProductRevision;
@@ -0,0 +1,197 @@
+import mongoose from 'mongoose';
+import MiniSearch from 'minisearch';
+import Product from './model.js';
+
+// In-process full-text index of active products for as-you-type search
+// Prefix and fuzzy matching find 'iphon' and 'ipone' where the MongoDB $text index finds nothing.
+// The index is built on first use and kept in sync by syncProduct(). Other server instances
+// don't see this instance's changes, so it is also rebuilt in the background once it is older
+// than SEARCH_INDEX_TTL_SECONDS (default: 300).
+
+// Matches in the name count three times as much as matches in the description
+const BOOST = { name: 3, skus: 3, tags: 2, categoryName: 1.5, description: 1 };
+
+const tokenize = MiniSearch.getDefault('tokenize');
+
+let index = null;
+let builtAt = 0;
+let building = null;
+// Ids of products synced while a build loads products - applied to the new index before it goes live
+let syncedDuringBuild = null;
+
+const createIndex = () =>
+  new MiniSearch({
+    fields: Object.keys(BOOST),
+    storeFields: ['name', 'slug', 'price', 'image', 'tags', 'categoryName', 'categorySlug'],
+    // Tags and SKUs are indexed as words, but stored as arrays
+    stringifyField: (value) => (Array.isArray(value) ? value.join(' ') : String(value ?? '')),
+    searchOptions: {
+      boost: BOOST,
+      prefix: true,
+      // Short words must match exactly, longer ones may have a typo or two
+      fuzzy: (term) => (term.length > 3 ? 0.2 : false),
+      combineWith: 'AND',
+    },
+  });
+
+// Products only appear in the storefront while active
+const isSearchable = (product) => product.status === 'active' && !product.isDeleted;
+
+// Index document for a product with its category populated
+const toDocument = (product) => {
+  const image = product.images?.[0];
+  return {
+    id: String(product._id),
+    name: product.name,
+    slug: product.slug,
+    description: product.description || '',
+    tags: product.tags || [],
+    skus: (product.variants || []).map((variant) => variant.sku),
+    price: product.price,
+    image: image ? image.thumbnails?.small || image.url : null,
+    categoryName: product.category?.name || '',
+    categorySlug: product.category?.slug || '',
+  };
+};
+
+// Put the current version of a product into an index, or take it out
+const updateDocument = async (target, id) => {
+  const product = await Product.findById(id).populate('category', 'name slug');
+
+  if (target.has(id)) {
+    target.discard(id);
+  }
+  if (product && isSearchable(product)) {
+    target.add(toDocument(product));
+  }
+};
+
+const buildIndex = async () => {
+  syncedDuringBuild = new Set();
+
+  try {
+    const products = await Product.find({ status: 'active', isDeleted: false }).populate('category', 'name slug');
+
+    const nextIndex = createIndex();
+    nextIndex.addAll(products.map(toDocument));
+
+    // Products changed while the others were loading may be missing or outdated
+    while (syncedDuringBuild.size > 0) {
+      const ids = [...syncedDuringBuild];
+      syncedDuringBuild.clear();
+
+      for (const id of ids) {
+        await updateDocument(nextIndex, id);
+      }
+    }
+
+    index = nextIndex;
+    builtAt = Date.now();
+    return index;
+  } finally {
+    syncedDuringBuild = null;
+  }
+};
+
+// Get the index, building it on first use and refreshing it in the background when stale
+const getIndex = async () => {
+  const ttl = (Number(process.env.SEARCH_INDEX_TTL_SECONDS) || 300) * 1000;
+  const stale = Date.now() - builtAt > ttl;
+
+  if (!building && (!index || stale)) {
+    building = buildIndex().finally(() => {
+      building = null;
+    });
+
+    // The current index keeps serving while a fresh one is built
+    if (index) {
+      building.catch((error) => console.error('❌ Search index rebuild failed:', error.message));
+    }
+  }
+
+  if (!index) {
+    await building;
+  }
+
+  return index;
+};
+
+// Update one product in the index after it was created, changed or deleted
+// Never throws - a failed update is fixed by the next rebuild
+export const syncProduct = async (productId) => {
+  const id = String(productId);
+  syncedDuringBuild?.add(id);
+
+  if (!index) {
+    return;
+  }
+
+  try {
+    await updateDocument(index, id);
+  } catch (error) {
+    console.error('❌ Search index update failed:', error.message);
+  }
+};
+
+// Drop the index (e.g. after a category rename) - it is rebuilt on the next search
+export const resetIndex = () => {
+  index = null;
+  builtAt = 0;
+};
+
+// Ids of matching products, best match first
+export const searchProductIds = async (query, limit = 1000) => {
+  const results = (await getIndex()).search(query);
+
+  return results.slice(0, limit).map((result) => new mongoose.Types.ObjectId(result.id));
+};
+
+// Ranked product, category and tag suggestions for a partial query
+export const suggest = async (query, limit = 5) => {
+  const results = (await getIndex()).search(query);
+  const categories = new Map();
+  const tags = new Map();
+  // Summed score of the products behind each category and tag suggestion
+  const scores = new Map();
+
+  const addScore = (entry, score) => {
+    entry.count += 1;
+    scores.set(entry, (scores.get(entry) || 0) + score);
+  };
+
+  results.forEach((result) => {
+    const fieldsByTerm = Object.entries(result.match);
+
+    // Suggest the categories and tags the query matched, ranked by the score of their products
+    if (result.categorySlug && fieldsByTerm.some(([, fields]) => fields.includes('categoryName'))) {
+      if (!categories.has(result.categorySlug)) {
+        categories.set(result.categorySlug, { name: result.categoryName, slug: result.categorySlug, count: 0 });
+      }
+      addScore(categories.get(result.categorySlug), result.score);
+    }
+
+    const tagTerms = fieldsByTerm.filter(([, fields]) => fields.includes('tags')).map(([term]) => term);
+    result.tags
+      .filter((tag) => tokenize(tag.toLowerCase()).some((token) => tagTerms.includes(token)))
+      .forEach((tag) => {
+        if (!tags.has(tag)) {
+          tags.set(tag, { value: tag, count: 0 });
+        }
+        addScore(tags.get(tag), result.score);
+      });
+  });
+
+  const ranked = (map) => [...map.values()].sort((a, b) => scores.get(b) - scores.get(a)).slice(0, limit);
+
+  return {
+    products: results.slice(0, limit).map((result) => ({
+      _id: result.id,
+      name: result.name,
+      slug: result.slug,
+      price: result.price,
+      image: result.image,
+    })),
+    categories: ranked(categories),
+    tags: ranked(tags),
+  };
+};
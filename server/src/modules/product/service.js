@@ -1,6 +1,188 @@
 import Product from './model.js';
+import ProductRevision from './revisionModel.js';
+import PriceHistory from './priceHistoryModel.js';
+import PriceChange from './priceChangeModel.js';
+import Inventory from '../inventory/model.js';
+import Order from '../order/model.js';
+import Cart from '../cart/model.js';
+import Review from '../review/model.js';
+import Category from '../category/model.js';
 import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
 import { generateUniqueSlug } from '../../utils/slug.js';
+import { diffDocuments } from '../../utils/diff.js';
+import * as auditService from '../audit/service.js';
+import * as categoryService from '../category/service.js';
+import * as searchIndex from './searchIndex.js';
+import * as priceHistory from './priceHistory.js';
+import * as uploadService from '../upload/service.js';
+
+// Invalid option/variant definitions
+const variantError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.code = 'VAL_001';
+  return error;
+};
+
+// Check variants against the product's options
+// Returns the variants with their option values in option order (e.g. Size before Color)
+export const normalizeVariants = (options = [], variants = []) => {
+  const optionNames = options.map((option) => option.name);
+
+  if (new Set(optionNames).size !== optionNames.length) {
+    throw variantError('Option names must be unique');
+  }
+
+  options.forEach((option) => {
+    if (option.values.length === 0 || new Set(option.values).size !== option.values.length) {
+      throw variantError(`Option '${option.name}' needs at least one value and no duplicates`);
+    }
+  });
+
+  if (variants.length > 0 && options.length === 0) {
+    throw variantError('Define at least one option before adding variants');
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+
+  return variants.map((variant) => {
+    const plain = typeof variant.toObject === 'function' ? variant.toObject() : variant;
+    const values = plain.options || {};
+
+    if (Object.keys(values).length !== options.length) {
+      throw variantError(`Variant ${plain.sku} must set exactly the options ${optionNames.join(', ')}`);
+    }
+
+    const ordered = {};
+    options.forEach((option) => {
+      if (!option.values.includes(values[option.name])) {
+        throw variantError(`Variant ${plain.sku} has an invalid ${option.name}`);
+      }
+      ordered[option.name] = values[option.name];
+    });
+
+    const sku = plain.sku.toUpperCase();
+    const combination = JSON.stringify(ordered);
+
+    if (skus.has(sku)) {
+      throw variantError(`SKU ${sku} is used by more than one variant`);
+    }
+    if (combinations.has(combination)) {
+      throw variantError(`More than one variant is ${Object.values(ordered).join(' / ')}`);
+    }
+
+    skus.add(sku);
+    combinations.add(combination);
+
+    return { ...plain, sku, options: ordered };
+  });
+};
+
+// Check publish/unpublish dates - a product can't be active before it is published
+const checkSchedule = ({ status, publishAt, unpublishAt }) => {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  };
+
+  if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+    fail('Unpublish date must be after the publish date');
+  }
+  if (status === 'active' && publishAt && new Date(publishAt) > new Date()) {
+    fail('A product scheduled to publish later must be draft or inactive until then');
+  }
+};
+
+// Trashed products keep their slug but don't reserve it
+const LIVE_PRODUCTS = { isDeleted: false };
+
+// ===== REVISIONS =====
+
+// Product fields a revision restores (slug is regenerated, isDeleted is left alone)
+const RESTORED_FIELDS = [
+  'name',
+  'description',
+  'price',
+  'comparePrice',
+  'images',
+  'category',
+  'tags',
+  'options',
+  'variants',
+  'status',
+  'publishAt',
+  'unpublishAt',
+];
+
+const toSnapshot = (product) => {
+  const snapshot =
+    typeof product.toObject === 'function' ? product.toObject({ depopulate: true, flattenMaps: true }) : { ...product };
+  delete snapshot._id;
+  delete snapshot.__v;
+  delete snapshot.createdAt;
+  delete snapshot.updatedAt;
+  // Ratings change with reviews, not with edits of the product
+  delete snapshot.averageRating;
+  delete snapshot.reviewCount;
+  return snapshot;
+};
+
+const addRevision = async (productId, action, snapshot, admin, extra = {}) => {
+  // Two changes at the same moment can pick the same number - the unique index makes one retry
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const last = await ProductRevision.findOne({ product: productId }).sort('-version').select('version');
+    try {
+      return await ProductRevision.create({
+        product: productId,
+        version: (last?.version || 0) + 1,
+        action,
+        snapshot,
+        actor: admin?._id || null,
+        actorEmail: admin?.email,
+        ...extra,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not number the revision');
+};
+
+// Record the product after a change
+// before: the product before the change - stored first when the product has no revisions yet
+// Never throws - like audit logs, a missing revision must not fail the change itself
+const recordRevision = async (product, action, admin, { before, restoredFrom } = {}) => {
+  try {
+    if (before && !(await ProductRevision.exists({ product: product._id }))) {
+      await addRevision(product._id, 'baseline', toSnapshot(before), null);
+    }
+    await addRevision(product._id, action, toSnapshot(product), admin, { restoredFrom });
+  } catch (error) {
+    console.error('❌ Failed to record product revision:', error.message);
+  }
+};
+
+// Attach available stock to a product (per variant for products with variants)
+const withAvailability = async (product) => {
+  const inventory = await Inventory.find({ product: product._id });
+  const available = new Map(
+    inventory.map((item) => [String(item.variant || ''), Math.max(0, item.availableQuantity)])
+  );
+
+  const data = product.toJSON();
+  data.variants = data.variants.map((variant) => ({
+    ...variant,
+    availableQuantity: available.get(String(variant._id)) || 0,
+  }));
+  data.availableQuantity = data.variants.length
+    ? data.variants.reduce((total, variant) => total + variant.availableQuantity, 0)
+    : available.get('') || 0;
+
+  return data;
+};
 
 // Get all products (public - only active)
 export const getActiveProducts = async (query) => {
@@ -11,8 +193,9 @@ export const getActiveProducts = async (query) => {
   // Build filter
   const filter = { status: 'active', isDeleted: false };
   
+  // Include products in subcategories
   if (category) {
-    filter.category = category;
+    filter.category = { $in: await categoryService.getCategoryFilterIds(category, { activeOnly: true }) };
   }
   
   if (minPrice || maxPrice) {
@@ -31,13 +214,198 @@ export const getActiveProducts = async (query) => {
       .sort(sort)
       .skip(skip)
       .limit(limitNum)
-      .select('-isDeleted'),
+      .select('-isDeleted')
+      .populate('category', 'name slug'),
     Product.countDocuments(filter),
   ]);
   
   const pagination = getPaginationInfo(total, Number(page), limitNum);
   
-  return { products, pagination };
+  return { products: await priceHistory.withLowestPrices(products.map((product) => product.toJSON())), pagination };
+};
+
+// Price ranges offered as search facets - max is exclusive, the last range has no max
+export const PRICE_RANGES = [
+  { key: '0-25', min: 0, max: 25 },
+  { key: '25-50', min: 25, max: 50 },
+  { key: '50-100', min: 50, max: 100 },
+  { key: '100-250', min: 100, max: 250 },
+  { key: '250-500', min: 250, max: 500 },
+  { key: '500+', min: 500 },
+];
+
+const SEARCH_SORTS = {
+  relevance: null,
+  newest: { createdAt: -1 },
+  'price-asc': { price: 1 },
+  'price-desc': { price: -1 },
+  name: { name: 1 },
+  rating: { averageRating: -1, reviewCount: -1 },
+};
+
+// Multi-select filters arrive as comma-separated values (category=a,b) or repeated params
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// Roll product counts up the category tree (a parent counts the products of its subcategories)
+// Returns active categories with at least one product, as a flat list with parent ids
+const countCategoryFacets = async (directCounts) => {
+  const categories = await Category.find({ isActive: true }).select('name slug parent ancestors sortOrder');
+  const counts = new Map();
+
+  const directById = new Map(directCounts.map(({ _id, count }) => [String(_id), count]));
+  categories.forEach((category) => {
+    const count = directById.get(String(category._id)) || 0;
+    [category._id, ...category.ancestors].forEach((id) => {
+      counts.set(String(id), (counts.get(String(id)) || 0) + count);
+    });
+  });
+
+  return categories
+    .filter((category) => counts.get(String(category._id)) > 0)
+    .sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name))
+    .map((category) => ({
+      _id: category._id,
+      name: category.name,
+      slug: category.slug,
+      parent: category.parent,
+      count: counts.get(String(category._id)),
+    }));
+};
+
+// Search active products with facet counts (public)
+// Each facet is counted with every filter except its own, so the counts show
+// how many results picking another value of that facet would give
+export const searchProducts = async (query) => {
+  const { q, inStock, sort, page = 1, limit = 20 } = query;
+  const categories = toList(query.category);
+  const tags = toList(query.tags);
+  const priceRanges = toList(query.price).filter((key) => PRICE_RANGES.some((range) => range.key === key));
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  // Selected categories include their subcategories
+  const categoryIds = (
+    await Promise.all(
+      categories.map((category) => categoryService.getCategoryFilterIds(category, { activeOnly: true }))
+    )
+  ).flat();
+
+  const filters = {
+    category: categories.length > 0 && { category: { $in: categoryIds } },
+    tags: tags.length > 0 && { tags: { $in: tags } },
+    price: priceRanges.length > 0 && { priceRange: { $in: priceRanges } },
+    inStock: (inStock === 'true' || inStock === true) && { inStock: true },
+  };
+
+  // Match the selected filters, optionally leaving out one facet's own filter
+  const matchFilters = (exceptFacet = null) => ({
+    $match: Object.assign(
+      {},
+      ...Object.entries(filters)
+        .filter(([facet, filter]) => filter && facet !== exceptFacet)
+        .map(([, filter]) => filter)
+    ),
+  });
+
+  const sortStage = SEARCH_SORTS[sort] || (q ? null : SEARCH_SORTS.newest);
+
+  // Typo-tolerant text search - matching ids come from the search index, best match first
+  const matchingIds = q ? await searchIndex.searchProductIds(q) : null;
+
+  const [result] = await Product.aggregate([
+    {
+      $match: {
+        status: 'active',
+        isDeleted: false,
+        ...(matchingIds && { _id: { $in: matchingIds } }),
+      },
+    },
+    // Available stock over all inventory records (all variants)
+    {
+      $lookup: {
+        from: Inventory.collection.name,
+        localField: '_id',
+        foreignField: 'product',
+        as: 'stock',
+        pipeline: [{ $project: { available: { $subtract: ['$quantity', '$reservedQuantity'] } } }],
+      },
+    },
+    {
+      $addFields: {
+        inStock: { $gt: [{ $sum: '$stock.available' }, 0] },
+        priceRange: {
+          $switch: {
+            branches: PRICE_RANGES.filter((range) => range.max !== undefined).map((range) => ({
+              case: { $lt: ['$price', range.max] },
+              then: range.key,
+            })),
+            default: PRICE_RANGES[PRICE_RANGES.length - 1].key,
+          },
+        },
+        ...(matchingIds && { rank: { $indexOfArray: [matchingIds, '$_id'] } }),
+      },
+    },
+    {
+      $facet: {
+        products: [
+          matchFilters(),
+          { $sort: sortStage || { rank: 1 } },
+          { $skip: skip },
+          { $limit: limitNum },
+          {
+            $lookup: {
+              from: Category.collection.name,
+              localField: 'category',
+              foreignField: '_id',
+              as: 'category',
+              pipeline: [{ $project: { name: 1, slug: 1 } }],
+            },
+          },
+          { $unwind: { path: '$category', preserveNullAndEmptyArrays: true } },
+          { $project: { stock: 0, rank: 0, priceRange: 0, isDeleted: 0 } },
+        ],
+        total: [matchFilters(), { $count: 'count' }],
+        categories: [matchFilters('category'), { $group: { _id: '$category', count: { $sum: 1 } } }],
+        tags: [
+          matchFilters('tags'),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: 30 },
+        ],
+        priceRanges: [matchFilters('price'), { $group: { _id: '$priceRange', count: { $sum: 1 } } }],
+        inStock: [matchFilters('inStock'), { $match: { inStock: true } }, { $count: 'count' }],
+      },
+    },
+  ]);
+
+  const total = result.total[0]?.count || 0;
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  const priceCounts = new Map(result.priceRanges.map(({ _id, count }) => [_id, count]));
+
+  const facets = {
+    categories: await countCategoryFacets(result.categories),
+    tags: result.tags.map(({ _id, count }) => ({ value: _id, count })),
+    priceRanges: PRICE_RANGES.map((range) => ({ ...range, count: priceCounts.get(range.key) || 0 })),
+    inStock: result.inStock[0]?.count || 0,
+  };
+
+  return { products: await priceHistory.withLowestPrices(result.products), facets, pagination };
+};
+
+// Suggestions while typing a search (public)
+export const suggestProducts = async (query) => {
+  const q = String(query.q || '').trim();
+
+  if (!q) {
+    return { products: [], categories: [], tags: [] };
+  }
+
+  return await searchIndex.suggest(q, Math.min(Number(query.limit) || 5, 10));
 };
 
 // Get single product (public)
@@ -46,7 +414,7 @@ export const getProductById = async (productId) => {
     _id: productId,
     status: 'active',
     isDeleted: false,
-  });
+  }).populate('category', 'name slug');
   
   if (!product) {
     const error = new Error('Product not found');
@@ -55,7 +423,8 @@ export const getProductById = async (productId) => {
     throw error;
   }
   
-  return product;
+  const [data] = await priceHistory.withLowestPrices([await withAvailability(product)]);
+  return data;
 };
 
 // ===== ADMIN FUNCTIONS =====
@@ -69,8 +438,9 @@ export const getAllProducts = async (query) => {
   // Build filter  
   const filter = { isDeleted: false };
   
+  // Include products in subcategories
   if (category) {
-    filter.category = category;
+    filter.category = { $in: await categoryService.getCategoryFilterIds(category) };
   }
   
   if (status) {
@@ -85,7 +455,8 @@ export const getAllProducts = async (query) => {
     Product.find(filter)
       .sort('-createdAt')
       .skip(skip)
-      .limit(limitNum),
+      .limit(limitNum)
+      .populate('category', 'name slug'),
     Product.countDocuments(filter),
   ]);
   
@@ -99,7 +470,7 @@ export const getProductByIdAdmin = async (productId) => {
   const product = await Product.findOne({
     _id: productId,
     isDeleted: false,
-  });
+  }).populate('category', 'name slug');
   
   if (!product) {
     const error = new Error('Product not found');
@@ -112,29 +483,83 @@ export const getProductByIdAdmin = async (productId) => {
 };
 
 // Create product
-export const createProduct = async (productData) => {
+export const createProduct = async (productData, admin, context) => {
+  await categoryService.ensureCategoryExists(productData.category);
+  checkSchedule(productData);
+  
+  // Products with variants show their lowest variant price
+  productData.variants = normalizeVariants(productData.options, productData.variants);
+  if (productData.variants.length > 0) {
+    productData.price = Math.min(...productData.variants.map((variant) => variant.price));
+  }
+  
   // Generate unique slug if not provided
   if (!productData.slug) {
     const baseSlug = productData.name
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
       .replace(/(^-|-$)/g, '');
-    productData.slug = await generateUniqueSlug(Product, baseSlug);
+    productData.slug = await generateUniqueSlug(Product, baseSlug, null, LIVE_PRODUCTS);
   }
   
   const product = await Product.create(productData);
+
+  // Keep storefront search up to date
+  await searchIndex.syncProduct(product._id);
+  await recordRevision(product, 'created', admin);
+  await priceHistory.recordPriceChanges(null, product, { source: 'created', actor: admin });
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'product.created',
+    entityType: 'Product',
+    entityId: product._id,
+    context,
+    metadata: { name: product.name, slug: product.slug },
+  });
+
   return product;
 };
 
 // Update product
-export const updateProduct = async (productId, updateData) => {
+export const updateProduct = async (productId, updateData, admin, context) => {
+  const existing = await Product.findOne({ _id: productId, isDeleted: false });
+  
+  if (!existing) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+  
+  if (updateData.category) {
+    await categoryService.ensureCategoryExists(updateData.category);
+  }
+
+  checkSchedule({
+    status: updateData.status ?? existing.status,
+    publishAt: updateData.publishAt !== undefined ? updateData.publishAt : existing.publishAt,
+    unpublishAt: updateData.unpublishAt !== undefined ? updateData.unpublishAt : existing.unpublishAt,
+  });
+  
+  // Existing variants keep their _id, so inventory and cart items still point at them
+  if (updateData.options || updateData.variants) {
+    updateData.variants = normalizeVariants(
+      updateData.options || existing.options,
+      updateData.variants || existing.variants
+    );
+    if (updateData.variants.length > 0) {
+      updateData.price = Math.min(...updateData.variants.map((variant) => variant.price));
+    }
+  }
+  
   // If name is changed, regenerate slug
   if (updateData.name) {
     const baseSlug = updateData.name
       .toLowerCase()
       .replace(/[^a-z0-9]+/g, '-')
       .replace(/(^-|-$)/g, '');
-    updateData.slug = await generateUniqueSlug(Product, baseSlug, productId);
+    updateData.slug = await generateUniqueSlug(Product, baseSlug, productId, LIVE_PRODUCTS);
   }
   
   const product = await Product.findOneAndUpdate(
@@ -150,14 +575,27 @@ export const updateProduct = async (productId, updateData) => {
     throw error;
   }
   
+  await searchIndex.syncProduct(product._id);
+  await recordRevision(product, 'updated', admin, { before: existing });
+  await priceHistory.recordPriceChanges(existing, product, { source: 'updated', actor: admin });
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'product.updated',
+    entityType: 'Product',
+    entityId: product._id,
+    context,
+    changes: diffDocuments(existing, product),
+  });
+  
   return product;
 };
 
 // Delete product (soft delete)
-export const deleteProduct = async (productId) => {
+export const deleteProduct = async (productId, admin, context) => {
   const product = await Product.findOneAndUpdate(
     { _id: productId, isDeleted: false },
-    { isDeleted: true },
+    { isDeleted: true, deletedAt: new Date() },
     { new: true }
   );
   
@@ -168,5 +606,663 @@ export const deleteProduct = async (productId) => {
     throw error;
   }
   
+  await searchIndex.syncProduct(product._id);
+  await recordRevision(product, 'deleted', admin);
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'product.deleted',
+    entityType: 'Product',
+    entityId: product._id,
+    context,
+    metadata: { name: product.name, slug: product.slug },
+  });
+  
+  return product;
+};
+
+// Apply due publishAt / unpublishAt dates (registered with the scheduler in app.js)
+// Each product is claimed with a conditional update that also clears its date, so a change is
+// applied exactly once when several instances run this at the same time, and dates that passed
+// while the server was down are applied on the next run.
+export const applyScheduledStatus = async (now = new Date()) => {
+  const transitions = [
+    { field: 'publishAt', status: 'active', action: 'product.published', revision: 'published' },
+    { field: 'unpublishAt', status: 'inactive', action: 'product.unpublished', revision: 'unpublished' },
+  ];
+
+  for (const { field, status, action, revision } of transitions) {
+    let before;
+
+    while (
+      (before = await Product.findOneAndUpdate(
+        { isDeleted: false, [field]: { $lte: now } },
+        { status, [field]: null }
+      ))
+    ) {
+      const after = { ...toSnapshot(before), status, [field]: null };
+
+      await searchIndex.syncProduct(before._id);
+      await recordRevision({ _id: before._id, ...after }, revision, null, { before });
+
+      await auditService.logEvent({
+        action,
+        entityType: 'Product',
+        entityId: before._id,
+        changes: diffDocuments(toSnapshot(before), after),
+        metadata: { name: before.name, slug: before.slug, scheduledAt: before[field] },
+      });
+    }
+  }
+};
+
+// Get a product's revisions, newest first, each with the fields it changed
+// Works for deleted products too, so their history stays visible
+export const getProductRevisions = async (productId, query) => {
+  const { page = 1, limit = 20 } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  // One extra revision to diff the oldest one on the page against
+  const [revisions, total] = await Promise.all([
+    ProductRevision.find({ product: productId })
+      .sort('-version')
+      .skip(skip)
+      .limit(limitNum + 1)
+      .populate('actor', 'name email'),
+    ProductRevision.countDocuments({ product: productId }),
+  ]);
+
+  const withChanges = revisions.slice(0, limitNum).map((revision, index) => {
+    const previous = revisions[index + 1];
+    return {
+      ...revision.toObject(),
+      changes: previous ? diffDocuments(previous.snapshot, revision.snapshot) : null,
+    };
+  });
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { revisions: withChanges, pagination };
+};
+
+// Put a product back the way it was in one of its revisions
+// The slug is regenerated from the revision's slug, as another product may have taken it since
+export const restoreProductRevision = async (productId, revisionId, admin, context) => {
+  const [existing, revision] = await Promise.all([
+    Product.findOne({ _id: productId, isDeleted: false }),
+    ProductRevision.findOne({ _id: revisionId, product: productId }),
+  ]);
+
+  if (!existing || !revision) {
+    const error = new Error(existing ? 'Revision not found' : 'Product not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  const { snapshot } = revision;
+  const $set = {};
+  const $unset = {};
+
+  RESTORED_FIELDS.forEach((field) => {
+    if (snapshot[field] === undefined) {
+      $unset[field] = 1;
+    } else {
+      $set[field] = snapshot[field];
+    }
+  });
+
+  // Schedule dates that have passed were applied already
+  ['publishAt', 'unpublishAt'].forEach((field) => {
+    if ($set[field] && new Date($set[field]) <= new Date()) {
+      $set[field] = null;
+    }
+  });
+
+  await categoryService.ensureCategoryExists($set.category);
+  checkSchedule($set);
+  $set.variants = normalizeVariants($set.options, $set.variants);
+  $set.slug = await generateUniqueSlug(Product, snapshot.slug, productId, LIVE_PRODUCTS);
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, isDeleted: false },
+    { $set, ...(Object.keys($unset).length > 0 && { $unset }) },
+    { new: true, runValidators: true }
+  );
+
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  await searchIndex.syncProduct(product._id);
+  await recordRevision(product, 'restored', admin, { before: existing, restoredFrom: revision.version });
+  await priceHistory.recordPriceChanges(existing, product, { source: 'restored', actor: admin });
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'product.revision_restored',
+    entityType: 'Product',
+    entityId: product._id,
+    context,
+    changes: diffDocuments(existing, product),
+    metadata: { version: revision.version },
+  });
+
+  return product;
+};
+
+// ===== PRICES =====
+
+const priceChangeNotFound = () => {
+  const error = new Error('Price change not found');
+  error.statusCode = 404;
+  error.code = 'RES_001';
+  return error;
+};
+
+// Get a product's price history, newest first, with the lowest price of the last 30 days
+// days: how far back to go (default: 90, at most 365). The storefront only sees active products.
+export const getPriceHistory = async (productId, query, { admin = false } = {}) => {
+  const product = await Product.findOne({
+    _id: productId,
+    isDeleted: false,
+    ...(!admin && { status: 'active' }),
+  }).select('variants');
+
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  const days = Math.min(Math.max(Number(query.days) || 90, 1), 365);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  let entries = PriceHistory.find({
+    product: product._id,
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: since } }],
+  }).sort({ effectiveFrom: -1, _id: -1 });
+
+  entries = admin
+    ? entries.select('-product').populate('actor', 'name email')
+    : entries.select('variant price comparePrice effectiveFrom effectiveTo');
+
+  const [history, lowest] = await Promise.all([entries, priceHistory.getLowestPrices([product._id])]);
+
+  // Removed variants have no name any more
+  const variantNames = new Map(product.variants.map((variant) => [String(variant._id), variant.name]));
+
+  return {
+    history: history.map((entry) => ({
+      ...entry.toObject(),
+      variantName: entry.variant ? variantNames.get(String(entry.variant)) ?? null : null,
+    })),
+    lowestPrice30Days: lowest.get(String(product._id)) ?? null,
+  };
+};
+
+// Get a product's scheduled price changes, latest start first
+export const getPriceChanges = async (productId, query) => {
+  const { page = 1, limit = 20 } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const [priceChanges, total] = await Promise.all([
+    PriceChange.find({ product: productId })
+      .sort('-startsAt')
+      .skip(skip)
+      .limit(limitNum)
+      .populate('createdBy', 'name email'),
+    PriceChange.countDocuments({ product: productId }),
+  ]);
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { priceChanges, pagination };
+};
+
+// Schedule a price change for a product, or one of its variants for products with variants
+// Changes of the same price can't overlap - a change without an end date is a single moment
+export const schedulePriceChange = async (productId, data, admin, context) => {
+  const product = await Product.findOne({ _id: productId, isDeleted: false });
+
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  const variant = data.variant || null;
+  const { startsAt, endsAt = null } = data;
+
+  const invalid = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.code = 'VAL_001';
+    return error;
+  };
+
+  if (product.variants.length > 0 && !variant) {
+    throw invalid('Choose a variant - products with variants are priced per variant');
+  }
+  if (variant && !product.variants.id(variant)) {
+    throw invalid('Variant not found');
+  }
+  if (endsAt && endsAt <= new Date()) {
+    throw invalid('The end date has passed');
+  }
+
+  const overlapping = await PriceChange.findOne({
+    product: product._id,
+    variant,
+    status: { $in: ['scheduled', 'active'] },
+    startsAt: { $lt: endsAt || new Date(startsAt.getTime() + 1) },
+    $or: [{ endsAt: { $gt: startsAt } }, { endsAt: null, startsAt: { $gte: startsAt } }],
+  });
+
+  if (overlapping) {
+    throw invalid(
+      `Overlaps the price change of ${overlapping.startsAt.toISOString()} - cancel it first`,
+      409
+    );
+  }
+
+  const priceChange = await PriceChange.create({
+    product: product._id,
+    variant,
+    price: data.price,
+    comparePrice: data.comparePrice ?? null,
+    startsAt,
+    endsAt,
+    createdBy: admin._id,
+  });
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'product.price_change_scheduled',
+    entityType: 'Product',
+    entityId: product._id,
+    context,
+    metadata: {
+      priceChange: priceChange._id,
+      variant,
+      price: priceChange.price,
+      comparePrice: priceChange.comparePrice,
+      startsAt,
+      endsAt,
+    },
+  });
+
+  return priceChange;
+};
+
+// Set the price of a scheduled change's product or variant
+// onlyIf(target) can leave the price alone. Returns the product before (as a snapshot) and after
+// with the price that was replaced, or null when nothing was changed.
+const setScheduledPrice = async (change, { price, comparePrice }, onlyIf = () => true) => {
+  const product = await Product.findOne({ _id: change.product, isDeleted: false });
+  const target = product && (change.variant ? product.variants.id(change.variant) : product);
+
+  if (!target || !onlyIf(target)) {
+    return null;
+  }
+
+  const before = toSnapshot(product);
+  const previous = { price: target.price, comparePrice: target.comparePrice ?? null };
+
+  target.price = price;
+  target.comparePrice = comparePrice ?? undefined;
+  if (product.variants.length > 0) {
+    product.price = Math.min(...product.variants.map((variant) => variant.price));
+  }
+  await product.save();
+
+  return { before, product, previous };
+};
+
+const recordScheduledPrice = async (change, { before, product }, action, admin = null, context = {}) => {
+  await searchIndex.syncProduct(product._id);
+  await recordRevision(product, 'repriced', admin, { before });
+  await priceHistory.recordPriceChanges(before, product, {
+    source: 'scheduled',
+    actor: admin,
+    priceChange: change._id,
+  });
+
+  await auditService.logEvent({
+    actor: admin,
+    action,
+    entityType: 'Product',
+    entityId: product._id,
+    context,
+    changes: diffDocuments(before, toSnapshot(product)),
+    metadata: { priceChange: change._id, variant: change.variant },
+  });
+};
+
+// Apply a claimed change (status 'active') - changes without an end date are completed right away
+const startPriceChange = async (change, now) => {
+  const fail = (failureReason) => PriceChange.updateOne({ _id: change._id }, { status: 'failed', failureReason });
+
+  if (change.endsAt && change.endsAt <= now) {
+    return await fail('It ended before it could be applied');
+  }
+
+  let result;
+  try {
+    result = await setScheduledPrice(change, change);
+  } catch (error) {
+    return await fail(error.message);
+  }
+
+  if (!result) {
+    return await fail('The product or variant no longer exists');
+  }
+
+  await PriceChange.updateOne(
+    { _id: change._id },
+    {
+      previousPrice: result.previous.price,
+      previousComparePrice: result.previous.comparePrice,
+      ...(!change.endsAt && { status: 'completed' }),
+    }
+  );
+  await recordScheduledPrice(change, result, 'product.price_change_applied');
+};
+
+// Put back the price from before a claimed change (status 'completed')
+// A price edited while the change was active is left alone
+const endPriceChange = async (change, admin = null, context = {}) => {
+  let result = null;
+  try {
+    result = await setScheduledPrice(
+      change,
+      { price: change.previousPrice, comparePrice: change.previousComparePrice },
+      (target) => target.price === change.price && (target.comparePrice ?? null) === change.comparePrice
+    );
+  } catch (error) {
+    console.error('❌ Failed to end price change:', error.message);
+  }
+
+  await PriceChange.updateOne({ _id: change._id }, { reverted: !!result });
+
+  if (result) {
+    await recordScheduledPrice(change, result, 'product.price_change_ended', admin, context);
+  } else {
+    await auditService.logEvent({
+      actor: admin,
+      action: 'product.price_change_ended',
+      entityType: 'Product',
+      entityId: change.product,
+      context,
+      metadata: { priceChange: change._id, variant: change.variant, reverted: false },
+    });
+  }
+};
+
+// Cancel a scheduled price change, or end an active one now
+export const cancelPriceChange = async (productId, priceChangeId, admin, context) => {
+  const filter = { _id: priceChangeId, product: productId };
+
+  const cancelled = await PriceChange.findOneAndUpdate(
+    { ...filter, status: 'scheduled' },
+    { status: 'cancelled', endedAt: new Date() },
+    { new: true }
+  );
+
+  if (cancelled) {
+    await auditService.logEvent({
+      actor: admin,
+      action: 'product.price_change_cancelled',
+      entityType: 'Product',
+      entityId: cancelled.product,
+      context,
+      metadata: { priceChange: cancelled._id, variant: cancelled.variant, startsAt: cancelled.startsAt },
+    });
+    return cancelled;
+  }
+
+  const ended = await PriceChange.findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { status: 'completed', endedAt: new Date() },
+    { new: true }
+  );
+
+  if (ended) {
+    await endPriceChange(ended, admin, context);
+    return await PriceChange.findById(ended._id);
+  }
+
+  if (!(await PriceChange.exists(filter))) {
+    throw priceChangeNotFound();
+  }
+
+  const error = new Error('This price change has already ended');
+  error.statusCode = 409;
+  error.code = 'VAL_001';
+  throw error;
+};
+
+// Apply due price changes and end them at their end date (registered with the scheduler in app.js)
+// Changes are claimed with a conditional update like scheduled publish dates, so each one is applied
+// once with several instances. Ends come first, so a promotion that starts when another one ends
+// starts from the regular price.
+export const applyScheduledPrices = async (now = new Date()) => {
+  let change;
+
+  while (
+    (change = await PriceChange.findOneAndUpdate(
+      { status: 'active', endsAt: { $lte: now } },
+      { status: 'completed', endedAt: now },
+      { new: true }
+    ))
+  ) {
+    await endPriceChange(change);
+  }
+
+  while (
+    (change = await PriceChange.findOneAndUpdate(
+      { status: 'scheduled', startsAt: { $lte: now } },
+      { status: 'active', appliedAt: now },
+      { new: true }
+    ))
+  ) {
+    await startPriceChange(change, now);
+  }
+};
+
+// ===== TRASH =====
+
+// Orders in these statuses still need their products
+const OPEN_ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped'];
+
+const trashNotFound = () => {
+  const error = new Error('Product not found in trash');
+  error.statusCode = 404;
+  error.code = 'RES_001';
+  return error;
+};
+
+// Get deleted products, most recently deleted first
+export const getTrashedProducts = async (query) => {
+  const { page = 1, limit = 20, search } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const filter = { isDeleted: true };
+
+  if (search) {
+    filter.$text = { $search: search };
+  }
+
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .sort('-deletedAt')
+      .skip(skip)
+      .limit(limitNum)
+      .populate('category', 'name slug'),
+    Product.countDocuments(filter),
+  ]);
+
+  // When each product will be purged automatically
+  const retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+  const withPurgeDate = products.map((product) => ({
+    ...product.toObject(),
+    purgeAt: product.deletedAt ? new Date(product.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000) : null,
+  }));
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { products: withPurgeDate, pagination };
+};
+
+// Take a product out of the trash
+// It gets a new slug if another product took its slug in the meantime
+export const restoreProduct = async (productId, admin, context) => {
+  const existing = await Product.findOne({ _id: productId, isDeleted: true });
+
+  if (!existing) {
+    throw trashNotFound();
+  }
+
+  await categoryService.ensureCategoryExists(existing.category);
+  const slug = await generateUniqueSlug(Product, existing.slug, productId, LIVE_PRODUCTS);
+
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, isDeleted: true },
+    { isDeleted: false, deletedAt: null, slug },
+    { new: true }
+  );
+
+  if (!product) {
+    throw trashNotFound();
+  }
+
+  await searchIndex.syncProduct(product._id);
+  await recordRevision(product, 'undeleted', admin);
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'product.restored',
+    entityType: 'Product',
+    entityId: product._id,
+    context,
+    changes: diffDocuments(existing, product),
+    metadata: { name: product.name, slug: product.slug },
+  });
+
   return product;
 };
+
+// Permanently delete a trashed product with its stock records, revisions, prices, reviews and uploaded images
+// Returns null when the product is still needed by open orders or carts (or is already gone)
+const purge = async (product, admin, context) => {
+  const [openOrders, carts] = await Promise.all([
+    Order.countDocuments({ 'items.product': product._id, status: { $in: OPEN_ORDER_STATUSES } }),
+    Cart.countDocuments({ 'items.product': product._id }),
+  ]);
+
+  if (openOrders > 0 || carts > 0) {
+    return { blocked: { openOrders, carts } };
+  }
+
+  // Only one caller wins when an admin and the scheduler purge at the same time
+  const deleted = await Product.findOneAndDelete({ _id: product._id, isDeleted: true });
+
+  if (!deleted) {
+    return null;
+  }
+
+  await Promise.all([
+    Inventory.deleteMany({ product: deleted._id }),
+    ProductRevision.deleteMany({ product: deleted._id }),
+    PriceHistory.deleteMany({ product: deleted._id }),
+    PriceChange.deleteMany({ product: deleted._id }),
+    Review.deleteMany({ product: deleted._id }),
+  ]);
+
+  // Images can be shared with other products (e.g. after an import) - keep those
+  for (const image of deleted.images) {
+    if (image.key && !(await Product.exists({ 'images.key': image.key }))) {
+      await uploadService
+        .removeImage(image)
+        .catch((error) => console.error('❌ Failed to remove product image:', error.message));
+    }
+  }
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'product.purged',
+    entityType: 'Product',
+    entityId: deleted._id,
+    context,
+    metadata: { name: deleted.name, slug: deleted.slug, deletedAt: deleted.deletedAt },
+  });
+
+  return { product: deleted };
+};
+
+// Permanently delete a product from the trash
+export const purgeProduct = async (productId, admin, context) => {
+  const product = await Product.findOne({ _id: productId, isDeleted: true });
+
+  if (!product) {
+    throw trashNotFound();
+  }
+
+  const result = await purge(product, admin, context);
+
+  if (!result) {
+    throw trashNotFound();
+  }
+
+  if (result.blocked) {
+    const { openOrders, carts } = result.blocked;
+    const reasons = [openOrders && `${openOrders} open order(s)`, carts && `${carts} cart(s)`].filter(Boolean);
+    const error = new Error(`This product can't be purged while ${reasons.join(' and ')} contain it`);
+    error.statusCode = 409;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  return result.product;
+};
+
+// Purge products that have been in the trash for longer than TRASH_RETENTION_DAYS (default: 30)
+// (registered with the scheduler in app.js - products still in open orders or carts wait for the next run)
+// Returns { purged, blocked } counts
+export const purgeExpiredProducts = async (now = new Date()) => {
+  const retentionDays = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+  const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+
+  let purged = 0;
+  let blocked = 0;
+
+  // Oldest first, through every expired product - blocked ones must not hold up the rest
+  const expired = Product.find({ isDeleted: true, deletedAt: { $lte: cutoff } })
+    .sort({ deletedAt: 1, _id: 1 })
+    .cursor();
+
+  for await (const product of expired) {
+    const result = await purge(product, null, {});
+
+    if (result?.blocked) {
+      blocked += 1;
+    } else if (result) {
+      purged += 1;
+    }
+  }
+
+  if (blocked > 0) {
+    console.warn(`⚠️ ${blocked} expired product(s) kept in the trash - still in open orders or carts`);
+  }
+
+  return { purged, blocked };
+};
+
@@ -1,15 +1,63 @@
 import Joi from 'joi';
 
+// Images are { url, alt, ... } as returned by the upload endpoint - a plain URL is accepted as { url }
+// Key of a file stored by the upload endpoint - the file is removed with the image, so only upload keys are accepted
+const imageKeyRule = Joi.string()
+  .pattern(/^products\/[0-9a-f-]+\.(jpg|jpeg|png|webp|gif|avif)$/)
+  .messages({ 'string.pattern.base': 'Image key must be one returned by the upload endpoint' });
+
+const imageRule = Joi.alternatives().try(
+  Joi.object({
+    url: Joi.string().trim().required(),
+    alt: Joi.string().trim().allow('').max(250).optional(),
+    key: imageKeyRule.optional(),
+    thumbnails: Joi.object({
+      small: Joi.string().optional(),
+      medium: Joi.string().optional(),
+    }).optional(),
+    width: Joi.number().integer().min(1).optional(),
+    height: Joi.number().integer().min(1).optional(),
+  }),
+  Joi.string().trim().custom((url) => ({ url, alt: '' }))
+);
+
+const optionsRule = Joi.array().items(
+  Joi.object({
+    name: Joi.string().trim().required(),
+    values: Joi.array().items(Joi.string().trim()).min(1).required(),
+  })
+);
+
+// Variants sent back with their _id are updated in place (inventory and carts reference it)
+const variantsRule = Joi.array().items(
+  Joi.object({
+    _id: Joi.string().hex().length(24).optional(),
+    sku: Joi.string().trim().required(),
+    options: Joi.object().pattern(Joi.string(), Joi.string()).required(),
+    price: Joi.number().min(0).required(),
+    comparePrice: Joi.number().min(0).optional(),
+    // URLs of the product images that show this variant
+    images: Joi.array().items(Joi.string()).optional(),
+  })
+);
+
 // Create product validation
+// Price is taken from the variants when there are any
 export const createProductSchema = Joi.object({
   name: Joi.string().required(),
   description: Joi.string().optional(),
-  price: Joi.number().min(0).required(),
+  price: Joi.number()
+    .min(0)
+    .when('variants', { is: Joi.array().min(1).required(), then: Joi.optional(), otherwise: Joi.required() }),
   comparePrice: Joi.number().min(0).optional(),
-  images: Joi.array().items(Joi.string()).optional(),
-  category: Joi.string().required(),
+  images: Joi.array().items(imageRule).optional(),
+  category: Joi.string().hex().length(24).required(),
   tags: Joi.array().items(Joi.string()).optional(),
   status: Joi.string().valid('active', 'inactive', 'draft').optional(),
+  options: optionsRule.optional(),
+  variants: variantsRule.optional(),
+  publishAt: Joi.date().allow(null).optional(),
+  unpublishAt: Joi.date().allow(null).optional(),
 });
 
 // Update product validation
@@ -18,8 +66,22 @@ export const updateProductSchema = Joi.object({
   description: Joi.string().optional(),
   price: Joi.number().min(0).optional(),
   comparePrice: Joi.number().min(0).optional(),
-  images: Joi.array().items(Joi.string()).optional(),
-  category: Joi.string().optional(),
+  images: Joi.array().items(imageRule).optional(),
+  category: Joi.string().hex().length(24).optional(),
   tags: Joi.array().items(Joi.string()).optional(),
   status: Joi.string().valid('active', 'inactive', 'draft').optional(),
+  options: optionsRule.optional(),
+  variants: variantsRule.optional(),
+  publishAt: Joi.date().allow(null).optional(),
+  unpublishAt: Joi.date().allow(null).optional(),
+});
+
+// Schedule price change validation
+// Without an end date the change is permanent, with one the previous price is put back at the end
+export const schedulePriceChangeSchema = Joi.object({
+  variant: Joi.string().hex().length(24).allow(null).optional(),
+  price: Joi.number().min(0).required(),
+  comparePrice: Joi.number().min(0).allow(null).optional(),
+  startsAt: Joi.date().required(),
+  endsAt: Joi.date().greater(Joi.ref('startsAt')).allow(null).optional(),
 });
@@ -0,0 +1,71 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse, paginatedResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
+import * as reviewService from './service.js';
+
+// ===== STOREFRONT CONTROLLERS =====
+
+// @desc    Get approved reviews of a product with its rating summary
+// @route   GET /api/reviews/product/:productId
+// @access  Public
+export const getProductReviews = asyncHandler(async (req, res) => {
+  const { reviews, summary, pagination } = await reviewService.getProductReviews(req.params.productId, req.query);
+  
+  successResponse(res, { reviews, summary, pagination }, 'Reviews retrieved successfully');
+});
+
+// @desc    Get own review of a product
+// @route   GET /api/reviews/product/:productId/mine
+// @access  User
+export const getMyReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.getMyReview(req.user._id, req.params.productId);
+  
+  successResponse(res, { review }, 'Review retrieved successfully');
+});
+
+// @desc    Write a review
+// @route   POST /api/reviews
+// @access  User
+export const createReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.createReview(req.user._id, req.body);
+  
+  successResponse(res, { review }, 'Review submitted for moderation', 201);
+});
+
+// @desc    Edit own review
+// @route   PUT /api/reviews/:id
+// @access  User
+export const updateReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.updateReview(req.user._id, req.params.id, req.body);
+  
+  successResponse(res, { review }, 'Review updated and submitted for moderation');
+});
+
+// @desc    Delete own review
+// @route   DELETE /api/reviews/:id
+// @access  User
+export const deleteReview = asyncHandler(async (req, res) => {
+  await reviewService.deleteReview(req.user._id, req.params.id);
+  
+  successResponse(res, null, 'Review deleted successfully');
+});
+
+// ===== ADMIN CONTROLLERS =====
+
+// @desc    Get reviews for moderation
+// @route   GET /api/admin/reviews
+// @access  Admin
+export const getAllReviews = asyncHandler(async (req, res) => {
+  const { reviews, pagination } = await reviewService.getAllReviews(req.query);
+  
+  paginatedResponse(res, reviews, pagination, 'Reviews retrieved successfully');
+});
+
+// @desc    Approve, reject or flag a review
+// @route   PUT /api/admin/reviews/:id/moderate
+// @access  Admin
+export const moderateReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.moderateReview(req.params.id, req.body, req.user, getClientInfo(req));
+  
+  successResponse(res, { review }, 'Review moderated successfully');
+});
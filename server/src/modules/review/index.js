@@ -0,0 +1,24 @@
+import express from 'express';
+import * as reviewController from './controller.js';
+import { validate } from '../../middlewares/validate.js';
+import { createReviewSchema, updateReviewSchema, moderateReviewSchema } from './validation.js';
+import { authenticate, authenticateWithApiKey, requirePermission, requireAccountOwner } from '../../middlewares/auth.js';
+
+// Storefront routes - mounted at /api/reviews
+export const publicRouter = express.Router();
+
+publicRouter.get('/product/:productId', reviewController.getProductReviews);
+publicRouter.get('/product/:productId/mine', authenticate, reviewController.getMyReview);
+publicRouter.post('/', authenticate, requireAccountOwner, validate(createReviewSchema), reviewController.createReview);
+publicRouter.put('/:id', authenticate, requireAccountOwner, validate(updateReviewSchema), reviewController.updateReview);
+publicRouter.delete('/:id', authenticate, requireAccountOwner, reviewController.deleteReview);
+
+// Admin routes - mounted at /api/admin/reviews
+const router = express.Router();
+
+router.use(authenticateWithApiKey);
+
+router.get('/', requirePermission('reviews:read'), reviewController.getAllReviews);
+router.put('/:id/moderate', requirePermission('reviews:moderate'), validate(moderateReviewSchema), reviewController.moderateReview);
+
+export default router;
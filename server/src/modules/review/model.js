@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+// A customer's rating and review of a product - one per customer and product
+// Only approved reviews are shown in the storefront and counted in the product's rating
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: [true, 'Product is required'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Rating is required'],
+      min: [1, 'Rating must be between 1 and 5'],
+      max: [5, 'Rating must be between 1 and 5'],
+    },
+    title: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    comment: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    // The customer has a delivered order with the product
+    verifiedPurchase: {
+      type: Boolean,
+      default: false,
+    },
+    // New and edited reviews wait for moderation; flagged reviews are hidden until looked at again
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'flagged'],
+      default: 'pending',
+    },
+    moderationNote: String,
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+const Review = mongoose.model('Review', reviewSchema);
+
+export default Review;
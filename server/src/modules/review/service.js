@@ -0,0 +1,258 @@
+import mongoose from 'mongoose';
+import Review from './model.js';
+import Product from '../product/model.js';
+import Order from '../order/model.js';
+import * as auditService from '../audit/service.js';
+import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
+
+const REVIEW_SORTS = {
+  newest: { createdAt: -1 },
+  highest: { rating: -1, createdAt: -1 },
+  lowest: { rating: 1, createdAt: -1 },
+};
+
+const reviewNotFound = () => {
+  const error = new Error('Review not found');
+  error.statusCode = 404;
+  error.code = 'RES_001';
+  return error;
+};
+
+// Reviews can only be written for products shown in the storefront
+const findActiveProductOrFail = async (productId) => {
+  const product = await Product.findOne({ _id: productId, status: 'active', isDeleted: false }).select('_id');
+
+  if (!product) {
+    const error = new Error('Product not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  return product;
+};
+
+const hasDeliveredOrder = async (userId, productId) =>
+  !!(await Order.exists({ user: userId, status: 'delivered', 'items.product': productId }));
+
+// Recalculate a product's average rating and review count from its approved reviews
+export const updateProductRating = async (productId) => {
+  const [stats] = await Review.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+  ]);
+
+  await Product.updateOne(
+    { _id: productId },
+    {
+      averageRating: stats ? Math.round(stats.average * 10) / 10 : 0,
+      reviewCount: stats?.count || 0,
+    }
+  );
+};
+
+// Mark the customer's reviews of the products in a delivered order as verified purchases
+export const markVerifiedPurchases = async (order) => {
+  await Review.updateMany(
+    {
+      user: order.user,
+      product: { $in: order.items.map((item) => item.product).filter(Boolean) },
+      verifiedPurchase: false,
+    },
+    { verifiedPurchase: true }
+  );
+};
+
+// ===== STOREFRONT =====
+
+// Get approved reviews of a product with its rating summary (public)
+export const getProductReviews = async (productId, query) => {
+  const { page = 1, limit = 10, sort, rating, verified } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const product = await findActiveProductOrFail(productId);
+
+  const filter = { product: product._id, status: 'approved' };
+
+  if (rating) {
+    filter.rating = Number(rating);
+  }
+
+  if (verified === 'true') {
+    filter.verifiedPurchase = true;
+  }
+
+  const [reviews, total, distribution] = await Promise.all([
+    Review.find(filter)
+      .sort(REVIEW_SORTS[sort] || REVIEW_SORTS.newest)
+      .skip(skip)
+      .limit(limitNum)
+      .select('-status -moderationNote -moderatedBy -moderatedAt')
+      .populate('user', 'name'),
+    Review.countDocuments(filter),
+    Review.aggregate([
+      { $match: { product: product._id, status: 'approved' } },
+      { $group: { _id: '$rating', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const counts = new Map(distribution.map(({ _id, count }) => [_id, count]));
+  const count = distribution.reduce((sum, item) => sum + item.count, 0);
+  const average = count ? distribution.reduce((sum, item) => sum + item._id * item.count, 0) / count : 0;
+
+  const summary = {
+    average: Math.round(average * 10) / 10,
+    count,
+    // Number of reviews with each rating, 5 stars first
+    distribution: [5, 4, 3, 2, 1].map((stars) => ({ rating: stars, count: counts.get(stars) || 0 })),
+  };
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { reviews, summary, pagination };
+};
+
+// Get the current user's review of a product (any status), or null
+export const getMyReview = async (userId, productId) => {
+  return await Review.findOne({ user: userId, product: productId }).select('-moderatedBy');
+};
+
+// Write a review - it is shown once approved
+export const createReview = async (userId, reviewData) => {
+  const product = await findActiveProductOrFail(reviewData.product);
+
+  const alreadyReviewed = () => {
+    const error = new Error('You have already reviewed this product - edit your review instead');
+    error.statusCode = 409;
+    error.code = 'VAL_001';
+    return error;
+  };
+
+  if (await Review.exists({ user: userId, product: product._id })) {
+    throw alreadyReviewed();
+  }
+
+  try {
+    return await Review.create({
+      ...reviewData,
+      product: product._id,
+      user: userId,
+      verifiedPurchase: await hasDeliveredOrder(userId, product._id),
+    });
+  } catch (error) {
+    // Two reviews sent at the same time
+    if (error.code === 11000) {
+      throw alreadyReviewed();
+    }
+    throw error;
+  }
+};
+
+// Edit own review - it goes back to moderation
+export const updateReview = async (userId, reviewId, updateData) => {
+  const review = await Review.findOne({ _id: reviewId, user: userId });
+
+  if (!review) {
+    throw reviewNotFound();
+  }
+
+  const wasApproved = review.status === 'approved';
+
+  Object.assign(review, updateData, {
+    status: 'pending',
+    moderationNote: undefined,
+    moderatedBy: undefined,
+    moderatedAt: undefined,
+    verifiedPurchase: review.verifiedPurchase || (await hasDeliveredOrder(userId, review.product)),
+  });
+  await review.save();
+
+  if (wasApproved) {
+    await updateProductRating(review.product);
+  }
+
+  return review;
+};
+
+// Delete own review
+export const deleteReview = async (userId, reviewId) => {
+  const review = await Review.findOneAndDelete({ _id: reviewId, user: userId });
+
+  if (!review) {
+    throw reviewNotFound();
+  }
+
+  if (review.status === 'approved') {
+    await updateProductRating(review.product);
+  }
+
+  return review;
+};
+
+// ===== ADMIN FUNCTIONS =====
+
+// Get reviews for moderation (all statuses, oldest pending first by default)
+export const getAllReviews = async (query) => {
+  const { page = 1, limit = 20, status, product, rating, verified } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const filter = {};
+
+  if (status) filter.status = status;
+  if (product) filter.product = product;
+  if (rating) filter.rating = Number(rating);
+  if (verified === 'true' || verified === 'false') filter.verifiedPurchase = verified === 'true';
+
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .sort(status === 'pending' ? 'createdAt' : '-createdAt')
+      .skip(skip)
+      .limit(limitNum)
+      .populate('user', 'name email')
+      .populate('product', 'name slug')
+      .populate('moderatedBy', 'name email'),
+    Review.countDocuments(filter),
+  ]);
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { reviews, pagination };
+};
+
+// Approve, reject or flag a review
+export const moderateReview = async (reviewId, { status, note }, admin, context) => {
+  const before = await Review.findById(reviewId);
+
+  if (!before) {
+    throw reviewNotFound();
+  }
+
+  const review = await Review.findByIdAndUpdate(
+    reviewId,
+    { status, moderationNote: note || undefined, moderatedBy: admin._id, moderatedAt: new Date() },
+    { new: true }
+  );
+
+  if (!review) {
+    throw reviewNotFound();
+  }
+
+  // Only approved reviews count towards the rating
+  if (before.status === 'approved' || review.status === 'approved') {
+    await updateProductRating(review.product);
+  }
+
+  await auditService.logEvent({
+    actor: admin,
+    action: `review.${status}`,
+    entityType: 'Review',
+    entityId: review._id,
+    context,
+    changes: { status: { from: before.status, to: review.status } },
+    metadata: { product: review.product, rating: review.rating, note },
+  });
+
+  return review;
+};
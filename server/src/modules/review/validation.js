@@ -0,0 +1,24 @@
+import Joi from 'joi';
+
+// Review fields (shared by create and update)
+const reviewFields = {
+  rating: Joi.number().integer().min(1).max(5),
+  title: Joi.string().trim().allow('').max(120),
+  comment: Joi.string().trim().allow('').max(2000),
+};
+
+// Create review validation
+export const createReviewSchema = Joi.object({
+  ...reviewFields,
+  product: Joi.string().hex().length(24).required(),
+  rating: reviewFields.rating.required(),
+});
+
+// Update review validation
+export const updateReviewSchema = Joi.object(reviewFields).min(1);
+
+// Moderate review validation
+export const moderateReviewSchema = Joi.object({
+  status: Joi.string().valid('approved', 'rejected', 'flagged').required(),
+  note: Joi.string().trim().allow('').max(500).optional(),
+});
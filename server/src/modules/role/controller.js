@@ -0,0 +1,49 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
+import * as roleService from './service.js';
+
+// @desc    Get all roles
+// @route   GET /api/admin/roles
+// @access  Admin
+export const getAllRoles = asyncHandler(async (req, res) => {
+  const roles = await roleService.getAllRoles();
+  
+  successResponse(res, { roles }, 'Roles retrieved successfully');
+});
+
+// @desc    Get available permissions
+// @route   GET /api/admin/roles/permissions
+// @access  Admin
+export const getPermissions = asyncHandler(async (req, res) => {
+  const permissions = roleService.getPermissions();
+  
+  successResponse(res, { permissions }, 'Permissions retrieved successfully');
+});
+
+// @desc    Create role
+// @route   POST /api/admin/roles
+// @access  Admin
+export const createRole = asyncHandler(async (req, res) => {
+  const role = await roleService.createRole(req.body, req.user, getClientInfo(req));
+  
+  successResponse(res, { role }, 'Role created successfully', 201);
+});
+
+// @desc    Update role
+// @route   PUT /api/admin/roles/:name
+// @access  Admin
+export const updateRole = asyncHandler(async (req, res) => {
+  const role = await roleService.updateRole(req.params.name, req.body, req.user, getClientInfo(req));
+  
+  successResponse(res, { role }, 'Role updated successfully');
+});
+
+// @desc    Delete role
+// @route   DELETE /api/admin/roles/:name
+// @access  Admin
+export const deleteRole = asyncHandler(async (req, res) => {
+  await roleService.deleteRole(req.params.name, req.user, getClientInfo(req));
+  
+  successResponse(res, null, 'Role deleted successfully');
+});
@@ -0,0 +1,18 @@
+import express from 'express';
+import * as roleController from './controller.js';
+import { authenticateWithApiKey, requirePermission } from '../../middlewares/auth.js';
+import { validate } from '../../middlewares/validate.js';
+import { createRoleSchema, updateRoleSchema } from './validation.js';
+
+const router = express.Router();
+
+router.use(authenticateWithApiKey);
+
+// Role list is also needed to assign roles on the Users page
+router.get('/', requirePermission('users:read'), roleController.getAllRoles);
+router.get('/permissions', requirePermission('roles:manage'), roleController.getPermissions);
+router.post('/', requirePermission('roles:manage'), validate(createRoleSchema), roleController.createRole);
+router.put('/:name', requirePermission('roles:manage'), validate(updateRoleSchema), roleController.updateRole);
+router.delete('/:name', requirePermission('roles:manage'), roleController.deleteRole);
+
+export default router;
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import { PERMISSIONS, ALL_PERMISSIONS } from '../../config/permissions.js';
+
+// Custom roles and overrides of built-in roles (see config/permissions.js)
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Role name is required'],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z][a-z0-9_-]*$/, 'Role name may only contain letters, numbers, dashes and underscores'],
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (permissions) =>
+          permissions.every((permission) => permission === ALL_PERMISSIONS || PERMISSIONS[permission]),
+        message: 'Unknown permission',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
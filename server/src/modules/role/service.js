@@ -0,0 +1,196 @@
+import Role from './model.js';
+import User from '../user/model.js';
+import * as auditService from '../audit/service.js';
+import { diffDocuments } from '../../utils/diff.js';
+import { PERMISSIONS, ALL_PERMISSIONS, DEFAULT_ROLES, LOCKED_ROLES } from '../../config/permissions.js';
+
+// Role permissions are checked on every admin request, so keep them in memory briefly.
+// Other instances pick up role changes once their entry expires.
+const CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const clearPermissionCache = () => permissionCache.clear();
+
+// Check a permission list against a required permission
+export const hasPermission = (permissions, permission) => {
+  return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+};
+
+// Merge a stored role with its built-in defaults
+const toRole = (name, stored) => {
+  const defaults = DEFAULT_ROLES[name];
+
+  return {
+    name,
+    description: stored?.description ?? defaults?.description ?? '',
+    permissions: LOCKED_ROLES.includes(name)
+      ? defaults.permissions
+      : stored?.permissions ?? defaults?.permissions ?? [],
+    isBuiltIn: !!defaults,
+    isLocked: LOCKED_ROLES.includes(name),
+  };
+};
+
+// Get role by name, or null if it does not exist
+export const getRole = async (name) => {
+  const stored = await Role.findOne({ name });
+
+  if (!stored && !DEFAULT_ROLES[name]) {
+    return null;
+  }
+
+  return toRole(name, stored);
+};
+
+// Get permissions granted to a role (cached)
+export const getRolePermissions = async (name) => {
+  const cached = permissionCache.get(name);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  const role = await getRole(name);
+  const permissions = role?.permissions || [];
+
+  permissionCache.set(name, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return permissions;
+};
+
+// Check that a role exists
+export const roleExists = async (name) => {
+  return !!(await getRole(name));
+};
+
+// Get all available permissions
+export const getPermissions = () => {
+  return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+};
+
+// ===== ADMIN FUNCTIONS =====
+
+// Get all roles with user counts (admin)
+export const getAllRoles = async () => {
+  const [stored, counts] = await Promise.all([
+    Role.find(),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]),
+  ]);
+
+  const storedByName = new Map(stored.map((role) => [role.name, role]));
+  const countByName = new Map(counts.map((item) => [item._id, item.count]));
+  const names = [...new Set([...Object.keys(DEFAULT_ROLES), ...storedByName.keys()])];
+
+  return names.map((name) => ({
+    ...toRole(name, storedByName.get(name)),
+    userCount: countByName.get(name) || 0,
+  }));
+};
+
+// Create custom role (admin)
+export const createRole = async (roleData, admin, context) => {
+  const { name, description, permissions } = roleData;
+
+  if (await roleExists(name)) {
+    const error = new Error('Role already exists');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  await Role.create({ name, description, permissions });
+  clearPermissionCache();
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'role.created',
+    entityType: 'Role',
+    context,
+    metadata: { name, permissions },
+  });
+
+  return await getRole(name);
+};
+
+// Update role description and permissions (admin)
+export const updateRole = async (name, updateData, admin, context) => {
+  const existing = await getRole(name);
+
+  if (!existing) {
+    const error = new Error('Role not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  if (existing.isLocked && updateData.permissions) {
+    const error = new Error(`Permissions of the '${name}' role cannot be changed`);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  // Built-in roles are stored on first edit
+  const role = await Role.findOneAndUpdate(
+    { name },
+    { $set: updateData },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  clearPermissionCache();
+
+  const updated = await getRole(name);
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'role.updated',
+    entityType: 'Role',
+    entityId: role._id,
+    context,
+    changes: diffDocuments(
+      { description: existing.description, permissions: existing.permissions },
+      { description: updated.description, permissions: updated.permissions }
+    ),
+    metadata: { name },
+  });
+
+  return updated;
+};
+
+// Delete custom role (admin)
+export const deleteRole = async (name, admin, context) => {
+  if (DEFAULT_ROLES[name]) {
+    const error = new Error('Built-in roles cannot be deleted');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  const userCount = await User.countDocuments({ role: name });
+
+  if (userCount > 0) {
+    const error = new Error(`Role is assigned to ${userCount} user(s)`);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  const role = await Role.findOneAndDelete({ name });
+
+  if (!role) {
+    const error = new Error('Role not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  clearPermissionCache();
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'role.deleted',
+    entityType: 'Role',
+    entityId: role._id,
+    context,
+    metadata: { name },
+  });
+};
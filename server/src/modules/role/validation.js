@@ -0,0 +1,27 @@
+import Joi from 'joi';
+import { PERMISSIONS, ALL_PERMISSIONS } from '../../config/permissions.js';
+
+const permissionsRule = Joi.array()
+  .items(Joi.string().valid(ALL_PERMISSIONS, ...Object.keys(PERMISSIONS)))
+  .unique();
+
+// Create role validation
+export const createRoleSchema = Joi.object({
+  name: Joi.string()
+    .lowercase()
+    .trim()
+    .pattern(/^[a-z][a-z0-9_-]*$/)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base': 'Role name may only contain letters, numbers, dashes and underscores',
+    }),
+  description: Joi.string().allow('').optional(),
+  permissions: permissionsRule.default([]),
+});
+
+// Update role validation
+export const updateRoleSchema = Joi.object({
+  description: Joi.string().allow('').optional(),
+  permissions: permissionsRule.optional(),
+}).min(1);
@@ -0,0 +1,40 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse, paginatedResponse } from '../../utils/response.js';
+import * as sessionService from './service.js';
+import { getClientInfo } from '../../utils/request.js';
+
+// @desc    Get all active sessions
+// @route   GET /api/admin/sessions
+// @access  Admin
+export const getAllSessions = asyncHandler(async (req, res) => {
+  const { sessions, pagination } = await sessionService.getAllSessions(req.query);
+  
+  paginatedResponse(res, sessions, pagination, 'Sessions retrieved successfully');
+});
+
+// @desc    Get active sessions of a user
+// @route   GET /api/admin/sessions/user/:userId
+// @access  Admin
+export const getUserSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.getUserSessions(req.params.userId);
+  
+  successResponse(res, { sessions }, 'Sessions retrieved successfully');
+});
+
+// @desc    Revoke session
+// @route   DELETE /api/admin/sessions/:id
+// @access  Admin
+export const revokeSession = asyncHandler(async (req, res) => {
+  await sessionService.revokeSessionAdmin(req.params.id, req.user, getClientInfo(req));
+  
+  successResponse(res, null, 'Session revoked successfully');
+});
+
+// @desc    Revoke all sessions of a user
+// @route   DELETE /api/admin/sessions/user/:userId
+// @access  Admin
+export const revokeUserSessions = asyncHandler(async (req, res) => {
+  const revokedCount = await sessionService.revokeUserSessionsAdmin(req.params.userId, req.user, getClientInfo(req));
+  
+  successResponse(res, { revokedCount }, 'Sessions revoked successfully');
+});
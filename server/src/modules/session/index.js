@@ -0,0 +1,15 @@
+import express from 'express';
+import * as sessionController from './controller.js';
+import { authenticateWithApiKey, requirePermission } from '../../middlewares/auth.js';
+
+const router = express.Router();
+
+// All session management routes require staff permissions
+router.use(authenticateWithApiKey);
+
+router.get('/', requirePermission('sessions:read'), sessionController.getAllSessions);
+router.get('/user/:userId', requirePermission('sessions:read'), sessionController.getUserSessions);
+router.delete('/user/:userId', requirePermission('sessions:revoke'), sessionController.revokeUserSessions);
+router.delete('/:id', requirePermission('sessions:revoke'), sessionController.revokeSession);
+
+export default router;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// A session represents one refresh token family (one login on one device).
+// Only the hash of the current refresh token is stored; every refresh
+// rotates it, so presenting an older token means it was replayed.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User reference is required'],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false, // Never expose token hashes in queries by default
+    },
+    userAgent: {
+      type: String,
+      trim: true,
+    },
+    ip: {
+      type: String,
+      trim: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Remove sessions automatically once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for active check
+sessionSchema.virtual('isActive').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.set('toJSON', { virtuals: true });
+sessionSchema.set('toObject', { virtuals: true });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -0,0 +1,223 @@
+import Session from './model.js';
+import User from '../user/model.js';
+import * as auditService from '../audit/service.js';
+import { hashToken } from '../../utils/token.js';
+import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
+
+// Filter for sessions that can still be used
+const activeFilter = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// Access tokens are checked against their session on every request, so active sessions are
+// remembered briefly. Revocations apply at once on this instance and within the TTL on others.
+const ACTIVE_CACHE_TTL_MS = 10 * 1000;
+const ACTIVE_CACHE_MAX_SIZE = 10000;
+const activeCache = new Map();
+
+const clearActiveCache = () => activeCache.clear();
+
+// Check that a session has not been revoked or expired (cached)
+export const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const key = String(sessionId);
+  const cachedUntil = activeCache.get(key);
+
+  if (cachedUntil && cachedUntil > Date.now()) {
+    return true;
+  }
+
+  const active = !!(await Session.exists({ _id: sessionId, ...activeFilter() }));
+
+  if (active) {
+    if (activeCache.size >= ACTIVE_CACHE_MAX_SIZE) {
+      clearActiveCache();
+    }
+    activeCache.set(key, Date.now() + ACTIVE_CACHE_TTL_MS);
+  } else {
+    activeCache.delete(key);
+  }
+
+  return active;
+};
+
+// Create session for a newly issued refresh token
+export const createSession = async ({ sessionId, userId, refreshToken, expiresAt, userAgent, ip }) => {
+  const session = await Session.create({
+    _id: sessionId,
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+    userAgent,
+    ip,
+  });
+
+  return session;
+};
+
+// Get session by ID (including token hash)
+export const getSessionById = async (sessionId) => {
+  return await Session.findById(sessionId).select('+tokenHash');
+};
+
+// Rotate refresh token of a session
+// Returns null when the presented token is not the current one (already rotated or revoked)
+export const rotateSession = async (sessionId, currentToken, newToken, expiresAt, context = {}) => {
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      tokenHash: hashToken(currentToken),
+      revokedAt: null,
+    },
+    {
+      tokenHash: hashToken(newToken),
+      expiresAt,
+      lastUsedAt: new Date(),
+      ...(context.userAgent && { userAgent: context.userAgent }),
+      ...(context.ip && { ip: context.ip }),
+    },
+    { new: true }
+  );
+
+  return session;
+};
+
+// Revoke a single session
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  clearActiveCache();
+
+  return session;
+};
+
+// Revoke all sessions of a user (optionally keeping one)
+export const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  clearActiveCache();
+
+  return result.modifiedCount;
+};
+
+// ===== SESSION MANAGEMENT =====
+
+// Get active sessions of a user (marks the session making the request)
+export const getUserSessions = async (userId, currentSessionId = null) => {
+  const sessions = await Session.find({ user: userId, ...activeFilter() }).sort('-lastUsedAt');
+
+  return sessions.map((session) => ({
+    ...session.toJSON(),
+    isCurrent: !!currentSessionId && session._id.toString() === currentSessionId.toString(),
+  }));
+};
+
+// Revoke a session owned by a user
+export const revokeUserSession = async (userId, sessionId) => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'revoked_by_user' },
+    { new: true }
+  );
+
+  clearActiveCache();
+
+  if (!session) {
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  return session;
+};
+
+// ===== ADMIN FUNCTIONS =====
+
+// Get active sessions of all users (admin)
+export const getAllSessions = async (query) => {
+  const { page = 1, limit = 20, userId, email } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const filter = activeFilter();
+
+  if (userId) {
+    filter.user = userId;
+  }
+
+  if (email) {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    // Unknown email matches no sessions
+    filter.user = user ? user._id : null;
+  }
+
+  const [sessions, total] = await Promise.all([
+    Session.find(filter)
+      .sort('-lastUsedAt')
+      .skip(skip)
+      .limit(limitNum)
+      .populate('user', 'name email role'),
+    Session.countDocuments(filter),
+  ]);
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { sessions, pagination };
+};
+
+// Revoke any session (admin)
+export const revokeSessionAdmin = async (sessionId, admin, context) => {
+  const session = await revokeSession(sessionId, 'revoked_by_admin');
+
+  if (!session) {
+    const error = new Error('Session not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'session.revoked',
+    entityType: 'User',
+    entityId: session.user,
+    context,
+    metadata: { session: session._id, ip: session.ip, userAgent: session.userAgent },
+  });
+
+  return session;
+};
+
+// Revoke all sessions of a user (admin)
+export const revokeUserSessionsAdmin = async (userId, admin, context) => {
+  const revokedCount = await revokeAllSessions(userId, 'revoked_by_admin');
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'session.revoked_all',
+    entityType: 'User',
+    entityId: userId,
+    context,
+    metadata: { revokedCount },
+  });
+
+  return revokedCount;
+};
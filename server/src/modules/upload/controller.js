@@ -0,0 +1,12 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse } from '../../utils/response.js';
+import * as uploadService from './service.js';
+
+// @desc    Upload product images
+// @route   POST /api/admin/uploads/images
+// @access  Admin
+export const uploadImages = asyncHandler(async (req, res) => {
+  const images = await uploadService.uploadImages(req.files);
+
+  successResponse(res, { images }, 'Images uploaded successfully', 201);
+});
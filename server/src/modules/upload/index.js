@@ -0,0 +1,11 @@
+import express from 'express';
+import * as uploadController from './controller.js';
+import { authenticateWithApiKey, requirePermission } from '../../middlewares/auth.js';
+import { uploadImages } from '../../middlewares/upload.js';
+
+const router = express.Router();
+
+// Multipart form with one or more files in the 'images' field
+router.post('/images', authenticateWithApiKey, requirePermission('products:write'), uploadImages('images'), uploadController.uploadImages);
+
+export default router;
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { putFile, removeFile } from '../../utils/storage.js';
+
+// Thumbnails generated for every image (longest side in pixels)
+export const THUMBNAIL_SIZES = {
+  small: 160,
+  medium: 480,
+};
+
+const FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+  gif: { extension: 'gif', contentType: 'image/gif' },
+  heif: { extension: 'avif', contentType: 'image/avif' },
+};
+
+// Read image metadata - the declared MIME type is not trusted
+const inspectImage = async (file) => {
+  try {
+    const metadata = await sharp(file.buffer).metadata();
+    if (FORMATS[metadata.format]) {
+      return metadata;
+    }
+  } catch {
+    // Not an image - reported below
+  }
+
+  const error = new Error(`${file.originalname} is not a valid image`);
+  error.statusCode = 400;
+  error.code = 'VAL_001';
+  throw error;
+};
+
+// Store one image with its thumbnails
+const storeImage = async (file, folder) => {
+  const metadata = await inspectImage(file);
+  const format = FORMATS[metadata.format];
+  const baseKey = `${folder}/${crypto.randomUUID()}`;
+
+  const url = await putFile(`${baseKey}.${format.extension}`, file.buffer, format.contentType);
+
+  const thumbnails = {};
+  for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+    // Thumbnails are auto-rotated from EXIF and never enlarged
+    const buffer = await sharp(file.buffer)
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    thumbnails[name] = await putFile(`${baseKey}-${name}.webp`, buffer, 'image/webp');
+  }
+
+  return {
+    url,
+    key: `${baseKey}.${format.extension}`,
+    alt: '',
+    thumbnails,
+    width: metadata.width,
+    height: metadata.height,
+  };
+};
+
+// Store uploaded images, returned in upload order
+// All files are checked before anything is stored
+export const uploadImages = async (files = [], folder = 'products') => {
+  if (files.length === 0) {
+    const error = new Error('No images uploaded');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  await Promise.all(files.map(inspectImage));
+
+  const images = [];
+  for (const file of files) {
+    images.push(await storeImage(file, folder));
+  }
+
+  return images;
+};
+
+// Remove a stored image and its thumbnails (images added by URL have no key and are left alone)
+export const removeImage = async (image) => {
+  if (!image.key) {
+    return;
+  }
+
+  const baseKey = image.key.replace(/\.[^.]+$/, '');
+
+  await Promise.all([
+    removeFile(image.key),
+    ...Object.keys(THUMBNAIL_SIZES).map((name) => removeFile(`${baseKey}-${name}.webp`)),
+  ]);
+};
@@ -0,0 +1,100 @@
+import asyncHandler from '../../middlewares/asyncHandler.js';
+import { successResponse, paginatedResponse } from '../../utils/response.js';
+import { getClientInfo } from '../../utils/request.js';
+import * as userService from './service.js';
+import { hasPermission } from '../role/service.js';
+
+// @desc    Get all users
+// @route   GET /api/admin/users
+// @access  Admin
+export const getAllUsers = asyncHandler(async (req, res) => {
+  const { users, pagination } = await userService.getAllUsers(req.query);
+  
+  paginatedResponse(res, users, pagination, 'Users retrieved successfully');
+});
+
+// @desc    Get user by ID
+// @route   GET /api/admin/users/:id
+// @access  Admin
+export const getUserById = asyncHandler(async (req, res) => {
+  const { user, orderStats } = await userService.getUserById(req.params.id, {
+    includeOrderStats: hasPermission(req.permissions, 'orders:read'),
+  });
+  
+  successResponse(res, { user, orderStats }, 'User retrieved successfully');
+});
+
+// @desc    Get user's orders
+// @route   GET /api/admin/users/:id/orders
+// @access  Admin
+export const getUserOrders = asyncHandler(async (req, res) => {
+  const { orders, pagination } = await userService.getUserOrders(req.params.id, req.query);
+  
+  paginatedResponse(res, orders, pagination, 'Orders retrieved successfully');
+});
+
+// @desc    Activate or deactivate user
+// @route   PUT /api/admin/users/:id/status
+// @access  Admin
+export const updateUserStatus = asyncHandler(async (req, res) => {
+  const user = await userService.updateUserStatus(
+    req.params.id,
+    req.body.isActive,
+    req.user,
+    getClientInfo(req),
+    req.permissions
+  );
+  
+  successResponse(res, { user }, user.isActive ? 'User activated successfully' : 'User deactivated successfully');
+});
+
+// @desc    Change user role
+// @route   PUT /api/admin/users/:id/role
+// @access  Admin
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const user = await userService.updateUserRole(
+    req.params.id,
+    req.body.role,
+    req.user,
+    getClientInfo(req),
+    req.permissions
+  );
+  
+  successResponse(res, { user }, 'User role updated successfully');
+});
+
+// @desc    Get locked user accounts
+// @route   GET /api/admin/users/locked
+// @access  Admin
+export const getLockedUsers = asyncHandler(async (req, res) => {
+  const { users, pagination } = await userService.getLockedUsers(req.query);
+  
+  paginatedResponse(res, users, pagination, 'Locked users retrieved successfully');
+});
+
+// @desc    Unlock user account
+// @route   POST /api/admin/users/:id/unlock
+// @access  Admin
+export const unlockUser = asyncHandler(async (req, res) => {
+  const user = await userService.unlockUser(req.params.id, req.user, getClientInfo(req), req.permissions);
+  
+  successResponse(res, { user }, 'User unlocked successfully');
+});
+
+// @desc    Reset user's two-factor authentication
+// @route   POST /api/admin/users/:id/2fa/reset
+// @access  Admin
+export const resetTwoFactor = asyncHandler(async (req, res) => {
+  const user = await userService.resetTwoFactor(req.params.id, req.user, getClientInfo(req), req.permissions);
+  
+  successResponse(res, { user }, 'Two-factor authentication reset successfully');
+});
+
+// @desc    Start viewing the storefront as a customer
+// @route   POST /api/admin/users/:id/impersonate
+// @access  Admin
+export const impersonateUser = asyncHandler(async (req, res) => {
+  const result = await userService.impersonateUser(req.params.id, req.user, getClientInfo(req));
+  
+  successResponse(res, result, 'Impersonation token issued successfully', 201);
+});
@@ -0,0 +1,24 @@
+import express from 'express';
+import * as userController from './controller.js';
+import { authenticate, authenticateWithApiKey, requirePermission, requireAccountOwner } from '../../middlewares/auth.js';
+import { validate } from '../../middlewares/validate.js';
+import { updateUserStatusSchema, updateUserRoleSchema } from './validation.js';
+
+const router = express.Router();
+
+// Impersonation hands out a customer session - only to an admin signed in in person, never to an API key
+router.post('/:id/impersonate', authenticate, requireAccountOwner, requirePermission('users:impersonate'), userController.impersonateUser);
+
+// All other user management routes require staff permissions
+router.use(authenticateWithApiKey);
+
+router.get('/', requirePermission('users:read'), userController.getAllUsers);
+router.get('/locked', requirePermission('users:read'), userController.getLockedUsers);
+router.get('/:id', requirePermission('users:read'), userController.getUserById);
+router.get('/:id/orders', requirePermission('users:read', 'orders:read'), userController.getUserOrders);
+router.put('/:id/status', requirePermission('users:write'), validate(updateUserStatusSchema), userController.updateUserStatus);
+router.put('/:id/role', requirePermission('users:write', 'roles:manage'), validate(updateUserRoleSchema), userController.updateUserRole);
+router.post('/:id/unlock', requirePermission('users:write'), userController.unlockUser);
+router.post('/:id/2fa/reset', requirePermission('users:write'), userController.resetTwoFactor);
+
+export default router;
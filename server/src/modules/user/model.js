@@ -28,13 +28,79 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ['user', 'admin'],
-      default: 'user',
+      default: 'user', // Name of a role from config/permissions.js or the roles collection
+      lowercase: true,
+      trim: true,
     },
     isActive: {
       type: Boolean,
       default: true,
     },
+    isEmailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    deletedAt: {
+      type: Date, // Set when the user deletes their account (personal data is anonymized)
+    },
+    // Login brute-force protection
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    // TOTP two-factor authentication
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorTempSecret: {
+      type: String,
+      select: false, // Pending secret until enrollment is confirmed
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // Hashed recovery codes
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false, // Prevents replaying a code within its validity window
+    },
+    // Linked OAuth/OIDC identities (see config/oauth.js)
+    oauthAccounts: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true, // The provider's user id ('sub' claim)
+        },
+        email: {
+          type: String,
+          lowercase: true,
+          trim: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   {
     timestamps: true,
@@ -43,6 +109,10 @@ const userSchema = new mongoose.Schema(
 
 // Index for faster queries
 userSchema.index({ email: 1 });
+userSchema.index(
+  { 'oauthAccounts.provider': 1, 'oauthAccounts.subject': 1 },
+  { unique: true, partialFilterExpression: { 'oauthAccounts.subject': { $exists: true } } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -58,6 +128,17 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+// Virtual for lockout check
+userSchema.virtual('isLocked').get(function () {
+  return !!this.lockUntil && this.lockUntil > new Date();
+});
+
+// Check if two-factor authentication is mandatory for this user
+// It is for every role with admin permissions (permissions: the ones granted to the user's role)
+userSchema.methods.requiresTwoFactor = function (permissions) {
+  return permissions.length > 0 && process.env.REQUIRE_ADMIN_2FA === 'true';
+};
+
 // Method to compare password
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -67,6 +148,10 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
 userSchema.methods.toJSON = function () {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.twoFactorSecret;
+  delete obj.twoFactorTempSecret;
+  delete obj.twoFactorRecoveryCodes;
+  delete obj.twoFactorLastUsedStep;
   return obj;
 };
 
@@ -0,0 +1,357 @@
+import mongoose from 'mongoose';
+import User from './model.js';
+import Order from '../order/model.js';
+import * as auditService from '../audit/service.js';
+import * as sessionService from '../session/service.js';
+import * as orderService from '../order/service.js';
+import * as roleService from '../role/service.js';
+import * as authService from '../auth/service.js';
+import { getPagination, getPaginationInfo } from '../../utils/pagination.js';
+import { ALL_PERMISSIONS } from '../../config/permissions.js';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load user or throw 404
+const findUserOrFail = async (userId) => {
+  const user = await User.findById(userId);
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  return user;
+};
+
+// Admins cannot deactivate or demote themselves
+const assertNotSelf = (user, admin, message) => {
+  if (user._id.equals(admin._id)) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+};
+
+// Accounts with every permission can only be managed by admins who have every permission too
+// granted: the acting admin's permissions (req.permissions - limited to an API key's when one is used)
+const assertCanManageRole = async (role, granted) => {
+  const permissions = await roleService.getRolePermissions(role);
+
+  if (permissions.includes(ALL_PERMISSIONS) && !granted.includes(ALL_PERMISSIONS)) {
+    const error = new Error('Only full admins can manage admin accounts');
+    error.statusCode = 403;
+    error.code = 'AUTH_003';
+    throw error;
+  }
+};
+
+// Make sure at least one active admin remains
+const assertNotLastAdmin = async (user) => {
+  if (user.role !== 'admin' || !user.isActive) return;
+
+  const otherAdmins = await User.countDocuments({
+    _id: { $ne: user._id },
+    role: 'admin',
+    isActive: true,
+  });
+
+  if (otherAdmins === 0) {
+    const error = new Error('Cannot remove the last active admin');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+};
+
+// ===== ADMIN FUNCTIONS =====
+
+// Get all users with search and filters (admin)
+export const getAllUsers = async (query) => {
+  const { page = 1, limit = 20, search, role, isActive, sort = '-createdAt' } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const filter = {};
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+    filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+  }
+
+  if (role) {
+    filter.role = role;
+  }
+
+  if (isActive !== undefined && isActive !== '') {
+    filter.isActive = isActive === true || isActive === 'true';
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limitNum),
+    User.countDocuments(filter),
+  ]);
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { users, pagination };
+};
+
+// Get user by ID with order summary (admin)
+// Order totals are omitted for staff who cannot view orders
+export const getUserById = async (userId, { includeOrderStats = true } = {}) => {
+  const user = await findUserOrFail(userId);
+
+  if (!includeOrderStats) {
+    return { user, orderStats: null };
+  }
+
+  const [stats] = await Order.aggregate([
+    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    {
+      $group: {
+        _id: null,
+        totalOrders: { $sum: 1 },
+        totalSpent: {
+          $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 0, '$totalAmount'] },
+        },
+        lastOrderAt: { $max: '$createdAt' },
+      },
+    },
+  ]);
+
+  return {
+    user,
+    orderStats: {
+      totalOrders: stats?.totalOrders || 0,
+      totalSpent: stats?.totalSpent || 0,
+      lastOrderAt: stats?.lastOrderAt || null,
+    },
+  };
+};
+
+// Get user's orders (admin)
+export const getUserOrders = async (userId, query) => {
+  await findUserOrFail(userId);
+
+  return await orderService.getAllOrders({ ...query, userId });
+};
+
+// Activate or deactivate user (admin)
+export const updateUserStatus = async (userId, isActive, admin, context, granted) => {
+  const user = await findUserOrFail(userId);
+
+  if (user.isActive === isActive) {
+    return user;
+  }
+
+  await assertCanManageRole(user.role, granted);
+
+  if (isActive && user.deletedAt) {
+    const error = new Error('Deleted accounts cannot be reactivated');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  if (!isActive) {
+    assertNotSelf(user, admin, 'You cannot deactivate your own account');
+    await assertNotLastAdmin(user);
+  }
+
+  user.isActive = isActive;
+  await user.save();
+
+  // Deactivated users are signed out everywhere
+  if (!isActive) {
+    await sessionService.revokeAllSessions(user._id, 'deactivated');
+  }
+
+  await auditService.logEvent({
+    actor: admin,
+    action: isActive ? 'user.activated' : 'user.deactivated',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+  });
+
+  return user;
+};
+
+// Change user role (admin)
+export const updateUserRole = async (userId, role, admin, context, granted) => {
+  const user = await findUserOrFail(userId);
+
+  if (user.role === role) {
+    return user;
+  }
+
+  if (!(await roleService.roleExists(role))) {
+    const error = new Error(`Role '${role}' does not exist`);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  // Neither demoting a full admin nor making one
+  await assertCanManageRole(user.role, granted);
+  await assertCanManageRole(role, granted);
+
+  if (role !== 'admin') {
+    assertNotSelf(user, admin, 'You cannot change your own role');
+    await assertNotLastAdmin(user);
+  }
+
+  const previousRole = user.role;
+  user.role = role;
+  await user.save();
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'user.role_changed',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+    changes: { role: { from: previousRole, to: role } },
+  });
+
+  return user;
+};
+
+// Get locked user accounts (admin)
+export const getLockedUsers = async (query) => {
+  const { page = 1, limit = 20 } = query;
+
+  const { skip, limit: limitNum } = getPagination(page, limit);
+
+  const filter = { lockUntil: { $gt: new Date() } };
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort('-lockUntil')
+      .skip(skip)
+      .limit(limitNum),
+    User.countDocuments(filter),
+  ]);
+
+  const pagination = getPaginationInfo(total, Number(page), limitNum);
+
+  return { users, pagination };
+};
+
+// Unlock user account (admin)
+export const unlockUser = async (userId, admin, context, granted) => {
+  const target = await findUserOrFail(userId);
+  await assertCanManageRole(target.role, granted);
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'user.unlocked',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+  });
+
+  return user;
+};
+
+// Reset two-factor authentication for a user who lost their device (admin)
+export const resetTwoFactor = async (userId, admin, context, granted) => {
+  const target = await findUserOrFail(userId);
+  await assertCanManageRole(target.role, granted);
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      twoFactorEnabled: false,
+      $unset: {
+        twoFactorSecret: 1,
+        twoFactorTempSecret: 1,
+        twoFactorRecoveryCodes: 1,
+        twoFactorLastUsedStep: 1,
+      },
+    },
+    { new: true }
+  );
+
+  if (!user) {
+    const error = new Error('User not found');
+    error.statusCode = 404;
+    error.code = 'RES_001';
+    throw error;
+  }
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'user.2fa_reset',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+  });
+
+  return user;
+};
+
+// Issue a short-lived token to view the storefront as a customer (admin)
+export const impersonateUser = async (userId, admin, context) => {
+  const user = await findUserOrFail(userId);
+
+  assertNotSelf(user, admin, 'You cannot impersonate yourself');
+
+  // Only customers - impersonating staff would hand out their permissions
+  if (user.role !== 'user') {
+    const error = new Error('Only customer accounts can be impersonated');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  if (!user.isActive) {
+    const error = new Error('Inactive users cannot be impersonated');
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  const accessToken = authService.generateImpersonationToken(user, admin._id);
+  const expiresAt = authService.getTokenExpiry(accessToken);
+
+  await auditService.logEvent({
+    actor: admin,
+    action: 'user.impersonated',
+    entityType: 'User',
+    entityId: user._id,
+    context,
+    metadata: { email: user.email, expiresAt },
+  });
+
+  return {
+    accessToken,
+    expiresAt,
+    url: authService.getImpersonationUrl(accessToken),
+    user: {
+      id: user._id,
+      email: user.email,
+      name: user.name,
+    },
+  };
+};
@@ -0,0 +1,11 @@
+import Joi from 'joi';
+
+// Update user status validation (admin)
+export const updateUserStatusSchema = Joi.object({
+  isActive: Joi.boolean().required(),
+});
+
+// Update user role validation (admin)
+export const updateUserRoleSchema = Joi.object({
+  role: Joi.string().lowercase().trim().required(),
+});
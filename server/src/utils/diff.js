@@ -0,0 +1,32 @@
+// Document diff helpers (used for audit logs)
+
+const DEFAULT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Convert a document or plain object to JSON-safe values (ObjectIds, Dates -> strings)
+const normalize = (doc) => {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Compare two versions of a document field by field
+// Returns { field: { from, to } } for changed top-level fields, or null if nothing changed
+export const diffDocuments = (before, after, ignoredFields = DEFAULT_IGNORED_FIELDS) => {
+  const from = normalize(before);
+  const to = normalize(after);
+  const fields = new Set([...Object.keys(from), ...Object.keys(to)]);
+  const changes = {};
+
+  for (const field of fields) {
+    if (ignoredFields.includes(field)) continue;
+
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes[field] = {
+        from: from[field] ?? null,
+        to: to[field] ?? null,
+      };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
@@ -0,0 +1,65 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Mailer with pluggable transports
+// Select a transport with MAIL_TRANSPORT (default: console). Additional
+// transports (e.g. SMTP) can be added with registerTransport().
+
+const transports = {
+  // Print emails to the console (local development)
+  console: async (mail) => {
+    console.log('📧 Email sent');
+    console.log(`   To: ${mail.to}`);
+    console.log(`   Subject: ${mail.subject}`);
+    console.log(mail.text);
+  },
+
+  // Write emails as JSON files to MAIL_DIR (local development and tests)
+  file: async (mail) => {
+    const dir = process.env.MAIL_DIR || 'tmp/mail';
+    await fs.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${mail.to.replace(/[^a-z0-9]+/gi, '_')}.json`;
+    await fs.writeFile(path.join(dir, fileName), JSON.stringify(mail, null, 2));
+  },
+};
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ENTITIES[char]);
+
+// Tagged template for email HTML - every interpolated value is escaped
+// e.g. safeHtml`<p>Hi ${user.name},</p>`
+export const safeHtml = (strings, ...values) =>
+  strings.reduce((result, string, index) => result + escapeHtml(values[index - 1]) + string);
+
+// Register a custom transport
+export const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+// Send an email through the configured transport
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const send = transports[transportName];
+
+  if (!send) {
+    const error = new Error(`Unknown mail transport: ${transportName}`);
+    error.statusCode = 500;
+    error.code = 'SRV_001';
+    throw error;
+  }
+
+  const mail = {
+    from: process.env.MAIL_FROM || 'ShopHub <no-reply@shophub.local>',
+    to,
+    subject,
+    text,
+    html,
+    sentAt: new Date().toISOString(),
+  };
+
+  await send(mail);
+
+  return mail;
+};
@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Minimal OAuth2 / OpenID Connect client (authorization code flow with PKCE)
+
+// Discovery documents and signing keys change rarely - keep them in memory
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const metadataCache = new Map();
+const jwksCache = new Map();
+
+// Fetch JSON and fail on non-2xx responses
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...options.headers },
+  });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.statusText;
+    throw new Error(`${url} responded with ${response.status}: ${reason}`);
+  }
+
+  return body;
+};
+
+// Base64url without padding (PKCE)
+const base64url = (buffer) => buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+
+// S256 code challenge for a PKCE code verifier
+export const createCodeChallenge = (codeVerifier) => {
+  return base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+};
+
+// Get provider endpoints (explicit config wins over discovery)
+export const getProviderMetadata = async (provider) => {
+  const cached = metadataCache.get(provider.id);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.metadata;
+  }
+
+  const discovered = provider.issuer
+    ? await fetchJson(`${provider.issuer}/.well-known/openid-configuration`)
+    : {};
+
+  const metadata = {
+    issuer: discovered.issuer || provider.issuer,
+    authorizationEndpoint: provider.authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovered.token_endpoint,
+    userinfoEndpoint: provider.userinfoEndpoint || discovered.userinfo_endpoint,
+    jwksUri: provider.jwksUri || discovered.jwks_uri,
+  };
+
+  metadataCache.set(provider.id, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return metadata;
+};
+
+// Build the URL the browser is sent to
+export const buildAuthorizationUrl = (provider, metadata, { redirectUri, state, nonce, codeChallenge }) => {
+  const url = new URL(metadata.authorizationEndpoint);
+
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  }).toString();
+
+  return url.toString();
+};
+
+// Exchange an authorization code for tokens
+export const exchangeCode = async (provider, metadata, { code, redirectUri, codeVerifier }) => {
+  return await fetchJson(metadata.tokenEndpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: codeVerifier,
+    }),
+  });
+};
+
+// Find the signing key of a token (refetching once in case keys were rotated)
+const getSigningKey = async (metadata, kid) => {
+  for (const forceRefresh of [false, true]) {
+    let cached = jwksCache.get(metadata.jwksUri);
+
+    if (forceRefresh || !cached || cached.expiresAt <= Date.now()) {
+      const { keys = [] } = await fetchJson(metadata.jwksUri);
+      cached = { keys, expiresAt: Date.now() + CACHE_TTL_MS };
+      jwksCache.set(metadata.jwksUri, cached);
+    }
+
+    const jwk = cached.keys.find((key) => (kid ? key.kid === kid : key.use !== 'enc'));
+
+    if (jwk) {
+      return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    }
+  }
+
+  throw new Error('ID token signing key not found');
+};
+
+// Verify an ID token's signature and claims, returns the claims
+export const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512'],
+    audience: provider.clientId,
+    issuer: metadata.issuer,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Get claims from the userinfo endpoint (plain OAuth2 providers)
+export const fetchUserInfo = async (metadata, accessToken) => {
+  return await fetchJson(metadata.userinfoEndpoint, {
+    headers: { Authorization: `Bearer ${accessToken}` },
+  });
+};
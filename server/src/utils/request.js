@@ -0,0 +1,9 @@
+// Request helpers
+
+// Get client info (used for sessions and audit logs)
+export const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip,
+  impersonatedBy: req.impersonatedBy,
+  apiKey: req.apiKey?._id,
+});
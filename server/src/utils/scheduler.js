@@ -0,0 +1,50 @@
+// Background jobs run on an interval by every server instance
+// Jobs must be safe to run on several instances at once and to repeat after a restart -
+// e.g. claim each piece of work with a conditional update that also marks it as done.
+
+const jobs = new Map();
+let timer = null;
+
+// Register a job - run(now) is awaited and never overlaps with its previous run
+export const registerJob = (name, run) => {
+  jobs.set(name, { run, running: false });
+};
+
+export const runJobs = async (now = new Date()) => {
+  await Promise.all(
+    [...jobs].map(async ([name, job]) => {
+      if (job.running) {
+        return;
+      }
+
+      job.running = true;
+      try {
+        await job.run(now);
+      } catch (error) {
+        console.error(`❌ Scheduled job ${name} failed:`, error.message);
+      } finally {
+        job.running = false;
+      }
+    })
+  );
+};
+
+// Run due work right away (e.g. what was missed while the server was down), then every
+// SCHEDULER_INTERVAL_SECONDS (default: 60)
+export const startScheduler = () => {
+  if (timer) {
+    return;
+  }
+
+  const interval = (Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+
+  timer = setInterval(() => runJobs(), interval);
+  // Don't keep the process alive for the scheduler alone
+  timer.unref();
+  runJobs();
+};
+
+export const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
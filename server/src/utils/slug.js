@@ -9,13 +9,14 @@ export const generateSlug = (text) => {
     .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
 };
 
-export const generateUniqueSlug = async (Model, baseSlug, excludeId = null) => {
+// filter limits which documents reserve a slug (e.g. { isDeleted: false })
+export const generateUniqueSlug = async (Model, baseSlug, excludeId = null, filter = {}) => {
   let slug = baseSlug;
   let counter = 1;
   let exists = true;
 
   while (exists) {
-    const query = { slug };
+    const query = { ...filter, slug };
     if (excludeId) {
       query._id = { $ne: excludeId };
     }
@@ -0,0 +1,72 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// File storage with pluggable drivers
+// Select a driver with STORAGE_DRIVER (default: local). Additional drivers
+// (e.g. S3-compatible object storage) can be added with registerStorageDriver().
+// A driver stores files under a key such as 'products/abc.webp' and returns their public URL.
+
+// Directory the local driver writes to (served at /uploads by app.js)
+export const getUploadDir = () => path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Path of a key under UPLOAD_DIR - keys resolving outside of it (e.g. '../.env') are refused
+const resolveLocalPath = (key) => {
+  const uploadDir = getUploadDir();
+  const filePath = path.resolve(uploadDir, key);
+
+  if (!filePath.startsWith(uploadDir + path.sep)) {
+    const error = new Error(`Invalid storage key: ${key}`);
+    error.statusCode = 400;
+    error.code = 'VAL_001';
+    throw error;
+  }
+
+  return filePath;
+};
+
+const drivers = {
+  // Write files to UPLOAD_DIR on the local disk
+  local: {
+    put: async (key, buffer) => {
+      const filePath = resolveLocalPath(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      const baseUrl = (process.env.UPLOAD_BASE_URL || '/uploads').replace(/\/$/, '');
+      return `${baseUrl}/${key}`;
+    },
+
+    remove: async (key) => {
+      await fs.rm(resolveLocalPath(key), { force: true });
+    },
+  },
+};
+
+// Register a custom driver ({ put(key, buffer, contentType) => url, remove(key) })
+export const registerStorageDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+const getDriver = () => {
+  const driverName = process.env.STORAGE_DRIVER || 'local';
+  const driver = drivers[driverName];
+
+  if (!driver) {
+    const error = new Error(`Unknown storage driver: ${driverName}`);
+    error.statusCode = 500;
+    error.code = 'SRV_001';
+    throw error;
+  }
+
+  return driver;
+};
+
+// Store a file and return its public URL
+export const putFile = async (key, buffer, contentType) => {
+  return await getDriver().put(key, buffer, contentType);
+};
+
+// Remove a stored file
+export const removeFile = async (key) => {
+  await getDriver().remove(key);
+};
@@ -0,0 +1,13 @@
+import crypto from 'crypto';
+
+// Token helpers
+
+// Hash a token before storing it (SHA-256, hex encoded)
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a random token (hex encoded)
+export const generateRandomToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
@@ -0,0 +1,170 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import mongoose from 'mongoose';
+import ApiKey from '../src/modules/apiKey/model.js';
+import User from '../src/modules/user/model.js';
+import Role from '../src/modules/role/model.js';
+import Session from '../src/modules/session/model.js';
+import authRoutes from '../src/modules/auth/index.js';
+import sessionRoutes from '../src/modules/session/index.js';
+import userRoutes from '../src/modules/user/index.js';
+import errorHandler from '../src/middlewares/errorHandler.js';
+import { authenticate } from '../src/middlewares/auth.js';
+import { generateAccessToken } from '../src/modules/auth/service.js';
+import * as sessionService from '../src/modules/session/service.js';
+import { hashToken } from '../src/utils/token.js';
+
+const KEY = 'sk_test_scoped_key';
+
+const admin = {
+  _id: new mongoose.Types.ObjectId(),
+  role: 'admin',
+  isActive: true,
+  twoFactorEnabled: true,
+  requiresTwoFactor: () => true,
+};
+
+// Start an app on a free port and return its URL
+const listen = async (app) => {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  return { server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+};
+
+// API keys are scoped - they must not reach routes that don't check permissions
+describe('API key scopes', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(ApiKey, 'findOne', async (filter) =>
+      filter.keyHash === hashToken(KEY)
+        ? {
+            _id: new mongoose.Types.ObjectId(),
+            user: admin._id,
+            permissions: ['sessions:read', 'users:impersonate'],
+            lastUsedAt: new Date(),
+          }
+        : null
+    );
+    mock.method(User, 'findById', () => ({ select: async () => admin }));
+    mock.method(Role, 'findOne', async () => null);
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.use('/api/admin/sessions', sessionRoutes);
+    app.use('/api/admin/users', userRoutes);
+    app.use(errorHandler);
+
+    ({ server, baseUrl } = await listen(app));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  const request = (method, path, key = KEY) =>
+    fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'X-API-Key': key, 'Content-Type': 'application/json' },
+      body: method === 'GET' ? undefined : '{}',
+    });
+
+  it('rejects a scoped key on the current user profile', async () => {
+    for (const method of ['GET', 'PUT']) {
+      const res = await request(method, '/api/auth/me');
+      const body = await res.json();
+
+      assert.equal(res.status, 403);
+      assert.equal(body.code, 'AUTH_003');
+    }
+  });
+
+  it('rejects a scoped key on routes of the key owner', async () => {
+    const res = await request('DELETE', `/api/auth/sessions/${new mongoose.Types.ObjectId()}`);
+
+    assert.equal(res.status, 403);
+  });
+
+  it('limits a key to its permissions on admin routes', async () => {
+    const res = await request('DELETE', `/api/admin/sessions/${new mongoose.Types.ObjectId()}`);
+    const body = await res.json();
+
+    assert.equal(res.status, 403);
+    assert.equal(body.message, 'Insufficient permissions');
+  });
+
+  it('rejects a key with the permission on impersonation', async () => {
+    const res = await request('POST', `/api/admin/users/${new mongoose.Types.ObjectId()}/impersonate`);
+    const body = await res.json();
+
+    assert.equal(res.status, 403);
+    assert.equal(body.code, 'AUTH_003');
+  });
+
+  it('rejects an unknown key on admin routes', async () => {
+    const res = await request('GET', '/api/admin/sessions', 'sk_unknown');
+
+    assert.equal(res.status, 401);
+  });
+});
+
+// Access tokens must stop working when their session is revoked, not when they expire
+describe('Access token sessions', () => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const activeSessions = new Set();
+  let server;
+  let baseUrl;
+  let token;
+
+  before(async () => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    token = generateAccessToken(admin._id, 'admin@example.com', admin.role, sessionId);
+
+    mock.method(Session, 'exists', async (filter) =>
+      activeSessions.has(String(filter._id)) ? { _id: filter._id } : null
+    );
+    mock.method(Session, 'findOneAndUpdate', async (filter) => {
+      activeSessions.delete(String(filter._id));
+      return { _id: filter._id };
+    });
+    mock.method(User, 'findById', () => ({ select: async () => admin }));
+
+    const app = express();
+    app.get('/me', authenticate, (req, res) => res.json({ success: true }));
+
+    ({ server, baseUrl } = await listen(app));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+  });
+
+  const request = () => fetch(`${baseUrl}/me`, { headers: { Authorization: `Bearer ${token}` } });
+
+  it('accepts a token of an active session', async () => {
+    activeSessions.add(String(sessionId));
+
+    assert.equal((await request()).status, 200);
+  });
+
+  it('rejects the token right after its session is revoked', async () => {
+    // The session was remembered as active by the previous request
+    await sessionService.revokeSession(sessionId);
+
+    const res = await request();
+
+    assert.equal(res.status, 401);
+    assert.equal((await res.json()).code, 'AUTH_002');
+  });
+
+  it('rejects tokens without a session', async () => {
+    token = generateAccessToken(admin._id, 'admin@example.com', admin.role);
+
+    assert.equal((await request()).status, 401);
+  });
+});
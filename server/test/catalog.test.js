@@ -0,0 +1,56 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import ImportJob from '../src/modules/catalog/model.js';
+import { failStalledImports } from '../src/modules/catalog/service.js';
+
+const MINUTE = 60 * 1000;
+
+describe('failStalledImports', () => {
+  const now = new Date('2026-03-02T12:00:00Z');
+  let jobs;
+
+  beforeEach(() => {
+    jobs = [
+      // Left running by a server that restarted an hour ago
+      { status: 'running', updatedAt: new Date(now.getTime() - 60 * MINUTE), rowErrors: [] },
+      // Saved its progress a minute ago
+      { status: 'running', updatedAt: new Date(now.getTime() - MINUTE), rowErrors: [] },
+      { status: 'completed', updatedAt: new Date(now.getTime() - 60 * MINUTE), rowErrors: [] },
+    ];
+  });
+
+  before(() => {
+    mock.method(ImportJob, 'updateMany', async (filter, { $push, ...update }) => {
+      const matched = jobs.filter((job) => job.status === filter.status && job.updatedAt <= filter.updatedAt.$lte);
+      for (const job of matched) {
+        Object.assign(job, update);
+        job.rowErrors.push($push.rowErrors);
+      }
+      return { modifiedCount: matched.length };
+    });
+  });
+
+  after(() => {
+    mock.restoreAll();
+    delete process.env.IMPORT_TIMEOUT_MINUTES;
+  });
+
+  it('fails running imports without progress for longer than the timeout', async () => {
+    await failStalledImports(now);
+
+    assert.deepEqual(
+      jobs.map((job) => job.status),
+      ['failed', 'running', 'completed']
+    );
+    assert.equal(jobs[0].finishedAt, now);
+    assert.match(jobs[0].rowErrors[0].message, /upload the file again/);
+  });
+
+  it('uses IMPORT_TIMEOUT_MINUTES', async () => {
+    process.env.IMPORT_TIMEOUT_MINUTES = '90';
+
+    await failStalledImports(now);
+
+    assert.equal(jobs[0].status, 'running');
+  });
+});
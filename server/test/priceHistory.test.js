@@ -0,0 +1,97 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PriceHistory from '../src/modules/product/priceHistoryModel.js';
+import { getLowestPrices } from '../src/modules/product/priceHistory.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY);
+
+// Evaluate the query operators used by getLowestPrices against in-memory entries
+const matches = (entry, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') {
+      return condition.some((alternative) => matches(entry, alternative));
+    }
+
+    const value = entry[field];
+
+    if (condition === null || condition instanceof mongoose.Types.ObjectId) {
+      return String(value) === String(condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$in':
+          return operand.some((item) => String(item) === String(value));
+        case '$gt':
+          return value !== null && value > operand;
+        case '$lte':
+          return value !== null && value <= operand;
+        default:
+          throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+
+describe('getLowestPrices', () => {
+  const discounted = new mongoose.Types.ObjectId();
+  const longRunning = new mongoose.Types.ObjectId();
+  const newProduct = new mongoose.Types.ObjectId();
+
+  const entry = (product, price, from, to = null, comparePrice = null) => ({
+    product,
+    variant: null,
+    price,
+    comparePrice,
+    effectiveFrom: from,
+    effectiveTo: to,
+  });
+
+  const entries = [
+    // 20, raised to 25, then discounted to 18 (was 25) five days ago
+    entry(discounted, 20, daysAgo(60), daysAgo(20)),
+    entry(discounted, 25, daysAgo(20), daysAgo(5)),
+    entry(discounted, 18, daysAgo(5), null, 25),
+    // 10 ended long before the current price took effect
+    entry(longRunning, 10, daysAgo(200), daysAgo(100)),
+    entry(longRunning, 40, daysAgo(100), daysAgo(10)),
+    entry(longRunning, 35, daysAgo(10), null, 40),
+    entry(newProduct, 15, daysAgo(2)),
+  ];
+
+  before(() => {
+    mock.method(PriceHistory, 'find', (filter) => ({
+      select: async () => entries.filter((item) => matches(item, filter)),
+    }));
+    mock.method(PriceHistory, 'aggregate', async ([{ $match }]) => {
+      const lowest = new Map();
+      for (const item of entries.filter((candidate) => matches(candidate, $match))) {
+        const key = String(item.product);
+        lowest.set(key, Math.min(lowest.get(key) ?? Infinity, item.price));
+      }
+      return [...lowest].map(([product, price]) => ({ _id: product, price }));
+    });
+  });
+
+  after(() => mock.restoreAll());
+
+  it('compares a discount with the prices before it, not with itself', async () => {
+    const lowest = await getLowestPrices([discounted]);
+
+    assert.equal(lowest.get(String(discounted)), 20);
+  });
+
+  it('only counts the 30 days before the current price took effect', async () => {
+    const lowest = await getLowestPrices([longRunning]);
+
+    assert.equal(lowest.get(String(longRunning)), 40);
+  });
+
+  it('leaves out products without an earlier price', async () => {
+    const lowest = await getLowestPrices([discounted, newProduct]);
+
+    assert.equal(lowest.has(String(newProduct)), false);
+    assert.equal(lowest.size, 1);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Product from '../src/modules/product/model.js';
+import { searchProductIds, syncProduct, resetIndex } from '../src/modules/product/searchIndex.js';
+
+// Products changed while the index is built must show up in it as changed
+describe('Search index sync during a build', () => {
+  const id = new mongoose.Types.ObjectId();
+  const product = (name, status = 'active') => ({ _id: id, name, status, isDeleted: false });
+  let current;
+  let loaded;
+  let finishLoading;
+
+  before(() => {
+    // The build gets the products as they were when it started loading them
+    mock.method(Product, 'find', () => ({
+      populate: () => new Promise((resolve) => {
+        finishLoading = () => resolve(loaded);
+      }),
+    }));
+    mock.method(Product, 'findById', () => ({ populate: async () => current }));
+  });
+
+  after(() => {
+    mock.restoreAll();
+    resetIndex();
+    delete process.env.SEARCH_INDEX_TTL_SECONDS;
+  });
+
+  beforeEach(() => {
+    resetIndex();
+    loaded = [product('Walnut desk')];
+    current = loaded[0];
+  });
+
+  const search = async (query) => (await searchProductIds(query)).map(String);
+
+  it('applies changes made during the first build', async () => {
+    const results = search('desk');
+
+    current = product('Walnut desk', 'draft');
+    await syncProduct(id);
+    finishLoading();
+
+    assert.deepEqual(await results, []);
+  });
+
+  it('applies changes made during a background rebuild', async () => {
+    const first = search('desk');
+    finishLoading();
+    assert.deepEqual(await first, [String(id)]);
+
+    // Make the index stale so the next search rebuilds it in the background
+    process.env.SEARCH_INDEX_TTL_SECONDS = '0.001';
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    assert.deepEqual(await search('desk'), [String(id)]);
+    process.env.SEARCH_INDEX_TTL_SECONDS = '300';
+
+    current = product('Walnut table');
+    await syncProduct(id);
+    finishLoading();
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    assert.deepEqual(await search('table'), [String(id)]);
+    assert.deepEqual(await search('desk'), []);
+  });
+});
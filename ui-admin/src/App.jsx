@@ -6,8 +6,17 @@ import AdminLayout from './components/AdminLayout';
 import LoginPage from './pages/LoginPage';
 import DashboardPage from './pages/DashboardPage';
 import ProductsPage from './pages/ProductsPage';
+import ProductImportPage from './pages/ProductImportPage';
+import CategoriesPage from './pages/CategoriesPage';
 import InventoryPage from './pages/InventoryPage';
 import OrdersPage from './pages/OrdersPage';
+import ReviewsPage from './pages/ReviewsPage';
+import UsersPage from './pages/UsersPage';
+import RolesPage from './pages/RolesPage';
+import SessionsPage from './pages/SessionsPage';
+import ActivityPage from './pages/ActivityPage';
+import ApiKeysPage from './pages/ApiKeysPage';
+import SecurityPage from './pages/SecurityPage';
 
 function App() {
   return (
@@ -34,9 +43,51 @@ function App() {
               }
             >
               <Route index element={<DashboardPage />} />
-              <Route path="products" element={<ProductsPage />} />
-              <Route path="inventory" element={<InventoryPage />} />
-              <Route path="orders" element={<OrdersPage />} />
+              <Route
+                path="products"
+                element={<ProtectedRoute permission="products:read"><ProductsPage /></ProtectedRoute>}
+              />
+              <Route
+                path="products/import"
+                element={<ProtectedRoute permission="products:write"><ProductImportPage /></ProtectedRoute>}
+              />
+              <Route
+                path="categories"
+                element={<ProtectedRoute permission="products:read"><CategoriesPage /></ProtectedRoute>}
+              />
+              <Route
+                path="inventory"
+                element={<ProtectedRoute permission="inventory:read"><InventoryPage /></ProtectedRoute>}
+              />
+              <Route
+                path="orders"
+                element={<ProtectedRoute permission="orders:read"><OrdersPage /></ProtectedRoute>}
+              />
+              <Route
+                path="reviews"
+                element={<ProtectedRoute permission="reviews:read"><ReviewsPage /></ProtectedRoute>}
+              />
+              <Route
+                path="users"
+                element={<ProtectedRoute permission="users:read"><UsersPage /></ProtectedRoute>}
+              />
+              <Route
+                path="roles"
+                element={<ProtectedRoute permission="roles:manage"><RolesPage /></ProtectedRoute>}
+              />
+              <Route
+                path="sessions"
+                element={<ProtectedRoute permission="sessions:read"><SessionsPage /></ProtectedRoute>}
+              />
+              <Route
+                path="activity"
+                element={<ProtectedRoute permission="audit:read"><ActivityPage /></ProtectedRoute>}
+              />
+              <Route
+                path="api-keys"
+                element={<ProtectedRoute permission="api-keys:manage"><ApiKeysPage /></ProtectedRoute>}
+              />
+              <Route path="security" element={<SecurityPage />} />
             </Route>
 
             {/* Redirect root to admin */}
@@ -9,15 +9,37 @@ import {
     LogoutOutlined,
     MenuFoldOutlined,
     MenuUnfoldOutlined,
+    LaptopOutlined,
+    SafetyOutlined,
+    TeamOutlined,
+    KeyOutlined,
+    HistoryOutlined,
+    ApiOutlined,
+    ApartmentOutlined,
+    StarOutlined,
 } from '@ant-design/icons';
 import { Outlet, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 
 const { Header, Sider, Content } = Layout;
 
+// Menu items are shown only if the user's role grants the permission
+const MENU_PERMISSIONS = {
+    '/admin/products': 'products:read',
+    '/admin/categories': 'products:read',
+    '/admin/inventory': 'inventory:read',
+    '/admin/orders': 'orders:read',
+    '/admin/reviews': 'reviews:read',
+    '/admin/users': 'users:read',
+    '/admin/roles': 'roles:manage',
+    '/admin/sessions': 'sessions:read',
+    '/admin/activity': 'audit:read',
+    '/admin/api-keys': 'api-keys:manage',
+};
+
 const AdminLayout = () => {
     const [collapsed, setCollapsed] = useState(false);
-    const { user, logout } = useAuth();
+    const { user, logout, can } = useAuth();
     const navigate = useNavigate();
     const location = useLocation();
     const {
@@ -35,6 +57,11 @@ const AdminLayout = () => {
             icon: <ShoppingOutlined />,
             label: 'Products',
         },
+        {
+            key: '/admin/categories',
+            icon: <ApartmentOutlined />,
+            label: 'Categories',
+        },
         {
             key: '/admin/inventory',
             icon: <InboxOutlined />,
@@ -45,7 +72,37 @@ const AdminLayout = () => {
             icon: <ShoppingCartOutlined />,
             label: 'Orders',
         },
-    ];
+        {
+            key: '/admin/reviews',
+            icon: <StarOutlined />,
+            label: 'Reviews',
+        },
+        {
+            key: '/admin/users',
+            icon: <TeamOutlined />,
+            label: 'Users',
+        },
+        {
+            key: '/admin/roles',
+            icon: <KeyOutlined />,
+            label: 'Roles',
+        },
+        {
+            key: '/admin/sessions',
+            icon: <LaptopOutlined />,
+            label: 'Sessions',
+        },
+        {
+            key: '/admin/activity',
+            icon: <HistoryOutlined />,
+            label: 'Activity',
+        },
+        {
+            key: '/admin/api-keys',
+            icon: <ApiOutlined />,
+            label: 'API Keys',
+        },
+    ].filter((item) => !MENU_PERMISSIONS[item.key] || can(MENU_PERMISSIONS[item.key]));
 
     const userMenuItems = [
         {
@@ -53,6 +110,11 @@ const AdminLayout = () => {
             icon: <UserOutlined />,
             label: 'Profile',
         },
+        {
+            key: 'security',
+            icon: <SafetyOutlined />,
+            label: 'Security',
+        },
         {
             type: 'divider',
         },
@@ -72,6 +134,8 @@ const AdminLayout = () => {
         if (key === 'logout') {
             await logout();
             navigate('/login');
+        } else if (key === 'security') {
+            navigate('/admin/security');
         }
     };
 
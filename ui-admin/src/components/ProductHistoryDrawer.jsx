@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import { Drawer, Timeline, Table, Tag, Button, Popconfirm, Space, Typography, Pagination, message } from 'antd';
+import { productService } from '../services/productService';
+
+const { Text } = Typography;
+
+const PAGE_SIZE = 10;
+
+const ACTION_COLORS = {
+    baseline: 'gray',
+    created: 'green',
+    updated: 'blue',
+    deleted: 'red',
+    published: 'green',
+    unpublished: 'orange',
+    repriced: 'cyan',
+    restored: 'purple',
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return <Text type="secondary">empty</Text>;
+    if (typeof value === 'object') return <Text code>{JSON.stringify(value)}</Text>;
+    return String(value);
+};
+
+// Revisions of a product with the fields each one changed, and restore
+const ProductHistoryDrawer = ({ product, onClose, onRestored }) => {
+    const [revisions, setRevisions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [page, setPage] = useState(1);
+    const [total, setTotal] = useState(0);
+
+    useEffect(() => {
+        if (!product) return;
+
+        let ignore = false;
+        const fetchRevisions = async () => {
+            try {
+                setLoading(true);
+                const response = await productService.getRevisions(product._id, { page, limit: PAGE_SIZE });
+                if (!ignore) {
+                    setRevisions(response.data);
+                    setTotal(response.pagination.total);
+                }
+            } catch (error) {
+                message.error('Failed to fetch product history');
+                console.error(error);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        fetchRevisions();
+        return () => {
+            ignore = true;
+        };
+    }, [product, page]);
+
+    const handleClose = () => {
+        setPage(1);
+        setRevisions([]);
+        onClose();
+    };
+
+    const handleRestore = async (revision) => {
+        try {
+            await productService.restoreRevision(product._id, revision._id);
+            message.success(`Restored version ${revision.version}`);
+            handleClose();
+            onRestored();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to restore revision');
+            console.error(error);
+        }
+    };
+
+    return (
+        <Drawer title={`History: ${product?.name || ''}`} size="large" open={!!product} onClose={handleClose} loading={loading}>
+            <Timeline
+                items={revisions.map((revision, index) => ({
+                    key: revision._id,
+                    color: ACTION_COLORS[revision.action],
+                    content: (
+                        <Space direction="vertical" style={{ width: '100%' }}>
+                            <Space wrap>
+                                <Text strong>v{revision.version}</Text>
+                                <Tag color={ACTION_COLORS[revision.action]}>{revision.action.toUpperCase()}</Tag>
+                                {revision.restoredFrom && <Text type="secondary">from v{revision.restoredFrom}</Text>}
+                                <Text type="secondary">
+                                    {new Date(revision.createdAt).toLocaleString()} by{' '}
+                                    {revision.actor?.name || revision.actorEmail || 'system'}
+                                </Text>
+                                {/* The newest revision is the current product */}
+                                {!(page === 1 && index === 0) && revision.action !== 'deleted' && (
+                                    <Popconfirm
+                                        title={`Restore version ${revision.version}?`}
+                                        description="The product's current fields are replaced; this is recorded as a new revision."
+                                        onConfirm={() => handleRestore(revision)}
+                                    >
+                                        <Button size="small">Restore</Button>
+                                    </Popconfirm>
+                                )}
+                            </Space>
+                            {revision.changes && (
+                                <Table
+                                    size="small"
+                                    pagination={false}
+                                    rowKey="field"
+                                    dataSource={Object.entries(revision.changes).map(([field, change]) => ({
+                                        field,
+                                        ...change,
+                                    }))}
+                                    columns={[
+                                        { title: 'Field', dataIndex: 'field', key: 'field' },
+                                        { title: 'Before', dataIndex: 'from', key: 'from', render: formatValue },
+                                        { title: 'After', dataIndex: 'to', key: 'to', render: formatValue },
+                                    ]}
+                                />
+                            )}
+                        </Space>
+                    ),
+                }))}
+            />
+            {total > PAGE_SIZE && (
+                <Pagination current={page} pageSize={PAGE_SIZE} total={total} onChange={setPage} />
+            )}
+        </Drawer>
+    );
+};
+
+export default ProductHistoryDrawer;
@@ -0,0 +1,153 @@
+import { useState } from 'react';
+import { Upload, Input, Button, Tag, Space, Typography, message } from 'antd';
+import { InboxOutlined, DeleteOutlined, HolderOutlined } from '@ant-design/icons';
+import { productService } from '../services/productService';
+
+const { Text } = Typography;
+
+const ACCEPTED_TYPES = 'image/jpeg,image/png,image/webp,image/gif,image/avif';
+
+// Product images form control: upload, drag to reorder, alt text
+// value is the product's images array ({ url, alt, thumbnails, ... }), the first one is the main image
+const ProductImagesInput = ({ value = [], onChange }) => {
+    const [uploading, setUploading] = useState(false);
+    const [dragIndex, setDragIndex] = useState(null);
+    const [urlInput, setUrlInput] = useState('');
+
+    const uploadFiles = async (files) => {
+        try {
+            setUploading(true);
+            const images = await productService.uploadImages(files);
+            onChange?.([...value, ...images]);
+            message.success(`${images.length} image(s) uploaded`);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to upload images');
+            console.error(error);
+        } finally {
+            setUploading(false);
+        }
+    };
+
+    // Upload the whole selection in one request instead of once per file
+    const handleBeforeUpload = (file, fileList) => {
+        if (file === fileList[0]) {
+            uploadFiles(fileList);
+        }
+        return Upload.LIST_IGNORE;
+    };
+
+    const handleAddUrl = () => {
+        const url = urlInput.trim();
+        if (!url) return;
+        onChange?.([...value, { url, alt: '' }]);
+        setUrlInput('');
+    };
+
+    const handleDrop = (targetIndex) => {
+        if (dragIndex === null || dragIndex === targetIndex) return;
+        const images = [...value];
+        const [moved] = images.splice(dragIndex, 1);
+        images.splice(targetIndex, 0, moved);
+        onChange?.(images);
+        setDragIndex(null);
+    };
+
+    const handleAltChange = (index, alt) => {
+        onChange?.(value.map((image, i) => (i === index ? { ...image, alt } : image)));
+    };
+
+    const handleRemove = (index) => {
+        onChange?.(value.filter((_, i) => i !== index));
+    };
+
+    return (
+        <Space direction="vertical" style={{ width: '100%' }}>
+            {value.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+                    {value.map((image, index) => (
+                        <div
+                            key={image.url}
+                            draggable
+                            onDragStart={() => setDragIndex(index)}
+                            onDragEnd={() => setDragIndex(null)}
+                            onDragOver={(e) => e.preventDefault()}
+                            onDrop={() => handleDrop(index)}
+                            style={{
+                                width: 160,
+                                padding: 6,
+                                border: '1px solid #d9d9d9',
+                                borderRadius: 6,
+                                background: '#fff',
+                                cursor: 'move',
+                                opacity: dragIndex === index ? 0.4 : 1,
+                            }}
+                        >
+                            <div style={{ position: 'relative' }}>
+                                <img
+                                    src={image.thumbnails?.small || image.url}
+                                    alt={image.alt}
+                                    style={{ width: '100%', height: 110, objectFit: 'cover', borderRadius: 4 }}
+                                />
+                                {index === 0 && (
+                                    <Tag color="blue" style={{ position: 'absolute', top: 4, left: 4 }}>
+                                        Main
+                                    </Tag>
+                                )}
+                            </div>
+                            <Input
+                                size="small"
+                                placeholder="Alt text"
+                                value={image.alt}
+                                onChange={(e) => handleAltChange(index, e.target.value)}
+                                style={{ marginTop: 6 }}
+                            />
+                            <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 4 }}>
+                                <Text type="secondary">
+                                    <HolderOutlined /> {index + 1}
+                                </Text>
+                                <Button
+                                    size="small"
+                                    type="text"
+                                    danger
+                                    icon={<DeleteOutlined />}
+                                    onClick={() => handleRemove(index)}
+                                />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <Upload.Dragger
+                multiple
+                accept={ACCEPTED_TYPES}
+                showUploadList={false}
+                beforeUpload={handleBeforeUpload}
+                disabled={uploading}
+            >
+                <p className="ant-upload-drag-icon">
+                    <InboxOutlined />
+                </p>
+                <p className="ant-upload-text">
+                    {uploading ? 'Uploading...' : 'Click or drag images here to upload'}
+                </p>
+                <p className="ant-upload-hint">JPEG, PNG, WebP, GIF or AVIF. Drag images above to reorder.</p>
+            </Upload.Dragger>
+
+            <Space.Compact style={{ width: '100%' }}>
+                <Input
+                    placeholder="Or add an image by URL"
+                    value={urlInput}
+                    onChange={(e) => setUrlInput(e.target.value)}
+                    onPressEnter={(e) => {
+                        e.preventDefault();
+                        handleAddUrl();
+                    }}
+                />
+                <Button onClick={handleAddUrl}>Add</Button>
+            </Space.Compact>
+        </Space>
+    );
+};
+
+export default ProductImagesInput;
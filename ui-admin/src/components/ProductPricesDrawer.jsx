@@ -0,0 +1,291 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+    Drawer,
+    Form,
+    Select,
+    InputNumber,
+    DatePicker,
+    Button,
+    Table,
+    Tag,
+    Popconfirm,
+    Space,
+    Statistic,
+    Typography,
+    message,
+} from 'antd';
+import dayjs from 'dayjs';
+import { productService } from '../services/productService';
+
+const { Title, Text } = Typography;
+
+const STATUS_COLORS = {
+    scheduled: 'blue',
+    active: 'green',
+    completed: 'default',
+    cancelled: 'orange',
+    failed: 'red',
+};
+
+const formatPrice = (price) => (price === null || price === undefined ? '-' : `$${price.toFixed(2)}`);
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+// Price history of a product and its scheduled price changes (e.g. a weekend promotion)
+const ProductPricesDrawer = ({ product, onClose, onChanged }) => {
+    const [history, setHistory] = useState([]);
+    const [lowestPrice, setLowestPrice] = useState(null);
+    const [priceChanges, setPriceChanges] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [saving, setSaving] = useState(false);
+    const [form] = Form.useForm();
+
+    const hasVariants = product?.variants?.length > 0;
+    const variantNames = new Map((product?.variants || []).map((variant) => [variant._id, variant.name]));
+
+    const fetchPrices = useCallback(async () => {
+        try {
+            setLoading(true);
+            const [historyResponse, changesResponse] = await Promise.all([
+                productService.getPriceHistory(product._id),
+                productService.getPriceChanges(product._id, { limit: 50 }),
+            ]);
+            setHistory(historyResponse.data.history);
+            setLowestPrice(historyResponse.data.lowestPrice30Days);
+            setPriceChanges(changesResponse.data);
+        } catch (error) {
+            message.error('Failed to fetch prices');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    }, [product]);
+
+    useEffect(() => {
+        if (product) {
+            fetchPrices();
+        }
+    }, [product, fetchPrices]);
+
+    const handleClose = () => {
+        form.resetFields();
+        setHistory([]);
+        setPriceChanges([]);
+        onClose();
+    };
+
+    const handleSchedule = async (values) => {
+        try {
+            setSaving(true);
+            await productService.schedulePriceChange(product._id, {
+                ...values,
+                startsAt: values.startsAt.toISOString(),
+                endsAt: values.endsAt?.toISOString() ?? null,
+            });
+            message.success('Price change scheduled');
+            form.resetFields();
+            fetchPrices();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to schedule the price change');
+            console.error(error);
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCancel = async (priceChange) => {
+        try {
+            await productService.cancelPriceChange(product._id, priceChange._id);
+            message.success(priceChange.status === 'active' ? 'Price change ended' : 'Price change cancelled');
+            fetchPrices();
+            if (priceChange.status === 'active') {
+                onChanged();
+            }
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to cancel the price change');
+            console.error(error);
+        }
+    };
+
+    const changeColumns = [
+        ...(hasVariants
+            ? [
+                  {
+                      title: 'Variant',
+                      dataIndex: 'variant',
+                      key: 'variant',
+                      render: (variant) => variantNames.get(variant) || <Text type="secondary">removed</Text>,
+                  },
+              ]
+            : []),
+        {
+            title: 'Price',
+            key: 'price',
+            render: (_, record) => (
+                <Space size={4}>
+                    <Text strong>{formatPrice(record.price)}</Text>
+                    {record.comparePrice && <Text delete type="secondary">{formatPrice(record.comparePrice)}</Text>}
+                </Space>
+            ),
+        },
+        {
+            title: 'Starts',
+            dataIndex: 'startsAt',
+            key: 'startsAt',
+            render: formatDate,
+        },
+        {
+            title: 'Ends',
+            dataIndex: 'endsAt',
+            key: 'endsAt',
+            render: (date) => (date ? formatDate(date) : <Text type="secondary">permanent</Text>),
+        },
+        {
+            title: 'Status',
+            key: 'status',
+            render: (_, record) => (
+                <Space direction="vertical" size={0}>
+                    <Tag color={STATUS_COLORS[record.status]}>{record.status.toUpperCase()}</Tag>
+                    {record.failureReason && <Text type="danger">{record.failureReason}</Text>}
+                    {record.reverted === false && <Text type="secondary">Price was edited - kept</Text>}
+                </Space>
+            ),
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) =>
+                ['scheduled', 'active'].includes(record.status) && (
+                    <Popconfirm
+                        title={record.status === 'active' ? 'End this price change now?' : 'Cancel this price change?'}
+                        description={record.status === 'active' && 'The previous price is put back.'}
+                        onConfirm={() => handleCancel(record)}
+                    >
+                        <Button size="small" danger>
+                            {record.status === 'active' ? 'End Now' : 'Cancel'}
+                        </Button>
+                    </Popconfirm>
+                ),
+        },
+    ];
+
+    const historyColumns = [
+        ...(hasVariants
+            ? [
+                  {
+                      title: 'Variant',
+                      key: 'variant',
+                      render: (_, record) =>
+                          record.variant ? record.variantName || <Text type="secondary">removed</Text> : 'Product',
+                  },
+              ]
+            : []),
+        {
+            title: 'Price',
+            dataIndex: 'price',
+            key: 'price',
+            render: formatPrice,
+        },
+        {
+            title: 'Compare Price',
+            dataIndex: 'comparePrice',
+            key: 'comparePrice',
+            render: formatPrice,
+        },
+        {
+            title: 'From',
+            dataIndex: 'effectiveFrom',
+            key: 'effectiveFrom',
+            render: formatDate,
+        },
+        {
+            title: 'To',
+            dataIndex: 'effectiveTo',
+            key: 'effectiveTo',
+            render: (date) => (date ? formatDate(date) : <Tag color="green">CURRENT</Tag>),
+        },
+        {
+            title: 'Source',
+            dataIndex: 'source',
+            key: 'source',
+        },
+        {
+            title: 'By',
+            key: 'actor',
+            render: (_, record) => record.actor?.name || 'system',
+        },
+    ];
+
+    return (
+        <Drawer title={`Prices: ${product?.name || ''}`} size="large" open={!!product} onClose={handleClose} loading={loading}>
+            <Title level={5}>Schedule a Price Change</Title>
+            <Form form={form} layout="vertical" onFinish={handleSchedule}>
+                {hasVariants && (
+                    <Form.Item name="variant" label="Variant" rules={[{ required: true, message: 'Please select a variant' }]}>
+                        <Select
+                            placeholder="Products with variants are priced per variant"
+                            options={product.variants.map((variant) => ({
+                                value: variant._id,
+                                label: `${variant.name} (${formatPrice(variant.price)})`,
+                            }))}
+                        />
+                    </Form.Item>
+                )}
+                <Space align="start" wrap>
+                    <Form.Item name="price" label="Price" rules={[{ required: true, message: 'Please enter price' }]}>
+                        <InputNumber min={0} precision={2} placeholder="0.00" />
+                    </Form.Item>
+                    <Form.Item name="comparePrice" label="Compare Price" extra="Shown struck through">
+                        <InputNumber min={0} precision={2} placeholder="0.00" />
+                    </Form.Item>
+                    <Form.Item name="startsAt" label="Starts At" rules={[{ required: true, message: 'Please select a start' }]}>
+                        <DatePicker showTime={{ format: 'HH:mm' }} format="YYYY-MM-DD HH:mm" />
+                    </Form.Item>
+                    <Form.Item
+                        name="endsAt"
+                        label="Ends At"
+                        extra="The previous price is put back - leave empty for a permanent change"
+                        dependencies={['startsAt']}
+                        rules={[
+                            {
+                                validator: (_, value) => {
+                                    const startsAt = form.getFieldValue('startsAt');
+                                    if (value && !value.isAfter(dayjs())) {
+                                        return Promise.reject(new Error('Must be in the future'));
+                                    }
+                                    return value && startsAt && !value.isAfter(startsAt)
+                                        ? Promise.reject(new Error('Must be after the start'))
+                                        : Promise.resolve();
+                                },
+                            },
+                        ]}
+                    >
+                        <DatePicker showTime={{ format: 'HH:mm' }} format="YYYY-MM-DD HH:mm" />
+                    </Form.Item>
+                </Space>
+                <Form.Item>
+                    <Button type="primary" htmlType="submit" loading={saving}>
+                        Schedule
+                    </Button>
+                </Form.Item>
+            </Form>
+
+            <Title level={5}>Scheduled Changes</Title>
+            <Table
+                size="small"
+                columns={changeColumns}
+                dataSource={priceChanges}
+                rowKey="_id"
+                pagination={false}
+                style={{ marginBottom: 24 }}
+            />
+
+            <Space style={{ width: '100%', justifyContent: 'space-between' }}>
+                <Title level={5}>Price History (90 days)</Title>
+                <Statistic title="Lowest in 30 days before current price" value={formatPrice(lowestPrice)} />
+            </Space>
+            <Table size="small" columns={historyColumns} dataSource={history} rowKey="_id" pagination={{ pageSize: 10 }} />
+        </Drawer>
+    );
+};
+
+export default ProductPricesDrawer;
@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react';
+import { Table, Button, Space, Popconfirm, Typography, message } from 'antd';
+import { UndoOutlined, DeleteOutlined } from '@ant-design/icons';
+import { productService } from '../services/productService';
+
+const { Text } = Typography;
+
+const PAGE_SIZE = 10;
+
+// Deleted products - restore them or delete them for good
+const ProductTrashTable = ({ canWrite, onRestored }) => {
+    const [products, setProducts] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [pagination, setPagination] = useState({ current: 1, pageSize: PAGE_SIZE, total: 0 });
+
+    useEffect(() => {
+        fetchTrash();
+    }, []);
+
+    const fetchTrash = async (page = 1) => {
+        try {
+            setLoading(true);
+            const response = await productService.getTrash({ page, limit: PAGE_SIZE });
+            setProducts(response.data || []);
+            setPagination({ current: page, pageSize: PAGE_SIZE, total: response.pagination.total });
+        } catch (error) {
+            message.error('Failed to fetch trash');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRestore = async (product) => {
+        try {
+            const response = await productService.restore(product._id);
+            const { slug } = response.data.product;
+            message.success(
+                slug === product.slug ? 'Product restored' : `Product restored as "${slug}" - its slug was taken`
+            );
+            fetchTrash(pagination.current);
+            onRestored();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to restore product');
+            console.error(error);
+        }
+    };
+
+    const handlePurge = async (id) => {
+        try {
+            await productService.purge(id);
+            message.success('Product permanently deleted');
+            fetchTrash(pagination.current);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to delete product');
+            console.error(error);
+        }
+    };
+
+    const columns = [
+        {
+            title: 'Name',
+            dataIndex: 'name',
+            key: 'name',
+            render: (name, record) => (
+                <Space direction="vertical" size={0}>
+                    <Text>{name}</Text>
+                    <Text type="secondary" style={{ fontSize: 12 }}>{record.slug}</Text>
+                </Space>
+            ),
+        },
+        {
+            title: 'Category',
+            dataIndex: 'category',
+            key: 'category',
+            render: (category) => category?.name || 'N/A',
+        },
+        {
+            title: 'Deleted',
+            dataIndex: 'deletedAt',
+            key: 'deletedAt',
+            render: (date) => (date ? new Date(date).toLocaleString() : '-'),
+        },
+        {
+            title: 'Purged On',
+            dataIndex: 'purgeAt',
+            key: 'purgeAt',
+            render: (date) => (date ? new Date(date).toLocaleDateString() : '-'),
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) => (
+                <Space>
+                    <Button icon={<UndoOutlined />} size="small" onClick={() => handleRestore(record)}>
+                        Restore
+                    </Button>
+                    <Popconfirm
+                        title="Delete permanently?"
+                        description="The product, its stock records, history and uploaded images are removed for good."
+                        onConfirm={() => handlePurge(record._id)}
+                        okText="Delete"
+                        okButtonProps={{ danger: true }}
+                        cancelText="Cancel"
+                    >
+                        <Button icon={<DeleteOutlined />} danger size="small">
+                            Delete Permanently
+                        </Button>
+                    </Popconfirm>
+                </Space>
+            ),
+        },
+    ].filter((column) => canWrite || column.key !== 'actions');
+
+    return (
+        <Table
+            columns={columns}
+            dataSource={products}
+            rowKey="_id"
+            loading={loading}
+            pagination={pagination}
+            onChange={(nextPagination) => fetchTrash(nextPagination.current)}
+        />
+    );
+};
+
+export default ProductTrashTable;
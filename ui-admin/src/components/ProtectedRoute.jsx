@@ -1,9 +1,9 @@
 import { Navigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { Spin } from 'antd';
+import { Spin, Result } from 'antd';
 
-const ProtectedRoute = ({ children }) => {
-    const { isAuthenticated, isAdmin, loading } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+    const { user, isAuthenticated, hasAdminAccess, can, loading } = useAuth();
 
     if (loading) {
         return (
@@ -13,10 +13,21 @@ const ProtectedRoute = ({ children }) => {
         );
     }
 
-    if (!isAuthenticated || !isAdmin) {
+    // Admins who still have to enroll in 2FA finish setup on the login page
+    if (!isAuthenticated || !hasAdminAccess || user?.twoFactorSetupRequired) {
         return <Navigate to="/login" replace />;
     }
 
+    if (permission && !can(permission)) {
+        return (
+            <Result
+                status="403"
+                title="403"
+                subTitle="You do not have permission to view this page."
+            />
+        );
+    }
+
     return children;
 };
 
@@ -0,0 +1,125 @@
+import { useState, useEffect, useRef } from 'react';
+import { Button, Input, QRCode, Space, Spin, Typography, Alert, message } from 'antd';
+import { authService } from '../services/authService';
+
+const { Text, Paragraph } = Typography;
+
+// Recovery codes shown once after enrollment or regeneration
+export const RecoveryCodes = ({ codes, onDone, doneLabel = "I've saved these codes" }) => (
+    <Space direction="vertical" style={{ width: '100%' }}>
+        <Alert
+            type="warning"
+            showIcon
+            message="Save your recovery codes"
+            description="Each code can be used once to sign in if you lose access to your authenticator app. They will not be shown again."
+        />
+        <div
+            style={{
+                display: 'grid',
+                gridTemplateColumns: 'repeat(2, 1fr)',
+                gap: 8,
+                fontFamily: 'monospace',
+                padding: 12,
+                background: '#fafafa',
+                borderRadius: 6,
+            }}
+        >
+            {codes.map((code) => (
+                <Text key={code}>{code}</Text>
+            ))}
+        </div>
+        <Paragraph copyable={{ text: codes.join('\n') }} style={{ margin: 0 }}>
+            Copy all codes
+        </Paragraph>
+        <Button type="primary" block onClick={onDone}>
+            {doneLabel}
+        </Button>
+    </Space>
+);
+
+// Two-factor enrollment: scan QR code, confirm with a code, then save recovery codes
+const TwoFactorSetup = ({ onComplete }) => {
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    // Each setup call issues a new secret, so only start once (StrictMode runs effects twice)
+    const started = useRef(false);
+
+    useEffect(() => {
+        if (started.current) return;
+        started.current = true;
+        startSetup();
+    }, []);
+
+    const startSetup = async () => {
+        try {
+            const data = await authService.setupTwoFactor();
+            setSetup(data);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to start two-factor setup');
+            console.error(error);
+        }
+    };
+
+    const handleEnable = async () => {
+        try {
+            setSubmitting(true);
+            const data = await authService.enableTwoFactor(code);
+            setRecoveryCodes(data.recoveryCodes);
+            message.success('Two-factor authentication enabled');
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Invalid authentication code');
+            console.error(error);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (recoveryCodes) {
+        return <RecoveryCodes codes={recoveryCodes} onDone={onComplete} />;
+    }
+
+    if (!setup) {
+        return (
+            <div style={{ textAlign: 'center', padding: 24 }}>
+                <Spin />
+            </div>
+        );
+    }
+
+    return (
+        <Space direction="vertical" style={{ width: '100%' }} size="middle">
+            <Text>
+                Scan this QR code with an authenticator app (Google Authenticator, 1Password,
+                Authy...), then enter the 6-digit code it shows.
+            </Text>
+            <div style={{ display: 'flex', justifyContent: 'center' }}>
+                <QRCode value={setup.otpauthUrl} />
+            </div>
+            <Text type="secondary" style={{ fontSize: 12 }}>
+                Can't scan? Enter this key manually: <Text code copyable>{setup.secret}</Text>
+            </Text>
+            <Input
+                placeholder="6-digit code"
+                maxLength={6}
+                size="large"
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                onPressEnter={handleEnable}
+            />
+            <Button
+                type="primary"
+                block
+                size="large"
+                loading={submitting}
+                disabled={code.length !== 6}
+                onClick={handleEnable}
+            >
+                Enable Two-Factor Authentication
+            </Button>
+        </Space>
+    );
+};
+
+export default TwoFactorSetup;
@@ -3,10 +3,32 @@ import { authService } from '../services/authService';
 
 const AuthContext = createContext(null);
 
+// Permission that grants everything (admin role)
+const ALL_PERMISSIONS = '*';
+
+// Merge updates into the stored user
+const mergeUser = (current, updates) => {
+    if (!current) return current;
+    const updated = { ...current, ...updates };
+    localStorage.setItem('adminUser', JSON.stringify(updated));
+    return updated;
+};
+
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
 
+    // Roles can change while logged in, so reload permissions from the server
+    const refreshPermissions = async () => {
+        try {
+            const data = await authService.getCurrentUser();
+            const { role, permissions } = data.data.user;
+            setUser((current) => mergeUser(current, { role, permissions }));
+        } catch (error) {
+            console.error('Error refreshing permissions:', error);
+        }
+    };
+
     useEffect(() => {
         // Check if user is logged in
         const token = localStorage.getItem('adminToken');
@@ -15,6 +37,7 @@ export const AuthProvider = ({ children }) => {
         if (token && savedUser) {
             try {
                 setUser(JSON.parse(savedUser));
+                refreshPermissions();
             } catch (error) {
                 console.error('Error parsing saved user:', error);
                 localStorage.removeItem('adminUser');
@@ -23,32 +46,65 @@ export const AuthProvider = ({ children }) => {
         setLoading(false);
     }, []);
 
-    const login = async (email, password) => {
-        const data = await authService.login(email, password);
-
-        // Check if user is admin
-        if (data.user.role !== 'admin') {
+    const completeLogin = (data) => {
+        // Check if user has any admin panel permission
+        if (!data.user.permissions?.length) {
             throw new Error('Access denied. Admin privileges required.');
         }
 
+        const adminUser = {
+            ...data.user,
+            twoFactorSetupRequired: !!data.twoFactorSetupRequired,
+        };
+
         localStorage.setItem('adminToken', data.accessToken);
-        localStorage.setItem('adminUser', JSON.stringify(data.user));
-        setUser(data.user);
+        localStorage.setItem('adminRefreshToken', data.refreshToken);
+        localStorage.setItem('adminUser', JSON.stringify(adminUser));
+        setUser(adminUser);
         return data;
     };
 
+    const login = async (email, password) => {
+        const data = await authService.login(email, password);
+
+        // Second step required - caller continues with verifyTwoFactor
+        if (data.twoFactorRequired) {
+            return data;
+        }
+
+        return completeLogin(data);
+    };
+
+    const verifyTwoFactor = async (challengeToken, codes) => {
+        const data = await authService.verifyTwoFactor(challengeToken, codes);
+        return completeLogin(data);
+    };
+
+    const updateUser = (updates) => {
+        setUser((current) => mergeUser(current, updates));
+    };
+
     const logout = async () => {
         await authService.logout();
         setUser(null);
     };
 
+    // Check if the current user's role grants a permission
+    const can = (permission) => {
+        const permissions = user?.permissions || [];
+        return permissions.includes(ALL_PERMISSIONS) || permissions.includes(permission);
+    };
+
     const value = {
         user,
         login,
+        verifyTwoFactor,
+        updateUser,
         logout,
+        can,
         loading,
         isAuthenticated: !!user,
-        isAdmin: user?.role === 'admin',
+        hasAdminAccess: !!user?.permissions?.length,
     };
 
     return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -0,0 +1,222 @@
+import { useState, useEffect } from 'react';
+import {
+    Table,
+    Tag,
+    Space,
+    Select,
+    Input,
+    DatePicker,
+    Descriptions,
+    message,
+    Typography,
+} from 'antd';
+import { auditService } from '../services/auditService';
+
+const { Title, Text } = Typography;
+const { RangePicker } = DatePicker;
+const PAGE_SIZE = 20;
+
+const ACTION_COLORS = {
+    created: 'green',
+    deleted: 'red',
+    failed: 'red',
+    updated: 'blue',
+};
+
+const getActionColor = (action) => {
+    const verb = Object.keys(ACTION_COLORS).find((key) => action.includes(key));
+    return verb ? ACTION_COLORS[verb] : 'default';
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return <Text type="secondary">empty</Text>;
+    if (typeof value === 'object') return <Text code>{JSON.stringify(value)}</Text>;
+    return String(value);
+};
+
+const ActivityPage = () => {
+    const [logs, setLogs] = useState([]);
+    const [filterOptions, setFilterOptions] = useState({ actions: [], entityTypes: [] });
+    const [loading, setLoading] = useState(false);
+    const [filters, setFilters] = useState({ action: '', entityType: '', actorEmail: '', from: '', to: '' });
+    const [pagination, setPagination] = useState({ current: 1, pageSize: PAGE_SIZE, total: 0 });
+
+    useEffect(() => {
+        fetchLogs();
+        fetchFilterOptions();
+    }, []);
+
+    const fetchFilterOptions = async () => {
+        try {
+            const data = await auditService.getFilterOptions();
+            setFilterOptions(data);
+        } catch (error) {
+            console.error('Error fetching filter options:', error);
+        }
+    };
+
+    const fetchLogs = async (page = 1, activeFilters = {}) => {
+        try {
+            setLoading(true);
+            const params = { page, limit: PAGE_SIZE };
+            Object.entries(activeFilters).forEach(([key, value]) => {
+                if (value !== '') params[key] = value;
+            });
+
+            const data = await auditService.getAll(params);
+            setLogs(data.data || []);
+            setPagination({
+                current: page,
+                pageSize: PAGE_SIZE,
+                total: data.pagination?.total || 0,
+            });
+        } catch (error) {
+            message.error('Failed to fetch activity');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const applyFilters = (changes) => {
+        const nextFilters = { ...filters, ...changes };
+        setFilters(nextFilters);
+        fetchLogs(1, nextFilters);
+    };
+
+    const handleDateChange = (dates) => {
+        applyFilters({
+            from: dates?.[0] ? dates[0].startOf('day').toISOString() : '',
+            to: dates?.[1] ? dates[1].endOf('day').toISOString() : '',
+        });
+    };
+
+    const columns = [
+        {
+            title: 'Time',
+            dataIndex: 'createdAt',
+            key: 'createdAt',
+            render: (date) => new Date(date).toLocaleString(),
+        },
+        {
+            title: 'Actor',
+            key: 'actor',
+            render: (_, record) =>
+                record.actor ? (
+                    <Space direction="vertical" size={0}>
+                        <Text strong>{record.actor.name}</Text>
+                        <Text type="secondary">{record.actor.email}</Text>
+                        {record.impersonatedBy && (
+                            <Tag color="orange">via {record.impersonatedBy.name}</Tag>
+                        )}
+                        {record.apiKey && <Tag color="cyan">API key: {record.apiKey.name}</Tag>}
+                    </Space>
+                ) : (
+                    <Text type="secondary">{record.actorEmail || 'Anonymous'}</Text>
+                ),
+        },
+        {
+            title: 'Action',
+            dataIndex: 'action',
+            key: 'action',
+            render: (action) => <Tag color={getActionColor(action)}>{action}</Tag>,
+        },
+        {
+            title: 'Entity',
+            key: 'entity',
+            render: (_, record) =>
+                record.entityType ? (
+                    <Space direction="vertical" size={0}>
+                        <Text>{record.entityType}</Text>
+                        {record.entityId && <Text type="secondary" copyable>{record.entityId}</Text>}
+                    </Space>
+                ) : (
+                    'N/A'
+                ),
+        },
+        {
+            title: 'IP',
+            dataIndex: 'ip',
+            key: 'ip',
+            render: (ip) => ip || 'N/A',
+        },
+    ];
+
+    const renderDetails = (record) => (
+        <Space direction="vertical" style={{ width: '100%' }}>
+            {record.changes && (
+                <Table
+                    size="small"
+                    pagination={false}
+                    rowKey="field"
+                    dataSource={Object.entries(record.changes).map(([field, change]) => ({
+                        field,
+                        ...change,
+                    }))}
+                    columns={[
+                        { title: 'Field', dataIndex: 'field', key: 'field' },
+                        { title: 'Before', dataIndex: 'from', key: 'from', render: formatValue },
+                        { title: 'After', dataIndex: 'to', key: 'to', render: formatValue },
+                    ]}
+                />
+            )}
+            {record.metadata && (
+                <Descriptions size="small" column={1} bordered>
+                    {Object.entries(record.metadata).map(([key, value]) => (
+                        <Descriptions.Item key={key} label={key}>
+                            {formatValue(value)}
+                        </Descriptions.Item>
+                    ))}
+                </Descriptions>
+            )}
+            {record.userAgent && <Text type="secondary">{record.userAgent}</Text>}
+        </Space>
+    );
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <Title level={2}>Activity</Title>
+                <Space wrap>
+                    <Input.Search
+                        placeholder="Actor email"
+                        allowClear
+                        onSearch={(value) => applyFilters({ actorEmail: value })}
+                        style={{ width: 220 }}
+                    />
+                    <Select
+                        placeholder="Action"
+                        allowClear
+                        showSearch
+                        style={{ width: 200 }}
+                        onChange={(value) => applyFilters({ action: value ?? '' })}
+                        options={filterOptions.actions.map((action) => ({ value: action, label: action }))}
+                    />
+                    <Select
+                        placeholder="Entity"
+                        allowClear
+                        style={{ width: 140 }}
+                        onChange={(value) => applyFilters({ entityType: value ?? '' })}
+                        options={filterOptions.entityTypes.map((type) => ({ value: type, label: type }))}
+                    />
+                    <RangePicker onChange={handleDateChange} />
+                </Space>
+            </div>
+
+            <Table
+                columns={columns}
+                dataSource={logs}
+                rowKey="_id"
+                loading={loading}
+                pagination={pagination}
+                onChange={(pager) => fetchLogs(pager.current, filters)}
+                expandable={{
+                    expandedRowRender: renderDetails,
+                    rowExpandable: (record) => !!(record.changes || record.metadata),
+                }}
+            />
+        </div>
+    );
+};
+
+export default ActivityPage;
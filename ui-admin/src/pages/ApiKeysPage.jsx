@@ -0,0 +1,295 @@
+import { useState, useEffect } from 'react';
+import {
+    Table,
+    Tag,
+    Button,
+    Space,
+    Modal,
+    Form,
+    Input,
+    Checkbox,
+    DatePicker,
+    Select,
+    Alert,
+    message,
+    Popconfirm,
+    Typography,
+} from 'antd';
+import { PlusOutlined, StopOutlined } from '@ant-design/icons';
+import { apiKeyService } from '../services/apiKeyService';
+
+const { Title, Text, Paragraph } = Typography;
+const PAGE_SIZE = 20;
+
+const getKeyStatus = (apiKey) => {
+    if (apiKey.revokedAt) return { label: 'REVOKED', color: 'red' };
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { label: 'EXPIRED', color: 'orange' };
+    return { label: 'ACTIVE', color: 'green' };
+};
+
+const ApiKeysPage = () => {
+    const [apiKeys, setApiKeys] = useState([]);
+    const [permissions, setPermissions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [status, setStatus] = useState('');
+    const [pagination, setPagination] = useState({ current: 1, pageSize: PAGE_SIZE, total: 0 });
+    const [modalVisible, setModalVisible] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const [createdKey, setCreatedKey] = useState(null);
+    const [form] = Form.useForm();
+
+    useEffect(() => {
+        fetchApiKeys();
+        fetchPermissions();
+    }, []);
+
+    const fetchPermissions = async () => {
+        try {
+            const data = await apiKeyService.getPermissions();
+            setPermissions(data || []);
+        } catch (error) {
+            message.error('Failed to fetch permissions');
+            console.error(error);
+        }
+    };
+
+    const fetchApiKeys = async (page = 1, statusFilter = '') => {
+        try {
+            setLoading(true);
+            const params = { page, limit: PAGE_SIZE };
+            if (statusFilter) params.status = statusFilter;
+
+            const data = await apiKeyService.getAll(params);
+            setApiKeys(data.data || []);
+            setPagination({
+                current: page,
+                pageSize: PAGE_SIZE,
+                total: data.pagination?.total || 0,
+            });
+        } catch (error) {
+            message.error('Failed to fetch API keys');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleStatusChange = (value) => {
+        setStatus(value ?? '');
+        fetchApiKeys(1, value ?? '');
+    };
+
+    const handleCreate = () => {
+        form.resetFields();
+        setModalVisible(true);
+    };
+
+    const handleSubmit = async (values) => {
+        try {
+            setSubmitting(true);
+            const data = await apiKeyService.create({
+                name: values.name,
+                permissions: values.permissions,
+                expiresAt: values.expiresAt ? values.expiresAt.endOf('day').toISOString() : null,
+            });
+            setModalVisible(false);
+            setCreatedKey(data.key);
+            fetchApiKeys(1, status);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to create API key');
+            console.error(error);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRevoke = async (id) => {
+        try {
+            await apiKeyService.revoke(id);
+            message.success('API key revoked successfully');
+            fetchApiKeys(pagination.current, status);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to revoke API key');
+            console.error(error);
+        }
+    };
+
+    const columns = [
+        {
+            title: 'Name',
+            key: 'name',
+            render: (_, record) => (
+                <Space direction="vertical" size={0}>
+                    <Text strong>{record.name}</Text>
+                    <Text type="secondary" code>{record.prefix}…</Text>
+                </Space>
+            ),
+        },
+        {
+            title: 'Permissions',
+            dataIndex: 'permissions',
+            key: 'permissions',
+            render: (granted) => (
+                <Space size={[4, 4]} wrap>
+                    {granted.map((permission) => (
+                        <Tag key={permission}>{permission}</Tag>
+                    ))}
+                </Space>
+            ),
+        },
+        {
+            title: 'Owner',
+            dataIndex: 'user',
+            key: 'user',
+            render: (user) => user?.name || user?.email || 'N/A',
+        },
+        {
+            title: 'Expires',
+            dataIndex: 'expiresAt',
+            key: 'expiresAt',
+            render: (date) => (date ? new Date(date).toLocaleDateString() : 'Never'),
+        },
+        {
+            title: 'Last Used',
+            key: 'lastUsedAt',
+            render: (_, record) =>
+                record.lastUsedAt ? (
+                    <Space direction="vertical" size={0}>
+                        <Text>{new Date(record.lastUsedAt).toLocaleString()}</Text>
+                        {record.lastUsedIp && <Text type="secondary">{record.lastUsedIp}</Text>}
+                    </Space>
+                ) : (
+                    <Text type="secondary">Never</Text>
+                ),
+        },
+        {
+            title: 'Status',
+            key: 'status',
+            render: (_, record) => {
+                const keyStatus = getKeyStatus(record);
+                return <Tag color={keyStatus.color}>{keyStatus.label}</Tag>;
+            },
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) =>
+                !record.revokedAt && (
+                    <Popconfirm
+                        title="Revoke API key?"
+                        description="Integrations using this key will stop working immediately."
+                        onConfirm={() => handleRevoke(record._id)}
+                        okText="Yes"
+                        cancelText="No"
+                    >
+                        <Button icon={<StopOutlined />} danger size="small">
+                            Revoke
+                        </Button>
+                    </Popconfirm>
+                ),
+        },
+    ];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <Title level={2}>API Keys</Title>
+                <Space>
+                    <Select
+                        placeholder="Status"
+                        allowClear
+                        style={{ width: 140 }}
+                        onChange={handleStatusChange}
+                        options={[
+                            { value: 'active', label: 'Active' },
+                            { value: 'expired', label: 'Expired' },
+                            { value: 'revoked', label: 'Revoked' },
+                        ]}
+                    />
+                    <Button type="primary" icon={<PlusOutlined />} onClick={handleCreate}>
+                        Create Key
+                    </Button>
+                </Space>
+            </div>
+
+            <Table
+                columns={columns}
+                dataSource={apiKeys}
+                rowKey="_id"
+                loading={loading}
+                pagination={pagination}
+                onChange={(pager) => fetchApiKeys(pager.current, status)}
+            />
+
+            <Modal
+                title="Create API Key"
+                open={modalVisible}
+                onCancel={() => setModalVisible(false)}
+                onOk={() => form.submit()}
+                confirmLoading={submitting}
+                width={640}
+            >
+                <Form form={form} layout="vertical" onFinish={handleSubmit}>
+                    <Form.Item
+                        name="name"
+                        label="Name"
+                        rules={[{ required: true, message: 'Please input a key name!' }]}
+                    >
+                        <Input placeholder="e.g. ERP inventory sync" />
+                    </Form.Item>
+
+                    <Form.Item name="expiresAt" label="Expires">
+                        <DatePicker
+                            style={{ width: '100%' }}
+                            placeholder="Never"
+                            disabledDate={(date) => date && date.isBefore(new Date(), 'day')}
+                        />
+                    </Form.Item>
+
+                    <Form.Item
+                        name="permissions"
+                        label="Permissions"
+                        rules={[{ required: true, message: 'Please select at least one permission!' }]}
+                    >
+                        <Checkbox.Group style={{ width: '100%' }}>
+                            <Space direction="vertical">
+                                {permissions.map((permission) => (
+                                    <Checkbox key={permission.name} value={permission.name}>
+                                        <Text code>{permission.name}</Text>{' '}
+                                        <Text type="secondary">{permission.description}</Text>
+                                    </Checkbox>
+                                ))}
+                            </Space>
+                        </Checkbox.Group>
+                    </Form.Item>
+                </Form>
+            </Modal>
+
+            <Modal
+                title="API Key Created"
+                open={!!createdKey}
+                onCancel={() => setCreatedKey(null)}
+                footer={[
+                    <Button key="done" type="primary" onClick={() => setCreatedKey(null)}>
+                        Done
+                    </Button>,
+                ]}
+            >
+                <Alert
+                    type="warning"
+                    showIcon
+                    message="Copy this key now. It will not be shown again."
+                    style={{ marginBottom: 16 }}
+                />
+                <Paragraph copyable code>
+                    {createdKey}
+                </Paragraph>
+                <Text type="secondary">
+                    Send it in the <Text code>X-API-Key</Text> header of each request.
+                </Text>
+            </Modal>
+        </div>
+    );
+};
+
+export default ApiKeysPage;
@@ -0,0 +1,246 @@
+import { useState, useEffect } from 'react';
+import {
+    Table,
+    Tag,
+    Button,
+    Space,
+    Modal,
+    Form,
+    Input,
+    InputNumber,
+    Switch,
+    TreeSelect,
+    message,
+    Popconfirm,
+    Typography,
+} from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import { categoryService, toCategoryTreeData } from '../services/categoryService';
+import { useAuth } from '../contexts/AuthContext';
+
+const { Title, Text } = Typography;
+const { TextArea } = Input;
+
+// Table rows - leaf categories get no children so they don't show an expand icon
+const toTableData = (categories) =>
+    categories.map(({ children, ...category }) => ({
+        ...category,
+        children: children?.length ? toTableData(children) : undefined,
+    }));
+
+const CategoriesPage = () => {
+    const { can } = useAuth();
+    const canWrite = can('categories:write');
+    const [categories, setCategories] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [modalVisible, setModalVisible] = useState(false);
+    const [editingCategory, setEditingCategory] = useState(null);
+    const [form] = Form.useForm();
+
+    useEffect(() => {
+        fetchCategories();
+    }, []);
+
+    const fetchCategories = async () => {
+        try {
+            setLoading(true);
+            const data = await categoryService.getTree();
+            setCategories(data || []);
+        } catch (error) {
+            message.error('Failed to fetch categories');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCreate = (parent = null) => {
+        setEditingCategory(null);
+        form.resetFields();
+        form.setFieldsValue({ parent });
+        setModalVisible(true);
+    };
+
+    const handleEdit = (category) => {
+        setEditingCategory(category);
+        form.setFieldsValue({
+            name: category.name,
+            slug: category.slug,
+            description: category.description,
+            parent: category.parent || null,
+            image: category.image,
+            sortOrder: category.sortOrder,
+            isActive: category.isActive,
+        });
+        setModalVisible(true);
+    };
+
+    const handleDelete = async (id) => {
+        try {
+            await categoryService.delete(id);
+            message.success('Category deleted successfully');
+            fetchCategories();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to delete category');
+            console.error(error);
+        }
+    };
+
+    const handleSubmit = async (values) => {
+        try {
+            const categoryData = { ...values, parent: values.parent || null };
+
+            if (editingCategory) {
+                await categoryService.update(editingCategory._id, categoryData);
+                message.success('Category updated successfully');
+            } else {
+                await categoryService.create(categoryData);
+                message.success('Category created successfully');
+            }
+
+            setModalVisible(false);
+            form.resetFields();
+            fetchCategories();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to save category');
+            console.error(error);
+        }
+    };
+
+    const columns = [
+        {
+            title: 'Name',
+            dataIndex: 'name',
+            key: 'name',
+            render: (name, record) => (
+                <Space>
+                    {record.image && (
+                        <img src={record.image} alt="" style={{ width: 24, height: 24, objectFit: 'cover' }} />
+                    )}
+                    <Text strong>{name}</Text>
+                </Space>
+            ),
+        },
+        {
+            title: 'Slug',
+            dataIndex: 'slug',
+            key: 'slug',
+            render: (slug) => <Text code>{slug}</Text>,
+        },
+        {
+            title: 'Products',
+            dataIndex: 'productCount',
+            key: 'productCount',
+        },
+        {
+            title: 'Order',
+            dataIndex: 'sortOrder',
+            key: 'sortOrder',
+        },
+        {
+            title: 'Status',
+            dataIndex: 'isActive',
+            key: 'isActive',
+            render: (isActive) => (
+                <Tag color={isActive ? 'green' : 'red'}>{isActive ? 'ACTIVE' : 'HIDDEN'}</Tag>
+            ),
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) => (
+                <Space>
+                    <Button icon={<PlusOutlined />} onClick={() => handleCreate(record._id)} size="small">
+                        Subcategory
+                    </Button>
+                    <Button icon={<EditOutlined />} onClick={() => handleEdit(record)} size="small">
+                        Edit
+                    </Button>
+                    <Popconfirm
+                        title="Delete category?"
+                        description="Only empty categories without subcategories can be deleted."
+                        onConfirm={() => handleDelete(record._id)}
+                        okText="Yes"
+                        cancelText="No"
+                    >
+                        <Button icon={<DeleteOutlined />} danger size="small">
+                            Delete
+                        </Button>
+                    </Popconfirm>
+                </Space>
+            ),
+        },
+    ].filter((column) => canWrite || column.key !== 'actions');
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <Title level={2}>Categories</Title>
+                {canWrite && (
+                    <Button type="primary" icon={<PlusOutlined />} onClick={() => handleCreate()}>
+                        Add Category
+                    </Button>
+                )}
+            </div>
+
+            <Table
+                columns={columns}
+                dataSource={toTableData(categories)}
+                rowKey="_id"
+                loading={loading}
+                pagination={false}
+            />
+
+            <Modal
+                title={editingCategory ? 'Edit Category' : 'Create Category'}
+                open={modalVisible}
+                onCancel={() => setModalVisible(false)}
+                onOk={() => form.submit()}
+                width={600}
+            >
+                <Form form={form} layout="vertical" onFinish={handleSubmit}>
+                    <Form.Item
+                        name="name"
+                        label="Name"
+                        rules={[{ required: true, message: 'Please enter category name' }]}
+                    >
+                        <Input placeholder="e.g., Electronics" />
+                    </Form.Item>
+
+                    <Form.Item name="slug" label="Slug" extra="Leave empty to generate it from the name">
+                        <Input placeholder="e.g., electronics" />
+                    </Form.Item>
+
+                    <Form.Item name="parent" label="Parent Category">
+                        <TreeSelect
+                            allowClear
+                            treeDefaultExpandAll
+                            placeholder="None (top level)"
+                            treeData={toCategoryTreeData(categories, editingCategory?._id)}
+                        />
+                    </Form.Item>
+
+                    <Form.Item name="description" label="Description">
+                        <TextArea rows={3} placeholder="Enter category description" />
+                    </Form.Item>
+
+                    <Form.Item name="image" label="Image URL">
+                        <Input placeholder="https://example.com/category.jpg" />
+                    </Form.Item>
+
+                    <Space size="large">
+                        <Form.Item name="sortOrder" label="Sort Order" initialValue={0}>
+                            <InputNumber precision={0} />
+                        </Form.Item>
+
+                        <Form.Item name="isActive" label="Visible in Store" valuePropName="checked" initialValue>
+                            <Switch />
+                        </Form.Item>
+                    </Space>
+                </Form>
+            </Modal>
+        </div>
+    );
+};
+
+export default CategoriesPage;
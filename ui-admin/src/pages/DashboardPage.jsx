@@ -9,10 +9,15 @@ import {
 import { productService } from '../services/productService';
 import { inventoryService } from '../services/inventoryService';
 import { orderService } from '../services/orderService';
+import { useAuth } from '../contexts/AuthContext';
 
 const { Title } = Typography;
 
 const DashboardPage = () => {
+    const { can } = useAuth();
+    const canViewProducts = can('products:read');
+    const canViewInventory = can('inventory:read');
+    const canViewOrders = can('orders:read');
     const [loading, setLoading] = useState(true);
     const [stats, setStats] = useState({
         totalProducts: 0,
@@ -23,43 +28,55 @@ const DashboardPage = () => {
     const [recentOrders, setRecentOrders] = useState([]);
 
     useEffect(() => {
-        fetchDashboardData();
-    }, []);
-
-    const fetchDashboardData = async () => {
+        fetchDashboardData({
+            products: canViewProducts,
+            inventory: canViewInventory,
+            orders: canViewOrders,
+        });
+    }, [canViewProducts, canViewInventory, canViewOrders]);
+
+    // Only fetch the sections the user's role can see
+    const fetchDashboardData = async (sections) => {
         try {
             setLoading(true);
+            const nextStats = {
+                totalProducts: 0,
+                lowStockItems: 0,
+                pendingOrders: 0,
+                totalRevenue: 0,
+            };
 
             // Fetch products
-            const productsData = await productService.getAll({ limit: 1000 });
-            const totalProducts = productsData.data?.length || 0;
+            if (sections.products) {
+                const productsData = await productService.getAll({ limit: 1000 });
+                nextStats.totalProducts = productsData.data?.length || 0;
+            }
 
             // Fetch inventory
-            const inventoryData = await inventoryService.getAll({ limit: 1000 });
-            const lowStockItems = inventoryData.data?.filter(item =>
-                item.quantity <= item.lowStockThreshold
-            ).length || 0;
-
-            // Fetch orders
-            const ordersData = await orderService.getAll({ limit: 10, sort: '-createdAt' });
-            const pendingOrders = ordersData.data?.filter(order =>
-                order.status === 'pending'
-            ).length || 0;
-
-            // Calculate total revenue (from delivered orders)
-            const allOrdersData = await orderService.getAll({ limit: 1000 });
-            const totalRevenue = allOrdersData.data
-                ?.filter(order => order.status === 'delivered')
-                .reduce((sum, order) => sum + (order.totalAmount || 0), 0) || 0;
-
-            setStats({
-                totalProducts,
-                lowStockItems,
-                pendingOrders,
-                totalRevenue,
-            });
-
-            setRecentOrders(ordersData.data || []);
+            if (sections.inventory) {
+                const inventoryData = await inventoryService.getAll({ limit: 1000 });
+                nextStats.lowStockItems = inventoryData.data?.filter(item =>
+                    item.quantity <= item.lowStockThreshold
+                ).length || 0;
+            }
+
+            if (sections.orders) {
+                // Fetch orders
+                const ordersData = await orderService.getAll({ limit: 10, sort: '-createdAt' });
+                nextStats.pendingOrders = ordersData.data?.filter(order =>
+                    order.status === 'pending'
+                ).length || 0;
+
+                // Calculate total revenue (from delivered orders)
+                const allOrdersData = await orderService.getAll({ limit: 1000 });
+                nextStats.totalRevenue = allOrdersData.data
+                    ?.filter(order => order.status === 'delivered')
+                    .reduce((sum, order) => sum + (order.totalAmount || 0), 0) || 0;
+
+                setRecentOrders(ordersData.data || []);
+            }
+
+            setStats(nextStats);
         } catch (error) {
             console.error('Error fetching dashboard data:', error);
         } finally {
@@ -122,57 +139,67 @@ const DashboardPage = () => {
             <Title level={2}>Dashboard</Title>
 
             <Row gutter={16} style={{ marginBottom: 24 }}>
-                <Col span={6}>
-                    <Card>
-                        <Statistic
-                            title="Total Products"
-                            value={stats.totalProducts}
-                            prefix={<ShoppingOutlined />}
-                            valueStyle={{ color: '#3f8600' }}
-                        />
-                    </Card>
-                </Col>
-                <Col span={6}>
-                    <Card>
-                        <Statistic
-                            title="Low Stock Items"
-                            value={stats.lowStockItems}
-                            prefix={<InboxOutlined />}
-                            valueStyle={{ color: '#cf1322' }}
-                        />
-                    </Card>
-                </Col>
-                <Col span={6}>
-                    <Card>
-                        <Statistic
-                            title="Pending Orders"
-                            value={stats.pendingOrders}
-                            prefix={<ShoppingCartOutlined />}
-                            valueStyle={{ color: '#faad14' }}
-                        />
-                    </Card>
-                </Col>
-                <Col span={6}>
-                    <Card>
-                        <Statistic
-                            title="Total Revenue"
-                            value={stats.totalRevenue}
-                            prefix={<DollarOutlined />}
-                            precision={2}
-                            valueStyle={{ color: '#1890ff' }}
-                        />
-                    </Card>
-                </Col>
+                {canViewProducts && (
+                    <Col span={6}>
+                        <Card>
+                            <Statistic
+                                title="Total Products"
+                                value={stats.totalProducts}
+                                prefix={<ShoppingOutlined />}
+                                valueStyle={{ color: '#3f8600' }}
+                            />
+                        </Card>
+                    </Col>
+                )}
+                {canViewInventory && (
+                    <Col span={6}>
+                        <Card>
+                            <Statistic
+                                title="Low Stock Items"
+                                value={stats.lowStockItems}
+                                prefix={<InboxOutlined />}
+                                valueStyle={{ color: '#cf1322' }}
+                            />
+                        </Card>
+                    </Col>
+                )}
+                {canViewOrders && (
+                    <Col span={6}>
+                        <Card>
+                            <Statistic
+                                title="Pending Orders"
+                                value={stats.pendingOrders}
+                                prefix={<ShoppingCartOutlined />}
+                                valueStyle={{ color: '#faad14' }}
+                            />
+                        </Card>
+                    </Col>
+                )}
+                {canViewOrders && (
+                    <Col span={6}>
+                        <Card>
+                            <Statistic
+                                title="Total Revenue"
+                                value={stats.totalRevenue}
+                                prefix={<DollarOutlined />}
+                                precision={2}
+                                valueStyle={{ color: '#1890ff' }}
+                            />
+                        </Card>
+                    </Col>
+                )}
             </Row>
 
-            <Card title="Recent Orders" style={{ marginTop: 24 }}>
-                <Table
-                    columns={orderColumns}
-                    dataSource={recentOrders}
-                    rowKey="_id"
-                    pagination={false}
-                />
-            </Card>
+            {canViewOrders && (
+                <Card title="Recent Orders" style={{ marginTop: 24 }}>
+                    <Table
+                        columns={orderColumns}
+                        dataSource={recentOrders}
+                        rowKey="_id"
+                        pagination={false}
+                    />
+                </Card>
+            )}
         </div>
     );
 };
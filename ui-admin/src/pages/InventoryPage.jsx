@@ -16,16 +16,21 @@ import {
 import { PlusOutlined, EditOutlined, DeleteOutlined, WarningOutlined } from '@ant-design/icons';
 import { inventoryService } from '../services/inventoryService';
 import { productService } from '../services/productService';
+import { useAuth } from '../contexts/AuthContext';
 
-const { Title } = Typography;
+const { Title, Text } = Typography;
 
 const InventoryPage = () => {
+    const { can } = useAuth();
+    const canWrite = can('inventory:write');
     const [inventory, setInventory] = useState([]);
     const [products, setProducts] = useState([]);
     const [loading, setLoading] = useState(false);
     const [modalVisible, setModalVisible] = useState(false);
     const [editingItem, setEditingItem] = useState(null);
     const [form] = Form.useForm();
+    const selectedProductId = Form.useWatch('product', form);
+    const selectedProduct = products.find((product) => product._id === selectedProductId);
 
     useEffect(() => {
         fetchInventory();
@@ -64,6 +69,7 @@ const InventoryPage = () => {
         setEditingItem(item);
         form.setFieldsValue({
             product: item.product._id || item.product,
+            variant: item.variant,
             quantity: item.quantity,
             lowStockThreshold: item.lowStockThreshold,
             warehouse: item.warehouse,
@@ -106,7 +112,15 @@ const InventoryPage = () => {
             title: 'Product',
             dataIndex: ['product', 'name'],
             key: 'product',
-            render: (text, record) => text || record.product?.name || 'N/A',
+            render: (text, record) => {
+                const variant = record.variant && record.product?.variants?.find((v) => v._id === record.variant);
+                return (
+                    <Space direction="vertical" size={0}>
+                        {text || 'N/A'}
+                        {variant && <Text type="secondary">{variant.name} ({variant.sku})</Text>}
+                    </Space>
+                );
+            },
         },
         {
             title: 'Quantity',
@@ -184,19 +198,21 @@ const InventoryPage = () => {
                 </Space>
             ),
         },
-    ];
+    ].filter((column) => canWrite || column.key !== 'actions');
 
     return (
         <div>
             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
                 <Title level={2}>Inventory</Title>
-                <Button
-                    type="primary"
-                    icon={<PlusOutlined />}
-                    onClick={handleCreate}
-                >
-                    Add Inventory
-                </Button>
+                {canWrite && (
+                    <Button
+                        type="primary"
+                        icon={<PlusOutlined />}
+                        onClick={handleCreate}
+                    >
+                        Add Inventory
+                    </Button>
+                )}
             </div>
 
             <Table
@@ -234,10 +250,28 @@ const InventoryPage = () => {
                                 value: product._id,
                                 label: product.name,
                             }))}
+                            onChange={() => form.setFieldsValue({ variant: undefined })}
                             disabled={!!editingItem}
                         />
                     </Form.Item>
 
+                    {selectedProduct?.variants?.length > 0 && (
+                        <Form.Item
+                            name="variant"
+                            label="Variant"
+                            rules={[{ required: true, message: 'Please select a variant' }]}
+                        >
+                            <Select
+                                placeholder="Select a variant"
+                                options={selectedProduct.variants.map(variant => ({
+                                    value: variant._id,
+                                    label: `${variant.name} (${variant.sku})`,
+                                }))}
+                                disabled={!!editingItem}
+                            />
+                        </Form.Item>
+                    )}
+
                     <Form.Item
                         name="quantity"
                         label="Quantity"
@@ -1,22 +1,38 @@
 import { useState } from 'react';
 import { Form, Input, Button, Card, message, Typography } from 'antd';
-import { UserOutlined, LockOutlined } from '@ant-design/icons';
+import { UserOutlined, LockOutlined, SafetyOutlined, KeyOutlined } from '@ant-design/icons';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSetup from '../components/TwoFactorSetup';
 
 const { Title } = Typography;
 
 const LoginPage = () => {
     const [loading, setLoading] = useState(false);
-    const { login } = useAuth();
+    const [challengeToken, setChallengeToken] = useState(null);
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const { user, login, verifyTwoFactor, updateUser, logout } = useAuth();
     const navigate = useNavigate();
 
+    // Logged in but 2FA is mandatory and not yet enrolled
+    const needsTwoFactorSetup = !!user?.twoFactorSetupRequired;
+
+    const finishLogin = (data) => {
+        message.success('Login successful!');
+        if (!data.twoFactorSetupRequired) {
+            navigate('/admin');
+        }
+    };
+
     const onFinish = async (values) => {
         setLoading(true);
         try {
-            await login(values.email, values.password);
-            message.success('Login successful!');
-            navigate('/admin');
+            const data = await login(values.email, values.password);
+            if (data.twoFactorRequired) {
+                setChallengeToken(data.challengeToken);
+                return;
+            }
+            finishLogin(data);
         } catch (error) {
             message.error(error.response?.data?.message || error.message || 'Login failed');
         } finally {
@@ -24,6 +40,176 @@ const LoginPage = () => {
         }
     };
 
+    const onVerifyTwoFactor = async (values) => {
+        setLoading(true);
+        try {
+            const data = await verifyTwoFactor(
+                challengeToken,
+                useRecoveryCode ? { recoveryCode: values.recoveryCode } : { code: values.code }
+            );
+            finishLogin(data);
+        } catch (error) {
+            // Challenge expired - start over
+            if (error.response?.data?.code === 'AUTH_002') {
+                setChallengeToken(null);
+            }
+            message.error(error.response?.data?.message || error.message || 'Verification failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const onTwoFactorSetupComplete = () => {
+        updateUser({ twoFactorEnabled: true, twoFactorSetupRequired: false });
+        navigate('/admin');
+    };
+
+    const handleCancelSetup = async () => {
+        await logout();
+    };
+
+    const renderCredentialsForm = () => (
+        <Form
+            name="login"
+            onFinish={onFinish}
+            autoComplete="off"
+            layout="vertical"
+        >
+            <Form.Item
+                name="email"
+                rules={[
+                    { required: true, message: 'Please input your email!' },
+                    { type: 'email', message: 'Please enter a valid email!' },
+                ]}
+            >
+                <Input
+                    prefix={<UserOutlined />}
+                    placeholder="Email"
+                    size="large"
+                />
+            </Form.Item>
+
+            <Form.Item
+                name="password"
+                rules={[{ required: true, message: 'Please input your password!' }]}
+            >
+                <Input.Password
+                    prefix={<LockOutlined />}
+                    placeholder="Password"
+                    size="large"
+                />
+            </Form.Item>
+
+            <Form.Item>
+                <Button
+                    type="primary"
+                    htmlType="submit"
+                    loading={loading}
+                    block
+                    size="large"
+                >
+                    Login
+                </Button>
+            </Form.Item>
+        </Form>
+    );
+
+    const renderTwoFactorForm = () => (
+        <Form
+            name="twoFactor"
+            onFinish={onVerifyTwoFactor}
+            autoComplete="off"
+            layout="vertical"
+        >
+            {useRecoveryCode ? (
+                <Form.Item
+                    name="recoveryCode"
+                    label="Recovery code"
+                    rules={[{ required: true, message: 'Please input a recovery code!' }]}
+                >
+                    <Input
+                        prefix={<KeyOutlined />}
+                        placeholder="xxxxx-xxxxx"
+                        size="large"
+                        autoFocus
+                    />
+                </Form.Item>
+            ) : (
+                <Form.Item
+                    name="code"
+                    label="Authentication code"
+                    rules={[
+                        { required: true, message: 'Please input your code!' },
+                        { pattern: /^\d{6}$/, message: 'Code must be 6 digits' },
+                    ]}
+                >
+                    <Input
+                        prefix={<SafetyOutlined />}
+                        placeholder="6-digit code"
+                        maxLength={6}
+                        size="large"
+                        autoFocus
+                    />
+                </Form.Item>
+            )}
+
+            <Form.Item>
+                <Button
+                    type="primary"
+                    htmlType="submit"
+                    loading={loading}
+                    block
+                    size="large"
+                >
+                    Verify
+                </Button>
+            </Form.Item>
+
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <Button type="link" onClick={() => setUseRecoveryCode(!useRecoveryCode)} style={{ padding: 0 }}>
+                    {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </Button>
+                <Button type="link" onClick={() => setChallengeToken(null)} style={{ padding: 0 }}>
+                    Back to login
+                </Button>
+            </div>
+        </Form>
+    );
+
+    const renderTwoFactorSetup = () => (
+        <>
+            <TwoFactorSetup onComplete={onTwoFactorSetupComplete} />
+            <div style={{ textAlign: 'center', marginTop: 16 }}>
+                <Button type="link" onClick={handleCancelSetup}>
+                    Cancel and log out
+                </Button>
+            </div>
+        </>
+    );
+
+    const getHeader = () => {
+        if (needsTwoFactorSetup) {
+            return {
+                title: 'Set Up 2FA',
+                subtitle: 'Two-factor authentication is required for admin accounts',
+            };
+        }
+        if (challengeToken) {
+            return {
+                title: 'Two-Factor Login',
+                subtitle: useRecoveryCode
+                    ? 'Enter one of your recovery codes'
+                    : 'Enter the code from your authenticator app',
+            };
+        }
+        return {
+            title: 'Admin Login',
+            subtitle: 'Enter your credentials to access the admin panel',
+        };
+    };
+
+    const header = getHeader();
+
     return (
         <div
             style={{
@@ -42,56 +228,18 @@ const LoginPage = () => {
             >
                 <div style={{ textAlign: 'center', marginBottom: 24 }}>
                     <Title level={2} style={{ margin: 0 }}>
-                        Admin Login
+                        {header.title}
                     </Title>
                     <Typography.Text type="secondary">
-                        Enter your credentials to access the admin panel
+                        {header.subtitle}
                     </Typography.Text>
                 </div>
 
-                <Form
-                    name="login"
-                    onFinish={onFinish}
-                    autoComplete="off"
-                    layout="vertical"
-                >
-                    <Form.Item
-                        name="email"
-                        rules={[
-                            { required: true, message: 'Please input your email!' },
-                            { type: 'email', message: 'Please enter a valid email!' },
-                        ]}
-                    >
-                        <Input
-                            prefix={<UserOutlined />}
-                            placeholder="Email"
-                            size="large"
-                        />
-                    </Form.Item>
-
-                    <Form.Item
-                        name="password"
-                        rules={[{ required: true, message: 'Please input your password!' }]}
-                    >
-                        <Input.Password
-                            prefix={<LockOutlined />}
-                            placeholder="Password"
-                            size="large"
-                        />
-                    </Form.Item>
-
-                    <Form.Item>
-                        <Button
-                            type="primary"
-                            htmlType="submit"
-                            loading={loading}
-                            block
-                            size="large"
-                        >
-                            Login
-                        </Button>
-                    </Form.Item>
-                </Form>
+                {needsTwoFactorSetup
+                    ? renderTwoFactorSetup()
+                    : challengeToken
+                        ? renderTwoFactorForm()
+                        : renderCredentialsForm()}
 
                 <div style={{ textAlign: 'center', marginTop: 16 }}>
                     <Typography.Text type="secondary" style={{ fontSize: '12px' }}>
@@ -14,10 +14,12 @@ import {
 } from 'antd';
 import { EyeOutlined } from '@ant-design/icons';
 import { orderService } from '../services/orderService';
+import { useAuth } from '../contexts/AuthContext';
 
 const { Title, Text } = Typography;
 
 const OrdersPage = () => {
+    const { can } = useAuth();
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(false);
     const [drawerVisible, setDrawerVisible] = useState(false);
@@ -191,6 +193,7 @@ const OrdersPage = () => {
                                     placeholder="Change status"
                                     onChange={handleStatusChange}
                                     loading={updatingStatus}
+                                    disabled={!can('orders:update-status')}
                                     value={selectedOrder.status}
                                 >
                                     <Select.Option value="pending">Pending</Select.Option>
@@ -256,6 +259,14 @@ const OrdersPage = () => {
                                         title: 'Product',
                                         dataIndex: 'name',
                                         key: 'name',
+                                        render: (name, record) => (
+                                            <Space direction="vertical" size={0}>
+                                                {name}
+                                                {record.variantName && (
+                                                    <Text type="secondary">{record.variantName} ({record.sku})</Text>
+                                                )}
+                                            </Space>
+                                        ),
                                     },
                                     {
                                         title: 'Price',
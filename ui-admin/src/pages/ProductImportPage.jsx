@@ -0,0 +1,447 @@
+import { useState, useEffect } from 'react';
+import {
+    Steps,
+    Upload,
+    Form,
+    Select,
+    Radio,
+    Button,
+    Table,
+    Tag,
+    Space,
+    Card,
+    Row,
+    Col,
+    Statistic,
+    Progress,
+    Switch,
+    Alert,
+    Typography,
+    message,
+} from 'antd';
+import { InboxOutlined, ArrowLeftOutlined } from '@ant-design/icons';
+import { useNavigate } from 'react-router-dom';
+import { catalogService, IMPORT_FIELDS } from '../services/catalogService';
+
+const { Title, Text } = Typography;
+
+const STATUS_COLORS = {
+    uploaded: 'default',
+    previewed: 'blue',
+    running: 'processing',
+    completed: 'green',
+    failed: 'red',
+};
+
+const ACTION_COLORS = { create: 'green', update: 'blue', skip: 'red' };
+
+// Wizard step for a job in each status
+const STEP_BY_STATUS = { uploaded: 1, previewed: 2, running: 3, completed: 3, failed: 3 };
+
+const ProductImportPage = () => {
+    const navigate = useNavigate();
+    const [step, setStep] = useState(0);
+    const [job, setJob] = useState(null);
+    const [imports, setImports] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [errorsOnly, setErrorsOnly] = useState(false);
+
+    useEffect(() => {
+        fetchImports();
+    }, []);
+
+    // Poll a running import until it finishes
+    useEffect(() => {
+        if (job?.status !== 'running') return;
+
+        const timer = setInterval(async () => {
+            try {
+                setJob(await catalogService.getImport(job._id));
+            } catch (error) {
+                console.error(error);
+            }
+        }, 1000);
+
+        return () => clearInterval(timer);
+    }, [job?._id, job?.status]);
+
+    const fetchImports = async () => {
+        try {
+            const response = await catalogService.getImports({ limit: 10 });
+            setImports(response.data);
+        } catch (error) {
+            console.error(error);
+        }
+    };
+
+    const openJob = (importJob) => {
+        setJob(importJob);
+        setStep(STEP_BY_STATUS[importJob.status]);
+    };
+
+    const handleUpload = async (file) => {
+        try {
+            setLoading(true);
+            openJob(await catalogService.uploadImport(file));
+            fetchImports();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to read the file');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+        return Upload.LIST_IGNORE;
+    };
+
+    const handleOpen = async (id) => {
+        try {
+            openJob(await catalogService.getImport(id));
+        } catch (error) {
+            message.error('Failed to load the import');
+            console.error(error);
+        }
+    };
+
+    const handlePreview = async (values) => {
+        try {
+            setLoading(true);
+            openJob(await catalogService.previewImport(job._id, values));
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to preview the import');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRun = async () => {
+        try {
+            setLoading(true);
+            openJob(await catalogService.runImport(job._id));
+            fetchImports();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to start the import');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRestart = () => {
+        setJob(null);
+        setStep(0);
+        fetchImports();
+    };
+
+    const importColumns = [
+        {
+            title: 'File',
+            dataIndex: 'fileName',
+            key: 'fileName',
+        },
+        {
+            title: 'Rows',
+            dataIndex: 'rowCount',
+            key: 'rowCount',
+        },
+        {
+            title: 'Status',
+            dataIndex: 'status',
+            key: 'status',
+            render: (status) => <Tag color={STATUS_COLORS[status]}>{status.toUpperCase()}</Tag>,
+        },
+        {
+            title: 'Result',
+            key: 'result',
+            render: (_, record) =>
+                ['completed', 'failed'].includes(record.status)
+                    ? `${record.result.created} created, ${record.result.updated} updated, ${record.result.failed} failed`
+                    : '-',
+        },
+        {
+            title: 'By',
+            dataIndex: ['createdBy', 'name'],
+            key: 'createdBy',
+        },
+        {
+            title: 'Uploaded',
+            dataIndex: 'createdAt',
+            key: 'createdAt',
+            render: (date) => new Date(date).toLocaleString(),
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) => (
+                <Button size="small" onClick={() => handleOpen(record._id)}>
+                    Open
+                </Button>
+            ),
+        },
+    ];
+
+    const previewColumns = [
+        {
+            title: 'Row',
+            dataIndex: 'row',
+            key: 'row',
+            width: 80,
+        },
+        {
+            title: 'Product',
+            key: 'product',
+            render: (_, record) => (
+                <Space direction="vertical" size={0}>
+                    <Text>{record.product || '-'}</Text>
+                    {record.slug && <Text type="secondary" style={{ fontSize: 12 }}>{record.slug}</Text>}
+                </Space>
+            ),
+        },
+        {
+            title: 'SKU',
+            dataIndex: 'sku',
+            key: 'sku',
+            render: (sku) => sku || '-',
+        },
+        {
+            title: 'Action',
+            dataIndex: 'action',
+            key: 'action',
+            render: (action) => <Tag color={ACTION_COLORS[action]}>{action.toUpperCase()}</Tag>,
+        },
+        {
+            title: 'Errors',
+            dataIndex: 'errors',
+            key: 'errors',
+            render: (errors, record) =>
+                errors.length > 0 ? (
+                    <Space direction="vertical" size={0}>
+                        {errors.map((error, index) => (
+                            <Text key={index} type="danger">
+                                {error.field && <strong>{error.field}: </strong>}
+                                {error.message}
+                            </Text>
+                        ))}
+                    </Space>
+                ) : (
+                    record.action === 'skip' && <Text type="secondary">Another row of this product has errors</Text>
+                ),
+        },
+    ];
+
+    const errorColumns = [
+        {
+            title: 'Row',
+            dataIndex: 'row',
+            key: 'row',
+            width: 80,
+            render: (row) => row ?? '-',
+        },
+        {
+            title: 'Field',
+            dataIndex: 'field',
+            key: 'field',
+            render: (field) => field || '-',
+        },
+        {
+            title: 'Error',
+            dataIndex: 'message',
+            key: 'message',
+        },
+    ];
+
+    const preview = job?.preview;
+    const previewRows = preview ? preview.rows.filter((row) => !errorsOnly || row.errors.length > 0) : [];
+    const finished = ['completed', 'failed'].includes(job?.status);
+    const percent = job?.progress.total ? Math.round((job.progress.processed / job.progress.total) * 100) : 0;
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <Title level={2}>Import Products</Title>
+                <Button icon={<ArrowLeftOutlined />} onClick={() => navigate('/admin/products')}>
+                    Back to Products
+                </Button>
+            </div>
+
+            <Steps
+                current={step}
+                style={{ marginBottom: 24 }}
+                items={[{ title: 'Upload' }, { title: 'Map Columns' }, { title: 'Preview' }, { title: 'Import' }]}
+            />
+
+            {step === 0 && (
+                <>
+                    <Upload.Dragger
+                        accept=".csv,.json"
+                        showUploadList={false}
+                        beforeUpload={handleUpload}
+                        disabled={loading}
+                    >
+                        <p className="ant-upload-drag-icon">
+                            <InboxOutlined />
+                        </p>
+                        <p className="ant-upload-text">Click or drag a CSV or JSON file here</p>
+                        <p className="ant-upload-hint">
+                            Use the columns of a product export: one row per product, or one row per variant.
+                            Separate tags, image URLs and options with |, e.g. "Size: M | Color: Red".
+                        </p>
+                    </Upload.Dragger>
+
+                    <Title level={4} style={{ marginTop: 24 }}>Recent Imports</Title>
+                    <Table columns={importColumns} dataSource={imports} rowKey="_id" pagination={false} />
+                </>
+            )}
+
+            {step === 1 && job && (
+                <Card title={`Map the columns of ${job.fileName} (${job.rowCount} rows)`}>
+                    <Form
+                        key={job._id}
+                        layout="vertical"
+                        onFinish={handlePreview}
+                        initialValues={{ mapping: job.mapping, matchBy: job.matchBy }}
+                    >
+                        <Row gutter={16}>
+                            {IMPORT_FIELDS.map((field) => (
+                                <Col span={8} key={field.key}>
+                                    <Form.Item name={['mapping', field.key]} label={field.label}>
+                                        <Select
+                                            allowClear
+                                            placeholder="Don't import"
+                                            options={job.columns.map((column) => ({ value: column, label: column }))}
+                                        />
+                                    </Form.Item>
+                                </Col>
+                            ))}
+                        </Row>
+
+                        <Form.Item
+                            name="matchBy"
+                            label="Update existing products with the same"
+                            extra="Rows that match no product create a new one"
+                        >
+                            <Radio.Group
+                                options={[
+                                    { value: 'slug', label: 'Slug' },
+                                    { value: 'sku', label: 'Variant SKU' },
+                                ]}
+                            />
+                        </Form.Item>
+
+                        <Space>
+                            <Button onClick={handleRestart}>Cancel</Button>
+                            <Button type="primary" htmlType="submit" loading={loading}>
+                                Preview
+                            </Button>
+                        </Space>
+                    </Form>
+                </Card>
+            )}
+
+            {step === 2 && preview && (
+                <>
+                    <Row gutter={16} style={{ marginBottom: 16 }}>
+                        <Col span={6}>
+                            <Card>
+                                <Statistic title="Products to create" value={preview.summary.create} />
+                            </Card>
+                        </Col>
+                        <Col span={6}>
+                            <Card>
+                                <Statistic title="Products to update" value={preview.summary.update} />
+                            </Card>
+                        </Col>
+                        <Col span={6}>
+                            <Card>
+                                <Statistic title="Products skipped" value={preview.summary.skippedProducts} />
+                            </Card>
+                        </Col>
+                        <Col span={6}>
+                            <Card>
+                                <Statistic title="Rows with errors" value={preview.summary.invalidRows} />
+                            </Card>
+                        </Col>
+                    </Row>
+
+                    {preview.summary.invalidRows > 0 && (
+                        <Alert
+                            type="warning"
+                            showIcon
+                            style={{ marginBottom: 16 }}
+                            title="Products with errors are skipped. Fix the file and upload it again, or import the valid products now."
+                        />
+                    )}
+
+                    <Space style={{ marginBottom: 16 }}>
+                        <Switch checked={errorsOnly} onChange={setErrorsOnly} />
+                        <Text>Only rows with errors</Text>
+                    </Space>
+
+                    <Table
+                        columns={previewColumns}
+                        dataSource={previewRows}
+                        rowKey="row"
+                        pagination={{ pageSize: 20 }}
+                    />
+
+                    <Space>
+                        <Button onClick={() => setStep(1)}>Back</Button>
+                        <Button
+                            type="primary"
+                            loading={loading}
+                            disabled={preview.summary.create + preview.summary.update === 0}
+                            onClick={handleRun}
+                        >
+                            Import {preview.summary.create + preview.summary.update} Products
+                        </Button>
+                    </Space>
+                </>
+            )}
+
+            {step === 3 && job && (
+                <Card>
+                    <Progress
+                        percent={finished ? 100 : percent}
+                        status={job.status === 'failed' ? 'exception' : finished ? 'success' : 'active'}
+                    />
+                    <Text type="secondary">
+                        {job.progress.processed} of {job.progress.total} rows processed
+                    </Text>
+
+                    <Row gutter={16} style={{ margin: '16px 0' }}>
+                        <Col span={8}>
+                            <Statistic title="Created" value={job.result.created} />
+                        </Col>
+                        <Col span={8}>
+                            <Statistic title="Updated" value={job.result.updated} />
+                        </Col>
+                        <Col span={8}>
+                            <Statistic title="Failed" value={job.result.failed} />
+                        </Col>
+                    </Row>
+
+                    {job.rowErrors?.length > 0 && (
+                        <Table
+                            columns={errorColumns}
+                            dataSource={job.rowErrors}
+                            rowKey={(record) => `${record.row}-${record.field}-${record.message}`}
+                            pagination={{ pageSize: 10 }}
+                            size="small"
+                        />
+                    )}
+
+                    {finished && (
+                        <Space>
+                            <Button onClick={handleRestart}>Import Another File</Button>
+                            <Button type="primary" onClick={() => navigate('/admin/products')}>
+                                Go to Products
+                            </Button>
+                        </Space>
+                    )}
+                </Card>
+            )}
+        </div>
+    );
+};
+
+export default ProductImportPage;
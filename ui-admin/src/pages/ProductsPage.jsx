@@ -8,32 +8,91 @@ import {
     Input,
     InputNumber,
     Select,
+    TreeSelect,
     message,
     Popconfirm,
     Tag,
     Typography,
+    Dropdown,
+    DatePicker,
+    Tooltip,
+    Tabs,
 } from 'antd';
-import { PlusOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import {
+    PlusOutlined,
+    EditOutlined,
+    DeleteOutlined,
+    MinusCircleOutlined,
+    UploadOutlined,
+    DownloadOutlined,
+    ClockCircleOutlined,
+    HistoryOutlined,
+    DollarOutlined,
+} from '@ant-design/icons';
+import { useNavigate } from 'react-router-dom';
+import dayjs from 'dayjs';
 import { productService } from '../services/productService';
+import { categoryService, toCategoryTreeData } from '../services/categoryService';
+import { catalogService } from '../services/catalogService';
+import { useAuth } from '../contexts/AuthContext';
+import ProductImagesInput from '../components/ProductImagesInput';
+import ProductHistoryDrawer from '../components/ProductHistoryDrawer';
+import ProductPricesDrawer from '../components/ProductPricesDrawer';
+import ProductTrashTable from '../components/ProductTrashTable';
 
-const { Title } = Typography;
+const { Title, Text } = Typography;
 const { TextArea } = Input;
 
+// Every combination of option values, e.g. [{ Size: 'S', Color: 'Red' }, { Size: 'S', Color: 'Blue' }, ...]
+const buildCombinations = (options) =>
+    options.reduce(
+        (combinations, option) =>
+            combinations.flatMap((combination) =>
+                option.values.map((value) => ({ ...combination, [option.name]: value }))
+            ),
+        [{}]
+    );
+
+const variantLabel = (variant, options = []) =>
+    options.map((option) => variant.options?.[option.name]).filter(Boolean).join(' / ');
+
 const ProductsPage = () => {
+    const { can } = useAuth();
+    const canWrite = can('products:write');
+    const navigate = useNavigate();
     const [products, setProducts] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [categoryFilter, setCategoryFilter] = useState();
     const [loading, setLoading] = useState(false);
     const [modalVisible, setModalVisible] = useState(false);
     const [editingProduct, setEditingProduct] = useState(null);
+    const [historyProduct, setHistoryProduct] = useState(null);
+    const [pricesProduct, setPricesProduct] = useState(null);
     const [form] = Form.useForm();
+    const formOptions = Form.useWatch('options', form);
+    const formVariants = Form.useWatch('variants', form);
+    const formImages = Form.useWatch('images', form);
+    const hasVariants = formVariants?.length > 0;
 
     useEffect(() => {
         fetchProducts();
+        fetchCategories();
     }, []);
 
-    const fetchProducts = async () => {
+    const fetchCategories = async () => {
+        try {
+            const data = await categoryService.getTree();
+            setCategories(data || []);
+        } catch (error) {
+            message.error('Failed to fetch categories');
+            console.error(error);
+        }
+    };
+
+    const fetchProducts = async (category) => {
         try {
             setLoading(true);
-            const data = await productService.getAll();
+            const data = await productService.getAll(category ? { category } : {});
             setProducts(data.data || []);
         } catch (error) {
             message.error('Failed to fetch products');
@@ -43,6 +102,15 @@ const ProductsPage = () => {
         }
     };
 
+    const handleExport = async (format) => {
+        try {
+            await catalogService.exportProducts(format);
+        } catch (error) {
+            message.error('Failed to export products');
+            console.error(error);
+        }
+    };
+
     const handleCreate = () => {
         setEditingProduct(null);
         form.resetFields();
@@ -53,7 +121,11 @@ const ProductsPage = () => {
         setEditingProduct(product);
         form.setFieldsValue({
             ...product,
+            category: product.category?._id,
             tags: product.tags?.join(', ') || '',
+            variants: product.variants,
+            publishAt: product.publishAt ? dayjs(product.publishAt) : null,
+            unpublishAt: product.unpublishAt ? dayjs(product.unpublishAt) : null,
         });
         setModalVisible(true);
     };
@@ -62,21 +134,64 @@ const ProductsPage = () => {
         try {
             await productService.delete(id);
             message.success('Product deleted successfully');
-            fetchProducts();
+            fetchProducts(categoryFilter);
         } catch (error) {
             message.error('Failed to delete product');
             console.error(error);
         }
     };
 
+    // Rebuild the variant list from the options, keeping SKUs and prices of existing combinations
+    const handleGenerateVariants = () => {
+        const options = (form.getFieldValue('options') || []).filter(
+            (option) => option?.name && option.values?.length
+        );
+        const existing = form.getFieldValue('variants') || [];
+
+        if (options.length === 0) {
+            message.warning('Add at least one option with values first');
+            return;
+        }
+
+        const variants = buildCombinations(options).map((combination) => {
+            const match = existing.find((variant) =>
+                options.every((option) => variant.options?.[option.name] === combination[option.name])
+            );
+            return match ? { ...match, options: combination } : { options: combination };
+        });
+
+        form.setFieldsValue({ variants });
+    };
+
     const handleSubmit = async (values) => {
         try {
+            // Read variants from the store - their _id and options have no inputs of their own
+            const variants = (form.getFieldValue('variants') || []).map((variant) => ({
+                ...(variant._id && { _id: variant._id }),
+                sku: variant.sku,
+                options: variant.options,
+                price: variant.price,
+                comparePrice: variant.comparePrice,
+                images: variant.images || [],
+            }));
+
             const productData = {
                 ...values,
+                options: (values.options || []).filter((option) => option?.name),
+                variants,
                 tags: values.tags ? values.tags.split(',').map(t => t.trim()) : [],
-                images: values.images ? values.images.split(',').map(i => i.trim()) : [],
+                images: values.images || [],
+                // Cleared pickers remove the schedule
+                publishAt: values.publishAt?.toISOString() ?? null,
+                unpublishAt: values.unpublishAt?.toISOString() ?? null,
             };
 
+            // Variant products are priced by their variants
+            if (variants.length > 0) {
+                delete productData.price;
+                delete productData.comparePrice;
+            }
+
             if (editingProduct) {
                 await productService.update(editingProduct._id, productData);
                 message.success('Product updated successfully');
@@ -87,7 +202,7 @@ const ProductsPage = () => {
 
             setModalVisible(false);
             form.resetFields();
-            fetchProducts();
+            fetchProducts(categoryFilter);
         } catch (error) {
             message.error(error.response?.data?.message || 'Failed to save product');
             console.error(error);
@@ -99,29 +214,61 @@ const ProductsPage = () => {
             title: 'Name',
             dataIndex: 'name',
             key: 'name',
+            render: (name, record) => (
+                <Space>
+                    {record.images?.[0] && (
+                        <img
+                            src={record.images[0].thumbnails?.small || record.images[0].url}
+                            alt={record.images[0].alt}
+                            style={{ width: 32, height: 32, objectFit: 'cover', borderRadius: 4 }}
+                        />
+                    )}
+                    {name}
+                </Space>
+            ),
         },
         {
             title: 'Price',
             dataIndex: 'price',
             key: 'price',
-            render: (price) => `$${price?.toFixed(2)}`,
+            render: (price, record) => `${record.variants?.length ? 'from ' : ''}$${price?.toFixed(2)}`,
+        },
+        {
+            title: 'Variants',
+            key: 'variants',
+            render: (_, record) => record.variants?.length || '-',
         },
         {
             title: 'Category',
             dataIndex: 'category',
             key: 'category',
+            render: (category) => category?.name || 'N/A',
         },
         {
             title: 'Status',
             dataIndex: 'status',
             key: 'status',
-            render: (status) => {
+            render: (status, record) => {
                 const colors = {
                     active: 'green',
                     inactive: 'red',
                     draft: 'orange',
                 };
-                return <Tag color={colors[status]}>{status.toUpperCase()}</Tag>;
+                const schedule = [
+                    record.publishAt && `Publishes ${new Date(record.publishAt).toLocaleString()}`,
+                    record.unpublishAt && `Unpublishes ${new Date(record.unpublishAt).toLocaleString()}`,
+                ].filter(Boolean);
+
+                return (
+                    <Space size={4}>
+                        <Tag color={colors[status]}>{status.toUpperCase()}</Tag>
+                        {schedule.length > 0 && (
+                            <Tooltip title={schedule.map((line) => <div key={line}>{line}</div>)}>
+                                <Tag color="purple" icon={<ClockCircleOutlined />}>SCHEDULED</Tag>
+                            </Tooltip>
+                        )}
+                    </Space>
+                );
             },
         },
         {
@@ -136,9 +283,15 @@ const ProductsPage = () => {
                     >
                         Edit
                     </Button>
+                    <Button icon={<HistoryOutlined />} onClick={() => setHistoryProduct(record)} size="small">
+                        History
+                    </Button>
+                    <Button icon={<DollarOutlined />} onClick={() => setPricesProduct(record)} size="small">
+                        Prices
+                    </Button>
                     <Popconfirm
                         title="Delete product?"
-                        description="Are you sure you want to delete this product?"
+                        description="It moves to the Trash tab, where it can be restored."
                         onConfirm={() => handleDelete(record._id)}
                         okText="Yes"
                         cancelText="No"
@@ -150,27 +303,90 @@ const ProductsPage = () => {
                 </Space>
             ),
         },
-    ];
+    ].filter((column) => canWrite || column.key !== 'actions');
 
     return (
         <div>
             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
                 <Title level={2}>Products</Title>
-                <Button
-                    type="primary"
-                    icon={<PlusOutlined />}
-                    onClick={handleCreate}
-                >
-                    Add Product
-                </Button>
+                <Space>
+                    <TreeSelect
+                        allowClear
+                        treeDefaultExpandAll
+                        placeholder="All categories"
+                        style={{ width: 220 }}
+                        value={categoryFilter}
+                        treeData={toCategoryTreeData(categories)}
+                        onChange={(value) => {
+                            setCategoryFilter(value);
+                            fetchProducts(value);
+                        }}
+                    />
+                    <Dropdown
+                        menu={{
+                            items: [
+                                { key: 'csv', label: 'CSV' },
+                                { key: 'json', label: 'JSON' },
+                            ],
+                            onClick: ({ key }) => handleExport(key),
+                        }}
+                    >
+                        <Button icon={<DownloadOutlined />}>Export</Button>
+                    </Dropdown>
+                    {canWrite && can('inventory:write') && (
+                        <Button icon={<UploadOutlined />} onClick={() => navigate('/admin/products/import')}>
+                            Import
+                        </Button>
+                    )}
+                    {canWrite && (
+                        <Button
+                            type="primary"
+                            icon={<PlusOutlined />}
+                            onClick={handleCreate}
+                        >
+                            Add Product
+                        </Button>
+                    )}
+                </Space>
             </div>
 
-            <Table
-                columns={columns}
-                dataSource={products}
-                rowKey="_id"
-                loading={loading}
-                pagination={{ pageSize: 10 }}
+            <Tabs
+                // The trash is reloaded each time it is opened
+                destroyOnHidden
+                items={[
+                    {
+                        key: 'products',
+                        label: 'Products',
+                        children: (
+                            <Table
+                                columns={columns}
+                                dataSource={products}
+                                rowKey="_id"
+                                loading={loading}
+                                pagination={{ pageSize: 10 }}
+                            />
+                        ),
+                    },
+                    {
+                        key: 'trash',
+                        label: 'Trash',
+                        children: (
+                            <ProductTrashTable canWrite={canWrite} onRestored={() => fetchProducts(categoryFilter)} />
+                        ),
+                    },
+                ]}
+            />
+
+            <ProductHistoryDrawer
+                product={historyProduct}
+                onClose={() => setHistoryProduct(null)}
+                onRestored={() => fetchProducts(categoryFilter)}
+            />
+
+            <ProductPricesDrawer
+                product={pricesProduct}
+                onClose={() => setPricesProduct(null)}
+                onChanged={() => fetchProducts(categoryFilter)}
             />
 
             <Modal
@@ -178,7 +394,7 @@ const ProductsPage = () => {
                 open={modalVisible}
                 onCancel={() => setModalVisible(false)}
                 onOk={() => form.submit()}
-                width={600}
+                width={800}
             >
                 <Form
                     form={form}
@@ -203,13 +419,15 @@ const ProductsPage = () => {
                     <Form.Item
                         name="price"
                         label="Price"
-                        rules={[{ required: true, message: 'Please enter price' }]}
+                        rules={[{ required: !hasVariants, message: 'Please enter price' }]}
+                        extra={hasVariants && 'Set per variant - the lowest variant price is shown in the store'}
                     >
                         <InputNumber
                             min={0}
                             style={{ width: '100%' }}
                             placeholder="0.00"
                             precision={2}
+                            disabled={hasVariants}
                         />
                     </Form.Item>
 
@@ -222,15 +440,103 @@ const ProductsPage = () => {
                             style={{ width: '100%' }}
                             placeholder="0.00"
                             precision={2}
+                            disabled={hasVariants}
                         />
                     </Form.Item>
 
+                    <Form.Item label="Options" extra="e.g., Size: S, M, L - leave empty for a product without variants">
+                        <Form.List name="options">
+                            {(fields, { add, remove }) => (
+                                <>
+                                    {fields.map((field) => (
+                                        <Space key={field.key} align="baseline" style={{ display: 'flex' }}>
+                                            <Form.Item
+                                                name={[field.name, 'name']}
+                                                rules={[{ required: true, message: 'Option name' }]}
+                                            >
+                                                <Input placeholder="Name, e.g. Size" style={{ width: 160 }} />
+                                            </Form.Item>
+                                            <Form.Item
+                                                name={[field.name, 'values']}
+                                                rules={[{ required: true, message: 'Add values' }]}
+                                            >
+                                                <Select
+                                                    mode="tags"
+                                                    placeholder="Values, e.g. S, M, L"
+                                                    tokenSeparators={[',']}
+                                                    open={false}
+                                                    style={{ width: 420 }}
+                                                />
+                                            </Form.Item>
+                                            <MinusCircleOutlined onClick={() => remove(field.name)} />
+                                        </Space>
+                                    ))}
+                                    <Space>
+                                        <Button type="dashed" icon={<PlusOutlined />} onClick={() => add()}>
+                                            Add Option
+                                        </Button>
+                                        <Button onClick={handleGenerateVariants}>Generate Variants</Button>
+                                    </Space>
+                                </>
+                            )}
+                        </Form.List>
+                    </Form.Item>
+
+                    <Form.List name="variants">
+                        {(fields, { remove }) =>
+                            fields.length > 0 && (
+                                <Form.Item label="Variants">
+                                    {fields.map((field) => (
+                                        <Space key={field.key} align="baseline" style={{ display: 'flex' }}>
+                                            <Text strong style={{ display: 'inline-block', width: 120 }}>
+                                                {variantLabel(formVariants?.[field.name] || {}, formOptions)}
+                                            </Text>
+                                            <Form.Item
+                                                name={[field.name, 'sku']}
+                                                rules={[{ required: true, message: 'SKU' }]}
+                                            >
+                                                <Input placeholder="SKU" style={{ width: 130 }} />
+                                            </Form.Item>
+                                            <Form.Item
+                                                name={[field.name, 'price']}
+                                                rules={[{ required: true, message: 'Price' }]}
+                                            >
+                                                <InputNumber min={0} precision={2} placeholder="Price" style={{ width: 100 }} />
+                                            </Form.Item>
+                                            <Form.Item name={[field.name, 'comparePrice']}>
+                                                <InputNumber min={0} precision={2} placeholder="Compare" style={{ width: 100 }} />
+                                            </Form.Item>
+                                            <Form.Item name={[field.name, 'images']}>
+                                                <Select
+                                                    mode="multiple"
+                                                    placeholder="Images"
+                                                    style={{ width: 180 }}
+                                                    options={(formImages || []).map((image, index) => ({
+                                                        value: image.url,
+                                                        label: image.alt || `Image ${index + 1}`,
+                                                    }))}
+                                                />
+                                            </Form.Item>
+                                            <MinusCircleOutlined onClick={() => remove(field.name)} />
+                                        </Space>
+                                    ))}
+                                </Form.Item>
+                            )
+                        }
+                    </Form.List>
+
                     <Form.Item
                         name="category"
                         label="Category"
-                        rules={[{ required: true, message: 'Please enter category' }]}
+                        rules={[{ required: true, message: 'Please select category' }]}
                     >
-                        <Input placeholder="e.g., Electronics, Clothing" />
+                        <TreeSelect
+                            showSearch
+                            treeDefaultExpandAll
+                            treeNodeFilterProp="title"
+                            placeholder="Select category"
+                            treeData={toCategoryTreeData(categories)}
+                        />
                     </Form.Item>
 
                     <Form.Item
@@ -242,12 +548,9 @@ const ProductsPage = () => {
 
                     <Form.Item
                         name="images"
-                        label="Image URLs (comma-separated)"
+                        label="Images"
                     >
-                        <TextArea
-                            rows={2}
-                            placeholder="https://example.com/image1.jpg, https://example.com/image2.jpg"
-                        />
+                        <ProductImagesInput />
                     </Form.Item>
 
                     <Form.Item
@@ -262,6 +565,43 @@ const ProductsPage = () => {
                             <Select.Option value="inactive">Inactive</Select.Option>
                         </Select>
                     </Form.Item>
+
+                    <Space size="large">
+                        <Form.Item
+                            name="publishAt"
+                            label="Publish At"
+                            extra="Status becomes Active at this time"
+                            dependencies={['status']}
+                            rules={[
+                                {
+                                    validator: (_, value) =>
+                                        value && value.isAfter(dayjs()) && form.getFieldValue('status') === 'active'
+                                            ? Promise.reject(new Error('Save as Draft or Inactive until then'))
+                                            : Promise.resolve(),
+                                },
+                            ]}
+                        >
+                            <DatePicker showTime={{ format: 'HH:mm' }} format="YYYY-MM-DD HH:mm" />
+                        </Form.Item>
+                        <Form.Item
+                            name="unpublishAt"
+                            label="Unpublish At"
+                            extra="Status becomes Inactive at this time"
+                            dependencies={['publishAt']}
+                            rules={[
+                                {
+                                    validator: (_, value) => {
+                                        const publishAt = form.getFieldValue('publishAt');
+                                        return value && publishAt && !value.isAfter(publishAt)
+                                            ? Promise.reject(new Error('Must be after the publish date'))
+                                            : Promise.resolve();
+                                    },
+                                },
+                            ]}
+                        >
+                            <DatePicker showTime={{ format: 'HH:mm' }} format="YYYY-MM-DD HH:mm" />
+                        </Form.Item>
+                    </Space>
                 </Form>
             </Modal>
         </div>
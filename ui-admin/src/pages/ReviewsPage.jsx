@@ -0,0 +1,239 @@
+import { useState, useEffect } from 'react';
+import { Table, Button, Space, Select, Modal, Input, Tag, Rate, Tooltip, Typography, message } from 'antd';
+import { CheckOutlined, CloseOutlined, FlagOutlined } from '@ant-design/icons';
+import { reviewService } from '../services/reviewService';
+import { useAuth } from '../contexts/AuthContext';
+
+const { Title, Text, Paragraph } = Typography;
+const { TextArea } = Input;
+const PAGE_SIZE = 20;
+// Moderation starts with the reviews waiting for it
+const INITIAL_FILTERS = { status: 'pending' };
+
+const STATUS_COLORS = {
+    pending: 'blue',
+    approved: 'green',
+    rejected: 'red',
+    flagged: 'orange',
+};
+
+const ReviewsPage = () => {
+    const { can } = useAuth();
+    const canModerate = can('reviews:moderate');
+    const [reviews, setReviews] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [filters, setFilters] = useState(INITIAL_FILTERS);
+    const [pagination, setPagination] = useState({ current: 1, pageSize: PAGE_SIZE, total: 0 });
+    // Review being rejected or flagged, with the note for the customer
+    const [moderating, setModerating] = useState(null);
+    const [note, setNote] = useState('');
+
+    useEffect(() => {
+        fetchReviews();
+    }, []);
+
+    const fetchReviews = async (page = 1, currentFilters = INITIAL_FILTERS) => {
+        try {
+            setLoading(true);
+            const data = await reviewService.getAll({ ...currentFilters, page, limit: PAGE_SIZE });
+            setReviews(data.data || []);
+            setPagination({
+                current: page,
+                pageSize: PAGE_SIZE,
+                total: data.pagination?.total || 0,
+            });
+        } catch (error) {
+            message.error('Failed to fetch reviews');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleFilter = (name, value) => {
+        const nextFilters = { ...filters, [name]: value };
+        setFilters(nextFilters);
+        fetchReviews(1, nextFilters);
+    };
+
+    const handleModerate = async (review, status, moderationNote) => {
+        try {
+            await reviewService.moderate(review._id, status, moderationNote);
+            message.success(`Review ${status}`);
+            setModerating(null);
+            setNote('');
+            fetchReviews(pagination.current, filters);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to moderate review');
+            console.error(error);
+        }
+    };
+
+    const columns = [
+        {
+            title: 'Product',
+            key: 'product',
+            render: (_, record) => record.product?.name || <Text type="secondary">Deleted product</Text>,
+        },
+        {
+            title: 'Customer',
+            key: 'user',
+            render: (_, record) => (
+                <Space direction="vertical" size={0}>
+                    <Text strong>{record.user?.name || 'N/A'}</Text>
+                    <Text type="secondary">{record.user?.email}</Text>
+                    {record.verifiedPurchase && <Tag color="green">VERIFIED PURCHASE</Tag>}
+                </Space>
+            ),
+        },
+        {
+            title: 'Rating',
+            dataIndex: 'rating',
+            key: 'rating',
+            render: (rating) => <Rate disabled value={rating} style={{ fontSize: 14 }} />,
+        },
+        {
+            title: 'Review',
+            key: 'review',
+            width: '35%',
+            render: (_, record) => (
+                <Space direction="vertical" size={0}>
+                    {record.title && <Text strong>{record.title}</Text>}
+                    <Paragraph ellipsis={{ rows: 3, expandable: true }} style={{ marginBottom: 0 }}>
+                        {record.comment || <Text type="secondary">No comment</Text>}
+                    </Paragraph>
+                </Space>
+            ),
+        },
+        {
+            title: 'Status',
+            key: 'status',
+            render: (_, record) => (
+                <Tooltip
+                    title={
+                        record.moderatedBy &&
+                        `${record.moderatedBy.name} on ${new Date(record.moderatedAt).toLocaleString()}${
+                            record.moderationNote ? `: ${record.moderationNote}` : ''
+                        }`
+                    }
+                >
+                    <Tag color={STATUS_COLORS[record.status]}>{record.status.toUpperCase()}</Tag>
+                </Tooltip>
+            ),
+        },
+        {
+            title: 'Submitted',
+            dataIndex: 'updatedAt',
+            key: 'updatedAt',
+            render: (date) => new Date(date).toLocaleString(),
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) => (
+                <Space>
+                    {record.status !== 'approved' && (
+                        <Button icon={<CheckOutlined />} size="small" onClick={() => handleModerate(record, 'approved')}>
+                            Approve
+                        </Button>
+                    )}
+                    {record.status !== 'rejected' && (
+                        <Button
+                            icon={<CloseOutlined />}
+                            size="small"
+                            danger
+                            onClick={() => setModerating({ review: record, status: 'rejected' })}
+                        >
+                            Reject
+                        </Button>
+                    )}
+                    {record.status !== 'flagged' && (
+                        <Button
+                            icon={<FlagOutlined />}
+                            size="small"
+                            onClick={() => setModerating({ review: record, status: 'flagged' })}
+                        >
+                            Flag
+                        </Button>
+                    )}
+                </Space>
+            ),
+        },
+    ].filter((column) => canModerate || column.key !== 'actions');
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <Title level={2}>Reviews</Title>
+                <Space>
+                    <Select
+                        value={filters.status}
+                        onChange={(value) => handleFilter('status', value)}
+                        allowClear
+                        placeholder="All statuses"
+                        style={{ width: 150 }}
+                        options={Object.keys(STATUS_COLORS).map((status) => ({
+                            value: status,
+                            label: status.charAt(0).toUpperCase() + status.slice(1),
+                        }))}
+                    />
+                    <Select
+                        value={filters.rating}
+                        onChange={(value) => handleFilter('rating', value)}
+                        allowClear
+                        placeholder="All ratings"
+                        style={{ width: 130 }}
+                        options={[5, 4, 3, 2, 1].map((rating) => ({ value: rating, label: `${rating} star${rating > 1 ? 's' : ''}` }))}
+                    />
+                    <Select
+                        value={filters.verified}
+                        onChange={(value) => handleFilter('verified', value)}
+                        allowClear
+                        placeholder="All customers"
+                        style={{ width: 170 }}
+                        options={[
+                            { value: 'true', label: 'Verified purchases' },
+                            { value: 'false', label: 'Not verified' },
+                        ]}
+                    />
+                </Space>
+            </div>
+
+            <Table
+                columns={columns}
+                dataSource={reviews}
+                rowKey="_id"
+                loading={loading}
+                pagination={pagination}
+                onChange={(pager) => fetchReviews(pager.current, filters)}
+            />
+
+            <Modal
+                title={moderating?.status === 'rejected' ? 'Reject Review' : 'Flag Review'}
+                open={!!moderating}
+                onCancel={() => {
+                    setModerating(null);
+                    setNote('');
+                }}
+                onOk={() => handleModerate(moderating.review, moderating.status, note)}
+                okText={moderating?.status === 'rejected' ? 'Reject' : 'Flag'}
+                okButtonProps={{ danger: moderating?.status === 'rejected' }}
+            >
+                <Paragraph type="secondary">
+                    {moderating?.status === 'rejected'
+                        ? 'The review is not shown in the store.'
+                        : 'The review is hidden from the store until it is approved.'}
+                </Paragraph>
+                <TextArea
+                    rows={3}
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    placeholder="Note (optional), e.g. the reason"
+                    maxLength={500}
+                />
+            </Modal>
+        </div>
+    );
+};
+
+export default ReviewsPage;
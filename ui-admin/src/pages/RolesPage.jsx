@@ -0,0 +1,238 @@
+import { useState, useEffect } from 'react';
+import {
+    Table,
+    Tag,
+    Button,
+    Space,
+    Modal,
+    Form,
+    Input,
+    Checkbox,
+    message,
+    Popconfirm,
+    Typography,
+} from 'antd';
+import { PlusOutlined, EditOutlined, DeleteOutlined } from '@ant-design/icons';
+import { roleService } from '../services/roleService';
+
+const { Title, Text } = Typography;
+
+const RolesPage = () => {
+    const [roles, setRoles] = useState([]);
+    const [permissions, setPermissions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [modalVisible, setModalVisible] = useState(false);
+    const [editingRole, setEditingRole] = useState(null);
+    const [form] = Form.useForm();
+
+    useEffect(() => {
+        fetchRoles();
+        fetchPermissions();
+    }, []);
+
+    const fetchRoles = async () => {
+        try {
+            setLoading(true);
+            const data = await roleService.getAll();
+            setRoles(data || []);
+        } catch (error) {
+            message.error('Failed to fetch roles');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchPermissions = async () => {
+        try {
+            const data = await roleService.getPermissions();
+            setPermissions(data || []);
+        } catch (error) {
+            message.error('Failed to fetch permissions');
+            console.error(error);
+        }
+    };
+
+    const handleCreate = () => {
+        setEditingRole(null);
+        form.resetFields();
+        setModalVisible(true);
+    };
+
+    const handleEdit = (role) => {
+        setEditingRole(role);
+        form.setFieldsValue({
+            name: role.name,
+            description: role.description,
+            permissions: role.permissions,
+        });
+        setModalVisible(true);
+    };
+
+    const handleDelete = async (name) => {
+        try {
+            await roleService.delete(name);
+            message.success('Role deleted successfully');
+            fetchRoles();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to delete role');
+            console.error(error);
+        }
+    };
+
+    const handleSubmit = async (values) => {
+        try {
+            if (editingRole) {
+                const updates = { description: values.description };
+                if (!editingRole.isLocked) {
+                    updates.permissions = values.permissions || [];
+                }
+                await roleService.update(editingRole.name, updates);
+                message.success('Role updated successfully');
+            } else {
+                await roleService.create({ ...values, permissions: values.permissions || [] });
+                message.success('Role created successfully');
+            }
+            setModalVisible(false);
+            form.resetFields();
+            fetchRoles();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to save role');
+            console.error(error);
+        }
+    };
+
+    const columns = [
+        {
+            title: 'Role',
+            key: 'name',
+            render: (_, record) => (
+                <Space direction="vertical" size={0}>
+                    <Space>
+                        <Text strong>{record.name}</Text>
+                        {record.isBuiltIn && <Tag>BUILT-IN</Tag>}
+                    </Space>
+                    <Text type="secondary">{record.description}</Text>
+                </Space>
+            ),
+        },
+        {
+            title: 'Permissions',
+            dataIndex: 'permissions',
+            key: 'permissions',
+            render: (granted) =>
+                granted.includes('*') ? (
+                    <Tag color="purple">ALL</Tag>
+                ) : granted.length === 0 ? (
+                    <Text type="secondary">None</Text>
+                ) : (
+                    <Space size={[4, 4]} wrap>
+                        {granted.map((permission) => (
+                            <Tag key={permission}>{permission}</Tag>
+                        ))}
+                    </Space>
+                ),
+        },
+        {
+            title: 'Users',
+            dataIndex: 'userCount',
+            key: 'userCount',
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) => (
+                <Space>
+                    <Button
+                        icon={<EditOutlined />}
+                        onClick={() => handleEdit(record)}
+                        size="small"
+                    >
+                        Edit
+                    </Button>
+                    {!record.isBuiltIn && (
+                        <Popconfirm
+                            title="Delete role?"
+                            description="Roles that are assigned to users cannot be deleted."
+                            onConfirm={() => handleDelete(record.name)}
+                            okText="Yes"
+                            cancelText="No"
+                        >
+                            <Button icon={<DeleteOutlined />} danger size="small">
+                                Delete
+                            </Button>
+                        </Popconfirm>
+                    )}
+                </Space>
+            ),
+        },
+    ];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <Title level={2}>Roles</Title>
+                <Button type="primary" icon={<PlusOutlined />} onClick={handleCreate}>
+                    Add Role
+                </Button>
+            </div>
+
+            <Table
+                columns={columns}
+                dataSource={roles}
+                rowKey="name"
+                loading={loading}
+                pagination={false}
+            />
+
+            <Modal
+                title={editingRole ? `Edit Role - ${editingRole.name}` : 'Add Role'}
+                open={modalVisible}
+                onCancel={() => setModalVisible(false)}
+                onOk={() => form.submit()}
+                width={640}
+            >
+                <Form form={form} layout="vertical" onFinish={handleSubmit}>
+                    <Form.Item
+                        name="name"
+                        label="Name"
+                        rules={[
+                            { required: true, message: 'Please input a role name!' },
+                            {
+                                pattern: /^[a-z][a-z0-9_-]*$/,
+                                message: 'Lowercase letters, numbers, dashes and underscores only',
+                            },
+                        ]}
+                    >
+                        <Input disabled={!!editingRole} placeholder="e.g. warehouse" />
+                    </Form.Item>
+
+                    <Form.Item name="description" label="Description">
+                        <Input />
+                    </Form.Item>
+
+                    {editingRole?.isLocked ? (
+                        <Text type="secondary">
+                            Permissions of the {editingRole.name} role cannot be changed.
+                        </Text>
+                    ) : (
+                        <Form.Item name="permissions" label="Permissions">
+                            <Checkbox.Group style={{ width: '100%' }}>
+                                <Space direction="vertical">
+                                    {permissions.map((permission) => (
+                                        <Checkbox key={permission.name} value={permission.name}>
+                                            <Text code>{permission.name}</Text>{' '}
+                                            <Text type="secondary">{permission.description}</Text>
+                                        </Checkbox>
+                                    ))}
+                                </Space>
+                            </Checkbox.Group>
+                        </Form.Item>
+                    )}
+                </Form>
+            </Modal>
+        </div>
+    );
+};
+
+export default RolesPage;
@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { Card, Button, Form, Input, Modal, Space, Tag, Typography, message } from 'antd';
+import { SafetyOutlined } from '@ant-design/icons';
+import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../services/authService';
+import TwoFactorSetup, { RecoveryCodes } from '../components/TwoFactorSetup';
+
+const { Title, Text } = Typography;
+
+const SecurityPage = () => {
+    const { user, updateUser } = useAuth();
+    const [settingUp, setSettingUp] = useState(false);
+    const [disableModalVisible, setDisableModalVisible] = useState(false);
+    const [regenerateModalVisible, setRegenerateModalVisible] = useState(false);
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [disableForm] = Form.useForm();
+    const [regenerateForm] = Form.useForm();
+
+    const handleSetupComplete = () => {
+        updateUser({ twoFactorEnabled: true });
+        setSettingUp(false);
+    };
+
+    const handleDisable = async (values) => {
+        try {
+            setSubmitting(true);
+            await authService.disableTwoFactor(values.password, values.code);
+            message.success('Two-factor authentication disabled');
+            updateUser({ twoFactorEnabled: false });
+            setDisableModalVisible(false);
+            disableForm.resetFields();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to disable two-factor authentication');
+            console.error(error);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleRegenerate = async (values) => {
+        try {
+            setSubmitting(true);
+            const data = await authService.regenerateRecoveryCodes(values.code);
+            setRecoveryCodes(data.recoveryCodes);
+            setRegenerateModalVisible(false);
+            regenerateForm.resetFields();
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to regenerate recovery codes');
+            console.error(error);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const codeRules = [
+        { required: true, message: 'Please input your code!' },
+        { pattern: /^\d{6}$/, message: 'Code must be 6 digits' },
+    ];
+
+    const renderContent = () => {
+        if (recoveryCodes) {
+            return (
+                <RecoveryCodes
+                    codes={recoveryCodes}
+                    onDone={() => setRecoveryCodes(null)}
+                />
+            );
+        }
+
+        if (settingUp) {
+            return <TwoFactorSetup onComplete={handleSetupComplete} />;
+        }
+
+        if (user?.twoFactorEnabled) {
+            return (
+                <Space direction="vertical" size="middle">
+                    <Text>
+                        Your account is protected with an authenticator app. You will be asked
+                        for a code each time you log in.
+                    </Text>
+                    <Space>
+                        <Button onClick={() => setRegenerateModalVisible(true)}>
+                            Regenerate Recovery Codes
+                        </Button>
+                        <Button danger onClick={() => setDisableModalVisible(true)}>
+                            Disable
+                        </Button>
+                    </Space>
+                </Space>
+            );
+        }
+
+        return (
+            <Space direction="vertical" size="middle">
+                <Text>
+                    Add a second step to your login using an authenticator app on your phone.
+                </Text>
+                <Button type="primary" icon={<SafetyOutlined />} onClick={() => setSettingUp(true)}>
+                    Enable Two-Factor Authentication
+                </Button>
+            </Space>
+        );
+    };
+
+    return (
+        <div>
+            <Title level={2}>Security</Title>
+
+            <Card
+                title="Two-Factor Authentication"
+                extra={
+                    user?.twoFactorEnabled
+                        ? <Tag color="green">Enabled</Tag>
+                        : <Tag>Disabled</Tag>
+                }
+                style={{ maxWidth: 560 }}
+            >
+                {renderContent()}
+            </Card>
+
+            <Modal
+                title="Disable Two-Factor Authentication"
+                open={disableModalVisible}
+                onCancel={() => setDisableModalVisible(false)}
+                onOk={() => disableForm.submit()}
+                okText="Disable"
+                okButtonProps={{ danger: true }}
+                confirmLoading={submitting}
+            >
+                <Form form={disableForm} layout="vertical" onFinish={handleDisable}>
+                    <Form.Item
+                        name="password"
+                        label="Password"
+                        rules={[{ required: true, message: 'Please input your password!' }]}
+                    >
+                        <Input.Password />
+                    </Form.Item>
+                    <Form.Item name="code" label="Authentication code" rules={codeRules}>
+                        <Input maxLength={6} />
+                    </Form.Item>
+                </Form>
+            </Modal>
+
+            <Modal
+                title="Regenerate Recovery Codes"
+                open={regenerateModalVisible}
+                onCancel={() => setRegenerateModalVisible(false)}
+                onOk={() => regenerateForm.submit()}
+                okText="Regenerate"
+                confirmLoading={submitting}
+            >
+                <Text type="secondary">
+                    Your existing recovery codes will stop working.
+                </Text>
+                <Form
+                    form={regenerateForm}
+                    layout="vertical"
+                    onFinish={handleRegenerate}
+                    style={{ marginTop: 16 }}
+                >
+                    <Form.Item name="code" label="Authentication code" rules={codeRules}>
+                        <Input maxLength={6} />
+                    </Form.Item>
+                </Form>
+            </Modal>
+        </div>
+    );
+};
+
+export default SecurityPage;
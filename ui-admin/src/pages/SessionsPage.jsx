@@ -0,0 +1,174 @@
+import { useState, useEffect } from 'react';
+import {
+    Table,
+    Button,
+    Space,
+    Input,
+    message,
+    Popconfirm,
+    Typography,
+    Tooltip,
+} from 'antd';
+import { LogoutOutlined, StopOutlined } from '@ant-design/icons';
+import { sessionService } from '../services/sessionService';
+
+const { Title, Text } = Typography;
+const PAGE_SIZE = 20;
+
+const SessionsPage = () => {
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [email, setEmail] = useState('');
+    const [pagination, setPagination] = useState({ current: 1, pageSize: PAGE_SIZE, total: 0 });
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const fetchSessions = async (page = 1, emailFilter = '') => {
+        try {
+            setLoading(true);
+            const params = { page, limit: PAGE_SIZE };
+            if (emailFilter) params.email = emailFilter;
+
+            const data = await sessionService.getAll(params);
+            setSessions(data.data || []);
+            setPagination({
+                current: page,
+                pageSize: PAGE_SIZE,
+                total: data.pagination?.total || 0,
+            });
+        } catch (error) {
+            message.error('Failed to fetch sessions');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleSearch = (value) => {
+        setEmail(value);
+        fetchSessions(1, value);
+    };
+
+    const handleRevoke = async (id) => {
+        try {
+            await sessionService.revoke(id);
+            message.success('Session revoked successfully');
+            fetchSessions(pagination.current, email);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to revoke session');
+            console.error(error);
+        }
+    };
+
+    const handleRevokeAll = async (userId) => {
+        try {
+            const data = await sessionService.revokeAllForUser(userId);
+            message.success(`Revoked ${data.data?.revokedCount || 0} session(s)`);
+            fetchSessions(pagination.current, email);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to revoke sessions');
+            console.error(error);
+        }
+    };
+
+    const columns = [
+        {
+            title: 'User',
+            key: 'user',
+            render: (_, record) => (
+                <Space direction="vertical" size={0}>
+                    <Text strong>{record.user?.name || 'N/A'}</Text>
+                    <Text type="secondary">{record.user?.email}</Text>
+                </Space>
+            ),
+        },
+        {
+            title: 'Device',
+            dataIndex: 'userAgent',
+            key: 'userAgent',
+            ellipsis: { showTitle: false },
+            render: (userAgent) => (
+                <Tooltip placement="topLeft" title={userAgent}>
+                    {userAgent || 'Unknown'}
+                </Tooltip>
+            ),
+        },
+        {
+            title: 'IP',
+            dataIndex: 'ip',
+            key: 'ip',
+            render: (ip) => ip || 'N/A',
+        },
+        {
+            title: 'Created',
+            dataIndex: 'createdAt',
+            key: 'createdAt',
+            render: (date) => new Date(date).toLocaleString(),
+        },
+        {
+            title: 'Last Used',
+            dataIndex: 'lastUsedAt',
+            key: 'lastUsedAt',
+            render: (date) => new Date(date).toLocaleString(),
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) => (
+                <Space>
+                    <Popconfirm
+                        title="Revoke session?"
+                        description="The device will be signed out on its next token refresh."
+                        onConfirm={() => handleRevoke(record._id)}
+                        okText="Yes"
+                        cancelText="No"
+                    >
+                        <Button icon={<StopOutlined />} danger size="small">
+                            Revoke
+                        </Button>
+                    </Popconfirm>
+                    {record.user && (
+                        <Popconfirm
+                            title="Revoke all sessions?"
+                            description={`Sign ${record.user.email} out of every device?`}
+                            onConfirm={() => handleRevokeAll(record.user._id)}
+                            okText="Yes"
+                            cancelText="No"
+                        >
+                            <Button icon={<LogoutOutlined />} size="small">
+                                All Devices
+                            </Button>
+                        </Popconfirm>
+                    )}
+                </Space>
+            ),
+        },
+    ];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <Title level={2}>Sessions</Title>
+                <Input.Search
+                    placeholder="Filter by user email"
+                    allowClear
+                    onSearch={handleSearch}
+                    style={{ width: 300 }}
+                />
+            </div>
+
+            <Table
+                columns={columns}
+                dataSource={sessions}
+                rowKey="_id"
+                loading={loading}
+                pagination={pagination}
+                onChange={(pager) => fetchSessions(pager.current, email)}
+            />
+        </div>
+    );
+};
+
+export default SessionsPage;
@@ -0,0 +1,450 @@
+import { useState, useEffect } from 'react';
+import {
+    Table,
+    Tag,
+    Button,
+    Space,
+    Drawer,
+    Descriptions,
+    Select,
+    Input,
+    message,
+    Popconfirm,
+    Typography,
+    Card,
+    Statistic,
+    Row,
+    Col,
+} from 'antd';
+import { EyeOutlined, UnlockOutlined, SafetyOutlined, ShopOutlined } from '@ant-design/icons';
+import { userService } from '../services/userService';
+import { roleService } from '../services/roleService';
+import { useAuth } from '../contexts/AuthContext';
+
+const { Title, Text } = Typography;
+const PAGE_SIZE = 20;
+const ORDERS_PAGE_SIZE = 5;
+
+const isLocked = (user) => user.lockUntil && new Date(user.lockUntil) > new Date();
+
+const UsersPage = () => {
+    const { user: currentUser, can } = useAuth();
+    const [users, setUsers] = useState([]);
+    const [roles, setRoles] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [filters, setFilters] = useState({ search: '', role: '', isActive: '' });
+    const [pagination, setPagination] = useState({ current: 1, pageSize: PAGE_SIZE, total: 0 });
+    const [drawerVisible, setDrawerVisible] = useState(false);
+    const [selectedUser, setSelectedUser] = useState(null);
+    const [orderStats, setOrderStats] = useState(null);
+    const [orders, setOrders] = useState([]);
+    const [ordersLoading, setOrdersLoading] = useState(false);
+    const [ordersPagination, setOrdersPagination] = useState({
+        current: 1,
+        pageSize: ORDERS_PAGE_SIZE,
+        total: 0,
+    });
+    const [updating, setUpdating] = useState(false);
+
+    useEffect(() => {
+        fetchUsers();
+        fetchRoles();
+    }, []);
+
+    const fetchRoles = async () => {
+        try {
+            const data = await roleService.getAll();
+            setRoles(data || []);
+        } catch (error) {
+            console.error('Error fetching roles:', error);
+        }
+    };
+
+    const fetchUsers = async (page = 1, activeFilters = {}) => {
+        try {
+            setLoading(true);
+            const params = { page, limit: PAGE_SIZE };
+            Object.entries(activeFilters).forEach(([key, value]) => {
+                if (value !== '') params[key] = value;
+            });
+
+            const data = await userService.getAll(params);
+            setUsers(data.data || []);
+            setPagination({
+                current: page,
+                pageSize: PAGE_SIZE,
+                total: data.pagination?.total || 0,
+            });
+        } catch (error) {
+            message.error('Failed to fetch users');
+            console.error(error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchOrders = async (userId, page = 1) => {
+        try {
+            setOrdersLoading(true);
+            const data = await userService.getOrders(userId, { page, limit: ORDERS_PAGE_SIZE });
+            setOrders(data.data || []);
+            setOrdersPagination({
+                current: page,
+                pageSize: ORDERS_PAGE_SIZE,
+                total: data.pagination?.total || 0,
+            });
+        } catch (error) {
+            message.error('Failed to fetch orders');
+            console.error(error);
+        } finally {
+            setOrdersLoading(false);
+        }
+    };
+
+    const handleFilterChange = (key, value) => {
+        const nextFilters = { ...filters, [key]: value ?? '' };
+        setFilters(nextFilters);
+        fetchUsers(1, nextFilters);
+    };
+
+    const handleViewUser = async (record) => {
+        try {
+            const data = await userService.getById(record._id);
+            setSelectedUser(data.data.user);
+            setOrderStats(data.data.orderStats);
+            setDrawerVisible(true);
+            if (can('orders:read')) {
+                fetchOrders(record._id);
+            }
+        } catch (error) {
+            message.error('Failed to load user details');
+            console.error(error);
+        }
+    };
+
+    // Run an action on the selected user and refresh the list
+    const runUserAction = async (action, successMessage) => {
+        try {
+            setUpdating(true);
+            const data = await action();
+            if (data.data?.user) {
+                setSelectedUser(data.data.user);
+            }
+            message.success(successMessage || data.message);
+            fetchUsers(pagination.current, filters);
+        } catch (error) {
+            message.error(error.response?.data?.message || 'Failed to update user');
+            console.error(error);
+        } finally {
+            setUpdating(false);
+        }
+    };
+
+    // Open the storefront in a new tab signed in as the customer
+    const handleImpersonate = async () => {
+        // Open the tab right away - browsers block popups opened after an await
+        const storefrontTab = window.open('', '_blank');
+        try {
+            const data = await userService.impersonate(selectedUser._id);
+            storefrontTab.location.href = data.url;
+        } catch (error) {
+            storefrontTab.close();
+            message.error(error.response?.data?.message || 'Failed to start impersonation');
+            console.error(error);
+        }
+    };
+
+    const isSelf = (record) => record?._id === currentUser?.id;
+    const canWrite = can('users:write');
+    const canChangeRole = canWrite && can('roles:manage');
+    const roleOptions = roles.map((role) => ({ value: role.name, label: role.name }));
+
+    const columns = [
+        {
+            title: 'User',
+            key: 'user',
+            render: (_, record) => (
+                <Space direction="vertical" size={0}>
+                    <Text strong>{record.name}</Text>
+                    <Text type="secondary">{record.email}</Text>
+                </Space>
+            ),
+        },
+        {
+            title: 'Phone',
+            dataIndex: 'phone',
+            key: 'phone',
+            render: (phone) => phone || 'N/A',
+        },
+        {
+            title: 'Role',
+            dataIndex: 'role',
+            key: 'role',
+            render: (role) => (
+                <Tag color={role === 'admin' ? 'purple' : role === 'user' ? 'default' : 'blue'}>
+                    {role?.toUpperCase()}
+                </Tag>
+            ),
+        },
+        {
+            title: 'Status',
+            key: 'status',
+            render: (_, record) => (
+                <Space size={4}>
+                    <Tag color={record.isActive ? 'green' : 'red'}>
+                        {record.isActive ? 'ACTIVE' : 'INACTIVE'}
+                    </Tag>
+                    {isLocked(record) && <Tag color="orange">LOCKED</Tag>}
+                </Space>
+            ),
+        },
+        {
+            title: 'Email Verified',
+            dataIndex: 'isEmailVerified',
+            key: 'isEmailVerified',
+            render: (verified) => (verified ? 'Yes' : 'No'),
+        },
+        {
+            title: 'Joined',
+            dataIndex: 'createdAt',
+            key: 'createdAt',
+            render: (date) => new Date(date).toLocaleDateString(),
+        },
+        {
+            title: 'Actions',
+            key: 'actions',
+            render: (_, record) => (
+                <Button
+                    icon={<EyeOutlined />}
+                    onClick={() => handleViewUser(record)}
+                    size="small"
+                >
+                    View
+                </Button>
+            ),
+        },
+    ];
+
+    const orderColumns = [
+        {
+            title: 'Order Number',
+            dataIndex: 'orderNumber',
+            key: 'orderNumber',
+        },
+        {
+            title: 'Total',
+            dataIndex: 'totalAmount',
+            key: 'totalAmount',
+            render: (amount) => `$${amount?.toFixed(2)}`,
+        },
+        {
+            title: 'Status',
+            dataIndex: 'status',
+            key: 'status',
+            render: (status) => <Tag>{status?.toUpperCase()}</Tag>,
+        },
+        {
+            title: 'Date',
+            dataIndex: 'createdAt',
+            key: 'createdAt',
+            render: (date) => new Date(date).toLocaleDateString(),
+        },
+    ];
+
+    return (
+        <div>
+            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: 16 }}>
+                <Title level={2}>Users</Title>
+                <Space>
+                    <Input.Search
+                        placeholder="Search name, email or phone"
+                        allowClear
+                        onSearch={(value) => handleFilterChange('search', value)}
+                        style={{ width: 280 }}
+                    />
+                    <Select
+                        placeholder="Role"
+                        allowClear
+                        style={{ width: 120 }}
+                        onChange={(value) => handleFilterChange('role', value)}
+                        options={roleOptions}
+                    />
+                    <Select
+                        placeholder="Status"
+                        allowClear
+                        style={{ width: 120 }}
+                        onChange={(value) => handleFilterChange('isActive', value)}
+                        options={[
+                            { value: 'true', label: 'Active' },
+                            { value: 'false', label: 'Inactive' },
+                        ]}
+                    />
+                </Space>
+            </div>
+
+            <Table
+                columns={columns}
+                dataSource={users}
+                rowKey="_id"
+                loading={loading}
+                pagination={pagination}
+                onChange={(pager) => fetchUsers(pager.current, filters)}
+            />
+
+            <Drawer
+                title={`User Details - ${selectedUser?.name}`}
+                width={720}
+                onClose={() => setDrawerVisible(false)}
+                open={drawerVisible}
+            >
+                {selectedUser && (
+                    <Space direction="vertical" size="large" style={{ width: '100%' }}>
+                        {/* Account */}
+                        <Card title="Account" size="small">
+                            <Descriptions column={1}>
+                                <Descriptions.Item label="Name">{selectedUser.name}</Descriptions.Item>
+                                <Descriptions.Item label="Email">
+                                    {selectedUser.email}{' '}
+                                    {selectedUser.isEmailVerified && <Tag color="green">VERIFIED</Tag>}
+                                </Descriptions.Item>
+                                <Descriptions.Item label="Phone">{selectedUser.phone || 'N/A'}</Descriptions.Item>
+                                <Descriptions.Item label="Two-Factor">
+                                    {selectedUser.twoFactorEnabled ? 'Enabled' : 'Disabled'}
+                                </Descriptions.Item>
+                                <Descriptions.Item label="Joined">
+                                    {new Date(selectedUser.createdAt).toLocaleString()}
+                                </Descriptions.Item>
+                            </Descriptions>
+                        </Card>
+
+                        {/* Access */}
+                        <Card title="Access" size="small">
+                            <Space direction="vertical" style={{ width: '100%' }}>
+                                <Space>
+                                    <Text>Role:</Text>
+                                    <Select
+                                        style={{ width: 160 }}
+                                        value={selectedUser.role}
+                                        disabled={!canChangeRole || isSelf(selectedUser)}
+                                        loading={updating}
+                                        onChange={(role) =>
+                                            runUserAction(() => userService.updateRole(selectedUser._id, role))
+                                        }
+                                        options={roleOptions}
+                                    />
+                                </Space>
+                                {canWrite && (
+                                    <Space wrap>
+                                        {selectedUser.isActive ? (
+                                            <Popconfirm
+                                                title="Deactivate user?"
+                                                description="The user will be signed out of all devices and unable to log in."
+                                                onConfirm={() =>
+                                                    runUserAction(() => userService.updateStatus(selectedUser._id, false))
+                                                }
+                                                okText="Yes"
+                                                cancelText="No"
+                                                disabled={isSelf(selectedUser)}
+                                            >
+                                                <Button danger disabled={isSelf(selectedUser)} loading={updating}>
+                                                    Deactivate
+                                                </Button>
+                                            </Popconfirm>
+                                        ) : (
+                                            <Button
+                                                type="primary"
+                                                loading={updating}
+                                                onClick={() =>
+                                                    runUserAction(() => userService.updateStatus(selectedUser._id, true))
+                                                }
+                                            >
+                                                Reactivate
+                                            </Button>
+                                        )}
+                                        {isLocked(selectedUser) && (
+                                            <Button
+                                                icon={<UnlockOutlined />}
+                                                loading={updating}
+                                                onClick={() => runUserAction(() => userService.unlock(selectedUser._id))}
+                                            >
+                                                Unlock
+                                            </Button>
+                                        )}
+                                        {selectedUser.twoFactorEnabled && (
+                                            <Popconfirm
+                                                title="Reset two-factor authentication?"
+                                                description="The user will need to enroll again."
+                                                onConfirm={() =>
+                                                    runUserAction(() => userService.resetTwoFactor(selectedUser._id))
+                                                }
+                                                okText="Yes"
+                                                cancelText="No"
+                                            >
+                                                <Button icon={<SafetyOutlined />} loading={updating}>
+                                                    Reset 2FA
+                                                </Button>
+                                            </Popconfirm>
+                                        )}
+                                    </Space>
+                                )}
+                                {can('users:impersonate') && selectedUser.role === 'user' && selectedUser.isActive && (
+                                    <Popconfirm
+                                        title="View the store as this customer?"
+                                        description="Opens a new tab signed in as the customer for a short time. This is recorded in the activity log."
+                                        onConfirm={handleImpersonate}
+                                        okText="Yes"
+                                        cancelText="No"
+                                    >
+                                        <Button icon={<ShopOutlined />}>View as Customer</Button>
+                                    </Popconfirm>
+                                )}
+                            </Space>
+                        </Card>
+
+                        {/* Orders */}
+                        {can('orders:read') && (
+                            <Card title="Orders" size="small">
+                                {orderStats && (
+                                    <Row gutter={16} style={{ marginBottom: 16 }}>
+                                        <Col span={8}>
+                                            <Statistic title="Total Orders" value={orderStats.totalOrders} />
+                                        </Col>
+                                        <Col span={8}>
+                                            <Statistic
+                                                title="Total Spent"
+                                                value={orderStats.totalSpent}
+                                                precision={2}
+                                                prefix="$"
+                                            />
+                                        </Col>
+                                        <Col span={8}>
+                                            <Statistic
+                                                title="Last Order"
+                                                value={
+                                                    orderStats.lastOrderAt
+                                                        ? new Date(orderStats.lastOrderAt).toLocaleDateString()
+                                                        : 'Never'
+                                                }
+                                            />
+                                        </Col>
+                                    </Row>
+                                )}
+                                <Table
+                                    columns={orderColumns}
+                                    dataSource={orders}
+                                    rowKey="_id"
+                                    size="small"
+                                    loading={ordersLoading}
+                                    pagination={ordersPagination}
+                                    onChange={(pager) => fetchOrders(selectedUser._id, pager.current)}
+                                />
+                            </Card>
+                        )}
+                    </Space>
+                )}
+            </Drawer>
+        </div>
+    );
+};
+
+export default UsersPage;
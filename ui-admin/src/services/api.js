@@ -24,15 +24,84 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh in progress - concurrent 401s wait for it instead of refreshing again
+let refreshPromise = null;
+
+// Exchange the refresh token for a new token pair
+// Refresh tokens are single-use, so tabs take turns (a replayed token ends the session)
+const refreshTokens = (failedToken) => {
+  const refresh = async () => {
+    // Another tab refreshed while we waited - use its token
+    const currentToken = localStorage.getItem('adminToken');
+    if (currentToken && currentToken !== failedToken) {
+      return currentToken;
+    }
+
+    const refreshToken = localStorage.getItem('adminRefreshToken');
+    if (!refreshToken) {
+      throw new Error('No refresh token');
+    }
+
+    // Plain axios so a failed refresh doesn't go through these interceptors
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+    const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+    localStorage.setItem('adminToken', accessToken);
+    localStorage.setItem('adminRefreshToken', newRefreshToken);
+    return accessToken;
+  };
+
+  if (!refreshPromise) {
+    refreshPromise = (navigator.locks ? navigator.locks.request('admin-auth-refresh', refresh) : refresh()).finally(
+      () => {
+        refreshPromise = null;
+      }
+    );
+  }
+  return refreshPromise;
+};
+
+// Expired access tokens are refreshed and the request replayed once
+const shouldRefresh = (error) => {
+  const { config, response } = error;
+  return (
+    response?.status === 401 &&
+    response.data?.code === 'AUTH_002' &&
+    config &&
+    !config._retry &&
+    !!config.headers?.Authorization &&
+    !!localStorage.getItem('adminRefreshToken')
+  );
+};
+
+// A 401 means the session is over unless the request had no token or came from an auth
+// endpoint - those answer 401 for a wrong password or code, and the caller shows the error
+const isSessionExpired = (error) => {
+  const { config, response } = error;
+  return response?.status === 401 && !!config?.headers?.Authorization && !config.url?.startsWith('/auth/');
+};
+
 // Response interceptor - handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    if (shouldRefresh(error)) {
+      const failedToken = error.config.headers.Authorization.replace('Bearer ', '');
+      try {
+        await refreshTokens(failedToken);
+        return api({ ...error.config, _retry: true });
+      } catch (refreshError) {
+        console.error('Token refresh failed:', refreshError);
+      }
+    }
+
+    if (isSessionExpired(error)) {
       // Unauthorized - clear token and redirect to login
       localStorage.removeItem('adminToken');
+      localStorage.removeItem('adminRefreshToken');
       localStorage.removeItem('adminUser');
-      window.location.href = '/login';
+      if (window.location.pathname !== '/login') {
+        window.location.href = '/login';
+      }
     }
     return Promise.reject(error);
   }
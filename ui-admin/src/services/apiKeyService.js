@@ -0,0 +1,29 @@
+import api from './api';
+
+export const apiKeyService = {
+  // Get API keys (admin)
+  getAll: async (params = {}) => {
+    const response = await api.get('/admin/api-keys', { params });
+    return response.data;
+  },
+
+  // Get permissions the current admin can grant to a key
+  getPermissions: async () => {
+    const response = await api.get('/admin/api-keys/permissions');
+    return response.data.data.permissions;
+  },
+
+  // Create API key (the plain key is only returned here)
+  create: async (keyData) => {
+    const response = await api.post('/admin/api-keys', keyData);
+    return response.data.data;
+  },
+
+  // Revoke API key
+  revoke: async (id) => {
+    const response = await api.delete(`/admin/api-keys/${id}`);
+    return response.data;
+  },
+};
+
+export default apiKeyService;
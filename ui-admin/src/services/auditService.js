@@ -0,0 +1,17 @@
+import api from './api';
+
+export const auditService = {
+  // Get audit logs (admin)
+  getAll: async (params = {}) => {
+    const response = await api.get('/admin/audit-logs', { params });
+    return response.data;
+  },
+
+  // Get available actions and entity types for filtering
+  getFilterOptions: async () => {
+    const response = await api.get('/admin/audit-logs/filters');
+    return response.data.data;
+  },
+};
+
+export default auditService;
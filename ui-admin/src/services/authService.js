@@ -7,6 +7,36 @@ export const authService = {
     return response.data.data;
   },
 
+  // Complete login with 2FA code or recovery code
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
+    return response.data.data;
+  },
+
+  // Start 2FA enrollment
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data.data;
+  },
+
+  // Confirm 2FA enrollment
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data.data;
+  },
+
+  // Disable 2FA
+  disableTwoFactor: async (password, code) => {
+    const response = await api.post('/auth/2fa/disable', { password, code });
+    return response.data;
+  },
+
+  // Regenerate 2FA recovery codes
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data.data;
+  },
+
   // Logout
   logout: async () => {
     try {
@@ -15,6 +45,7 @@ export const authService = {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('adminToken');
+      localStorage.removeItem('adminRefreshToken');
       localStorage.removeItem('adminUser');
     }
   },
@@ -0,0 +1,66 @@
+import api from './api';
+
+// Product fields an import can fill, in the order of the export columns
+export const IMPORT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'slug', label: 'Slug' },
+  { key: 'description', label: 'Description' },
+  { key: 'category', label: 'Category (slug or name)' },
+  { key: 'status', label: 'Status' },
+  { key: 'price', label: 'Price' },
+  { key: 'comparePrice', label: 'Compare Price' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'images', label: 'Images (URLs)' },
+  { key: 'sku', label: 'SKU' },
+  { key: 'options', label: 'Options' },
+  { key: 'quantity', label: 'Quantity' },
+];
+
+export const catalogService = {
+  // Download all products with stock as a CSV or JSON file
+  exportProducts: async (format = 'csv') => {
+    const response = await api.get('/admin/catalog/export', { params: { format }, responseType: 'blob' });
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(response.data);
+    link.download = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+
+  // Upload a file to import - resolves to the import job with the suggested mapping
+  uploadImport: async (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    const response = await api.post('/admin/catalog/imports', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data.data.import;
+  },
+
+  // Get import jobs
+  getImports: async (params = {}) => {
+    const response = await api.get('/admin/catalog/imports', { params });
+    return response.data;
+  },
+
+  // Get an import job with its preview, progress and errors
+  getImport: async (id) => {
+    const response = await api.get(`/admin/catalog/imports/${id}`);
+    return response.data.data.import;
+  },
+
+  // Dry run with a column mapping
+  previewImport: async (id, { mapping, matchBy }) => {
+    const response = await api.post(`/admin/catalog/imports/${id}/preview`, { mapping, matchBy });
+    return response.data.data.import;
+  },
+
+  // Start a previewed import
+  runImport: async (id) => {
+    const response = await api.post(`/admin/catalog/imports/${id}/run`);
+    return response.data.data.import;
+  },
+};
+
+export default catalogService;
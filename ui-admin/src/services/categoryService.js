@@ -0,0 +1,42 @@
+import api from './api';
+
+export const categoryService = {
+  // Get category tree (includes inactive categories and product counts)
+  getTree: async () => {
+    const response = await api.get('/admin/categories');
+    return response.data.data.categories;
+  },
+
+  // Create category
+  create: async (categoryData) => {
+    const response = await api.post('/admin/categories', categoryData);
+    return response.data;
+  },
+
+  // Update category
+  update: async (id, categoryData) => {
+    const response = await api.put(`/admin/categories/${id}`, categoryData);
+    return response.data;
+  },
+
+  // Delete category
+  delete: async (id) => {
+    const response = await api.delete(`/admin/categories/${id}`);
+    return response.data;
+  },
+};
+
+// Convert the category tree to TreeSelect options
+// The category being edited and its subtree are disabled (a category cannot be moved below itself)
+export const toCategoryTreeData = (categories, disabledId = null, parentDisabled = false) =>
+  categories.map((category) => {
+    const disabled = parentDisabled || category._id === disabledId;
+    return {
+      title: category.isActive === false ? `${category.name} (hidden)` : category.name,
+      value: category._id,
+      disabled,
+      children: toCategoryTreeData(category.children || [], disabledId, disabled),
+    };
+  });
+
+export default categoryService;
@@ -25,11 +25,75 @@ export const productService = {
     return response.data;
   },
 
+  // Upload images - resolves to [{ url, key, alt, thumbnails, width, height }]
+  uploadImages: async (files) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('images', file));
+    const response = await api.post('/admin/uploads/images', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return response.data.data.images;
+  },
+
+  // Get revisions, newest first, with the fields each one changed
+  getRevisions: async (id, params = {}) => {
+    const response = await api.get(`/products/admin/${id}/revisions`, { params });
+    return response.data;
+  },
+
+  // Put the product back the way it was in a revision
+  restoreRevision: async (id, revisionId) => {
+    const response = await api.post(`/products/admin/${id}/revisions/${revisionId}/restore`);
+    return response.data;
+  },
+
+  // Get price history (last 90 days by default) with the lowest price of the last 30 days
+  getPriceHistory: async (id, params = {}) => {
+    const response = await api.get(`/products/admin/${id}/price-history`, { params });
+    return response.data;
+  },
+
+  // Get scheduled price changes, latest start first
+  getPriceChanges: async (id, params = {}) => {
+    const response = await api.get(`/products/admin/${id}/price-changes`, { params });
+    return response.data;
+  },
+
+  // Schedule a price change - data: { variant, price, comparePrice, startsAt, endsAt }
+  schedulePriceChange: async (id, data) => {
+    const response = await api.post(`/products/admin/${id}/price-changes`, data);
+    return response.data;
+  },
+
+  // Cancel a scheduled price change, or end an active one now
+  cancelPriceChange: async (id, priceChangeId) => {
+    const response = await api.delete(`/products/admin/${id}/price-changes/${priceChangeId}`);
+    return response.data;
+  },
+
   // Delete product
   delete: async (id) => {
     const response = await api.delete(`/products/admin/${id}`);
     return response.data;
   },
+
+  // Get deleted products (with the date each one is purged)
+  getTrash: async (params = {}) => {
+    const response = await api.get('/products/admin/trash', { params });
+    return response.data;
+  },
+
+  // Take a product out of the trash
+  restore: async (id) => {
+    const response = await api.post(`/products/admin/${id}/restore`);
+    return response.data;
+  },
+
+  // Permanently delete a product from the trash
+  purge: async (id) => {
+    const response = await api.delete(`/products/admin/${id}/purge`);
+    return response.data;
+  },
 };
 
 export default productService;
@@ -0,0 +1,17 @@
+import api from './api';
+
+export const reviewService = {
+  // Get reviews for moderation - params: status, product, rating, verified, page, limit
+  getAll: async (params = {}) => {
+    const response = await api.get('/admin/reviews', { params });
+    return response.data;
+  },
+
+  // Approve, reject or flag a review - status: approved, rejected or flagged
+  moderate: async (id, status, note) => {
+    const response = await api.put(`/admin/reviews/${id}/moderate`, { status, note });
+    return response.data;
+  },
+};
+
+export default reviewService;
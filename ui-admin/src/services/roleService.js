@@ -0,0 +1,35 @@
+import api from './api';
+
+export const roleService = {
+  // Get all roles
+  getAll: async () => {
+    const response = await api.get('/admin/roles');
+    return response.data.data.roles;
+  },
+
+  // Get available permissions
+  getPermissions: async () => {
+    const response = await api.get('/admin/roles/permissions');
+    return response.data.data.permissions;
+  },
+
+  // Create role
+  create: async (roleData) => {
+    const response = await api.post('/admin/roles', roleData);
+    return response.data;
+  },
+
+  // Update role
+  update: async (name, roleData) => {
+    const response = await api.put(`/admin/roles/${name}`, roleData);
+    return response.data;
+  },
+
+  // Delete role
+  delete: async (name) => {
+    const response = await api.delete(`/admin/roles/${name}`);
+    return response.data;
+  },
+};
+
+export default roleService;
@@ -0,0 +1,29 @@
+import api from './api';
+
+export const sessionService = {
+  // Get all active sessions (admin)
+  getAll: async (params = {}) => {
+    const response = await api.get('/admin/sessions', { params });
+    return response.data;
+  },
+
+  // Get active sessions of a user
+  getByUser: async (userId) => {
+    const response = await api.get(`/admin/sessions/user/${userId}`);
+    return response.data;
+  },
+
+  // Revoke session
+  revoke: async (id) => {
+    const response = await api.delete(`/admin/sessions/${id}`);
+    return response.data;
+  },
+
+  // Revoke all sessions of a user
+  revokeAllForUser: async (userId) => {
+    const response = await api.delete(`/admin/sessions/user/${userId}`);
+    return response.data;
+  },
+};
+
+export default sessionService;
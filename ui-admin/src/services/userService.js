@@ -0,0 +1,53 @@
+import api from './api';
+
+export const userService = {
+  // Get all users (admin)
+  getAll: async (params = {}) => {
+    const response = await api.get('/admin/users', { params });
+    return response.data;
+  },
+
+  // Get single user with order summary
+  getById: async (id) => {
+    const response = await api.get(`/admin/users/${id}`);
+    return response.data;
+  },
+
+  // Get user's orders
+  getOrders: async (id, params = {}) => {
+    const response = await api.get(`/admin/users/${id}/orders`, { params });
+    return response.data;
+  },
+
+  // Activate or deactivate user
+  updateStatus: async (id, isActive) => {
+    const response = await api.put(`/admin/users/${id}/status`, { isActive });
+    return response.data;
+  },
+
+  // Change user role
+  updateRole: async (id, role) => {
+    const response = await api.put(`/admin/users/${id}/role`, { role });
+    return response.data;
+  },
+
+  // Unlock user locked out by failed logins
+  unlock: async (id) => {
+    const response = await api.post(`/admin/users/${id}/unlock`);
+    return response.data;
+  },
+
+  // Reset user's two-factor authentication
+  resetTwoFactor: async (id) => {
+    const response = await api.post(`/admin/users/${id}/2fa/reset`);
+    return response.data;
+  },
+
+  // Get a short-lived storefront link signed in as the user
+  impersonate: async (id) => {
+    const response = await api.post(`/admin/users/${id}/impersonate`);
+    return response.data.data;
+  },
+};
+
+export default userService;
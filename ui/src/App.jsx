@@ -8,9 +8,16 @@ import ProductsPage from './pages/ProductsPage';
 import ProductDetailPage from './pages/ProductDetailPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import CartPage from './pages/CartPage';
 import CheckoutPage from './pages/CheckoutPage';
 import OrdersPage from './pages/OrdersPage';
+import AccountPage from './pages/AccountPage';
+import AddressesPage from './pages/AddressesPage';
+import ImpersonatePage from './pages/ImpersonatePage';
+import OAuthCallbackPage from './pages/OAuthCallbackPage';
 
 function App() {
   return (
@@ -49,11 +56,32 @@ function App() {
                   </ProtectedRoute>
                 }
               />
+              <Route
+                path="/account"
+                element={
+                  <ProtectedRoute>
+                    <AccountPage />
+                  </ProtectedRoute>
+                }
+              />
+              <Route
+                path="/account/addresses"
+                element={
+                  <ProtectedRoute>
+                    <AddressesPage />
+                  </ProtectedRoute>
+                }
+              />
             </Route>
 
             {/* Auth Routes (No Layout) */}
             <Route path="/login" element={<LoginPage />} />
             <Route path="/register" element={<RegisterPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password" element={<ResetPasswordPage />} />
+            <Route path="/verify-email" element={<VerifyEmailPage />} />
+            <Route path="/impersonate" element={<ImpersonatePage />} />
+            <Route path="/oauth/callback" element={<OAuthCallbackPage />} />
           </Routes>
         </BrowserRouter>
       </CartProvider>
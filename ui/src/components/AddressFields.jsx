@@ -0,0 +1,36 @@
+const inputClassName =
+    'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none';
+
+// Shipping address inputs shared by checkout and the address book
+const AddressFields = ({ values, onChange }) => {
+    const fields = [
+        { name: 'fullName', label: 'Full Name *', type: 'text', required: true },
+        { name: 'phone', label: 'Phone Number *', type: 'tel', required: true },
+        { name: 'address', label: 'Address *', type: 'text', required: true, wide: true },
+        { name: 'ward', label: 'Ward *', type: 'text', required: true },
+        { name: 'district', label: 'District *', type: 'text', required: true },
+        { name: 'city', label: 'City *', type: 'text', required: true, wide: true },
+    ];
+
+    return (
+        <>
+            {fields.map((field) => (
+                <div key={field.name} className={field.wide ? 'md:col-span-2' : undefined}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                        {field.label}
+                    </label>
+                    <input
+                        type={field.type}
+                        name={field.name}
+                        required={field.required}
+                        value={values[field.name] || ''}
+                        onChange={onChange}
+                        className={inputClassName}
+                    />
+                </div>
+            ))}
+        </>
+    );
+};
+
+export default AddressFields;
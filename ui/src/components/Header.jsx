@@ -1,6 +1,7 @@
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useCart } from '../contexts/CartContext';
+import SearchBox from './SearchBox';
 
 const Header = () => {
     const { isAuthenticated, user, logout } = useAuth();
@@ -36,6 +37,11 @@ const Header = () => {
                         )}
                     </nav>
 
+                    {/* Search */}
+                    <div className="hidden md:block flex-1 max-w-md mx-8">
+                        <SearchBox />
+                    </div>
+
                     {/* Right side */}
                     <div className="flex items-center space-x-4">
                         {/* Cart */}
@@ -69,7 +75,7 @@ const Header = () => {
                         {isAuthenticated ? (
                             <div className="flex items-center space-x-3">
                                 <Link
-                                    to="/profile"
+                                    to="/account"
                                     className="hover:text-gray-200 transition"
                                 >
                                     {user?.name || 'Profile'}
@@ -0,0 +1,26 @@
+import { useAuth } from '../contexts/AuthContext';
+
+const ImpersonationBanner = () => {
+    const { user, isImpersonating, endImpersonation } = useAuth();
+
+    if (!isImpersonating) return null;
+
+    return (
+        <div className="bg-orange-500 text-white">
+            <div className="container mx-auto px-4 py-2 flex flex-wrap items-center justify-between gap-2 text-sm">
+                <span>
+                    Viewing the store as <strong>{user.name}</strong> ({user.email}) — signed in by{' '}
+                    {user.impersonatedBy.name}. Placing orders and changing account security are disabled.
+                </span>
+                <button
+                    onClick={endImpersonation}
+                    className="bg-white text-orange-600 px-3 py-1 rounded-lg font-medium hover:bg-orange-50 transition"
+                >
+                    Exit
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ImpersonationBanner;
@@ -1,10 +1,12 @@
 import { Outlet } from 'react-router-dom';
 import Header from './Header';
 import Footer from './Footer';
+import ImpersonationBanner from './ImpersonationBanner';
 
 const MainLayout = () => {
     return (
         <div className="flex flex-col min-h-screen bg-gray-50">
+            <ImpersonationBanner />
             <Header />
             <main className="flex-1">
                 <Outlet />
@@ -1,6 +1,10 @@
 import { Link } from 'react-router-dom';
+import StarRating from './StarRating';
 
 const ProductCard = ({ product, onAddToCart }) => {
+    // Variant products are priced from their cheapest variant and need options picked first
+    const hasVariants = product.variants?.length > 0;
+    const image = product.images?.[0];
     const hasDiscount = product.comparePrice && product.comparePrice > product.price;
     const discountPercentage = hasDiscount
         ? Math.round(((product.comparePrice - product.price) / product.comparePrice) * 100)
@@ -11,10 +15,10 @@ const ProductCard = ({ product, onAddToCart }) => {
             {/* Image */}
             <Link to={`/products/${product._id}`} className="block relative overflow-hidden">
                 <div className="aspect-square bg-gradient-to-br from-gray-100 to-gray-200 relative">
-                    {product.images && product.images[0] ? (
+                    {image ? (
                         <img
-                            src={product.images[0]}
-                            alt={product.name}
+                            src={image.thumbnails?.medium || image.url}
+                            alt={image.alt || product.name}
                             className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
                         />
                     ) : (
@@ -35,8 +39,16 @@ const ProductCard = ({ product, onAddToCart }) => {
                         </div>
                     )}
                     {hasDiscount && (
-                        <div className="absolute top-2 right-2 bg-red-500 text-white px-2 py-1 rounded-full text-sm font-bold">
-                            -{discountPercentage}%
+                        <div className="absolute top-2 right-2 flex flex-col items-end gap-1">
+                            <div className="bg-red-500 text-white px-2 py-1 rounded-full text-sm font-bold">
+                                -{discountPercentage}%
+                            </div>
+                            {/* Lowest price in the 30 days before the discount, required next to it in some markets */}
+                            {product.lowestPrice30Days != null && (
+                                <div className="bg-white/90 text-gray-700 px-2 py-0.5 rounded-full text-xs font-medium">
+                                    30-day low: ${product.lowestPrice30Days.toFixed(2)}
+                                </div>
+                            )}
                         </div>
                     )}
                 </div>
@@ -47,7 +59,7 @@ const ProductCard = ({ product, onAddToCart }) => {
                 {/* Category */}
                 {product.category && (
                     <p className="text-sm text-purple-600 font-medium mb-1">
-                        {product.category}
+                        {product.category.name}
                     </p>
                 )}
 
@@ -58,10 +70,20 @@ const ProductCard = ({ product, onAddToCart }) => {
                     </h3>
                 </Link>
 
+                {/* Rating */}
+                {product.reviewCount > 0 && (
+                    <div className="flex items-center gap-1 mb-2">
+                        <StarRating rating={product.averageRating} />
+                        <span className="text-sm text-gray-500">
+                            {product.averageRating.toFixed(1)} ({product.reviewCount})
+                        </span>
+                    </div>
+                )}
+
                 {/* Price */}
                 <div className="flex items-center gap-2 mb-3">
                     <span className="text-2xl font-bold text-gray-900">
-                        ${product.price?.toFixed(2)}
+                        {hasVariants && 'From '}${product.price?.toFixed(2)}
                     </span>
                     {hasDiscount && (
                         <span className="text-sm text-gray-400 line-through">
@@ -78,7 +100,15 @@ const ProductCard = ({ product, onAddToCart }) => {
                     >
                         View
                     </Link>
-                    {onAddToCart && (
+                    {onAddToCart && hasVariants && (
+                        <Link
+                            to={`/products/${product._id}`}
+                            className="flex-1 bg-gradient-to-r from-purple-600 to-blue-600 text-white py-2 px-4 rounded-lg hover:opacity-90 transition text-center font-medium"
+                        >
+                            Choose Options
+                        </Link>
+                    )}
+                    {onAddToCart && !hasVariants && (
                         <button
                             onClick={() => onAddToCart(product)}
                             className="flex-1 bg-gradient-to-r from-purple-600 to-blue-600 text-white py-2 px-4 rounded-lg hover:opacity-90 transition font-medium"
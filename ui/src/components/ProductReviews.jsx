@@ -0,0 +1,279 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { reviewService } from '../services';
+import { useAuth } from '../contexts/AuthContext';
+import StarRating from './StarRating';
+
+const PAGE_SIZE = 5;
+
+const SORT_OPTIONS = [
+    { value: 'newest', label: 'Newest' },
+    { value: 'highest', label: 'Highest rated' },
+    { value: 'lowest', label: 'Lowest rated' },
+];
+
+// Shown to the author while their review is not visible to others
+const STATUS_NOTES = {
+    pending: 'Your review is waiting for moderation.',
+    flagged: 'Your review is being looked at by our team.',
+    rejected: 'Your review was not approved.',
+};
+
+const EMPTY_FORM = { rating: 0, title: '', comment: '' };
+
+// Rating summary, approved reviews and the current user's own review of a product
+const ProductReviews = ({ productId }) => {
+    const { isAuthenticated } = useAuth();
+    const [reviews, setReviews] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [total, setTotal] = useState(0);
+    const [page, setPage] = useState(1);
+    const [sort, setSort] = useState('newest');
+    const [myReview, setMyReview] = useState(null);
+    const [editing, setEditing] = useState(false);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [submitting, setSubmitting] = useState(false);
+
+    const fetchReviews = useCallback(
+        async (pageNumber) => {
+            try {
+                const data = await reviewService.getByProduct(productId, { page: pageNumber, limit: PAGE_SIZE, sort });
+                setReviews((current) => (pageNumber === 1 ? data.data.reviews : [...current, ...data.data.reviews]));
+                setSummary(data.data.summary);
+                setTotal(data.data.pagination.total);
+                setPage(pageNumber);
+            } catch (error) {
+                console.error('Error fetching reviews:', error);
+            }
+        },
+        [productId, sort]
+    );
+
+    const fetchMyReview = useCallback(async () => {
+        try {
+            const data = await reviewService.getMine(productId);
+            setMyReview(data.data.review);
+        } catch (error) {
+            console.error('Error fetching your review:', error);
+        }
+    }, [productId]);
+
+    useEffect(() => {
+        fetchReviews(1);
+    }, [fetchReviews]);
+
+    useEffect(() => {
+        if (isAuthenticated) {
+            fetchMyReview();
+        }
+    }, [isAuthenticated, fetchMyReview]);
+
+    const handleEdit = () => {
+        setForm(
+            myReview
+                ? { rating: myReview.rating, title: myReview.title, comment: myReview.comment }
+                : EMPTY_FORM
+        );
+        setEditing(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!form.rating) {
+            alert('Please pick a rating');
+            return;
+        }
+
+        try {
+            setSubmitting(true);
+            const data = myReview
+                ? await reviewService.update(myReview._id, form)
+                : await reviewService.create({ ...form, product: productId });
+            setMyReview(data.data.review);
+            setEditing(false);
+            // An edited review is hidden again until it is approved
+            fetchReviews(1);
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to save your review');
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        if (!window.confirm('Delete your review?')) {
+            return;
+        }
+
+        try {
+            await reviewService.delete(myReview._id);
+            setMyReview(null);
+            fetchReviews(1);
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to delete your review');
+        }
+    };
+
+    return (
+        <section id="reviews" className="mt-16">
+            <h2 className="text-2xl font-bold text-gray-900 mb-6">Customer Reviews</h2>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-12">
+                {/* Summary */}
+                <div className="space-y-4">
+                    <div className="flex items-center gap-3">
+                        <span className="text-5xl font-bold text-gray-900">{summary?.average.toFixed(1) ?? '-'}</span>
+                        <div>
+                            <StarRating rating={summary?.average} size="w-5 h-5" />
+                            <p className="text-sm text-gray-500">
+                                {summary?.count || 0} review{summary?.count === 1 ? '' : 's'}
+                            </p>
+                        </div>
+                    </div>
+
+                    {summary?.distribution.map(({ rating, count }) => (
+                        <div key={rating} className="flex items-center gap-2 text-sm">
+                            <span className="w-12 text-gray-600">{rating} star</span>
+                            <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                                <div
+                                    className="h-full bg-yellow-400"
+                                    style={{ width: `${summary.count ? (count / summary.count) * 100 : 0}%` }}
+                                />
+                            </div>
+                            <span className="w-8 text-right text-gray-500">{count}</span>
+                        </div>
+                    ))}
+
+                    {/* Own review */}
+                    <div className="pt-4 border-t border-gray-200">
+                        {!isAuthenticated ? (
+                            <p className="text-gray-600">
+                                <Link to="/login" className="text-purple-600 font-medium hover:underline">
+                                    Log in
+                                </Link>{' '}
+                                to write a review
+                            </p>
+                        ) : editing ? (
+                            <form onSubmit={handleSubmit} className="space-y-3">
+                                <StarRating
+                                    rating={form.rating}
+                                    size="w-7 h-7"
+                                    onChange={(rating) => setForm({ ...form, rating })}
+                                />
+                                <input
+                                    type="text"
+                                    value={form.title}
+                                    onChange={(e) => setForm({ ...form, title: e.target.value })}
+                                    placeholder="Title"
+                                    maxLength={120}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                                />
+                                <textarea
+                                    value={form.comment}
+                                    onChange={(e) => setForm({ ...form, comment: e.target.value })}
+                                    placeholder="What did you like or dislike?"
+                                    rows={4}
+                                    maxLength={2000}
+                                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                                />
+                                <div className="flex gap-2">
+                                    <button
+                                        type="submit"
+                                        disabled={submitting}
+                                        className="flex-1 bg-gradient-to-r from-purple-600 to-blue-600 text-white py-2 rounded-lg font-medium hover:opacity-90 transition disabled:opacity-50"
+                                    >
+                                        {submitting ? 'Saving...' : 'Submit Review'}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => setEditing(false)}
+                                        className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                                <p className="text-xs text-gray-500">Reviews are shown once approved by our team.</p>
+                            </form>
+                        ) : myReview ? (
+                            <div className="space-y-2">
+                                <p className="font-medium text-gray-900">Your review</p>
+                                <StarRating rating={myReview.rating} />
+                                {STATUS_NOTES[myReview.status] && (
+                                    <p className="text-sm text-gray-500">{STATUS_NOTES[myReview.status]}</p>
+                                )}
+                                <div className="flex gap-4 text-sm">
+                                    <button onClick={handleEdit} className="text-purple-600 font-medium hover:underline">
+                                        Edit
+                                    </button>
+                                    <button onClick={handleDelete} className="text-red-600 font-medium hover:underline">
+                                        Delete
+                                    </button>
+                                </div>
+                            </div>
+                        ) : (
+                            <button
+                                onClick={handleEdit}
+                                className="w-full bg-gray-100 text-gray-800 py-2 rounded-lg hover:bg-gray-200 transition font-medium"
+                            >
+                                Write a Review
+                            </button>
+                        )}
+                    </div>
+                </div>
+
+                {/* Reviews */}
+                <div className="lg:col-span-2 space-y-6">
+                    {total > 0 && (
+                        <div className="flex justify-end">
+                            <select
+                                value={sort}
+                                onChange={(e) => setSort(e.target.value)}
+                                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                            >
+                                {SORT_OPTIONS.map((option) => (
+                                    <option key={option.value} value={option.value}>
+                                        {option.label}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+
+                    {reviews.length === 0 && <p className="text-gray-500">No reviews yet. Be the first to review this product.</p>}
+
+                    {reviews.map((review) => (
+                        <article key={review._id} className="pb-6 border-b border-gray-200 space-y-2">
+                            <div className="flex items-center gap-3 flex-wrap">
+                                <StarRating rating={review.rating} />
+                                {review.title && <h3 className="font-bold text-gray-900">{review.title}</h3>}
+                            </div>
+                            <div className="flex items-center gap-2 text-sm text-gray-500 flex-wrap">
+                                <span>{review.user?.name || 'Customer'}</span>
+                                <span>·</span>
+                                <span>{new Date(review.createdAt).toLocaleDateString()}</span>
+                                {review.verifiedPurchase && (
+                                    <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded-full text-xs font-medium">
+                                        ✓ Verified Purchase
+                                    </span>
+                                )}
+                            </div>
+                            {review.comment && <p className="text-gray-700 leading-relaxed whitespace-pre-line">{review.comment}</p>}
+                        </article>
+                    ))}
+
+                    {reviews.length < total && (
+                        <button
+                            onClick={() => fetchReviews(page + 1)}
+                            className="px-6 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 transition font-medium"
+                        >
+                            Show More Reviews
+                        </button>
+                    )}
+                </div>
+            </div>
+        </section>
+    );
+};
+
+export default ProductReviews;
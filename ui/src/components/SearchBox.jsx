@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { productService } from '../services';
+
+// Header search with as-you-type suggestions (products, categories, tags)
+const SearchBox = () => {
+    const [query, setQuery] = useState('');
+    const [suggestions, setSuggestions] = useState(null);
+    const [open, setOpen] = useState(false);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const navigate = useNavigate();
+
+    // Wait for a pause in typing before asking the server
+    useEffect(() => {
+        const q = query.trim();
+        if (!q) return;
+
+        let ignore = false;
+        const timer = setTimeout(async () => {
+            try {
+                const data = await productService.suggest(q);
+                if (!ignore) setSuggestions(data.data.suggestions);
+            } catch (error) {
+                console.error('Error fetching suggestions:', error);
+            }
+        }, 200);
+
+        return () => {
+            ignore = true;
+            clearTimeout(timer);
+        };
+    }, [query]);
+
+    const q = query.trim();
+
+    // One flat list so the arrow keys can move through all sections
+    const items = q
+        ? [
+            ...(suggestions?.products || []).map((product) => ({
+                key: `product-${product._id}`,
+                section: 'Products',
+                label: product.name,
+                image: product.image,
+                price: product.price,
+                to: `/products/${product._id}`,
+            })),
+            ...(suggestions?.categories || []).map((category) => ({
+                key: `category-${category.slug}`,
+                section: 'Categories',
+                label: category.name,
+                count: category.count,
+                to: `/products?category=${encodeURIComponent(category.slug)}`,
+            })),
+            ...(suggestions?.tags || []).map((tag) => ({
+                key: `tag-${tag.value}`,
+                section: 'Tags',
+                label: `#${tag.value}`,
+                count: tag.count,
+                to: `/products?tags=${encodeURIComponent(tag.value)}`,
+            })),
+            {
+                key: 'search',
+                label: `Search for "${q}"`,
+                to: `/products?q=${encodeURIComponent(q)}`,
+            },
+        ]
+        : [];
+
+    const go = (item) => {
+        setOpen(false);
+        setActiveIndex(-1);
+        if (item.key !== 'search') setQuery('');
+        navigate(item.to);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setOpen(true);
+            setActiveIndex((index) => (index + 1) % items.length);
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActiveIndex((index) => (index <= 0 ? items.length - 1 : index - 1));
+        } else if (e.key === 'Enter' && items.length > 0) {
+            e.preventDefault();
+            go(items[activeIndex] || items[items.length - 1]);
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div className="relative">
+            <input
+                type="search"
+                value={query}
+                onChange={(e) => {
+                    setQuery(e.target.value);
+                    setActiveIndex(-1);
+                    setOpen(true);
+                }}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setOpen(false)}
+                onKeyDown={handleKeyDown}
+                placeholder="Search products..."
+                className="w-full px-4 py-2 rounded-lg text-gray-900 bg-white focus:ring-2 focus:ring-purple-300 outline-none"
+            />
+
+            {open && items.length > 0 && (
+                <ul className="absolute z-50 mt-1 w-full bg-white text-gray-900 rounded-lg shadow-xl overflow-hidden">
+                    {items.map((item, index) => (
+                        <li key={item.key}>
+                            {item.section && item.section !== items[index - 1]?.section && (
+                                <p className="px-4 pt-2 pb-1 text-xs font-bold text-gray-400 uppercase">
+                                    {item.section}
+                                </p>
+                            )}
+                            <button
+                                type="button"
+                                // Keep focus in the input so onBlur doesn't close the list before the click
+                                onMouseDown={(e) => e.preventDefault()}
+                                onClick={() => go(item)}
+                                className={`w-full flex items-center gap-3 px-4 py-2 text-left transition ${index === activeIndex ? 'bg-purple-100' : 'hover:bg-gray-100'
+                                    } ${item.key === 'search' ? 'border-t border-gray-200 text-purple-600 font-medium' : ''}`}
+                            >
+                                {item.section === 'Products' && (
+                                    <div className="w-8 h-8 bg-gray-200 rounded overflow-hidden flex-shrink-0">
+                                        {item.image && (
+                                            <img src={item.image} alt="" className="w-full h-full object-cover" />
+                                        )}
+                                    </div>
+                                )}
+                                <span className="flex-1 truncate">{item.label}</span>
+                                {item.price !== undefined && (
+                                    <span className="text-sm text-gray-500">${item.price.toFixed(2)}</span>
+                                )}
+                                {item.count !== undefined && (
+                                    <span className="text-sm text-gray-400">{item.count}</span>
+                                )}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default SearchBox;
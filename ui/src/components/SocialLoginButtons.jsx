@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { authService } from '../services';
+
+const SocialLoginButtons = ({ onError }) => {
+    const [providers, setProviders] = useState([]);
+    const [redirecting, setRedirecting] = useState(null);
+
+    useEffect(() => {
+        authService
+            .getOAuthProviders()
+            .then((response) => setProviders(response.data.providers))
+            .catch((error) => console.error('Error fetching login providers:', error));
+    }, []);
+
+    const handleClick = async (provider) => {
+        setRedirecting(provider.id);
+        try {
+            const response = await authService.startOAuthLogin(provider.id);
+            window.location.assign(response.data.authorizationUrl);
+        } catch (err) {
+            setRedirecting(null);
+            onError(err.response?.data?.message || `${provider.name} login failed. Please try again.`);
+        }
+    };
+
+    if (providers.length === 0) return null;
+
+    return (
+        <div className="mt-6">
+            <div className="flex items-center gap-3 mb-4">
+                <div className="flex-1 border-t border-gray-200"></div>
+                <span className="text-sm text-gray-500">or</span>
+                <div className="flex-1 border-t border-gray-200"></div>
+            </div>
+            <div className="space-y-3">
+                {providers.map((provider) => (
+                    <button
+                        key={provider.id}
+                        type="button"
+                        onClick={() => handleClick(provider)}
+                        disabled={!!redirecting}
+                        className="w-full border border-gray-300 text-gray-700 py-3 rounded-lg font-medium hover:bg-gray-50 transition disabled:opacity-50"
+                    >
+                        {redirecting === provider.id ? 'Redirecting...' : `Continue with ${provider.name}`}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default SocialLoginButtons;
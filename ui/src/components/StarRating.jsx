@@ -0,0 +1,45 @@
+// Five stars filled up to the rating (rounded to half stars)
+// With onChange the stars can be clicked to pick a rating
+const StarRating = ({ rating = 0, size = 'w-4 h-4', onChange }) => {
+    const rounded = Math.round(rating * 2) / 2;
+
+    return (
+        <div className="flex items-center">
+            {[1, 2, 3, 4, 5].map((star) => {
+                const fill = rounded >= star ? 'full' : rounded >= star - 0.5 ? 'half' : 'empty';
+                const icon = (
+                    <svg className={size} viewBox="0 0 20 20">
+                        <defs>
+                            <linearGradient id={`half-star-${star}`}>
+                                <stop offset="50%" stopColor="currentColor" />
+                                <stop offset="50%" stopColor="#d1d5db" />
+                            </linearGradient>
+                        </defs>
+                        <path
+                            fill={fill === 'full' ? 'currentColor' : fill === 'half' ? `url(#half-star-${star})` : '#d1d5db'}
+                            d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"
+                        />
+                    </svg>
+                );
+
+                return onChange ? (
+                    <button
+                        key={star}
+                        type="button"
+                        onClick={() => onChange(star)}
+                        className="text-yellow-400 hover:scale-110 transition"
+                        aria-label={`${star} star${star > 1 ? 's' : ''}`}
+                    >
+                        {icon}
+                    </button>
+                ) : (
+                    <span key={star} className="text-yellow-400">
+                        {icon}
+                    </span>
+                );
+            })}
+        </div>
+    );
+};
+
+export default StarRating;
@@ -8,9 +8,12 @@ export const AuthProvider = ({ children }) => {
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
-        // Check if user is logged in
-        const token = localStorage.getItem('token');
-        const savedUser = localStorage.getItem('user');
+        // Check if user is logged in (an impersonation in this tab takes precedence)
+        const impersonationToken = sessionStorage.getItem('impersonationToken');
+        const token = impersonationToken || localStorage.getItem('token');
+        const savedUser = impersonationToken
+            ? sessionStorage.getItem('impersonationUser')
+            : localStorage.getItem('user');
 
         if (token && savedUser) {
             try {
@@ -18,6 +21,7 @@ export const AuthProvider = ({ children }) => {
             } catch (error) {
                 console.error('Error parsing saved user:', error);
                 localStorage.removeItem('user');
+                authService.endImpersonation();
             }
         }
         setLoading(false);
@@ -26,6 +30,7 @@ export const AuthProvider = ({ children }) => {
     const register = async (userData) => {
         const response = await authService.register(userData);
         localStorage.setItem('token', response.data.accessToken);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
         localStorage.setItem('user', JSON.stringify(response.data.user));
         setUser(response.data.user);
         return response;
@@ -34,23 +39,75 @@ export const AuthProvider = ({ children }) => {
     const login = async (email, password) => {
         const response = await authService.login(email, password);
         localStorage.setItem('token', response.data.accessToken);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
         localStorage.setItem('user', JSON.stringify(response.data.user));
         setUser(response.data.user);
         return response;
     };
 
+    const loginWithOAuth = async (state, code) => {
+        const response = await authService.completeOAuthLogin(state, code);
+        if (response.data.twoFactorRequired) {
+            return response;
+        }
+        localStorage.setItem('token', response.data.accessToken);
+        localStorage.setItem('refreshToken', response.data.refreshToken);
+        localStorage.setItem('user', JSON.stringify(response.data.user));
+        setUser(response.data.user);
+        return response;
+    };
+
+    const updateUser = (updates) => {
+        setUser((current) => {
+            if (!current) return current;
+            const updated = { ...current, ...updates };
+            if (current.impersonatedBy) {
+                sessionStorage.setItem('impersonationUser', JSON.stringify(updated));
+            } else {
+                localStorage.setItem('user', JSON.stringify(updated));
+            }
+            return updated;
+        });
+    };
+
+    // Reload so the cart and other state belong to the tab's own login again
+    const endImpersonation = () => {
+        authService.endImpersonation();
+        window.location.href = '/';
+    };
+
     const logout = async () => {
+        if (user?.impersonatedBy) {
+            endImpersonation();
+            return;
+        }
         await authService.logout();
         setUser(null);
     };
 
+    const logoutAll = async () => {
+        await authService.logoutAll();
+        setUser(null);
+    };
+
+    const deleteAccount = async (password) => {
+        await authService.deleteAccount(password);
+        setUser(null);
+    };
+
     const value = {
         user,
         register,
         login,
+        loginWithOAuth,
         logout,
+        logoutAll,
+        deleteAccount,
+        updateUser,
+        endImpersonation,
         loading,
         isAuthenticated: !!user,
+        isImpersonating: !!user?.impersonatedBy,
     };
 
     return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
@@ -30,8 +30,8 @@ export const CartProvider = ({ children }) => {
         }
     };
 
-    const addToCart = async (productId, quantity = 1) => {
-        const data = await cartService.addToCart(productId, quantity);
+    const addToCart = async (productId, quantity = 1, variantId = null) => {
+        const data = await cartService.addToCart(productId, quantity, variantId);
         setCart(data.data.cart);
         return data;
     };
@@ -62,7 +62,8 @@ export const CartProvider = ({ children }) => {
     const getCartTotal = () => {
         if (!cart || !cart.items) return 0;
         return cart.items.reduce((total, item) => {
-            const price = item.product?.price || 0;
+            // Item price is the chosen variant's price, if any
+            const price = item.price || 0;
             return total + price * item.quantity;
         }, 0);
     };
@@ -0,0 +1,471 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../services';
+
+// Build a short "Browser on OS" label from a user agent string
+const describeDevice = (userAgent = '') => {
+    const browsers = [
+        ['Edg/', 'Edge'],
+        ['OPR/', 'Opera'],
+        ['Chrome/', 'Chrome'],
+        ['Firefox/', 'Firefox'],
+        ['Safari/', 'Safari'],
+    ];
+    const systems = [
+        ['Windows', 'Windows'],
+        ['Android', 'Android'],
+        ['iPhone', 'iOS'],
+        ['iPad', 'iPadOS'],
+        ['Mac OS X', 'macOS'],
+        ['Linux', 'Linux'],
+    ];
+
+    const browser = browsers.find(([token]) => userAgent.includes(token))?.[1];
+    const system = systems.find(([token]) => userAgent.includes(token))?.[1];
+
+    if (!browser && !system) return userAgent || 'Unknown device';
+    return [browser || 'Unknown browser', system].filter(Boolean).join(' on ');
+};
+
+const formatDate = (date) =>
+    new Date(date).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+
+const inputClassName =
+    'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none transition';
+
+const AccountPage = () => {
+    const { user, logoutAll, updateUser, deleteAccount, isImpersonating } = useAuth();
+    const navigate = useNavigate();
+    const [sessions, setSessions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [verificationSent, setVerificationSent] = useState(false);
+    const [editingProfile, setEditingProfile] = useState(false);
+    const [profileForm, setProfileForm] = useState({ name: '', phone: '', email: '', currentPassword: '' });
+    const [savingProfile, setSavingProfile] = useState(false);
+    const [passwordForm, setPasswordForm] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    const [changingPassword, setChangingPassword] = useState(false);
+    const [deletePassword, setDeletePassword] = useState('');
+    const [deleting, setDeleting] = useState(false);
+
+    useEffect(() => {
+        fetchSessions();
+    }, []);
+
+    const fetchSessions = async () => {
+        try {
+            setLoading(true);
+            const data = await authService.getSessions();
+            setSessions(data.data?.sessions || []);
+        } catch (error) {
+            console.error('Error fetching sessions:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRevoke = async (session) => {
+        if (!confirm('Sign out this device?')) return;
+
+        try {
+            await authService.revokeSession(session._id);
+            setSessions(sessions.filter((s) => s._id !== session._id));
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to revoke session');
+        }
+    };
+
+    const handleResendVerification = async () => {
+        try {
+            await authService.resendVerification();
+            setVerificationSent(true);
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to send verification email');
+        }
+    };
+
+    const handleEditProfile = () => {
+        setProfileForm({
+            name: user?.name || '',
+            phone: user?.phone || '',
+            email: user?.email || '',
+            currentPassword: '',
+        });
+        setEditingProfile(true);
+    };
+
+    const handleProfileChange = (e) => {
+        setProfileForm({ ...profileForm, [e.target.name]: e.target.value });
+    };
+
+    const emailChanged = profileForm.email.trim().toLowerCase() !== user?.email;
+
+    const handleSaveProfile = async (e) => {
+        e.preventDefault();
+
+        const updates = { name: profileForm.name, phone: profileForm.phone };
+        if (emailChanged) {
+            updates.email = profileForm.email;
+            updates.currentPassword = profileForm.currentPassword;
+        }
+
+        try {
+            setSavingProfile(true);
+            const data = await authService.updateProfile(updates);
+            updateUser(data.data.user);
+            setEditingProfile(false);
+            if (emailChanged) {
+                alert('Profile updated. Check your new inbox to verify your email address.');
+            }
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to update profile');
+        } finally {
+            setSavingProfile(false);
+        }
+    };
+
+    const handlePasswordChange = (e) => {
+        setPasswordForm({ ...passwordForm, [e.target.name]: e.target.value });
+    };
+
+    const handleChangePassword = async (e) => {
+        e.preventDefault();
+
+        if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+            alert('New passwords do not match');
+            return;
+        }
+
+        try {
+            setChangingPassword(true);
+            await authService.changePassword(passwordForm.currentPassword, passwordForm.newPassword);
+            setPasswordForm({ currentPassword: '', newPassword: '', confirmPassword: '' });
+            alert('Password changed. You have been signed out of your other devices.');
+            fetchSessions();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to change password');
+        } finally {
+            setChangingPassword(false);
+        }
+    };
+
+    const handleDeleteAccount = async (e) => {
+        e.preventDefault();
+
+        if (!confirm('Delete your account permanently? Your order history is kept for accounting, but you will not be able to sign in again.')) {
+            return;
+        }
+
+        try {
+            setDeleting(true);
+            await deleteAccount(deletePassword);
+            navigate('/');
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to delete account');
+            setDeleting(false);
+        }
+    };
+
+    const handleLogoutAll = async () => {
+        if (!confirm('Sign out of all devices, including this one?')) return;
+
+        try {
+            await logoutAll();
+            navigate('/login');
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to sign out of all devices');
+        }
+    };
+
+    return (
+        <div className="container mx-auto px-4 py-8">
+            <h1 className="text-4xl font-bold text-gray-900 mb-8">My Account</h1>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
+                <div className="space-y-8">
+                    {/* Profile */}
+                    <div className="bg-white rounded-lg shadow-md p-6">
+                        <div className="flex items-center justify-between mb-4">
+                            <h2 className="text-2xl font-bold">Profile</h2>
+                            {!editingProfile && (
+                                <button
+                                    onClick={handleEditProfile}
+                                    className="text-purple-600 hover:text-purple-700 font-medium"
+                                >
+                                    Edit
+                                </button>
+                            )}
+                        </div>
+
+                        {editingProfile ? (
+                            <form onSubmit={handleSaveProfile} className="space-y-4">
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                                    <input
+                                        type="text"
+                                        name="name"
+                                        required
+                                        value={profileForm.name}
+                                        onChange={handleProfileChange}
+                                        className={inputClassName}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+                                    <input
+                                        type="tel"
+                                        name="phone"
+                                        value={profileForm.phone}
+                                        onChange={handleProfileChange}
+                                        className={inputClassName}
+                                    />
+                                </div>
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                                    <input
+                                        type="email"
+                                        name="email"
+                                        required
+                                        value={profileForm.email}
+                                        onChange={handleProfileChange}
+                                        className={inputClassName}
+                                    />
+                                </div>
+                                {emailChanged && (
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Current password
+                                        </label>
+                                        <input
+                                            type="password"
+                                            name="currentPassword"
+                                            required
+                                            value={profileForm.currentPassword}
+                                            onChange={handleProfileChange}
+                                            className={inputClassName}
+                                        />
+                                        <p className="text-gray-500 text-xs mt-1">
+                                            Required to change your email. You will need to verify the new address.
+                                        </p>
+                                    </div>
+                                )}
+                                <div className="flex gap-2">
+                                    <button
+                                        type="submit"
+                                        disabled={savingProfile}
+                                        className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:opacity-90 transition disabled:opacity-50"
+                                    >
+                                        {savingProfile ? 'Saving...' : 'Save'}
+                                    </button>
+                                    <button
+                                        type="button"
+                                        onClick={() => setEditingProfile(false)}
+                                        className="bg-gray-100 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-200 transition font-medium"
+                                    >
+                                        Cancel
+                                    </button>
+                                </div>
+                            </form>
+                        ) : (
+                            <div className="space-y-2 text-gray-700">
+                                <p>
+                                    <span className="font-medium">Name:</span> {user?.name}
+                                </p>
+                                <p>
+                                    <span className="font-medium">Email:</span> {user?.email}
+                                </p>
+                                <p>
+                                    <span className="font-medium">Phone:</span> {user?.phone || 'Not set'}
+                                </p>
+                                <p>
+                                    <Link
+                                        to="/account/addresses"
+                                        className="text-purple-600 hover:text-purple-700 font-medium"
+                                    >
+                                        Manage address book
+                                    </Link>
+                                </p>
+                                {user?.isEmailVerified ? (
+                                    <span className="inline-block px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">
+                                        Verified
+                                    </span>
+                                ) : (
+                                    <div className="bg-orange-50 border border-orange-200 text-orange-800 px-4 py-3 rounded-lg text-sm">
+                                        {verificationSent ? (
+                                            'Verification email sent. Check your inbox.'
+                                        ) : (
+                                            <>
+                                                Your email is not verified.{' '}
+                                                <button
+                                                    onClick={handleResendVerification}
+                                                    className="font-medium underline"
+                                                >
+                                                    Resend link
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Account security is left to the customer */}
+                    {!isImpersonating && (
+                        <>
+                            {/* Change password */}
+                            <div className="bg-white rounded-lg shadow-md p-6">
+                                <h2 className="text-2xl font-bold mb-4">Change Password</h2>
+                                <form onSubmit={handleChangePassword} className="space-y-4">
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Current password
+                                        </label>
+                                        <input
+                                            type="password"
+                                            name="currentPassword"
+                                            required
+                                            value={passwordForm.currentPassword}
+                                            onChange={handlePasswordChange}
+                                            className={inputClassName}
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">New password</label>
+                                        <input
+                                            type="password"
+                                            name="newPassword"
+                                            required
+                                            minLength={8}
+                                            value={passwordForm.newPassword}
+                                            onChange={handlePasswordChange}
+                                            className={inputClassName}
+                                        />
+                                        <p className="text-gray-500 text-xs mt-1">
+                                            At least 8 characters, with letters and numbers.
+                                        </p>
+                                    </div>
+                                    <div>
+                                        <label className="block text-sm font-medium text-gray-700 mb-1">
+                                            Confirm new password
+                                        </label>
+                                        <input
+                                            type="password"
+                                            name="confirmPassword"
+                                            required
+                                            value={passwordForm.confirmPassword}
+                                            onChange={handlePasswordChange}
+                                            className={inputClassName}
+                                        />
+                                    </div>
+                                    <button
+                                        type="submit"
+                                        disabled={changingPassword}
+                                        className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white py-2 rounded-lg font-medium hover:opacity-90 transition disabled:opacity-50"
+                                    >
+                                        {changingPassword ? 'Changing...' : 'Change Password'}
+                                    </button>
+                                    <p className="text-gray-500 text-xs">
+                                        Your other devices will be signed out.
+                                    </p>
+                                </form>
+                            </div>
+
+                            {/* Delete account */}
+                            <div className="bg-white rounded-lg shadow-md p-6 border border-red-200">
+                                <h2 className="text-2xl font-bold text-red-600 mb-2">Delete Account</h2>
+                                <p className="text-gray-600 text-sm mb-4">
+                                    Your personal details are erased and you are signed out everywhere. Past orders
+                                    are kept for accounting.
+                                </p>
+                                <form onSubmit={handleDeleteAccount} className="space-y-4">
+                                    <input
+                                        type="password"
+                                        required
+                                        value={deletePassword}
+                                        onChange={(e) => setDeletePassword(e.target.value)}
+                                        className={inputClassName}
+                                        placeholder="Confirm with your password"
+                                    />
+                                    <button
+                                        type="submit"
+                                        disabled={deleting}
+                                        className="w-full bg-red-600 text-white py-2 rounded-lg font-medium hover:bg-red-700 transition disabled:opacity-50"
+                                    >
+                                        {deleting ? 'Deleting...' : 'Delete My Account'}
+                                    </button>
+                                </form>
+                            </div>
+                        </>
+                    )}
+                </div>
+
+                {/* Sessions */}
+                <div className="lg:col-span-2 bg-white rounded-lg shadow-md p-6 h-fit">
+                    <div className="flex items-center justify-between mb-4">
+                        <h2 className="text-2xl font-bold">Active Sessions</h2>
+                        {!isImpersonating && (
+                            <button
+                                onClick={handleLogoutAll}
+                                className="bg-red-50 text-red-600 px-4 py-2 rounded-lg hover:bg-red-100 transition font-medium"
+                            >
+                                Log out everywhere
+                            </button>
+                        )}
+                    </div>
+
+                    {loading ? (
+                        <div className="flex justify-center py-8">
+                            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+                        </div>
+                    ) : sessions.length === 0 ? (
+                        <p className="text-gray-600">No active sessions.</p>
+                    ) : (
+                        <ul className="divide-y">
+                            {sessions.map((session) => (
+                                <li
+                                    key={session._id}
+                                    className="py-4 flex flex-col md:flex-row md:items-center md:justify-between gap-2"
+                                >
+                                    <div>
+                                        <p className="font-medium text-gray-900">
+                                            {describeDevice(session.userAgent)}
+                                            {session.isCurrent && (
+                                                <span className="ml-2 px-2 py-1 rounded-full text-xs bg-green-100 text-green-800">
+                                                    This device
+                                                </span>
+                                            )}
+                                        </p>
+                                        <p className="text-gray-600 text-sm">
+                                            IP: {session.ip || 'Unknown'}
+                                        </p>
+                                        <p className="text-gray-600 text-sm">
+                                            Signed in {formatDate(session.createdAt)} · Last active{' '}
+                                            {formatDate(session.lastUsedAt)}
+                                        </p>
+                                    </div>
+                                    {!session.isCurrent && (
+                                        <button
+                                            onClick={() => handleRevoke(session)}
+                                            className="bg-gray-100 text-gray-800 px-4 py-2 rounded-lg hover:bg-gray-200 transition font-medium"
+                                        >
+                                            Revoke
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AccountPage;
@@ -0,0 +1,227 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { addressService } from '../services';
+import AddressFields from '../components/AddressFields';
+
+const emptyForm = {
+    label: '',
+    fullName: '',
+    phone: '',
+    address: '',
+    ward: '',
+    district: '',
+    city: '',
+    isDefault: false,
+};
+
+const formatAddress = (address) =>
+    [address.address, address.ward, address.district, address.city].filter(Boolean).join(', ');
+
+const AddressesPage = () => {
+    const [addresses, setAddresses] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [editingId, setEditingId] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [formData, setFormData] = useState(emptyForm);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        fetchAddresses();
+    }, []);
+
+    const fetchAddresses = async () => {
+        try {
+            setLoading(true);
+            const data = await addressService.getAll();
+            setAddresses(data.data?.addresses || []);
+        } catch (error) {
+            console.error('Error fetching addresses:', error);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleChange = (e) => {
+        const { name, value, type, checked } = e.target;
+        setFormData({ ...formData, [name]: type === 'checkbox' ? checked : value });
+    };
+
+    const handleAdd = () => {
+        setEditingId(null);
+        setFormData(emptyForm);
+        setShowForm(true);
+    };
+
+    const handleEdit = (address) => {
+        setEditingId(address._id);
+        setFormData({
+            label: address.label || '',
+            fullName: address.fullName,
+            phone: address.phone,
+            address: address.address,
+            ward: address.ward || '',
+            district: address.district || '',
+            city: address.city,
+            isDefault: address.isDefault,
+        });
+        setShowForm(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const addressData = { ...formData, label: formData.label || 'Home' };
+
+        try {
+            setSaving(true);
+            if (editingId) {
+                await addressService.update(editingId, addressData);
+            } else {
+                await addressService.create(addressData);
+            }
+            setShowForm(false);
+            fetchAddresses();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to save address');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleSetDefault = async (id) => {
+        try {
+            await addressService.setDefault(id);
+            fetchAddresses();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to update default address');
+        }
+    };
+
+    const handleDelete = async (id) => {
+        if (!confirm('Delete this address?')) return;
+
+        try {
+            await addressService.delete(id);
+            fetchAddresses();
+        } catch (error) {
+            alert(error.response?.data?.message || 'Failed to delete address');
+        }
+    };
+
+    return (
+        <div className="container mx-auto px-4 py-8">
+            <Link to="/account" className="text-purple-600 hover:text-purple-700 font-medium">
+                ← Back to account
+            </Link>
+            <div className="flex items-center justify-between mt-4 mb-8">
+                <h1 className="text-4xl font-bold text-gray-900">Address Book</h1>
+                {!showForm && (
+                    <button
+                        onClick={handleAdd}
+                        className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-3 rounded-lg font-medium hover:opacity-90 transition"
+                    >
+                        Add Address
+                    </button>
+                )}
+            </div>
+
+            {showForm && (
+                <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md p-6 mb-8">
+                    <h2 className="text-2xl font-bold mb-4">{editingId ? 'Edit Address' : 'New Address'}</h2>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div className="md:col-span-2">
+                            <label className="block text-sm font-medium text-gray-700 mb-2">Label</label>
+                            <input
+                                type="text"
+                                name="label"
+                                value={formData.label}
+                                onChange={handleChange}
+                                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
+                                placeholder="Home, Office..."
+                            />
+                        </div>
+
+                        <AddressFields values={formData} onChange={handleChange} />
+
+                        <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                name="isDefault"
+                                checked={formData.isDefault}
+                                onChange={handleChange}
+                                className="w-4 h-4"
+                            />
+                            Use as my default address
+                        </label>
+                    </div>
+                    <div className="flex gap-2 mt-6">
+                        <button
+                            type="submit"
+                            disabled={saving}
+                            className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-6 py-2 rounded-lg font-medium hover:opacity-90 transition disabled:opacity-50"
+                        >
+                            {saving ? 'Saving...' : 'Save Address'}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => setShowForm(false)}
+                            className="bg-gray-100 text-gray-800 px-6 py-2 rounded-lg hover:bg-gray-200 transition font-medium"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {loading ? (
+                <div className="flex justify-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+                </div>
+            ) : addresses.length === 0 ? (
+                <p className="text-gray-600">You have no saved addresses yet.</p>
+            ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    {addresses.map((address) => (
+                        <div key={address._id} className="bg-white rounded-lg shadow-md p-6">
+                            <div className="flex items-center gap-2 mb-2">
+                                <h3 className="text-lg font-bold">{address.label}</h3>
+                                {address.isDefault && (
+                                    <span className="px-2 py-1 rounded-full text-xs bg-purple-100 text-purple-800">
+                                        Default
+                                    </span>
+                                )}
+                            </div>
+                            <p className="text-gray-700">{address.fullName}</p>
+                            <p className="text-gray-600 text-sm">{address.phone}</p>
+                            <p className="text-gray-600 text-sm">{formatAddress(address)}</p>
+                            <div className="flex gap-4 mt-4 text-sm font-medium">
+                                <button
+                                    onClick={() => handleEdit(address)}
+                                    className="text-purple-600 hover:text-purple-700"
+                                >
+                                    Edit
+                                </button>
+                                {!address.isDefault && (
+                                    <button
+                                        onClick={() => handleSetDefault(address._id)}
+                                        className="text-purple-600 hover:text-purple-700"
+                                    >
+                                        Set as default
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => handleDelete(address._id)}
+                                    className="text-red-600 hover:text-red-700"
+                                >
+                                    Delete
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default AddressesPage;
@@ -83,10 +83,14 @@ const CartPage = () => {
                         >
                             {/* Image */}
                             <div className="w-24 h-24 bg-gray-200 rounded-lg flex-shrink-0 overflow-hidden">
-                                {item.product?.images?.[0] ? (
+                                {(item.selectedVariant?.images?.[0] || item.product?.images?.[0]) ? (
                                     <img
-                                        src={item.product.images[0]}
-                                        alt={item.product.name}
+                                        src={
+                                            item.selectedVariant?.images?.[0] ||
+                                            item.product.images[0].thumbnails?.small ||
+                                            item.product.images[0].url
+                                        }
+                                        alt={item.product.images?.[0]?.alt || item.product.name}
                                         className="w-full h-full object-cover"
                                     />
                                 ) : (
@@ -113,8 +117,11 @@ const CartPage = () => {
                                 <h3 className="font-bold text-lg mb-2">
                                     {item.product?.name || 'Product'}
                                 </h3>
+                                {item.selectedVariant && (
+                                    <p className="text-gray-500 mb-2">{item.selectedVariant.name}</p>
+                                )}
                                 <p className="text-2xl font-bold text-gray-900">
-                                    ${item.product?.price?.toFixed(2)}
+                                    ${item.price?.toFixed(2)}
                                 </p>
                             </div>
 
@@ -158,7 +165,7 @@ const CartPage = () => {
                                 </div>
 
                                 <p className="text-xl font-bold text-gray-900">
-                                    ${(item.product?.price * item.quantity).toFixed(2)}
+                                    ${(item.price * item.quantity).toFixed(2)}
                                 </p>
                             </div>
                         </div>
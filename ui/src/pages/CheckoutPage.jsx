@@ -1,10 +1,19 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
 import { useCart } from '../contexts/CartContext';
-import { orderService } from '../services';
+import { useAuth } from '../contexts/AuthContext';
+import { orderService, addressService } from '../services';
+import AddressFields from '../components/AddressFields';
+
+const NEW_ADDRESS = 'new';
+const ADDRESS_FIELDS = ['fullName', 'phone', 'address', 'ward', 'district', 'city'];
+
+const formatAddress = (address) =>
+    [address.address, address.ward, address.district, address.city].filter(Boolean).join(', ');
 
 const CheckoutPage = () => {
     const { cart, getCartTotal, clearCart } = useCart();
+    const { isImpersonating } = useAuth();
     const navigate = useNavigate();
     const [loading, setLoading] = useState(false);
     const [formData, setFormData] = useState({
@@ -17,6 +26,27 @@ const CheckoutPage = () => {
         notes: '',
         paymentMethod: 'cod',
     });
+    const [addresses, setAddresses] = useState([]);
+    const [selectedAddressId, setSelectedAddressId] = useState(NEW_ADDRESS);
+    const [saveAddress, setSaveAddress] = useState(false);
+
+    useEffect(() => {
+        fetchAddresses();
+    }, []);
+
+    const fetchAddresses = async () => {
+        try {
+            const data = await addressService.getAll();
+            const saved = data.data?.addresses || [];
+            setAddresses(saved);
+            // Pre-select the default address (returned first)
+            if (saved.length > 0) {
+                setSelectedAddressId(saved[0]._id);
+            }
+        } catch (error) {
+            console.error('Error fetching addresses:', error);
+        }
+    };
 
     const handleChange = (e) => {
         setFormData({
@@ -30,11 +60,24 @@ const CheckoutPage = () => {
         setLoading(true);
 
         try {
-            const orderData = {
-                shippingAddress: formData,
-                paymentMethod: formData.paymentMethod,
-                notes: formData.notes,
-            };
+            let addressId = selectedAddressId === NEW_ADDRESS ? null : selectedAddressId;
+
+            if (!addressId && saveAddress) {
+                const newAddress = ADDRESS_FIELDS.reduce(
+                    (fields, field) => ({ ...fields, [field]: formData[field] }),
+                    {}
+                );
+                const data = await addressService.create(newAddress);
+                addressId = data.data.address._id;
+            }
+
+            const orderData = addressId
+                ? { addressId, paymentMethod: formData.paymentMethod }
+                : { shippingAddress: formData, paymentMethod: formData.paymentMethod };
+
+            if (formData.notes) {
+                orderData.notes = formData.notes;
+            }
 
             await orderService.createOrder(orderData);
 
@@ -69,90 +112,76 @@ const CheckoutPage = () => {
                         <div>
                             <h2 className="text-2xl font-bold mb-4">Shipping Information</h2>
 
-                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                                        Full Name *
-                                    </label>
-                                    <input
-                                        type="text"
-                                        name="fullName"
-                                        required
-                                        value={formData.fullName}
-                                        onChange={handleChange}
-                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
-                                    />
-                                </div>
-
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                                        Phone Number *
-                                    </label>
-                                    <input
-                                        type="tel"
-                                        name="phone"
-                                        required
-                                        value={formData.phone}
-                                        onChange={handleChange}
-                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
-                                    />
-                                </div>
-
-                                <div className="md:col-span-2">
-                                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                                        Address *
-                                    </label>
-                                    <input
-                                        type="text"
-                                        name="address"
-                                        required
-                                        value={formData.address}
-                                        onChange={handleChange}
-                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
-                                    />
-                                </div>
-
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                                        Ward *
+                            {addresses.length > 0 && (
+                                <div className="space-y-3 mb-4">
+                                    {addresses.map((address) => (
+                                        <label
+                                            key={address._id}
+                                            className={`flex items-start gap-3 p-4 border-2 rounded-lg cursor-pointer transition ${
+                                                selectedAddressId === address._id
+                                                    ? 'border-purple-600'
+                                                    : 'border-gray-300 hover:border-purple-600'
+                                            }`}
+                                        >
+                                            <input
+                                                type="radio"
+                                                name="addressId"
+                                                value={address._id}
+                                                checked={selectedAddressId === address._id}
+                                                onChange={(e) => setSelectedAddressId(e.target.value)}
+                                                className="w-5 h-5 mt-1"
+                                            />
+                                            <span className="flex-1">
+                                                <span className="font-medium">
+                                                    {address.label}
+                                                    {address.isDefault && (
+                                                        <span className="ml-2 px-2 py-1 rounded-full text-xs bg-purple-100 text-purple-800">
+                                                            Default
+                                                        </span>
+                                                    )}
+                                                </span>
+                                                <span className="block text-gray-600 text-sm">
+                                                    {address.fullName} · {address.phone}
+                                                </span>
+                                                <span className="block text-gray-600 text-sm">
+                                                    {formatAddress(address)}
+                                                </span>
+                                            </span>
+                                        </label>
+                                    ))}
+                                    <label className="flex items-center gap-3 p-4 border-2 border-gray-300 rounded-lg cursor-pointer hover:border-purple-600 transition">
+                                        <input
+                                            type="radio"
+                                            name="addressId"
+                                            value={NEW_ADDRESS}
+                                            checked={selectedAddressId === NEW_ADDRESS}
+                                            onChange={(e) => setSelectedAddressId(e.target.value)}
+                                            className="w-5 h-5"
+                                        />
+                                        <span className="flex-1 font-medium">Use a new address</span>
                                     </label>
-                                    <input
-                                        type="text"
-                                        name="ward"
-                                        required
-                                        value={formData.ward}
-                                        onChange={handleChange}
-                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
-                                    />
+                                    <Link to="/account/addresses" className="text-purple-600 hover:text-purple-700 text-sm font-medium">
+                                        Manage addresses
+                                    </Link>
                                 </div>
+                            )}
 
-                                <div>
-                                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                                        District *
-                                    </label>
-                                    <input
-                                        type="text"
-                                        name="district"
-                                        required
-                                        value={formData.district}
-                                        onChange={handleChange}
-                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
-                                    />
-                                </div>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                {selectedAddressId === NEW_ADDRESS && (
+                                    <>
+                                        <AddressFields values={formData} onChange={handleChange} />
 
-                                <div className="md:col-span-2">
-                                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                                        City *
-                                    </label>
-                                    <input
-                                        type="text"
-                                        name="city"
-                                        required
-                                        value={formData.city}
-                                        onChange={handleChange}
-                                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
-                                    />
-                                </div>
+                                        <label className="md:col-span-2 flex items-center gap-2 text-sm text-gray-700">
+                                            <input
+                                                type="checkbox"
+                                                checked={saveAddress}
+                                                onChange={(e) => setSaveAddress(e.target.checked)}
+                                                className="w-4 h-4"
+                                            />
+                                            Save this address to my address book
+                                        </label>
+                                    </>
+                                )}
 
                                 <div className="md:col-span-2">
                                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -211,10 +240,11 @@ const CheckoutPage = () => {
                             {cart.items.map((item) => (
                                 <div key={item._id} className="flex justify-between text-sm">
                                     <span className="text-gray-600">
-                                        {item.product?.name} x {item.quantity}
+                                        {item.product?.name}
+                                        {item.selectedVariant && ` (${item.selectedVariant.name})`} x {item.quantity}
                                     </span>
                                     <span className="font-medium">
-                                        ${(item.product?.price * item.quantity).toFixed(2)}
+                                        ${(item.price * item.quantity).toFixed(2)}
                                     </span>
                                 </div>
                             ))}
@@ -238,11 +268,16 @@ const CheckoutPage = () => {
                         <button
                             type="submit"
                             onClick={handleSubmit}
-                            disabled={loading}
+                            disabled={loading || isImpersonating}
                             className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white py-4 rounded-lg font-bold hover:opacity-90 transition disabled:opacity-50"
                         >
                             {loading ? 'Placing Order...' : 'Place Order'}
                         </button>
+                        {isImpersonating && (
+                            <p className="text-gray-500 text-xs mt-2 text-center">
+                                Orders cannot be placed while viewing the store as a customer.
+                            </p>
+                        )}
                     </div>
                 </div>
             </div>
@@ -0,0 +1,51 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../services';
+
+const ImpersonatePage = () => {
+    // The token is passed in the URL fragment so it never reaches server logs
+    const [token] = useState(() => new URLSearchParams(window.location.hash.slice(1)).get('token'));
+    const [failed, setFailed] = useState(false);
+    // Start only once (StrictMode runs effects twice)
+    const started = useRef(false);
+
+    useEffect(() => {
+        if (!token || started.current) return;
+        started.current = true;
+        window.history.replaceState(null, '', window.location.pathname);
+
+        authService
+            .startImpersonation(token)
+            .then(() => {
+                // Full reload so the cart and account state belong to the customer
+                window.location.replace('/');
+            })
+            .catch(() => setFailed(true));
+    }, [token]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-600 to-blue-600 py-12 px-4">
+            <div className="max-w-md w-full bg-white rounded-2xl shadow-2xl p-8">
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl font-bold text-gray-900">View as Customer</h2>
+                </div>
+                {!token || failed ? (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                        This link is invalid or has expired. Start a new session from the admin panel.
+                    </div>
+                ) : (
+                    <div className="flex justify-center py-4">
+                        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+                    </div>
+                )}
+                <div className="mt-6 text-center">
+                    <Link to="/" className="text-purple-600 hover:text-purple-700 font-medium">
+                        Back to store
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImpersonatePage;
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import SocialLoginButtons from '../components/SocialLoginButtons';
 
 const LoginPage = () => {
     const [email, setEmail] = useState('');
@@ -55,9 +56,14 @@ const LoginPage = () => {
                     </div>
 
                     <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">
-                            Password
-                        </label>
+                        <div className="flex items-center justify-between mb-2">
+                            <label className="block text-sm font-medium text-gray-700">
+                                Password
+                            </label>
+                            <Link to="/forgot-password" className="text-sm text-purple-600 hover:underline">
+                                Forgot password?
+                            </Link>
+                        </div>
                         <input
                             type="password"
                             required
@@ -77,6 +83,8 @@ const LoginPage = () => {
                     </button>
                 </form>
 
+                <SocialLoginButtons onError={setError} />
+
                 <p className="mt-6 text-center text-gray-600">
                     Don't have an account?{' '}
                     <Link to="/register" className="text-purple-600 font-medium hover:underline">
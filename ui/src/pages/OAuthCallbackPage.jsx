@@ -0,0 +1,71 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+
+// Read and clear the state saved when the login started (a mismatch means the redirect wasn't ours)
+const getCallbackError = (searchParams) => {
+    const expectedState = sessionStorage.getItem('oauthState');
+    sessionStorage.removeItem('oauthState');
+
+    if (searchParams.get('error')) {
+        return searchParams.get('error_description') || 'Login was cancelled.';
+    }
+    if (!searchParams.get('code') || !expectedState || searchParams.get('state') !== expectedState) {
+        return 'This login link is invalid or has expired.';
+    }
+    return '';
+};
+
+const OAuthCallbackPage = () => {
+    const [searchParams] = useSearchParams();
+    const [error, setError] = useState(() => getCallbackError(searchParams));
+    const { loginWithOAuth } = useAuth();
+    const navigate = useNavigate();
+    // Codes are single-use, so make sure we only submit once (StrictMode runs effects twice)
+    const submitted = useRef(false);
+
+    useEffect(() => {
+        if (error || submitted.current) return;
+        submitted.current = true;
+
+        loginWithOAuth(searchParams.get('state'), searchParams.get('code'))
+            .then((response) => {
+                if (response.data.twoFactorRequired) {
+                    setError('This account uses two-factor authentication. Please log in with your password.');
+                    return;
+                }
+                navigate('/', { replace: true });
+            })
+            .catch((err) => {
+                setError(err.response?.data?.message || 'Login failed. Please try again.');
+            });
+    }, [error, searchParams, loginWithOAuth, navigate]);
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-600 to-blue-600 py-12 px-4">
+            <div className="max-w-md w-full bg-white rounded-2xl shadow-2xl p-8">
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl font-bold text-gray-900">Signing In</h2>
+                </div>
+
+                {error ? (
+                    <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                        {error}
+                    </div>
+                ) : (
+                    <div className="flex justify-center py-4">
+                        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+                    </div>
+                )}
+
+                <p className="mt-6 text-center text-gray-600">
+                    <Link to="/login" className="text-purple-600 font-medium hover:underline">
+                        Go to login
+                    </Link>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default OAuthCallbackPage;
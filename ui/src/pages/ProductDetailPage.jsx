@@ -1,14 +1,24 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { Link, useParams, useNavigate } from 'react-router-dom';
 import { productService } from '../services';
 import { useAuth } from '../contexts/AuthContext';
 import { useCart } from '../contexts/CartContext';
+import StarRating from '../components/StarRating';
+import ProductReviews from '../components/ProductReviews';
+
+// Variants that match the chosen option values (options not chosen yet match anything)
+const matchVariants = (variants, selectedOptions) =>
+    variants.filter((variant) =>
+        Object.entries(selectedOptions).every(([name, value]) => variant.options[name] === value)
+    );
 
 const ProductDetailPage = () => {
     const { id } = useParams();
     const navigate = useNavigate();
     const [product, setProduct] = useState(null);
     const [quantity, setQuantity] = useState(1);
+    const [selectedOptions, setSelectedOptions] = useState({});
+    const [selectedImageUrl, setSelectedImageUrl] = useState(null);
     const [loading, setLoading] = useState(true);
     const { isAuthenticated } = useAuth();
     const { addToCart } = useCart();
@@ -21,7 +31,10 @@ const ProductDetailPage = () => {
         try {
             setLoading(true);
             const data = await productService.getById(id);
-            setProduct(data.data);
+            setProduct(data.data.product);
+            setSelectedOptions({});
+            setSelectedImageUrl(null);
+            setQuantity(1);
         } catch (error) {
             console.error('Error fetching product:', error);
             alert('Product not found');
@@ -39,7 +52,7 @@ const ProductDetailPage = () => {
         }
 
         try {
-            await addToCart(product._id, quantity);
+            await addToCart(product._id, quantity, selectedVariant?._id);
             alert('Product added to cart!');
             navigate('/cart');
         } catch (error) {
@@ -59,9 +72,35 @@ const ProductDetailPage = () => {
         return null;
     }
 
-    const hasDiscount = product.comparePrice && product.comparePrice > product.price;
+    // Products with variants are priced and stocked per variant
+    const hasVariants = product.variants?.length > 0;
+    const allOptionsSelected = hasVariants && product.options.every((option) => selectedOptions[option.name]);
+    const selectedVariant = allOptionsSelected ? matchVariants(product.variants, selectedOptions)[0] : null;
+    const price = selectedVariant ? selectedVariant.price : product.price;
+    const comparePrice = selectedVariant ? selectedVariant.comparePrice : product.comparePrice;
+    const availableQuantity = hasVariants ? selectedVariant?.availableQuantity ?? 0 : product.availableQuantity;
+    // A picked thumbnail wins over the selected variant's image
+    const imageUrl = selectedImageUrl || selectedVariant?.images?.[0];
+    const image = imageUrl
+        ? product.images.find((productImage) => productImage.url === imageUrl) || { url: imageUrl }
+        : product.images?.[0];
+    const canAddToCart = (!hasVariants || selectedVariant) && availableQuantity > 0;
+
+    // A value is available if some variant with it (and the other chosen values) is in stock
+    const isValueAvailable = (optionName, value) =>
+        matchVariants(product.variants, { ...selectedOptions, [optionName]: value }).some(
+            (variant) => variant.availableQuantity > 0
+        );
+
+    const handleSelectOption = (optionName, value) => {
+        setSelectedOptions((current) => ({ ...current, [optionName]: value }));
+        setSelectedImageUrl(null);
+        setQuantity(1);
+    };
+
+    const hasDiscount = comparePrice && comparePrice > price;
     const discountPercentage = hasDiscount
-        ? Math.round(((product.comparePrice - product.price) / product.comparePrice) * 100)
+        ? Math.round(((comparePrice - price) / comparePrice) * 100)
         : 0;
 
     return (
@@ -70,10 +109,10 @@ const ProductDetailPage = () => {
                 {/* Image */}
                 <div className="space-y-4">
                     <div className="aspect-square bg-gradient-to-br from-gray-100 to-gray-200 rounded-2xl overflow-hidden">
-                        {product.images && product.images[0] ? (
+                        {image ? (
                             <img
-                                src={product.images[0]}
-                                alt={product.name}
+                                src={image.url}
+                                alt={image.alt || product.name}
                                 className="w-full h-full object-cover"
                             />
                         ) : (
@@ -94,27 +133,59 @@ const ProductDetailPage = () => {
                             </div>
                         )}
                     </div>
+                    {product.images?.length > 1 && (
+                        <div className="grid grid-cols-5 gap-2">
+                            {product.images.map((productImage) => (
+                                <button
+                                    key={productImage.url}
+                                    onClick={() => setSelectedImageUrl(productImage.url)}
+                                    className={`aspect-square rounded-lg overflow-hidden border-2 transition ${productImage.url === image?.url ? 'border-purple-600' : 'border-transparent hover:border-gray-300'
+                                        }`}
+                                >
+                                    <img
+                                        src={productImage.thumbnails?.small || productImage.url}
+                                        alt={productImage.alt || product.name}
+                                        className="w-full h-full object-cover"
+                                    />
+                                </button>
+                            ))}
+                        </div>
+                    )}
                 </div>
 
                 {/* Product Info */}
                 <div className="space-y-6">
                     {product.category && (
-                        <span className="inline-block px-4 py-2 bg-purple-100 text-purple-600 rounded-full text-sm font-medium">
-                            {product.category}
-                        </span>
+                        <Link
+                            to={`/products?category=${product.category.slug}`}
+                            className="inline-block px-4 py-2 bg-purple-100 text-purple-600 rounded-full text-sm font-medium hover:bg-purple-200 transition"
+                        >
+                            {product.category.name}
+                        </Link>
                     )}
 
                     <h1 className="text-4xl font-bold text-gray-900">{product.name}</h1>
 
+                    {/* Rating */}
+                    {product.reviewCount > 0 && (
+                        <a href="#reviews" className="flex items-center gap-2 text-gray-600 hover:text-purple-600 transition">
+                            <StarRating rating={product.averageRating} size="w-5 h-5" />
+                            <span>
+                                {product.averageRating.toFixed(1)} ({product.reviewCount} review
+                                {product.reviewCount === 1 ? '' : 's'})
+                            </span>
+                        </a>
+                    )}
+
                     {/* Price */}
                     <div className="flex items-center gap-4">
                         <span className="text-4xl font-bold text-gray-900">
-                            ${product.price?.toFixed(2)}
+                            {hasVariants && !selectedVariant && 'From '}${price?.toFixed(2)}
                         </span>
                         {hasDiscount && (
                             <>
                                 <span className="text-2xl text-gray-400 line-through">
-                                    ${product.comparePrice?.toFixed(2)}
+                                    ${comparePrice?.toFixed(2)}
                                 </span>
                                 <span className="px-3 py-1 bg-red-500 text-white rounded-full text-sm font-bold">
                                     Save {discountPercentage}%
@@ -145,6 +216,51 @@ const ProductDetailPage = () => {
                         </div>
                     )}
 
+                    {/* Options */}
+                    {hasVariants &&
+                        product.options.map((option) => (
+                            <div key={option.name}>
+                                <h2 className="font-medium text-gray-700 mb-2">
+                                    {option.name}
+                                    {selectedOptions[option.name] && (
+                                        <span className="text-gray-500">: {selectedOptions[option.name]}</span>
+                                    )}
+                                </h2>
+                                <div className="flex gap-2 flex-wrap">
+                                    {option.values.map((value) => {
+                                        const isSelected = selectedOptions[option.name] === value;
+                                        const isAvailable = isValueAvailable(option.name, value);
+                                        return (
+                                            <button
+                                                key={value}
+                                                onClick={() => handleSelectOption(option.name, value)}
+                                                title={isAvailable ? '' : 'Out of stock'}
+                                                className={`px-4 py-2 rounded-lg border transition ${isSelected
+                                                        ? 'border-purple-600 bg-purple-600 text-white'
+                                                        : 'border-gray-300 hover:border-purple-600'
+                                                    } ${isAvailable ? '' : 'line-through opacity-50'}`}
+                                            >
+                                                {value}
+                                            </button>
+                                        );
+                                    })}
+                                </div>
+                            </div>
+                        ))}
+
+                    {/* Availability */}
+                    {(!hasVariants || selectedVariant) && (
+                        <p className={`font-medium ${availableQuantity > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {availableQuantity > 0
+                                ? `In stock${availableQuantity <= 5 ? ` - only ${availableQuantity} left` : ''}`
+                                : 'Out of stock'}
+                            {selectedVariant && <span className="text-gray-400 text-sm ml-2">SKU {selectedVariant.sku}</span>}
+                        </p>
+                    )}
+                    {allOptionsSelected && !selectedVariant && (
+                        <p className="font-medium text-red-600">This combination is not available</p>
+                    )}
+
                     {/* Quantity & Add to Cart */}
                     <div className="space-y-4">
                         <div className="flex items-center gap-4">
@@ -158,7 +274,7 @@ const ProductDetailPage = () => {
                                 </button>
                                 <span className="px-6 py-2 border-x border-gray-300">{quantity}</span>
                                 <button
-                                    onClick={() => setQuantity(quantity + 1)}
+                                    onClick={() => setQuantity(Math.min(Math.max(availableQuantity, 1), quantity + 1))}
                                     className="px-4 py-2 hover:bg-gray-100 transition"
                                 >
                                     +
@@ -168,13 +284,20 @@ const ProductDetailPage = () => {
 
                         <button
                             onClick={handleAddToCart}
-                            className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white py-4 rounded-lg font-bold text-lg hover:opacity-90 transition"
+                            disabled={!canAddToCart}
+                            className="w-full bg-gradient-to-r from-purple-600 to-blue-600 text-white py-4 rounded-lg font-bold text-lg hover:opacity-90 transition disabled:opacity-50"
                         >
-                            Add to Cart
+                            {hasVariants && !allOptionsSelected
+                                ? `Select ${product.options.find((option) => !selectedOptions[option.name]).name}`
+                                : canAddToCart
+                                    ? 'Add to Cart'
+                                    : 'Out of Stock'}
                         </button>
                     </div>
                 </div>
             </div>
+
+            <ProductReviews productId={product._id} />
         </div>
     );
 };
@@ -1,40 +1,60 @@
 import { useState, useEffect } from 'react';
-import { productService } from '../services';
+import { useSearchParams } from 'react-router-dom';
+import { productService, categoryService } from '../services';
 import ProductCard from '../components/ProductCard';
 import { useAuth } from '../contexts/AuthContext';
 import { useCart } from '../contexts/CartContext';
 
+const SORT_OPTIONS = [
+    { value: '', label: 'Best match' },
+    { value: 'newest', label: 'Newest' },
+    { value: 'price-asc', label: 'Price: Low to High' },
+    { value: 'price-desc', label: 'Price: High to Low' },
+    { value: 'name', label: 'Name' },
+    { value: 'rating', label: 'Top Rated' },
+];
+
+const formatPriceRange = (range) =>
+    range.max !== undefined ? `$${range.min} - $${range.max}` : `$${range.min}+`;
+
 const ProductsPage = () => {
     const [products, setProducts] = useState([]);
+    const [facets, setFacets] = useState(null);
+    const [pagination, setPagination] = useState(null);
     const [loading, setLoading] = useState(true);
-    const [search, setSearch] = useState('');
-    const [category, setCategory] = useState('');
     const [categories, setCategories] = useState([]);
+    // Search and filters are kept in the URL so results can be shared and category links work
+    const [searchParams, setSearchParams] = useSearchParams();
+    const q = searchParams.get('q') || '';
+    const [search, setSearch] = useState(q);
+    const [lastQ, setLastQ] = useState(q);
     const { isAuthenticated } = useAuth();
     const { addToCart } = useCart();
 
+    // Keep the search box in sync when the query changes from outside (e.g. the header search)
+    if (q !== lastQ) {
+        setLastQ(q);
+        setSearch(q);
+    }
+
     useEffect(() => {
         fetchProducts();
-    }, [category]);
+    }, [searchParams]);
+
+    useEffect(() => {
+        categoryService
+            .getTree()
+            .then((data) => setCategories(data.data.categories))
+            .catch((error) => console.error('Error fetching categories:', error));
+    }, []);
 
     const fetchProducts = async () => {
         try {
             setLoading(true);
-            let data;
-            if (category) {
-                data = await productService.getByCategory(category);
-            } else {
-                data = await productService.getAll({ status: 'active' });
-            }
-
-            const productsList = data.data || [];
-            setProducts(productsList);
-
-            // Extract unique categories
-            const uniqueCategories = [
-                ...new Set(productsList.map((p) => p.category).filter(Boolean)),
-            ];
-            setCategories(uniqueCategories);
+            const data = await productService.search(Object.fromEntries(searchParams));
+            setProducts(data.data.products || []);
+            setFacets(data.data.facets);
+            setPagination(data.data.pagination);
         } catch (error) {
             console.error('Error fetching products:', error);
         } finally {
@@ -42,22 +62,34 @@ const ProductsPage = () => {
         }
     };
 
-    const handleSearch = async (e) => {
-        e.preventDefault();
-        if (!search.trim()) {
-            fetchProducts();
-            return;
-        }
+    // Multi-select filters are comma-separated in the URL
+    const getList = (name) => (searchParams.get(name) || '').split(',').filter(Boolean);
 
-        try {
-            setLoading(true);
-            const data = await productService.search(search);
-            setProducts(data.data || []);
-        } catch (error) {
-            console.error('Error searching products:', error);
-        } finally {
-            setLoading(false);
+    // Changing a filter starts again from the first page
+    const updateParams = (changes) => {
+        const next = new URLSearchParams(searchParams);
+        Object.entries(changes).forEach(([name, value]) => {
+            const text = Array.isArray(value) ? value.join(',') : value;
+            if (text) {
+                next.set(name, text);
+            } else {
+                next.delete(name);
+            }
+        });
+        if (!('page' in changes)) {
+            next.delete('page');
         }
+        setSearchParams(next);
+    };
+
+    const toggleValue = (name, value) => {
+        const list = getList(name);
+        updateParams({ [name]: list.includes(value) ? list.filter((item) => item !== value) : [...list, value] });
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        updateParams({ q: search.trim() });
     };
 
     const handleAddToCart = async (product) => {
@@ -74,76 +106,200 @@ const ProductsPage = () => {
         }
     };
 
+    const selectedCategories = getList('category');
+    const selectedTags = getList('tags');
+    const selectedPrices = getList('price');
+    const inStockOnly = searchParams.get('inStock') === 'true';
+    const hasFilters = selectedCategories.length || selectedTags.length || selectedPrices.length || inStockOnly;
+    const categoryCounts = new Map(facets?.categories.map((category) => [category.slug, category.count]));
+
+    const checkboxClass = 'w-4 h-4 text-purple-600 rounded focus:ring-purple-600';
+
+    // Category tree with counts - empty categories are hidden unless selected
+    const renderCategories = (list, depth = 0) =>
+        list
+            .filter((category) => categoryCounts.get(category.slug) || selectedCategories.includes(category.slug))
+            .map((category) => (
+                <div key={category._id}>
+                    <label
+                        className="flex items-center gap-2 py-1 cursor-pointer"
+                        style={{ paddingLeft: depth * 16 }}
+                    >
+                        <input
+                            type="checkbox"
+                            checked={selectedCategories.includes(category.slug)}
+                            onChange={() => toggleValue('category', category.slug)}
+                            className={checkboxClass}
+                        />
+                        <span className="flex-1 text-gray-700">{category.name}</span>
+                        <span className="text-sm text-gray-400">{categoryCounts.get(category.slug) || 0}</span>
+                    </label>
+                    {renderCategories(category.children, depth + 1)}
+                </div>
+            ));
+
     return (
         <div className="container mx-auto px-4 py-8">
             <h1 className="text-4xl font-bold text-gray-900 mb-8">Our Products</h1>
 
-            {/* Search and Filters */}
-            <div className="mb-8 space-y-4">
-                {/* Search Bar */}
-                <form onSubmit={handleSearch} className="flex gap-2">
-                    <input
-                        type="text"
-                        value={search}
-                        onChange={(e) => setSearch(e.target.value)}
-                        placeholder="Search products..."
-                        className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
-                    />
-                    <button
-                        type="submit"
-                        className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-8 py-3 rounded-lg font-medium hover:opacity-90 transition"
-                    >
-                        Search
-                    </button>
-                </form>
-
-                {/* Category Filter */}
-                <div className="flex items-center gap-2 flex-wrap">
-                    <span className="font-medium text-gray-700">Category:</span>
-                    <button
-                        onClick={() => setCategory('')}
-                        className={`px-4 py-2 rounded-lg transition ${category === ''
-                                ? 'bg-purple-600 text-white'
-                                : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                            }`}
-                    >
-                        All
-                    </button>
-                    {categories.map((cat) => (
+            {/* Search Bar */}
+            <form onSubmit={handleSearch} className="flex gap-2 mb-8">
+                <input
+                    type="text"
+                    value={search}
+                    onChange={(e) => setSearch(e.target.value)}
+                    placeholder="Search products..."
+                    className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 focus:border-transparent outline-none"
+                />
+                <button
+                    type="submit"
+                    className="bg-gradient-to-r from-purple-600 to-blue-600 text-white px-8 py-3 rounded-lg font-medium hover:opacity-90 transition"
+                >
+                    Search
+                </button>
+            </form>
+
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+                {/* Filters */}
+                <aside className="space-y-6">
+                    {hasFilters && (
                         <button
-                            key={cat}
-                            onClick={() => setCategory(cat)}
-                            className={`px-4 py-2 rounded-lg transition ${category === cat
-                                    ? 'bg-purple-600 text-white'
-                                    : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
-                                }`}
+                            onClick={() => updateParams({ category: '', tags: '', price: '', inStock: '' })}
+                            className="text-purple-600 hover:text-purple-800 font-medium"
                         >
-                            {cat}
+                            Clear all filters
                         </button>
-                    ))}
-                </div>
-            </div>
+                    )}
 
-            {/* Products Grid */}
-            {loading ? (
-                <div className="flex justify-center py-12">
-                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
-                </div>
-            ) : products.length === 0 ? (
-                <div className="text-center py-12">
-                    <p className="text-gray-600 text-lg">No products found</p>
-                </div>
-            ) : (
-                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
-                    {products.map((product) => (
-                        <ProductCard
-                            key={product._id}
-                            product={product}
-                            onAddToCart={handleAddToCart}
-                        />
-                    ))}
+                    {facets && (
+                        <>
+                            <div>
+                                <h2 className="font-bold text-gray-900 mb-2">Availability</h2>
+                                <label className="flex items-center gap-2 py-1 cursor-pointer">
+                                    <input
+                                        type="checkbox"
+                                        checked={inStockOnly}
+                                        onChange={() => updateParams({ inStock: inStockOnly ? '' : 'true' })}
+                                        className={checkboxClass}
+                                    />
+                                    <span className="flex-1 text-gray-700">In stock</span>
+                                    <span className="text-sm text-gray-400">{facets.inStock}</span>
+                                </label>
+                            </div>
+
+                            {categories.length > 0 && (
+                                <div>
+                                    <h2 className="font-bold text-gray-900 mb-2">Category</h2>
+                                    {renderCategories(categories)}
+                                </div>
+                            )}
+
+                            <div>
+                                <h2 className="font-bold text-gray-900 mb-2">Price</h2>
+                                {facets.priceRanges.map((range) => (
+                                    <label
+                                        key={range.key}
+                                        className={`flex items-center gap-2 py-1 cursor-pointer ${range.count === 0 && !selectedPrices.includes(range.key) ? 'opacity-50' : ''
+                                            }`}
+                                    >
+                                        <input
+                                            type="checkbox"
+                                            checked={selectedPrices.includes(range.key)}
+                                            onChange={() => toggleValue('price', range.key)}
+                                            className={checkboxClass}
+                                        />
+                                        <span className="flex-1 text-gray-700">{formatPriceRange(range)}</span>
+                                        <span className="text-sm text-gray-400">{range.count}</span>
+                                    </label>
+                                ))}
+                            </div>
+
+                            {facets.tags.length > 0 && (
+                                <div>
+                                    <h2 className="font-bold text-gray-900 mb-2">Tags</h2>
+                                    <div className="flex flex-wrap gap-2">
+                                        {facets.tags.map((tag) => (
+                                            <button
+                                                key={tag.value}
+                                                onClick={() => toggleValue('tags', tag.value)}
+                                                className={`px-3 py-1 rounded-full text-sm transition ${selectedTags.includes(tag.value)
+                                                        ? 'bg-purple-600 text-white'
+                                                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                                                    }`}
+                                            >
+                                                {tag.value} ({tag.count})
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </aside>
+
+                {/* Results */}
+                <div className="lg:col-span-3">
+                    <div className="flex items-center justify-between mb-4">
+                        <p className="text-gray-600">
+                            {pagination ? `${pagination.total} product(s)` : ''}
+                        </p>
+                        <select
+                            value={searchParams.get('sort') || ''}
+                            onChange={(e) => updateParams({ sort: e.target.value })}
+                            className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-600 outline-none"
+                        >
+                            {SORT_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>
+                                    {option.label}
+                                </option>
+                            ))}
+                        </select>
+                    </div>
+
+                    {loading ? (
+                        <div className="flex justify-center py-12">
+                            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+                        </div>
+                    ) : products.length === 0 ? (
+                        <div className="text-center py-12">
+                            <p className="text-gray-600 text-lg">No products found</p>
+                        </div>
+                    ) : (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+                            {products.map((product) => (
+                                <ProductCard
+                                    key={product._id}
+                                    product={product}
+                                    onAddToCart={handleAddToCart}
+                                />
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Pagination */}
+                    {pagination?.totalPages > 1 && (
+                        <div className="flex justify-center items-center gap-4 mt-8">
+                            <button
+                                onClick={() => updateParams({ page: String(pagination.page - 1) })}
+                                disabled={!pagination.hasPrevPage}
+                                className="px-4 py-2 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition disabled:opacity-50"
+                            >
+                                Previous
+                            </button>
+                            <span className="text-gray-600">
+                                Page {pagination.page} of {pagination.totalPages}
+                            </span>
+                            <button
+                                onClick={() => updateParams({ page: String(pagination.page + 1) })}
+                                disabled={!pagination.hasNextPage}
+                                className="px-4 py-2 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 transition disabled:opacity-50"
+                            >
+                                Next
+                            </button>
+                        </div>
+                    )}
                 </div>
-            )}
+            </div>
         </div>
     );
 };
@@ -1,6 +1,7 @@
 import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import SocialLoginButtons from '../components/SocialLoginButtons';
 
 const RegisterPage = () => {
     const [formData, setFormData] = useState({
@@ -135,6 +136,8 @@ const RegisterPage = () => {
                     </button>
                 </form>
 
+                <SocialLoginButtons onError={setError} />
+
                 <p className="mt-6 text-center text-gray-600">
                     Already have an account?{' '}
                     <Link to="/login" className="text-purple-600 font-medium hover:underline">
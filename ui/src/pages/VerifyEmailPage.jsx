@@ -0,0 +1,78 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authService } from '../services';
+
+const VerifyEmailPage = () => {
+    const [searchParams] = useSearchParams();
+    const token = searchParams.get('token');
+    const [status, setStatus] = useState('verifying');
+    const [error, setError] = useState('');
+    const { isAuthenticated, updateUser } = useAuth();
+    // Tokens are single-use, so make sure we only submit once (StrictMode runs effects twice)
+    const submitted = useRef(false);
+
+    useEffect(() => {
+        if (!token || submitted.current) return;
+        submitted.current = true;
+
+        authService
+            .verifyEmail(token)
+            .then(() => {
+                setStatus('verified');
+                updateUser({ isEmailVerified: true });
+            })
+            .catch((err) => {
+                setStatus('failed');
+                setError(err.response?.data?.message || 'Verification failed');
+            });
+    }, [token, updateUser]);
+
+    const renderContent = () => {
+        if (!token || status === 'failed') {
+            return (
+                <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg">
+                    {error || 'This verification link is invalid.'} You can request a new link
+                    from your account page.
+                </div>
+            );
+        }
+
+        if (status === 'verified') {
+            return (
+                <div className="bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded-lg">
+                    Your email address has been verified. Thank you!
+                </div>
+            );
+        }
+
+        return (
+            <div className="flex justify-center py-4">
+                <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-600"></div>
+            </div>
+        );
+    };
+
+    return (
+        <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-purple-600 to-blue-600 py-12 px-4">
+            <div className="max-w-md w-full bg-white rounded-2xl shadow-2xl p-8">
+                <div className="text-center mb-8">
+                    <h2 className="text-3xl font-bold text-gray-900">Email Verification</h2>
+                </div>
+
+                {renderContent()}
+
+                <p className="mt-6 text-center text-gray-600">
+                    <Link
+                        to={isAuthenticated ? '/account' : '/login'}
+                        className="text-purple-600 font-medium hover:underline"
+                    >
+                        {isAuthenticated ? 'Go to my account' : 'Go to login'}
+                    </Link>
+                </p>
+            </div>
+        </div>
+    );
+};
+
+export default VerifyEmailPage;
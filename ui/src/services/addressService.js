@@ -0,0 +1,35 @@
+import api from './api';
+
+export const addressService = {
+  // Get saved addresses
+  getAll: async () => {
+    const response = await api.get('/addresses');
+    return response.data;
+  },
+
+  // Create address
+  create: async (addressData) => {
+    const response = await api.post('/addresses', addressData);
+    return response.data;
+  },
+
+  // Update address
+  update: async (id, addressData) => {
+    const response = await api.put(`/addresses/${id}`, addressData);
+    return response.data;
+  },
+
+  // Set default address
+  setDefault: async (id) => {
+    const response = await api.put(`/addresses/${id}/default`);
+    return response.data;
+  },
+
+  // Delete address
+  delete: async (id) => {
+    const response = await api.delete(`/addresses/${id}`);
+    return response.data;
+  },
+};
+
+export default addressService;
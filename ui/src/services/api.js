@@ -13,7 +13,8 @@ const api = axios.create({
 // Request interceptor - add auth token
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('token');
+    // An impersonation started from the admin panel applies to this tab only
+    const token = sessionStorage.getItem('impersonationToken') || localStorage.getItem('token');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -24,15 +25,82 @@ api.interceptors.request.use(
   }
 );
 
+// Refresh in progress - concurrent 401s wait for it instead of refreshing again
+let refreshPromise = null;
+
+// Exchange the refresh token for a new token pair
+// Refresh tokens are single-use, so tabs take turns (a replayed token ends the session)
+const refreshTokens = (failedToken) => {
+  const refresh = async () => {
+    // Another tab refreshed while we waited - use its token
+    const currentToken = localStorage.getItem('token');
+    if (currentToken && currentToken !== failedToken) {
+      return currentToken;
+    }
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      throw new Error('No refresh token');
+    }
+
+    // Plain axios so a failed refresh doesn't go through these interceptors
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+    const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+    localStorage.setItem('token', accessToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    return accessToken;
+  };
+
+  if (!refreshPromise) {
+    refreshPromise = (navigator.locks ? navigator.locks.request('auth-refresh', refresh) : refresh()).finally(
+      () => {
+        refreshPromise = null;
+      }
+    );
+  }
+  return refreshPromise;
+};
+
+// Expired access tokens are refreshed and the request replayed once
+const shouldRefresh = (error) => {
+  const { config, response } = error;
+  return (
+    response?.status === 401 &&
+    response.data?.code === 'AUTH_002' &&
+    config &&
+    !config._retry &&
+    !!config.headers?.Authorization &&
+    !sessionStorage.getItem('impersonationToken') &&
+    !!localStorage.getItem('refreshToken')
+  );
+};
+
 // Response interceptor - handle errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    if (shouldRefresh(error)) {
+      const failedToken = error.config.headers.Authorization.replace('Bearer ', '');
+      try {
+        await refreshTokens(failedToken);
+        return api({ ...error.config, _retry: true });
+      } catch (refreshError) {
+        console.error('Token refresh failed:', refreshError);
+      }
+    }
+
     if (error.response?.status === 401) {
       // Unauthorized - clear token and redirect to login
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      if (window.location.pathname !== '/login') {
+      if (sessionStorage.getItem('impersonationToken')) {
+        // Impersonation expired - leave the customer's own login untouched
+        sessionStorage.removeItem('impersonationToken');
+        sessionStorage.removeItem('impersonationUser');
+      } else {
+        localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('user');
+      }
+      if (!['/login', '/impersonate', '/oauth/callback'].includes(window.location.pathname)) {
         window.location.href = '/login';
       }
     }
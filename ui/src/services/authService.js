@@ -13,6 +13,25 @@ export const authService = {
     return response.data;
   },
 
+  // Get social login providers
+  getOAuthProviders: async () => {
+    const response = await api.get('/auth/oauth/providers');
+    return response.data;
+  },
+
+  // Start social login - remember the state to check it when the provider redirects back
+  startOAuthLogin: async (provider) => {
+    const response = await api.get(`/auth/oauth/${provider}/authorize`);
+    sessionStorage.setItem('oauthState', response.data.data.state);
+    return response.data;
+  },
+
+  // Complete social login with the code the provider redirected back with
+  completeOAuthLogin: async (state, code) => {
+    const response = await api.post('/auth/oauth/callback', { state, code });
+    return response.data;
+  },
+
   // Logout
   logout: async () => {
     try {
@@ -21,6 +40,18 @@ export const authService = {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+    }
+  },
+
+  // Logout from all devices
+  logoutAll: async () => {
+    try {
+      await api.post('/auth/logout-all');
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
     }
   },
@@ -30,6 +61,83 @@ export const authService = {
     const response = await api.get('/auth/me');
     return response.data;
   },
+
+  // Update profile
+  updateProfile: async (profileData) => {
+    const response = await api.put('/auth/me', profileData);
+    return response.data;
+  },
+
+  // Change password
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await api.put('/auth/password', { currentPassword, newPassword });
+    return response.data;
+  },
+
+  // Delete account
+  deleteAccount: async (password) => {
+    const response = await api.delete('/auth/me', { data: { password } });
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    return response.data;
+  },
+
+  // Request password reset email
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Reset password with emailed token
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  // Verify email with emailed token
+  verifyEmail: async (token) => {
+    const response = await api.post('/auth/verify-email', { token });
+    return response.data;
+  },
+
+  // Resend verification email
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  // Get active sessions
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  // Revoke a session
+  revokeSession: async (id) => {
+    const response = await api.delete(`/auth/sessions/${id}`);
+    return response.data;
+  },
+
+  // Start viewing the store as a customer with a token issued from the admin panel
+  // Stored in sessionStorage so it only applies to this tab
+  startImpersonation: async (token) => {
+    sessionStorage.setItem('impersonationToken', token);
+    try {
+      const response = await api.get('/auth/me');
+      sessionStorage.setItem('impersonationUser', JSON.stringify(response.data.data.user));
+      return response.data;
+    } catch (error) {
+      sessionStorage.removeItem('impersonationToken');
+      throw error;
+    }
+  },
+
+  // Stop impersonating (the tab falls back to its own login, if any)
+  endImpersonation: () => {
+    sessionStorage.removeItem('impersonationToken');
+    sessionStorage.removeItem('impersonationUser');
+  },
 };
 
 export default authService;
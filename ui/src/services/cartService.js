@@ -7,9 +7,9 @@ export const cartService = {
     return response.data;
   },
 
-  // Add to cart
-  addToCart: async (productId, quantity = 1) => {
-    const response = await api.post('/cart/add', { productId, quantity });
+  // Add to cart (variantId is required for products with options)
+  addToCart: async (productId, quantity = 1, variantId = null) => {
+    const response = await api.post('/cart/add', { productId, quantity, variantId });
     return response.data;
   },
 
@@ -0,0 +1,11 @@
+import api from './api';
+
+export const categoryService = {
+  // Get category tree (public)
+  getTree: async () => {
+    const response = await api.get('/categories');
+    return response.data;
+  },
+};
+
+export default categoryService;
@@ -3,3 +3,6 @@ export { default as authService } from './authService';
 export { default as productService } from './productService';
 export { default as cartService } from './cartService';
 export { default as orderService } from './orderService';
+export { default as addressService } from './addressService';
+export { default as categoryService } from './categoryService';
+export { default as reviewService } from './reviewService';
@@ -13,17 +13,22 @@ export const productService = {
     return response.data;
   },
 
-  // Search products
-  search: async (keyword, params = {}) => {
-    const response = await api.get('/products/search', {
-      params: { keyword, ...params },
-    });
+  // Search products with facet counts
+  // params: q, category, tags, price (comma-separated for multi-select), inStock, sort, page
+  search: async (params = {}) => {
+    const response = await api.get('/products/search', { params });
     return response.data;
   },
 
-  // Get products by category
+  // Suggestions while typing (products, categories and tags)
+  suggest: async (q, params = {}) => {
+    const response = await api.get('/products/suggest', { params: { ...params, q } });
+    return response.data;
+  },
+
+  // Get products in a category (id or slug, includes subcategories)
   getByCategory: async (category, params = {}) => {
-    const response = await api.get(`/products/category/${category}`, { params });
+    const response = await api.get('/products', { params: { ...params, category } });
     return response.data;
   },
 };
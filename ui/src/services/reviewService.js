@@ -0,0 +1,36 @@
+import api from './api';
+
+export const reviewService = {
+  // Get approved reviews of a product with its rating summary
+  // params: page, limit, sort (newest, highest, lowest), rating, verified
+  getByProduct: async (productId, params = {}) => {
+    const response = await api.get(`/reviews/product/${productId}`, { params });
+    return response.data;
+  },
+
+  // Get own review of a product (null if there is none)
+  getMine: async (productId) => {
+    const response = await api.get(`/reviews/product/${productId}/mine`);
+    return response.data;
+  },
+
+  // Write a review - reviewData: { product, rating, title, comment }
+  create: async (reviewData) => {
+    const response = await api.post('/reviews', reviewData);
+    return response.data;
+  },
+
+  // Edit own review (it goes back to moderation)
+  update: async (id, reviewData) => {
+    const response = await api.put(`/reviews/${id}`, reviewData);
+    return response.data;
+  },
+
+  // Delete own review
+  delete: async (id) => {
+    const response = await api.delete(`/reviews/${id}`);
+    return response.data;
+  },
+};
+
+export default reviewService;